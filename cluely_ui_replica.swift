@@ -56,6 +56,7 @@ class CluelyUIDelegate: NSObject, NSApplicationDelegate, SCStreamDelegate, URLSe
     
     // Audio capture properties - now connects to Electron companion
     private var electronWebSocket: URLSessionWebSocketTask?
+    private var companionAuthToken: String = "" // COMPANION_AUTH_TOKEN or ~/.cluely/companion-token
     private var urlSession: URLSession?
     private var isListening: Bool = false
     private var lastTranscribedText: String = ""
@@ -133,6 +134,8 @@ class CluelyUIDelegate: NSObject, NSApplicationDelegate, SCStreamDelegate, URLSe
                 ocrInterval = Double(value) ?? 3.0
             case "OCR_MIN_TEXT_LENGTH":
                 minTextLength = Int(value) ?? 20
+            case "COMPANION_AUTH_TOKEN":
+                companionAuthToken = value
             default:
                 break
             }
@@ -1379,6 +1382,12 @@ class CluelyUIDelegate: NSObject, NSApplicationDelegate, SCStreamDelegate, URLSe
             case "status":
                 print("📊 Electron status: \(json)")
                 
+            case "welcome":
+                print("🤝 Electron protocol v\(json["protocolVersion"] ?? "?") negotiated")
+                
+            case "error":
+                print("❌ Electron error [\(json["code"] ?? "?")]: \(json["message"] ?? "")")
+                
             case "transcription":
                 if let text = json["text"] as? String {
                     self.handleTranscription(text)
@@ -1814,14 +1823,41 @@ extension CluelyUIDelegate {
     func urlSession(_ session: URLSession, webSocketTask: URLSessionWebSocketTask, didOpenWithProtocol protocol: String?) {
         print("✅ Connected to Electron Audio Companion")
         
-        // Send ping to confirm connection
+        // Authenticate and negotiate protocol version and event streams (see WEBSOCKET_PROTOCOL.md)
         sendToElectron([
-            "type": "ping"
+            "type": "hello",
+            "id": "hello",
+            "token": loadCompanionAuthToken(),
+            "protocolVersions": [1],
+            "capabilities": ["transcription", "streamingTranscription", "voiceActivity", "coaching"],
+            "client": ["name": "cluely-ui-replica"]
         ])
     }
     
+    // The companion writes its per-install token here on first launch
+    func loadCompanionAuthToken() -> String {
+        if !companionAuthToken.isEmpty {
+            return companionAuthToken
+        }
+        
+        let tokenPath = FileManager.default.homeDirectoryForCurrentUser
+            .appendingPathComponent(".cluely/companion-token").path
+        let token = (try? String(contentsOfFile: tokenPath, encoding: .utf8))?
+            .trimmingCharacters(in: .whitespacesAndNewlines) ?? ""
+        
+        if token.isEmpty {
+            print("⚠️ No companion auth token found at \(tokenPath) - start the Electron companion first")
+        }
+        return token
+    }
+    
     func urlSession(_ session: URLSession, webSocketTask: URLSessionWebSocketTask, didCloseWith closeCode: URLSessionWebSocketTask.CloseCode, reason: Data?) {
         print("🔌 Disconnected from Electron Audio Companion")
+        
+        if closeCode.rawValue == 4401 {
+            let message = reason.flatMap { String(data: $0, encoding: .utf8) } ?? "authentication failed"
+            print("🚫 Electron companion rejected authentication: \(message)")
+        }
                 
         // Try to reconnect after a delay
         DispatchQueue.main.asyncAfter(deadline: .now() + 3.0) {
@@ -0,0 +1,195 @@
+// HTTP requests to the transcription and coaching APIs
+//
+// fetchWithRetry() is fetch() with a timeout per attempt (AbortController) and
+// retries for failures that may go away on their own: network errors,
+// timeouts, 408, 429 and 5xx. Between attempts it waits as long as the
+// server's Retry-After asks, or else an exponential backoff with full jitter
+// so clients that failed together do not retry together. Other failures (bad
+// key, bad request) are thrown straight away.
+//
+// Errors are ApiError with `code` ('HTTP', 'TIMEOUT', 'NETWORK', 'ABORTED'),
+// `status` for HTTP failures, `retryable` (worth trying again later) and
+// `retryAfter` (ms, when the server said).
+//
+// readEventStream() reads a streaming (server-sent events) response body.
+
+const RETRYABLE_STATUSES = [408, 429];
+
+class ApiError extends Error {
+    constructor(message, { code, status, retryable = false, retryAfter = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.code = code;
+        this.status = status;
+        this.retryable = retryable;
+        this.retryAfter = retryAfter;
+    }
+}
+
+function isRetryableStatus(status) {
+    return RETRYABLE_STATUSES.includes(status) || status >= 500;
+}
+
+// Retry-After (seconds or an HTTP date), or OpenAI's retry-after-ms -> ms
+function parseRetryAfter(headers) {
+    const milliseconds = Number(headers.get('retry-after-ms'));
+    if (headers.get('retry-after-ms') && Number.isFinite(milliseconds)) return Math.max(0, milliseconds);
+
+    const value = headers.get('retry-after');
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Full jitter: anywhere between 0 and the exponential backoff for this attempt
+function backoffDelay(attempt, { baseDelay, maxDelay }) {
+    return Math.round(Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt));
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        // An aborted signal fires no more 'abort' events
+        if (signal && signal.aborted) {
+            reject(new ApiError('Request cancelled', { code: 'ABORTED' }));
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new ApiError('Request cancelled', { code: 'ABORTED' }));
+        };
+        // One caller's signal can outlive many waits: leave no listener behind
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// The timeout covers getting the response; `signal` can also abort reading its
+// body, so its listener stays with a successful response and is removed otherwise
+async function fetchWithTimeout(url, init, timeout, signal) {
+    if (signal && signal.aborted) {
+        throw new ApiError('Request cancelled', { code: 'ABORTED' });
+    }
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeout);
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+        const response = await fetch(url, { ...init, signal: controller.signal });
+        if (!response.ok && signal) signal.removeEventListener('abort', onAbort);
+        return response;
+    } catch (error) {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        error.timedOut = timedOut;
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// -> Response (ok); options:
+//   label          - what the request is for, used in errors and logs
+//   timeout        - ms per attempt
+//   retries        - attempts after the first one
+//   baseDelay, maxDelay - backoff bounds (ms)
+//   maxRetryAfter  - longest Retry-After waited for here; longer ones are
+//                    thrown (retryable) for the caller to schedule
+//   signal         - AbortSignal cancelling the request and any waiting
+//   onRetry({ attempt, delay, error }) - called before each retry
+async function fetchWithRetry(url, init = {}, options = {}) {
+    const {
+        label = 'API',
+        timeout = 15000,
+        retries = 3,
+        baseDelay = 500,
+        maxDelay = 8000,
+        maxRetryAfter = 30000,
+        signal,
+        onRetry
+    } = options;
+
+    for (let attempt = 0; ; attempt++) {
+        let error;
+        try {
+            const response = await fetchWithTimeout(url, init, timeout, signal);
+            if (response.ok) return response;
+
+            const errorText = await response.text().catch(() => '');
+            error = new ApiError(`${label} failed: ${response.status} - ${errorText.slice(0, 200)}`, {
+                code: 'HTTP',
+                status: response.status,
+                retryable: isRetryableStatus(response.status),
+                retryAfter: parseRetryAfter(response.headers)
+            });
+        } catch (cause) {
+            if (signal && signal.aborted) {
+                throw new ApiError(`${label} cancelled`, { code: 'ABORTED' });
+            }
+            error = cause.timedOut
+                ? new ApiError(`${label} timed out after ${timeout}ms`, { code: 'TIMEOUT', retryable: true })
+                : new ApiError(`${label} failed: ${cause.message}`, { code: 'NETWORK', retryable: true });
+        }
+
+        error.attempts = attempt + 1;
+        if (!error.retryable || attempt >= retries) throw error;
+
+        const delay = error.retryAfter !== null ? error.retryAfter : backoffDelay(attempt, { baseDelay, maxDelay });
+        if (delay > maxRetryAfter) throw error;
+
+        console.log(`🔁 [RETRY] ${error.message} - retry ${attempt + 1}/${retries} in ${delay}ms`);
+        if (onRetry) onRetry({ attempt: attempt + 1, delay, error });
+        await sleep(delay, signal);
+    }
+}
+
+// `data:` payloads of a server-sent events body (OpenAI-style streaming), in
+// order; fails with a retryable TIMEOUT if the stream stalls for idleTimeout ms
+async function* readEventStream(response, { idleTimeout = 15000, label = 'API' } = {}) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+        for (;;) {
+            let timer;
+            const stalled = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new ApiError(`${label} stalled: nothing received for ${idleTimeout}ms`, {
+                    code: 'TIMEOUT',
+                    retryable: true
+                })), idleTimeout);
+            });
+            const { done, value } = await Promise.race([reader.read(), stalled]).finally(() => clearTimeout(timer));
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            for (const line of lines) {
+                if (line.startsWith('data:')) yield line.slice(5).trim();
+            }
+        }
+        if (buffer.startsWith('data:')) yield buffer.slice(5).trim();
+    } finally {
+        reader.cancel().catch(() => {});
+    }
+}
+
+module.exports = {
+    ApiError,
+    fetchWithRetry,
+    readEventStream,
+    isRetryableStatus,
+    parseRetryAfter,
+    backoffDelay
+};
@@ -0,0 +1,47 @@
+// AudioWorklet capture processor
+//
+// Runs on the audio rendering thread. It only copies mono PCM into fixed-size
+// batches and posts them straight to the pipeline worker over the
+// MessagePort handed to it with a 'connect' message - no analysis happens
+// here and nothing passes through the renderer's main thread.
+
+class PCMCaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.batchSize = (options.processorOptions && options.processorOptions.batchSize) || 1024;
+        this.batch = new Float32Array(this.batchSize);
+        this.filled = 0;
+        this.target = null;
+
+        this.port.onmessage = (event) => {
+            if (event.data.type === 'connect') {
+                this.target = event.data.port;
+            }
+        };
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!this.target || !input || input.length === 0) return true;
+
+        const channel = input[0];
+        let offset = 0;
+
+        while (offset < channel.length) {
+            const count = Math.min(channel.length - offset, this.batchSize - this.filled);
+            this.batch.set(channel.subarray(offset, offset + count), this.filled);
+            this.filled += count;
+            offset += count;
+
+            if (this.filled === this.batchSize) {
+                this.target.postMessage({ type: 'frames', samples: this.batch }, [this.batch.buffer]);
+                this.batch = new Float32Array(this.batchSize);
+                this.filled = 0;
+            }
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('pcm-capture-processor', PCMCaptureProcessor);
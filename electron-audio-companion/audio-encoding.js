@@ -0,0 +1,741 @@
+// Audio encoding helpers shared by the capture pipeline and transcription
+// providers. Plain functions over typed arrays so they run unchanged in the
+// renderer, in workers and in Node.
+
+// Concatenate Float32Array chunks into a single array
+function mergeChunks(chunks) {
+    const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const merged = new Float32Array(totalLength);
+    let offset = 0;
+    for (const chunk of chunks) {
+        merged.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return merged;
+}
+
+// Encode mono float samples as a 16-bit PCM WAV file
+function encodeWAV(samples, sampleRate) {
+    // Convert float samples to 16-bit PCM
+    const pcm16 = new Int16Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        const sample = Math.max(-1, Math.min(1, samples[i]));
+        pcm16[i] = sample * 0x7FFF;
+    }
+    
+    // Create WAV file structure
+    const buffer = new ArrayBuffer(44 + pcm16.length * 2);
+    const view = new DataView(buffer);
+    
+    // WAV header
+    const writeString = (offset, string) => {
+        for (let i = 0; i < string.length; i++) {
+            view.setUint8(offset + i, string.charCodeAt(i));
+        }
+    };
+    
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + pcm16.length * 2, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM format
+    view.setUint16(22, 1, true); // Mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true);
+    view.setUint16(32, 2, true);
+    view.setUint16(34, 16, true);
+    writeString(36, 'data');
+    view.setUint32(40, pcm16.length * 2, true);
+    
+    // Write PCM data
+    new Uint8Array(buffer, 44).set(new Uint8Array(pcm16.buffer));
+    
+    return buffer;
+}
+
+const WAV_FORMAT_PCM = 1;
+const WAV_FORMAT_FLOAT = 3;
+const WAV_FORMAT_EXTENSIBLE = 0xFFFE; // Real format in the first 2 bytes of the sub-format GUID
+
+// Reads one sample of a WAV data chunk as a float in [-1, 1)
+function wavSampleReader(view, format, bitsPerSample) {
+    if (format === WAV_FORMAT_FLOAT && bitsPerSample === 32) return offset => view.getFloat32(offset, true);
+    if (format === WAV_FORMAT_FLOAT && bitsPerSample === 64) return offset => view.getFloat64(offset, true);
+    if (format === WAV_FORMAT_PCM) {
+        switch (bitsPerSample) {
+            case 8: return offset => (view.getUint8(offset) - 128) / 128;
+            case 16: return offset => view.getInt16(offset, true) / 32768;
+            case 24: return offset => ((view.getInt8(offset + 2) << 16) | (view.getUint8(offset + 1) << 8) | view.getUint8(offset)) / 8388608;
+            case 32: return offset => view.getInt32(offset, true) / 2147483648;
+        }
+    }
+    throw new Error(`Unsupported WAV format ${format} with ${bitsPerSample}-bit samples`);
+}
+
+// Decode a PCM (8/16/24/32-bit) or float WAV file into mono float samples
+function decodeWAV(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    const readString = (offset, length) => {
+        let result = '';
+        for (let i = 0; i < length; i++) {
+            result += String.fromCharCode(view.getUint8(offset + i));
+        }
+        return result;
+    };
+
+    if (readString(0, 4) !== 'RIFF' || readString(8, 4) !== 'WAVE') {
+        throw new Error('Not a RIFF/WAVE file');
+    }
+
+    let format = 0;
+    let sampleRate = 0;
+    let channels = 0;
+    let bitsPerSample = 0;
+    let offset = 12;
+
+    while (offset + 8 <= arrayBuffer.byteLength) {
+        const chunkId = readString(offset, 4);
+        const chunkSize = view.getUint32(offset + 4, true);
+        const chunkStart = offset + 8;
+
+        if (chunkId === 'fmt ') {
+            format = view.getUint16(chunkStart, true);
+            channels = view.getUint16(chunkStart + 2, true);
+            sampleRate = view.getUint32(chunkStart + 4, true);
+            bitsPerSample = view.getUint16(chunkStart + 14, true);
+            if (format === WAV_FORMAT_EXTENSIBLE && chunkSize >= 26) {
+                format = view.getUint16(chunkStart + 24, true);
+            }
+        } else if (chunkId === 'data') {
+            const readSample = wavSampleReader(view, format, bitsPerSample);
+            const bytesPerSample = bitsPerSample / 8;
+
+            const dataSize = Math.min(chunkSize, arrayBuffer.byteLength - chunkStart);
+            const frameCount = Math.floor(dataSize / (bytesPerSample * channels));
+            const samples = new Float32Array(frameCount);
+
+            // Down-mix to mono
+            for (let frame = 0; frame < frameCount; frame++) {
+                let sum = 0;
+                for (let channel = 0; channel < channels; channel++) {
+                    sum += readSample(chunkStart + (frame * channels + channel) * bytesPerSample);
+                }
+                samples[frame] = sum / channels;
+            }
+
+            return { sampleRate, channels, samples };
+        }
+
+        offset = chunkStart + chunkSize + (chunkSize % 2);
+    }
+
+    throw new Error('WAV file has no data chunk');
+}
+
+// Band-limited resampler: windowed-sinc low-pass at the lower of the two
+// Nyquist frequencies, evaluated at the output positions. When downsampling
+// (e.g. 44.1 kHz -> 16 kHz) this is the anti-aliasing filter plus decimation.
+const RESAMPLER_ZERO_CROSSINGS = 16;
+const RESAMPLER_ROLLOFF = 0.95;
+
+function resample(samples, fromRate, toRate) {
+    if (fromRate === toRate) return samples;
+
+    const ratio = fromRate / toRate;
+    const cutoff = RESAMPLER_ROLLOFF * Math.min(1, toRate / fromRate);
+    const halfWidth = Math.ceil(RESAMPLER_ZERO_CROSSINGS / cutoff);
+    const outputLength = Math.floor(samples.length / ratio);
+    const output = new Float32Array(outputLength);
+
+    for (let i = 0; i < outputLength; i++) {
+        const center = i * ratio;
+        const first = Math.max(0, Math.floor(center) - halfWidth + 1);
+        const last = Math.min(samples.length - 1, Math.floor(center) + halfWidth);
+        let sum = 0;
+
+        for (let j = first; j <= last; j++) {
+            const distance = center - j;
+            const x = Math.PI * cutoff * distance;
+            const sinc = x === 0 ? 1 : Math.sin(x) / x;
+            // Blackman window over +/- halfWidth input samples
+            const w = 0.5 + 0.5 * (distance / halfWidth);
+            const window = 0.42 - 0.5 * Math.cos(2 * Math.PI * w) + 0.08 * Math.cos(4 * Math.PI * w);
+            sum += samples[j] * cutoff * sinc * window;
+        }
+
+        output[i] = sum;
+    }
+
+    return output;
+}
+
+// --- FLAC -----------------------------------------------------------------
+//
+// Minimal lossless encoder for 16-bit mono audio: fixed-blocksize frames, each
+// subframe coded with the best FIXED predictor (order 0-4) and partitioned
+// Rice residuals, falling back to VERBATIM when that is smaller. The decoder
+// additionally handles LPC subframes and stereo decorrelation so it can read
+// files produced by other encoders.
+
+const FLAC_BLOCK_SIZE = 4096;
+const FLAC_MAX_FIXED_ORDER = 4;
+const FLAC_MAX_PARTITION_ORDER = 4;
+const FLAC_MAX_RICE_PARAMETER = 14;
+const FLAC_BLOCK_SIZES = [0, 192, 576, 1152, 2304, 4608, 0, 0, 256, 512, 1024, 2048, 4096, 8192, 16384, 32768];
+const FLAC_SAMPLE_RATES = [0, 88200, 176400, 192000, 8000, 16000, 22050, 24000, 32000, 44100, 48000, 96000];
+const FLAC_SAMPLE_SIZES = [0, 8, 12, 0, 16, 20, 24, 32];
+
+const CRC8_TABLE = new Uint8Array(256);
+const CRC16_TABLE = new Uint16Array(256);
+for (let i = 0; i < 256; i++) {
+    let crc8 = i;
+    let crc16 = i << 8;
+    for (let bit = 0; bit < 8; bit++) {
+        crc8 = (crc8 & 0x80) ? ((crc8 << 1) ^ 0x07) & 0xFF : (crc8 << 1) & 0xFF;
+        crc16 = (crc16 & 0x8000) ? ((crc16 << 1) ^ 0x8005) & 0xFFFF : (crc16 << 1) & 0xFFFF;
+    }
+    CRC8_TABLE[i] = crc8;
+    CRC16_TABLE[i] = crc16;
+}
+
+function crc8(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) crc = CRC8_TABLE[crc ^ bytes[i]];
+    return crc;
+}
+
+function crc16(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) crc = ((crc << 8) & 0xFFFF) ^ CRC16_TABLE[(crc >> 8) ^ bytes[i]];
+    return crc;
+}
+
+class BitWriter {
+    constructor(initialSize = 65536) {
+        this.bytes = new Uint8Array(initialSize);
+        this.length = 0;
+        this.current = 0;
+        this.bitCount = 0;
+    }
+
+    ensureCapacity(extraBytes) {
+        if (this.length + extraBytes <= this.bytes.length) return;
+        const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + extraBytes));
+        grown.set(this.bytes.subarray(0, this.length));
+        this.bytes = grown;
+    }
+
+    writeBit(bit) {
+        this.current = (this.current << 1) | bit;
+        if (++this.bitCount === 8) {
+            this.ensureCapacity(1);
+            this.bytes[this.length++] = this.current;
+            this.current = 0;
+            this.bitCount = 0;
+        }
+    }
+
+    // Write the low `count` bits of a non-negative value (count may exceed 32)
+    writeBits(value, count) {
+        for (let bit = count - 1; bit >= 0; bit--) {
+            this.writeBit(Math.floor(value / 2 ** bit) % 2);
+        }
+    }
+
+    writeSigned(value, count) {
+        this.writeBits(value < 0 ? value + 2 ** count : value, count);
+    }
+
+    writeUnary(zeros) {
+        for (let i = 0; i < zeros; i++) this.writeBit(0);
+        this.writeBit(1);
+    }
+
+    writeBytes(bytes) {
+        for (const byte of bytes) this.writeBits(byte, 8);
+    }
+
+    alignToByte() {
+        while (this.bitCount !== 0) this.writeBit(0);
+    }
+
+    toUint8Array() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+class BitReader {
+    constructor(bytes, offset = 0) {
+        this.bytes = bytes;
+        this.position = offset * 8;
+    }
+
+    get bytePosition() {
+        return this.position >> 3;
+    }
+
+    readBit() {
+        if ((this.position >> 3) >= this.bytes.length) {
+            throw new Error('Unexpected end of FLAC data');
+        }
+        const bit = (this.bytes[this.position >> 3] >> (7 - (this.position & 7))) & 1;
+        this.position++;
+        return bit;
+    }
+
+    readBits(count) {
+        let value = 0;
+        for (let i = 0; i < count; i++) value = value * 2 + this.readBit();
+        return value;
+    }
+
+    readSigned(count) {
+        const value = this.readBits(count);
+        return value >= 2 ** (count - 1) ? value - 2 ** count : value;
+    }
+
+    readUnary() {
+        let zeros = 0;
+        while (this.readBit() === 0) zeros++;
+        return zeros;
+    }
+
+    alignToByte() {
+        this.position = Math.ceil(this.position / 8) * 8;
+    }
+}
+
+// FLAC's UTF-8-like variable length integer used for frame numbers
+function writeFlacUTF8(writer, value) {
+    if (value < 0x80) {
+        writer.writeBits(value, 8);
+        return;
+    }
+
+    let continuationBytes = 1;
+    while (value >= 2 ** (6 + 5 * continuationBytes)) continuationBytes++;
+
+    const leadMarker = (0xFF << (7 - continuationBytes)) & 0xFF;
+    writer.writeBits(leadMarker | Math.floor(value / 2 ** (6 * continuationBytes)), 8);
+    for (let i = continuationBytes - 1; i >= 0; i--) {
+        writer.writeBits(0x80 | (Math.floor(value / 2 ** (6 * i)) & 0x3F), 8);
+    }
+}
+
+function readFlacUTF8(reader) {
+    const first = reader.readBits(8);
+    if (first < 0x80) return first;
+
+    let continuationBytes = 0;
+    let mask = 0x40;
+    while (first & mask) {
+        continuationBytes++;
+        mask >>= 1;
+    }
+
+    let value = first & (mask - 1);
+    for (let i = 0; i < continuationBytes; i++) {
+        value = value * 64 + (reader.readBits(8) & 0x3F);
+    }
+    return value;
+}
+
+function fixedResiduals(block, order) {
+    const residuals = new Int32Array(block.length - order);
+    for (let i = order; i < block.length; i++) {
+        let prediction = 0;
+        switch (order) {
+            case 1: prediction = block[i - 1]; break;
+            case 2: prediction = 2 * block[i - 1] - block[i - 2]; break;
+            case 3: prediction = 3 * block[i - 1] - 3 * block[i - 2] + block[i - 3]; break;
+            case 4: prediction = 4 * block[i - 1] - 6 * block[i - 2] + 4 * block[i - 3] - block[i - 4]; break;
+        }
+        residuals[i - order] = block[i] - prediction;
+    }
+    return residuals;
+}
+
+function riceCost(residuals, start, end, parameter) {
+    let bits = 0;
+    for (let i = start; i < end; i++) {
+        const r = residuals[i];
+        const folded = r >= 0 ? 2 * r : -2 * r - 1;
+        bits += Math.floor(folded / 2 ** parameter) + 1 + parameter;
+    }
+    return bits;
+}
+
+function bestRiceParameter(residuals, start, end) {
+    const count = end - start;
+    if (count === 0) return { parameter: 0, bits: 0 };
+
+    let sum = 0;
+    for (let i = start; i < end; i++) {
+        const r = residuals[i];
+        sum += r >= 0 ? 2 * r : -2 * r - 1;
+    }
+
+    // Loud or noisy blocks can call for more than the largest 4-bit parameter:
+    // the search is kept in range and verbatim wins on size if Rice does badly
+    const estimate = sum > count ? Math.floor(Math.log2(sum / count)) : 0;
+    const first = Math.min(FLAC_MAX_RICE_PARAMETER, Math.max(0, estimate - 1));
+    const last = Math.min(FLAC_MAX_RICE_PARAMETER, estimate + 1);
+    let best = null;
+    for (let parameter = first; parameter <= last; parameter++) {
+        const bits = riceCost(residuals, start, end, parameter);
+        if (!best || bits < best.bits) best = { parameter, bits };
+    }
+    return best;
+}
+
+// Choose the partition order whose Rice coding is cheapest
+function planResidual(residuals, blockSize, predictorOrder) {
+    let best = null;
+
+    for (let partitionOrder = 0; partitionOrder <= FLAC_MAX_PARTITION_ORDER; partitionOrder++) {
+        const partitionSize = blockSize >> partitionOrder;
+        if (blockSize % (1 << partitionOrder) !== 0 || partitionSize <= predictorOrder) break;
+
+        const parameters = [];
+        let bits = 6;
+        let start = 0;
+        for (let partition = 0; partition < (1 << partitionOrder); partition++) {
+            const end = start + partitionSize - (partition === 0 ? predictorOrder : 0);
+            const choice = bestRiceParameter(residuals, start, end);
+            parameters.push(choice.parameter);
+            bits += 4 + choice.bits;
+            start = end;
+        }
+
+        if (!best || bits < best.bits) best = { partitionOrder, parameters, bits };
+    }
+
+    return best;
+}
+
+// Sample rate code and trailing header field so frames decode on their own
+function flacSampleRateCode(sampleRate) {
+    const index = FLAC_SAMPLE_RATES.indexOf(sampleRate);
+    if (index > 0) return { code: index, extraBits: 0 };
+    if (sampleRate % 1000 === 0 && sampleRate / 1000 < 256) return { code: 0xC, value: sampleRate / 1000, extraBits: 8 };
+    if (sampleRate < 65536) return { code: 0xD, value: sampleRate, extraBits: 16 };
+    if (sampleRate % 10 === 0 && sampleRate / 10 < 65536) return { code: 0xE, value: sampleRate / 10, extraBits: 16 };
+    return { code: 0x0, extraBits: 0 };
+}
+
+function writeFlacFrame(writer, block, frameNumber, sampleRate) {
+    const frameStart = writer.length;
+    const rate = flacSampleRateCode(sampleRate);
+
+    // Frame header
+    writer.writeBits(0x3FFE, 14); // Sync code
+    writer.writeBits(0, 1); // Reserved
+    writer.writeBits(0, 1); // Fixed blocksize stream
+    writer.writeBits(0x7, 4); // Blocksize: 16 bit (blocksize-1) follows
+    writer.writeBits(rate.code, 4);
+    writer.writeBits(0x0, 4); // Mono
+    writer.writeBits(0x4, 3); // 16 bits per sample
+    writer.writeBits(0, 1); // Reserved
+    writeFlacUTF8(writer, frameNumber);
+    writer.writeBits(block.length - 1, 16);
+    if (rate.extraBits) writer.writeBits(rate.value, rate.extraBits);
+    writer.writeBits(crc8(writer.bytes, frameStart, writer.length), 8);
+
+    // Subframe: best fixed predictor, or verbatim if that is smaller
+    let best = null;
+    for (let order = 0; order <= Math.min(FLAC_MAX_FIXED_ORDER, block.length - 1); order++) {
+        const residuals = fixedResiduals(block, order);
+        const plan = planResidual(residuals, block.length, order);
+        if (!plan) continue;
+        const bits = order * 16 + plan.bits;
+        if (!best || bits < best.bits) best = { order, residuals, plan, bits };
+    }
+
+    writer.writeBits(0, 1); // Zero padding
+    if (!best || best.bits >= block.length * 16) {
+        writer.writeBits(0x01, 6); // VERBATIM
+        writer.writeBits(0, 1); // No wasted bits
+        for (let i = 0; i < block.length; i++) writer.writeSigned(block[i], 16);
+    } else {
+        writer.writeBits(0x08 | best.order, 6); // FIXED
+        writer.writeBits(0, 1); // No wasted bits
+        for (let i = 0; i < best.order; i++) writer.writeSigned(block[i], 16);
+
+        writer.writeBits(0, 2); // Rice coding, 4-bit parameters
+        writer.writeBits(best.plan.partitionOrder, 4);
+        const partitionSize = block.length >> best.plan.partitionOrder;
+        let index = 0;
+        best.plan.parameters.forEach((parameter, partition) => {
+            const count = partitionSize - (partition === 0 ? best.order : 0);
+            writer.writeBits(parameter, 4);
+            for (let i = 0; i < count; i++, index++) {
+                const r = best.residuals[index];
+                const folded = r >= 0 ? 2 * r : -2 * r - 1;
+                writer.writeUnary(Math.floor(folded / 2 ** parameter));
+                writer.writeBits(folded % 2 ** parameter, parameter);
+            }
+        });
+    }
+
+    // Frame footer
+    writer.alignToByte();
+    writer.writeBits(crc16(writer.bytes, frameStart, writer.length), 16);
+}
+
+// Encode mono float samples as a 16-bit FLAC file
+function encodeFLAC(samples, sampleRate) {
+    const pcm = new Int32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        pcm[i] = Math.round(Math.max(-1, Math.min(1, samples[i])) * 0x7FFF);
+    }
+
+    const blockSize = Math.max(16, Math.min(FLAC_BLOCK_SIZE, pcm.length));
+    const writer = new BitWriter(pcm.length + 1024);
+
+    writer.writeBytes([0x66, 0x4C, 0x61, 0x43]); // "fLaC"
+
+    // STREAMINFO (last metadata block)
+    writer.writeBits(1, 1);
+    writer.writeBits(0, 7);
+    writer.writeBits(34, 24);
+    writer.writeBits(blockSize, 16); // Min blocksize
+    writer.writeBits(blockSize, 16); // Max blocksize
+    writer.writeBits(0, 24); // Min frame size unknown
+    writer.writeBits(0, 24); // Max frame size unknown
+    writer.writeBits(sampleRate, 20);
+    writer.writeBits(0, 3); // Channels - 1
+    writer.writeBits(15, 5); // Bits per sample - 1
+    writer.writeBits(pcm.length, 36);
+    writer.writeBytes(new Uint8Array(16)); // MD5 not computed
+
+    for (let offset = 0, frameNumber = 0; offset < pcm.length; offset += blockSize, frameNumber++) {
+        writeFlacFrame(writer, pcm.subarray(offset, offset + blockSize), frameNumber, sampleRate);
+    }
+
+    return writer.toUint8Array().buffer;
+}
+
+function readResidual(reader, blockSize, predictorOrder, residuals) {
+    const method = reader.readBits(2);
+    if (method > 1) throw new Error(`Unsupported FLAC residual coding ${method}`);
+
+    const parameterBits = method === 0 ? 4 : 5;
+    const escapeCode = method === 0 ? 0xF : 0x1F;
+    const partitionOrder = reader.readBits(4);
+    const partitionSize = blockSize >> partitionOrder;
+    let index = 0;
+
+    for (let partition = 0; partition < (1 << partitionOrder); partition++) {
+        const count = partitionSize - (partition === 0 ? predictorOrder : 0);
+        const parameter = reader.readBits(parameterBits);
+
+        if (parameter === escapeCode) {
+            const rawBits = reader.readBits(5);
+            for (let i = 0; i < count; i++) residuals[index++] = rawBits ? reader.readSigned(rawBits) : 0;
+        } else {
+            for (let i = 0; i < count; i++) {
+                const folded = reader.readUnary() * 2 ** parameter + reader.readBits(parameter);
+                residuals[index++] = folded % 2 === 0 ? folded / 2 : -(folded + 1) / 2;
+            }
+        }
+    }
+}
+
+function readSubframe(reader, blockSize, bitsPerSample) {
+    if (reader.readBit() !== 0) throw new Error('Invalid FLAC subframe padding');
+
+    const type = reader.readBits(6);
+    let wastedBits = 0;
+    if (reader.readBit()) wastedBits = reader.readUnary() + 1;
+    const sampleBits = bitsPerSample - wastedBits;
+    const output = new Int32Array(blockSize);
+
+    if (type === 0x00) {
+        output.fill(reader.readSigned(sampleBits));
+    } else if (type === 0x01) {
+        for (let i = 0; i < blockSize; i++) output[i] = reader.readSigned(sampleBits);
+    } else if (type >= 0x08 && type <= 0x0C) {
+        const order = type - 0x08;
+        for (let i = 0; i < order; i++) output[i] = reader.readSigned(sampleBits);
+        const residuals = new Int32Array(blockSize - order);
+        readResidual(reader, blockSize, order, residuals);
+        for (let i = order; i < blockSize; i++) {
+            let prediction = 0;
+            switch (order) {
+                case 1: prediction = output[i - 1]; break;
+                case 2: prediction = 2 * output[i - 1] - output[i - 2]; break;
+                case 3: prediction = 3 * output[i - 1] - 3 * output[i - 2] + output[i - 3]; break;
+                case 4: prediction = 4 * output[i - 1] - 6 * output[i - 2] + 4 * output[i - 3] - output[i - 4]; break;
+            }
+            output[i] = residuals[i - order] + prediction;
+        }
+    } else if (type >= 0x20) {
+        const order = (type & 0x1F) + 1;
+        for (let i = 0; i < order; i++) output[i] = reader.readSigned(sampleBits);
+        const precision = reader.readBits(4) + 1;
+        const shift = reader.readSigned(5);
+        const coefficients = [];
+        for (let i = 0; i < order; i++) coefficients.push(reader.readSigned(precision));
+        const residuals = new Int32Array(blockSize - order);
+        readResidual(reader, blockSize, order, residuals);
+        for (let i = order; i < blockSize; i++) {
+            let sum = 0;
+            for (let j = 0; j < order; j++) sum += coefficients[j] * output[i - j - 1];
+            output[i] = residuals[i - order] + Math.floor(sum / 2 ** shift);
+        }
+    } else {
+        throw new Error(`Unsupported FLAC subframe type ${type}`);
+    }
+
+    if (wastedBits) {
+        for (let i = 0; i < blockSize; i++) output[i] *= 2 ** wastedBits;
+    }
+    return output;
+}
+
+// Decode a FLAC file into mono float samples
+function decodeFLAC(arrayBuffer) {
+    const bytes = new Uint8Array(arrayBuffer);
+    if (String.fromCharCode(...bytes.subarray(0, 4)) !== 'fLaC') {
+        throw new Error('Not a FLAC file');
+    }
+
+    const reader = new BitReader(bytes, 4);
+    let sampleRate = 0;
+    let channels = 0;
+    let bitsPerSample = 0;
+    let totalSamples = 0;
+    let isLast = false;
+
+    while (!isLast) {
+        isLast = reader.readBit() === 1;
+        const blockType = reader.readBits(7);
+        const length = reader.readBits(24);
+        const blockStart = reader.bytePosition;
+
+        if (blockType === 0) {
+            reader.readBits(16 + 16 + 24 + 24);
+            sampleRate = reader.readBits(20);
+            channels = reader.readBits(3) + 1;
+            bitsPerSample = reader.readBits(5) + 1;
+            totalSamples = reader.readBits(36);
+        }
+        reader.position = (blockStart + length) * 8;
+    }
+
+    const blocks = [];
+    let decodedSamples = 0;
+
+    while (reader.bytePosition + 2 < bytes.length) {
+        const frameStart = reader.bytePosition;
+        if (reader.readBits(14) !== 0x3FFE) throw new Error('Lost FLAC frame sync');
+        reader.readBits(2);
+        const blockSizeCode = reader.readBits(4);
+        const sampleRateCode = reader.readBits(4);
+        const channelAssignment = reader.readBits(4);
+        const sampleSizeCode = reader.readBits(3);
+        reader.readBit();
+        readFlacUTF8(reader);
+
+        let blockSize = FLAC_BLOCK_SIZES[blockSizeCode];
+        if (blockSizeCode === 1) blockSize = 192;
+        if (blockSizeCode === 6) blockSize = reader.readBits(8) + 1;
+        if (blockSizeCode === 7) blockSize = reader.readBits(16) + 1;
+
+        if (sampleRateCode === 12) reader.readBits(8);
+        if (sampleRateCode === 13 || sampleRateCode === 14) reader.readBits(16);
+        if (!sampleRate) sampleRate = FLAC_SAMPLE_RATES[sampleRateCode] || 0;
+
+        const frameBits = FLAC_SAMPLE_SIZES[sampleSizeCode] || bitsPerSample;
+        const headerEnd = reader.bytePosition;
+        if (reader.readBits(8) !== crc8(bytes, frameStart, headerEnd)) {
+            throw new Error('FLAC frame header CRC mismatch');
+        }
+
+        const channelCount = channelAssignment < 8 ? channelAssignment + 1 : 2;
+        const decoded = [];
+        for (let channel = 0; channel < channelCount; channel++) {
+            // The side channel carries one extra bit
+            const isSide = (channelAssignment === 8 && channel === 1) ||
+                (channelAssignment === 9 && channel === 0) ||
+                (channelAssignment === 10 && channel === 1);
+            decoded.push(readSubframe(reader, blockSize, frameBits + (isSide ? 1 : 0)));
+        }
+
+        if (channelAssignment === 8) {
+            for (let i = 0; i < blockSize; i++) decoded[1][i] = decoded[0][i] - decoded[1][i];
+        } else if (channelAssignment === 9) {
+            for (let i = 0; i < blockSize; i++) decoded[0][i] = decoded[0][i] + decoded[1][i];
+        } else if (channelAssignment === 10) {
+            for (let i = 0; i < blockSize; i++) {
+                const side = decoded[1][i];
+                const mid = decoded[0][i] * 2 + (side & 1);
+                decoded[0][i] = (mid + side) >> 1;
+                decoded[1][i] = (mid - side) >> 1;
+            }
+        }
+
+        reader.alignToByte();
+        if (reader.readBits(16) !== crc16(bytes, frameStart, reader.bytePosition - 2)) {
+            throw new Error('FLAC frame CRC mismatch');
+        }
+
+        // Down-mix to mono
+        const scale = 2 ** (frameBits - 1);
+        const block = new Float32Array(blockSize);
+        for (let i = 0; i < blockSize; i++) {
+            let sum = 0;
+            for (let channel = 0; channel < channelCount; channel++) sum += decoded[channel][i];
+            block[i] = sum / channelCount / scale;
+        }
+        blocks.push(block);
+        decodedSamples += blockSize;
+    }
+
+    const samples = mergeChunks(blocks);
+    return {
+        sampleRate,
+        channels,
+        samples: totalSamples && totalSamples < decodedSamples ? samples.subarray(0, totalSamples) : samples
+    };
+}
+
+// --- Format selection ------------------------------------------------------
+
+const ENCODINGS = {
+    wav: { mimeType: 'audio/wav', extension: 'wav', encode: encodeWAV },
+    flac: { mimeType: 'audio/flac', extension: 'flac', encode: encodeFLAC }
+};
+
+function getEncoding(name) {
+    const encoding = ENCODINGS[(name || 'wav').toLowerCase()];
+    if (!encoding) {
+        throw new Error(`Unknown audio encoding: ${name} (expected ${Object.keys(ENCODINGS).join(' or ')})`);
+    }
+    return encoding;
+}
+
+function fileNameForMimeType(mimeType) {
+    const encoding = Object.values(ENCODINGS).find(candidate => candidate.mimeType === mimeType);
+    return `audio.${encoding ? encoding.extension : 'wav'}`;
+}
+
+// Decode a WAV or FLAC file, detected from its magic bytes
+function decodeAudio(arrayBuffer) {
+    const magic = String.fromCharCode(...new Uint8Array(arrayBuffer, 0, Math.min(4, arrayBuffer.byteLength)));
+    if (magic === 'fLaC') return decodeFLAC(arrayBuffer);
+    return decodeWAV(arrayBuffer);
+}
+
+module.exports = {
+    mergeChunks,
+    encodeWAV,
+    decodeWAV,
+    encodeFLAC,
+    decodeFLAC,
+    decodeAudio,
+    getEncoding,
+    fileNameForMimeType,
+    resample
+};
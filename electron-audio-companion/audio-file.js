@@ -0,0 +1,90 @@
+// Audio files for headless transcription (see file-transcriber.js)
+//
+// WAV (PCM or float) and FLAC are decoded in-process by audio-encoding.js.
+// Compressed formats (MP3, OGG/Opus/Vorbis, M4A, ...) are decoded by an
+// ffmpeg binary (FFMPEG_PATH) into mono 32-bit float PCM, so nothing beyond
+// ffmpeg has to be installed on a server.
+
+const fs = require('fs');
+const { spawn } = require('child_process');
+const { decodeAudio } = require('./audio-encoding');
+
+function createAudioFileError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// 'wav', 'flac' or null (anything else goes through ffmpeg)
+function nativeFormat(header) {
+    const magic = header.toString('latin1', 0, 4);
+    if (magic === 'RIFF' && header.toString('latin1', 8, 12) === 'WAVE') return 'wav';
+    if (magic === 'fLaC') return 'flac';
+    return null;
+}
+
+function decodeWithFFmpeg(filePath, ffmpegPath, sampleRate) {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(ffmpegPath, [
+            '-v', 'error', '-nostdin',
+            '-i', filePath,
+            '-f', 'f32le', '-ac', '1', '-ar', String(sampleRate),
+            'pipe:1'
+        ]);
+        const output = [];
+        let errorOutput = '';
+
+        ffmpeg.stdout.on('data', data => output.push(data));
+        ffmpeg.stderr.on('data', data => { errorOutput += data; });
+        ffmpeg.on('error', error => {
+            reject(error.code === 'ENOENT'
+                ? createAudioFileError('UNSUPPORTED_AUDIO', `Decoding ${filePath} needs ffmpeg (not found at "${ffmpegPath}", see FFMPEG_PATH)`)
+                : error);
+        });
+        ffmpeg.on('close', code => {
+            if (code !== 0) {
+                reject(createAudioFileError('UNSUPPORTED_AUDIO', `ffmpeg could not decode ${filePath}: ${errorOutput.trim() || `exit code ${code}`}`));
+                return;
+            }
+            const bytes = Buffer.concat(output);
+            const samples = new Float32Array(bytes.buffer, bytes.byteOffset, Math.floor(bytes.length / 4));
+            // Own copy: Buffer.concat may return a view into Node's shared pool
+            resolve({ sampleRate, channels: 1, samples: new Float32Array(samples) });
+        });
+    });
+}
+
+// -> { sampleRate, channels (of the file), samples (mono Float32Array), duration (ms), format }
+// options: { ffmpegPath, sampleRate (for ffmpeg output, default 16000) }
+async function readAudioFile(filePath, options = {}) {
+    let content;
+    try {
+        content = await fs.promises.readFile(filePath);
+    } catch (error) {
+        if (error.code === 'ENOENT') throw createAudioFileError('NOT_FOUND', `No such file: ${filePath}`);
+        throw error;
+    }
+
+    const format = nativeFormat(content);
+    let decoded;
+    if (format) {
+        try {
+            decoded = decodeAudio(content.buffer.slice(content.byteOffset, content.byteOffset + content.length));
+        } catch (error) {
+            throw createAudioFileError('UNSUPPORTED_AUDIO', `Cannot decode ${filePath}: ${error.message}`);
+        }
+    } else {
+        content = null; // ffmpeg reads the file itself
+        decoded = await decodeWithFFmpeg(filePath, options.ffmpegPath || 'ffmpeg', options.sampleRate || 16000);
+    }
+
+    return {
+        ...decoded,
+        duration: Math.round(decoded.samples.length * 1000 / decoded.sampleRate),
+        format: format || 'ffmpeg'
+    };
+}
+
+module.exports = {
+    readAudioFile
+};
@@ -0,0 +1,102 @@
+// Binary audio frames streamed over the WebSocket to clients that sent
+// `subscribeAudio`. Each WebSocket binary message is one frame: a fixed
+// 24-byte little-endian header followed by the payload.
+//
+//   offset  size  field
+//        0     2  magic "CA" (0x43 0x41)
+//        2     1  frame format version (1)
+//        3     1  encoding (see ENCODINGS)
+//        4     4  sequence number (uint32, per capture; gaps mean dropped frames)
+//        8     8  timestamp (float64, ms since capture start, derived from samples)
+//       16     4  sample rate (uint32, Hz)
+//       20     1  channel count
+//       21     1  stream id (0 = microphone, 1 = system audio)
+//       22     2  reserved (0)
+//       24     -  payload (interleaved samples, or one Opus packet)
+
+const FRAME_MAGIC = 0x4143; // "CA" read as little-endian uint16
+const FRAME_VERSION = 1;
+const FRAME_HEADER_BYTES = 24;
+
+const ENCODINGS = {
+    pcm_s16le: 1,
+    pcm_f32le: 2,
+    opus: 3 // Reserved: the companion does not produce Opus yet
+};
+
+const STREAM_IDS = {
+    microphone: 0,
+    system: 1
+};
+
+function encodingName(code) {
+    return Object.keys(ENCODINGS).find(name => ENCODINGS[name] === code) || null;
+}
+
+// Convert float samples to the payload bytes for a PCM encoding
+function encodePCMPayload(samples, encoding) {
+    if (encoding === 'pcm_f32le') {
+        return Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+    }
+
+    if (encoding === 'pcm_s16le') {
+        const payload = Buffer.alloc(samples.length * 2);
+        for (let i = 0; i < samples.length; i++) {
+            const sample = Math.max(-1, Math.min(1, samples[i]));
+            payload.writeInt16LE(Math.round(sample * 0x7FFF), i * 2);
+        }
+        return payload;
+    }
+
+    throw new Error(`Cannot encode PCM as ${encoding}`);
+}
+
+function encodeAudioFrame(header, payload) {
+    const frame = Buffer.alloc(FRAME_HEADER_BYTES + payload.length);
+
+    frame.writeUInt16LE(FRAME_MAGIC, 0);
+    frame.writeUInt8(FRAME_VERSION, 2);
+    frame.writeUInt8(ENCODINGS[header.encoding], 3);
+    frame.writeUInt32LE(header.sequence >>> 0, 4);
+    frame.writeDoubleLE(header.timestamp, 8);
+    frame.writeUInt32LE(header.sampleRate, 16);
+    frame.writeUInt8(header.channels, 20);
+    frame.writeUInt8(header.streamId || 0, 21);
+    payload.copy(frame, FRAME_HEADER_BYTES);
+
+    return frame;
+}
+
+// Parse a frame back into header fields and payload (for clients and tests)
+function decodeAudioFrame(frame) {
+    if (frame.length < FRAME_HEADER_BYTES || frame.readUInt16LE(0) !== FRAME_MAGIC) {
+        throw new Error('Not an audio frame');
+    }
+
+    const version = frame.readUInt8(2);
+    if (version !== FRAME_VERSION) {
+        throw new Error(`Unsupported audio frame version ${version}`);
+    }
+
+    return {
+        header: {
+            encoding: encodingName(frame.readUInt8(3)),
+            sequence: frame.readUInt32LE(4),
+            timestamp: frame.readDoubleLE(8),
+            sampleRate: frame.readUInt32LE(16),
+            channels: frame.readUInt8(20),
+            streamId: frame.readUInt8(21)
+        },
+        payload: frame.subarray(FRAME_HEADER_BYTES)
+    };
+}
+
+module.exports = {
+    FRAME_HEADER_BYTES,
+    FRAME_VERSION,
+    ENCODINGS,
+    STREAM_IDS,
+    encodePCMPayload,
+    encodeAudioFrame,
+    decodeAudioFrame
+};
@@ -0,0 +1,59 @@
+// Web Worker hosting the AudioPipeline (requires nodeIntegrationInWorker)
+//
+// Messages in:
+//   { type: 'configure', options }   - create the pipeline, or update its options
+//   { type: 'connect', port }        - MessagePort fed by the capture worklet
+//   { type: 'frames', samples }      - PCM posted directly (e.g. from tests)
+//   { type: 'flush' }                - emit buffered audio, replies 'flushed'
+//   { type: 'setStreaming', enabled } - forward raw PCM as 'audio' events
+// Messages out: pipeline events (see audio-pipeline.js) and 'flushed'
+
+const { AudioPipeline } = require('./audio-pipeline');
+
+let pipeline = null;
+
+function emit(event) {
+    // Hand encoded chunks and PCM blocks over without copying
+    const transfer = Object.values(event).filter(value => value instanceof ArrayBuffer);
+    self.postMessage(event, transfer);
+}
+
+function handleFrames(message) {
+    if (pipeline && message.type === 'frames') {
+        pipeline.pushFrames(message.samples);
+    }
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'configure':
+            if (pipeline) {
+                pipeline.configure(message.options);
+            } else {
+                pipeline = new AudioPipeline(message.options, emit);
+            }
+            break;
+
+        case 'connect':
+            message.port.onmessage = (portEvent) => handleFrames(portEvent.data);
+            break;
+
+        case 'frames':
+            handleFrames(message);
+            break;
+
+        case 'setStreaming':
+            if (pipeline) pipeline.setStreaming(message.enabled);
+            break;
+
+        case 'flush':
+            if (pipeline) pipeline.flush();
+            self.postMessage({ type: 'flushed' });
+            break;
+
+        default:
+            console.log('❓ [PIPELINE-WORKER] Unknown message type:', message.type);
+    }
+};
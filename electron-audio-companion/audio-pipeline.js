@@ -0,0 +1,382 @@
+// Capture pipeline: voice activity detection, buffering, resampling and encoding
+//
+// Runs inside audio-pipeline-worker.js so that UI work or GC pauses on the
+// renderer thread cannot drop audio. All timing is derived from the number of
+// samples processed, not from the wall clock, so a late message never shifts
+// chunk boundaries.
+//
+// Speech is detected per frame by the spectral VAD (voice-activity-detector.js).
+// Only audio from speech (plus a short pre-roll, so onsets are not clipped) is
+// buffered, and a chunk is only sent when it holds enough detected speech.
+//
+// An utterance becomes one chunk when it ends. Longer ones are segmented: once
+// the buffer reaches chunkDuration it is cut in the next pause between words
+// (pauseDuration of frames below the speech threshold), or at the quietest
+// stretch once it reaches maxChunkDuration. Because such a cut can still land
+// inside a word, the next chunk repeats the last chunkOverlap ms; the renderer
+// aligns the repeated words away (transcript-stitcher.js).
+//
+// Events passed to `emit`:
+//   { type: 'speechStart', time, probability }
+//   { type: 'speechEnd', time, duration }
+//   { type: 'level', rms, peak, speechProbability, speaking }
+//   { type: 'chunk', audio: ArrayBuffer, mimeType, startTime, duration, overlap }
+//     - overlap: ms at the start repeated from the previous chunk (0 unless
+//       the utterance was segmented)
+//   { type: 'partial', audio: ArrayBuffer, mimeType, startTime, duration, overlap }
+//     - the open window so far, every partialInterval ms of speech; its final
+//       'chunk' has the same startTime
+//   { type: 'skipped', reason }
+//   { type: 'audio', samples: ArrayBuffer (Float32), sequence, timestamp }
+//     - raw capture blocks, only while setStreaming(true)
+// Times are milliseconds since capture start.
+
+const { mergeChunks, resample, getEncoding } = require('./audio-encoding');
+const { SpectralVAD } = require('./voice-activity-detector');
+
+const DEFAULT_OPTIONS = {
+    sampleRate: 44100, // Capture rate
+    targetSampleRate: 16000, // Rate sent to the recognizer
+    encoding: 'wav', // 'wav' or 'flac' (see audio-encoding.js)
+    frameDuration: 20, // Analysis frame size in ms
+    chunkDuration: 3000, // Aim for 3-second chunks for speed vs accuracy balance
+    maxChunkDuration: 5000, // Cut at the quietest point if no pause came by then
+    chunkOverlap: 500, // Audio repeated at the start of the next chunk after a cut mid-utterance
+    pauseDuration: 100, // A gap between words this long is a clean place to cut
+    silenceThreshold: 800, // 800ms silence ends an utterance - still allows pauses
+    longSpeechSilenceThreshold: 500, // Faster end once we had substantial speech
+    longSpeechDuration: 2000,
+    voiceFrequencyRange: [300, 3000], // Band the VAD listens to (Hz)
+    voiceActivityWindow: 10, // Frames of speech probability averaged (hangover smoothing)
+    speechProbabilityThreshold: 0.5, // Smoothed probability that starts speech
+    preRollDuration: 200, // Audio kept from before speech was detected
+    minSpeechDuration: 200, // Chunks with less detected speech are not transcribed
+    minChunkDuration: 60, // Shorter chunks carry no meaningful audio
+    partialInterval: 0, // Emit the growing window for partial transcripts every N ms of speech (0 = off)
+    levelInterval: 50 // Emit a level event every 50ms of audio
+};
+
+// Pipeline options from the settings in config.js, for audio at `sampleRate`
+function pipelineOptionsFromConfig(config, sampleRate) {
+    return {
+        sampleRate,
+        targetSampleRate: config.AUDIO_TARGET_SAMPLE_RATE,
+        encoding: config.AUDIO_ENCODING,
+        chunkDuration: config.AUDIO_CHUNK_DURATION,
+        maxChunkDuration: config.AUDIO_MAX_CHUNK_DURATION,
+        chunkOverlap: config.AUDIO_CHUNK_OVERLAP,
+        silenceThreshold: config.SILENCE_THRESHOLD,
+        voiceFrequencyRange: config.VOICE_FREQUENCY_RANGE,
+        voiceActivityWindow: config.VOICE_ACTIVITY_WINDOW,
+        speechProbabilityThreshold: config.SPEECH_PROBABILITY_THRESHOLD,
+        minSpeechDuration: config.MIN_SPEECH_DURATION,
+        levelInterval: config.VOICE_ACTIVITY_UPDATE_INTERVAL,
+        partialInterval: config.STREAMING_PARTIALS_ENABLED ? config.PARTIAL_TRANSCRIPTION_INTERVAL : 0
+    };
+}
+
+class AudioPipeline {
+    constructor(options, emit) {
+        this.emit = emit;
+        this.configure(options);
+        this.reset();
+    }
+
+    configure(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...this.options, ...options };
+        this.frameSize = Math.round(this.options.sampleRate * this.options.frameDuration / 1000);
+        this.preRollFrames = Math.ceil(this.options.preRollDuration / this.options.frameDuration);
+        this.pauseFrames = Math.max(1, Math.round(this.options.pauseDuration / this.options.frameDuration));
+        this.overlapFrames = Math.round(this.options.chunkOverlap / this.options.frameDuration);
+        this.encoding = getEncoding(this.options.encoding);
+
+        // Reconfiguring mid-capture keeps the VAD's learned noise floor unless its own settings changed
+        const vadOptions = {
+            sampleRate: this.options.sampleRate,
+            frequencyRange: this.options.voiceFrequencyRange,
+            window: this.options.voiceActivityWindow,
+            threshold: this.options.speechProbabilityThreshold
+        };
+        if (!this.vad || JSON.stringify(vadOptions) !== JSON.stringify(this.vadOptions)) {
+            this.vad = new SpectralVAD(vadOptions);
+            this.vadOptions = vadOptions;
+        }
+    }
+
+    reset() {
+        this.pendingSamples = new Float32Array(0);
+        this.bufferFrames = []; // { samples, probability, isSpeech } per analysis frame
+        this.bufferStartSample = 0;
+        this.bufferOverlapSamples = 0;
+        this.preRoll = [];
+        this.processedSamples = 0;
+        this.lastLevelSample = 0;
+        this.lastPartialSample = 0;
+
+        this.isSpeaking = false;
+        this.speechStartSample = 0;
+        this.lastSpeechSample = 0;
+        this.pauseLength = 0; // Consecutive frames below the speech threshold
+
+        this.streamedSamples = 0;
+        this.streamSequence = 0;
+        this.vad.reset();
+    }
+
+    // Forward raw capture blocks for live audio subscribers
+    setStreaming(enabled) {
+        this.streaming = enabled;
+    }
+
+    samplesToMs(samples) {
+        return Math.round(samples * 1000 / this.options.sampleRate);
+    }
+
+    msToSamples(ms) {
+        return Math.round(ms * this.options.sampleRate / 1000);
+    }
+
+    // Accept an arbitrary-length block of PCM and analyse it frame by frame
+    pushFrames(samples) {
+        if (this.streaming) {
+            this.emit({
+                type: 'audio',
+                samples: new Float32Array(samples).buffer,
+                sequence: this.streamSequence++,
+                timestamp: this.samplesToMs(this.streamedSamples)
+            });
+        }
+        this.streamedSamples += samples.length;
+
+        const combined = new Float32Array(this.pendingSamples.length + samples.length);
+        combined.set(this.pendingSamples);
+        combined.set(samples, this.pendingSamples.length);
+
+        let offset = 0;
+        while (offset + this.frameSize <= combined.length) {
+            this.processAudioChunk(combined.subarray(offset, offset + this.frameSize));
+            offset += this.frameSize;
+        }
+
+        this.pendingSamples = combined.slice(offset);
+    }
+
+    processAudioChunk(samples) {
+        let energy = 0;
+        let peak = 0;
+        for (let i = 0; i < samples.length; i++) {
+            energy += samples[i] * samples[i];
+            peak = Math.max(peak, Math.abs(samples[i]));
+        }
+        energy = Math.sqrt(energy / samples.length);
+
+        const vad = this.vad.process(samples);
+        this.checkSpeechActivity(vad);
+        this.bufferFrame(samples, vad);
+        this.processedSamples += samples.length;
+
+        if (this.processedSamples - this.lastLevelSample >= this.msToSamples(this.options.levelInterval)) {
+            this.emit({
+                type: 'level',
+                rms: energy,
+                peak,
+                speechProbability: vad.smoothedProbability,
+                speaking: this.isSpeaking
+            });
+            this.lastLevelSample = this.processedSamples;
+        }
+
+        if (this.isSpeaking) {
+            this.checkSegmentation(vad);
+        }
+
+        if (this.isSpeaking && this.options.partialInterval > 0 &&
+            this.processedSamples - this.lastPartialSample >= this.msToSamples(this.options.partialInterval)) {
+            this.emitPartial();
+        }
+    }
+
+    // Utterances (and their pauses) are buffered whole; outside them only the
+    // last few frames are kept as pre-roll
+    bufferFrame(samples, vad) {
+        const frame = { samples: new Float32Array(samples), probability: vad.probability, isSpeech: vad.isSpeech };
+
+        if (!this.isSpeaking) {
+            this.preRoll.push({ frame, startSample: this.processedSamples });
+            if (this.preRoll.length > this.preRollFrames) this.preRoll.shift();
+            return;
+        }
+
+        if (this.bufferFrames.length === 0) {
+            this.bufferStartSample = this.processedSamples;
+        }
+        this.bufferFrames.push(frame);
+    }
+
+    bufferedMs() {
+        return this.samplesToMs(this.bufferFrames.length * this.frameSize);
+    }
+
+    // Speech in the buffer that the previous chunk did not already carry
+    newSpeechMs() {
+        const overlapFrames = Math.round(this.bufferOverlapSamples / this.frameSize);
+        return this.samplesToMs(this.bufferFrames.slice(overlapFrames).filter(frame => frame.isSpeech).length * this.frameSize);
+    }
+
+    // Cut long utterances, preferably in a pause between words
+    checkSegmentation(vad) {
+        this.pauseLength = vad.probability < this.options.speechProbabilityThreshold ? this.pauseLength + 1 : 0;
+
+        const buffered = this.bufferedMs();
+        if (buffered >= this.options.chunkDuration && this.pauseLength >= this.pauseFrames) {
+            // Middle of the pause, so neither neighbouring word is clipped
+            this.cutBuffer(this.bufferFrames.length - Math.ceil(this.pauseLength / 2));
+        } else if (buffered >= Math.max(this.options.chunkDuration, this.options.maxChunkDuration)) {
+            this.cutBuffer(this.quietestFrame());
+        }
+    }
+
+    // Start of the pauseDuration stretch with the least speech in the second
+    // half of the buffer (where a cut leaves a reasonably long chunk)
+    quietestFrame() {
+        const frames = this.bufferFrames;
+        let best = frames.length;
+        let bestSum = Infinity;
+        let sum = 0;
+        const first = Math.floor(frames.length / 2);
+        for (let i = first; i < frames.length; i++) {
+            sum += frames[i].probability;
+            if (i - first >= this.pauseFrames) sum -= frames[i - this.pauseFrames].probability;
+            if (i - first >= this.pauseFrames - 1 && sum < bestSum) {
+                bestSum = sum;
+                best = i - this.pauseFrames + 1 + Math.floor(this.pauseFrames / 2);
+            }
+        }
+        return Math.max(1, best);
+    }
+
+    // Send the buffer up to frame `index` as a chunk and keep the rest, plus
+    // chunkOverlap of audio before the cut, as the start of the next one
+    cutBuffer(index) {
+        const overlapFrames = Math.min(this.overlapFrames, index);
+        const nextStart = index - overlapFrames;
+        const remaining = this.bufferFrames.slice(nextStart);
+        const remainingStartSample = this.bufferStartSample + nextStart * this.frameSize;
+
+        this.bufferFrames = this.bufferFrames.slice(0, index);
+        this.processBufferedAudio();
+
+        this.bufferFrames = remaining;
+        this.bufferStartSample = remainingStartSample;
+        this.bufferOverlapSamples = overlapFrames * this.frameSize;
+        this.pauseLength = 0;
+    }
+
+    checkSpeechActivity(vad) {
+        const now = this.processedSamples;
+
+        if (vad.isSpeech) {
+            if (!this.isSpeaking) {
+                this.isSpeaking = true;
+                this.speechStartSample = now;
+                this.emit({ type: 'speechStart', time: this.samplesToMs(now), probability: vad.smoothedProbability });
+
+                // The VAD needs a few frames to be sure; keep the onset it heard
+                if (this.preRoll.length > 0) {
+                    this.bufferFrames = this.preRoll.map(entry => entry.frame);
+                    this.bufferStartSample = this.preRoll[0].startSample;
+                    this.preRoll = [];
+                }
+                this.pauseLength = 0;
+            }
+            this.lastSpeechSample = now;
+            return;
+        }
+
+        if (!this.isSpeaking) return;
+
+        const silence = this.samplesToMs(now - this.lastSpeechSample);
+        const speechDuration = this.samplesToMs(now - this.speechStartSample);
+
+        // End speech faster if we had substantial speech duration
+        const threshold = speechDuration > this.options.longSpeechDuration
+            ? this.options.longSpeechSilenceThreshold
+            : this.options.silenceThreshold;
+
+        if (silence > threshold) {
+            this.isSpeaking = false;
+            this.emit({ type: 'speechEnd', time: this.samplesToMs(now), duration: speechDuration });
+
+            // Process buffered speech immediately
+            if (this.bufferFrames.length > 0) {
+                this.processBufferedAudio();
+            }
+        }
+    }
+
+    encode(samples) {
+        const targetRate = Math.min(this.options.targetSampleRate, this.options.sampleRate);
+        return this.encoding.encode(resample(samples, this.options.sampleRate, targetRate), targetRate);
+    }
+
+    // Snapshot of the window still being filled; the buffer itself is kept
+    emitPartial() {
+        this.lastPartialSample = this.processedSamples;
+        if (this.newSpeechMs() < this.options.minSpeechDuration) return;
+
+        const samples = mergeChunks(this.bufferFrames.map(frame => frame.samples));
+        this.emit({
+            type: 'partial',
+            audio: this.encode(samples),
+            mimeType: this.encoding.mimeType,
+            startTime: this.samplesToMs(this.bufferStartSample),
+            duration: this.samplesToMs(samples.length),
+            overlap: this.samplesToMs(this.bufferOverlapSamples)
+        });
+    }
+
+    processBufferedAudio() {
+        if (this.bufferFrames.length === 0) return;
+
+        const samples = mergeChunks(this.bufferFrames.map(frame => frame.samples));
+        const startTime = this.samplesToMs(this.bufferStartSample);
+        const speechDuration = this.newSpeechMs();
+        const overlap = this.samplesToMs(this.bufferOverlapSamples);
+        this.bufferFrames = [];
+        this.bufferOverlapSamples = 0;
+        // The next window's first partial comes a full interval after it opens
+        this.lastPartialSample = this.processedSamples;
+
+        // Too little of the chunk was speech (a cough, a door) to be worth transcribing
+        if (speechDuration < this.options.minSpeechDuration) {
+            this.emit({ type: 'skipped', reason: 'no-speech' });
+            return;
+        }
+
+        // Checked on duration rather than bytes so it holds for every encoding
+        if (this.samplesToMs(samples.length) < this.options.minChunkDuration) {
+            this.emit({ type: 'skipped', reason: 'too-small' });
+            return;
+        }
+
+        this.emit({
+            type: 'chunk',
+            audio: this.encode(samples),
+            mimeType: this.encoding.mimeType,
+            startTime,
+            duration: this.samplesToMs(samples.length),
+            overlap
+        });
+    }
+
+    // Emit whatever is still buffered (used when capture stops)
+    flush() {
+        this.processBufferedAudio();
+    }
+}
+
+module.exports = {
+    AudioPipeline,
+    DEFAULT_OPTIONS,
+    pipelineOptionsFromConfig
+};
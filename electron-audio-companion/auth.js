@@ -0,0 +1,75 @@
+// WebSocket access control: shared-secret token, origin checks and
+// per-connection command rate limiting.
+//
+// The token is a per-install secret. COMPANION_AUTH_TOKEN wins if set;
+// otherwise one is generated on first launch and stored (mode 0600) in
+// ~/.cluely/companion-token, where local clients such as the Swift UI read it.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_TOKEN_PATH = path.join(os.homedir(), '.cluely', 'companion-token');
+
+function loadOrCreateAuthToken({ token, tokenPath } = {}) {
+    if (token) return token;
+    tokenPath = tokenPath || DEFAULT_TOKEN_PATH;
+
+    try {
+        const existing = fs.readFileSync(tokenPath, 'utf8').trim();
+        if (existing) return existing;
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const generated = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(tokenPath), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(tokenPath, generated + '\n', { mode: 0o600 });
+    console.log(`🔐 Generated companion auth token at ${tokenPath}`);
+    return generated;
+}
+
+// Constant-time comparison so the token cannot be guessed byte by byte
+function verifyToken(provided, expected) {
+    if (typeof provided !== 'string' || typeof expected !== 'string') return false;
+
+    const providedHash = crypto.createHash('sha256').update(provided).digest();
+    const expectedHash = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(providedHash, expectedHash);
+}
+
+// Native clients (Swift, CLI tools) send no Origin header. Browsers always do,
+// so a page on some website can only connect if its origin is listed.
+function isOriginAllowed(origin, allowedOrigins = []) {
+    if (!origin) return true;
+    return allowedOrigins.includes(origin);
+}
+
+// Token bucket: `burst` commands at once, refilled at `perSecond`
+class RateLimiter {
+    constructor({ perSecond = 10, burst = 20 } = {}) {
+        this.perSecond = perSecond;
+        this.burst = burst;
+        this.tokens = burst;
+        this.lastRefill = Date.now();
+    }
+
+    tryRemoveToken() {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) / 1000 * this.perSecond);
+        this.lastRefill = now;
+
+        if (this.tokens < 1) return false;
+        this.tokens -= 1;
+        return true;
+    }
+}
+
+module.exports = {
+    DEFAULT_TOKEN_PATH,
+    loadOrCreateAuthToken,
+    verifyToken,
+    isOriginAllowed,
+    RateLimiter
+};
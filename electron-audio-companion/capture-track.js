@@ -0,0 +1,155 @@
+// One audio source being captured: MediaStream -> capture worklet -> its own
+// pipeline worker (VAD, chunking, encoding). The microphone and system audio
+// each get a track, so speech detection and transcription never mix them.
+// A track can instead be fed by a recording (`replay`, see replay-source.js),
+// which posts its frames to the worker directly.
+//
+// Runs in the renderer. Pipeline events (see audio-pipeline.js) are passed to
+// `onEvent(event, track)`.
+
+const TRACK_SOURCES = {
+    local: 'local',   // Microphone - this side of the call
+    remote: 'remote'  // System/loopback audio - the other side of the call
+};
+
+class CaptureTrack {
+    constructor({ source, streamId, audioContext, mediaStream, replay, pipelineOptions, batchSize, onEvent }) {
+        this.source = source;
+        this.streamId = streamId;
+        this.audioContext = audioContext;
+        this.mediaStream = mediaStream || null;
+        this.replay = replay || null; // A ReplaySource instead of mediaStream
+        this.pipelineOptions = pipelineOptions;
+        this.batchSize = batchSize || 1024;
+        this.onEvent = onEvent;
+
+        this.audioSource = null;
+        this.captureNode = null;
+        this.pipelineWorker = null;
+        this.pendingFlush = null;
+        this.isSpeaking = false;
+        // Pipeline times count from the track's first sample; this maps them onto
+        // the shared capture clock (tracks may start later than the microphone)
+        this.startOffset = 0;
+    }
+
+    // The capture worklet module must already be added to the AudioContext
+    start(streamingEnabled) {
+        this.startOffset = Math.round(this.audioContext.currentTime * 1000);
+
+        this.pipelineWorker = new Worker('audio-pipeline-worker.js');
+        this.pipelineWorker.onmessage = (event) => this.handleWorkerMessage(event.data);
+        this.pipelineWorker.onerror = (event) => {
+            console.error(`❌ [PIPELINE:${this.source}] Worker error:`, event.message);
+        };
+        this.pipelineWorker.postMessage({ type: 'configure', options: this.pipelineOptions });
+        this.pipelineWorker.postMessage({ type: 'setStreaming', enabled: streamingEnabled });
+
+        if (this.replay) {
+            this.replay.start(samples => {
+                if (this.pipelineWorker) {
+                    this.pipelineWorker.postMessage({ type: 'frames', samples }, [samples.buffer]);
+                }
+            });
+            console.log(`🎚️ [TRACK] ${this.source} track started (replay)`);
+            return;
+        }
+
+        this.audioSource = this.audioContext.createMediaStreamSource(this.mediaStream);
+        this.captureNode = new AudioWorkletNode(this.audioContext, 'pcm-capture-processor', {
+            numberOfInputs: 1,
+            numberOfOutputs: 0,
+            channelCount: 1,
+            processorOptions: { batchSize: this.batchSize }
+        });
+
+        const channel = new MessageChannel();
+        this.captureNode.port.postMessage({ type: 'connect', port: channel.port1 }, [channel.port1]);
+        this.pipelineWorker.postMessage({ type: 'connect', port: channel.port2 }, [channel.port2]);
+
+        this.audioSource.connect(this.captureNode);
+        console.log(`🎚️ [TRACK] ${this.source} track started`);
+    }
+
+    handleWorkerMessage(event) {
+        switch (event.type) {
+            case 'speechStart':
+                this.isSpeaking = true;
+                break;
+
+            case 'speechEnd':
+                this.isSpeaking = false;
+                break;
+
+            case 'flushed':
+                if (this.pendingFlush) {
+                    this.pendingFlush();
+                    this.pendingFlush = null;
+                }
+                return;
+        }
+
+        this.onEvent(event, this);
+    }
+
+    // New settings for the running pipeline; buffered speech is kept
+    configure(pipelineOptions) {
+        this.pipelineOptions = pipelineOptions;
+        if (this.pipelineWorker) {
+            this.pipelineWorker.postMessage({ type: 'configure', options: pipelineOptions });
+        }
+    }
+
+    setStreaming(enabled) {
+        if (this.pipelineWorker) {
+            this.pipelineWorker.postMessage({ type: 'setStreaming', enabled });
+        }
+    }
+
+    flush() {
+        if (!this.pipelineWorker) return Promise.resolve();
+
+        return new Promise(resolve => {
+            const timeout = setTimeout(resolve, 1000);
+            this.pendingFlush = () => {
+                clearTimeout(timeout);
+                resolve();
+            };
+            this.pipelineWorker.postMessage({ type: 'flush' });
+        });
+    }
+
+    // Stop feeding the pipeline, emit whatever is still buffered, then release everything
+    async stop() {
+        if (this.replay) {
+            this.replay.stop();
+        }
+        if (this.captureNode) {
+            this.captureNode.disconnect();
+            this.captureNode = null;
+        }
+
+        await this.flush();
+
+        if (this.pipelineWorker) {
+            this.pipelineWorker.terminate();
+            this.pipelineWorker = null;
+        }
+
+        if (this.audioSource) {
+            this.audioSource.disconnect();
+            this.audioSource = null;
+        }
+
+        if (this.mediaStream) {
+            this.mediaStream.getTracks().forEach(track => track.stop());
+        }
+        this.isSpeaking = false;
+        console.log(`🎚️ [TRACK] ${this.source} track stopped`);
+    }
+}
+
+module.exports = {
+    TRACK_SOURCES,
+    CaptureTrack
+};
@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+// Headless transcription of recordings, without Electron
+//
+//   node cli.js [options] <file>...
+//
+// Each file goes through the same segmentation, transcription, stitching and
+// (with --coach) coaching as live capture (see file-transcriber.js) and is
+// written next to it, or to --output, in the export formats. Settings (provider,
+// API keys, models, VAD...) come from .env, the config file and the environment
+// as for the app. A failed --summary is only a warning. Exits 1 if a file
+// failed, 2 for bad arguments.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { config } = require('./config');
+const { FileTranscriber } = require('./file-transcriber');
+const { SessionStore } = require('./session-store');
+const { EXPORT_FORMATS, exportSession } = require('./transcript-export');
+const { PromptTemplateStore } = require('./prompt-templates');
+const { SummaryTemplateStore, summarizeSession } = require('./session-summary');
+const { createTranscriptionProvider } = require('./transcription-providers');
+const { createLLMProvider } = require('./llm-providers');
+const { LANGUAGE_CODES } = require('./languages');
+
+const USAGE = `Usage: node cli.js [options] <file>...
+
+Transcribes WAV, FLAC, MP3, OGG... recordings (anything but WAV and FLAC needs ffmpeg, see FFMPEG_PATH).
+
+Options:
+  -f, --format <list>        Export formats, comma separated: ${Object.keys(EXPORT_FORMATS).join(', ')} (default: srt,markdown)
+  -o, --output <dir>         Directory for the exports (default: next to each file)
+      --source <source>      Who is speaking: local (me) or remote (the other side) (default: local)
+  -l, --language <code>      Spoken language, or auto to detect it (default: WHISPER_LANGUAGE)
+      --translate            Transcribe into English from any language
+      --output-language <code>  Language of advice and summary (default: COACHING_LANGUAGE)
+      --coach                Add coaching advice with the coaching model
+      --template <id>        Coaching prompt template (default: PROMPT_TEMPLATE)
+      --summary              Add an end-of-session summary with the coaching model
+      --summary-template <id>  Summary template (default: SESSION_SUMMARY_TEMPLATE)
+      --session              Also save each file as a session the app lists (SESSIONS_DIR)
+  -h, --help                 Show this help`;
+
+const OPTIONS = {
+    '-f': 'format', '--format': 'format',
+    '-o': 'output', '--output': 'output',
+    '--source': 'source',
+    '-l': 'language', '--language': 'language',
+    '--output-language': 'outputLanguage',
+    '--template': 'template',
+    '--summary-template': 'summaryTemplate'
+};
+const FLAGS = {
+    '--translate': 'translate',
+    '--coach': 'coach',
+    '--summary': 'summary',
+    '--session': 'session',
+    '-h': 'help', '--help': 'help'
+};
+
+function usageError(message) {
+    const error = new Error(message);
+    error.usage = true;
+    return error;
+}
+
+function parseArguments(argv) {
+    const options = { files: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const argument = argv[i];
+        if (FLAGS[argument]) {
+            options[FLAGS[argument]] = true;
+        } else if (OPTIONS[argument]) {
+            if (i + 1 >= argv.length) throw usageError(`${argument} needs a value`);
+            options[OPTIONS[argument]] = argv[++i];
+        } else if (argument.startsWith('-') && argument !== '-') {
+            throw usageError(`Unknown option ${argument}`);
+        } else {
+            options.files.push(argument);
+        }
+    }
+
+    options.formats = (options.format || 'srt,markdown').split(',').map(format => format.trim()).filter(Boolean);
+    options.formats.forEach(format => {
+        if (!EXPORT_FORMATS[format]) throw usageError(`Unknown format ${format} (one of ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    });
+    if (options.source && !['local', 'remote'].includes(options.source)) {
+        throw usageError('--source should be local or remote');
+    }
+    ['language', 'outputLanguage'].forEach(key => {
+        if (options[key] && options[key] !== 'auto' && !LANGUAGE_CODES.includes(options[key])) {
+            throw usageError(`Unknown language ${options[key]} (a code such as en, de, es, or auto)`);
+        }
+    });
+    return options;
+}
+
+// Where the app keeps sessions unless SESSIONS_DIR is set: Electron's
+// userData directory for this app
+function defaultSessionsDir() {
+    const appData = process.platform === 'darwin'
+        ? path.join(os.homedir(), 'Library', 'Application Support')
+        : process.platform === 'win32'
+            ? (process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'))
+            : (process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'));
+    return path.join(appData, require('./package.json').name, 'sessions');
+}
+
+function showProgress(file, { processed, duration }) {
+    if (!process.stderr.isTTY) return;
+    const percent = duration > 0 ? Math.floor(processed * 100 / duration) : 100;
+    process.stderr.write(`\r⏳ ${path.basename(file)}: ${percent}%${processed >= duration ? '\n' : ''}`);
+}
+
+async function transcribeFile(file, options, context) {
+    const language = options.language === 'auto' ? '' : options.language;
+    const outputLanguage = options.outputLanguage === 'auto' ? '' : options.outputLanguage;
+    const transcriber = new FileTranscriber({
+        config,
+        transcriptionProvider: context.transcriptionProvider,
+        coachingProvider: options.coach ? context.coachingProvider : null,
+        promptTemplate: context.promptTemplate,
+        language,
+        task: options.translate ? 'translate' : undefined,
+        outputLanguage,
+        onProgress: progress => showProgress(file, progress)
+    });
+    const result = await transcriber.transcribe(file, { source: options.source });
+    const base = path.basename(file, path.extname(file));
+    const session = { id: base, ...result };
+    const outputDir = options.output || path.dirname(file);
+
+    // Keep the transcript before summarizing: a failed summary costs only the summary
+    if (context.sessionStore) {
+        session.id = await context.sessionStore.writeSession(config, result);
+    }
+    const outputPaths = await writeExports(session, base, outputDir, options.formats);
+    outputPaths.forEach(outputPath => console.log(`💾 ${outputPath}`));
+
+    if (options.summary) {
+        if (result.segments.length === 0) {
+            console.log(`⚠️ ${file}: nothing was said - no summary`);
+            return;
+        }
+
+        console.log(`📋 [SUMMARY] Summarizing ${file} with ${context.summaryTemplate.id}...`);
+        try {
+            session.summary = await summarizeSession(context.coachingProvider, context.summaryTemplate, session, {
+                chunkTokens: config.SESSION_SUMMARY_CHUNK_TOKENS,
+                maxTokens: config.SESSION_SUMMARY_MAX_TOKENS
+            });
+        } catch (error) {
+            console.error(`⚠️ ${file}: no summary - ${error.message}`);
+            return;
+        }
+
+        if (context.sessionStore) {
+            await context.sessionStore.recordSummary(session.id, session.summary);
+        }
+        await writeExports(session, base, outputDir, options.formats);
+        console.log(`📋 [SUMMARY] Added to ${outputPaths.join(', ')}`);
+    }
+}
+
+// -> the paths written
+async function writeExports(session, base, outputDir, formats) {
+    await fs.promises.mkdir(outputDir, { recursive: true });
+    const outputPaths = [];
+    for (const format of formats) {
+        const outputPath = path.join(outputDir, `${base}.${EXPORT_FORMATS[format].extension}`);
+        await fs.promises.writeFile(outputPath, exportSession(session, format).content);
+        outputPaths.push(outputPath);
+    }
+    return outputPaths;
+}
+
+async function main(argv) {
+    const options = parseArguments(argv);
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (options.files.length === 0) {
+        throw usageError('No files given');
+    }
+
+    const context = {
+        transcriptionProvider: createTranscriptionProvider(config),
+        coachingProvider: null
+    };
+    try {
+        if (!context.transcriptionProvider.isReady()) {
+            throw new Error(`Transcription provider ${config.TRANSCRIPTION_PROVIDER} is not configured (API key, endpoint or local model missing)`);
+        }
+        if (options.coach || options.summary) {
+            context.coachingProvider = createLLMProvider(config);
+            if (!context.coachingProvider.isReady()) {
+                throw new Error(`Coaching provider ${config.COACHING_PROVIDER} is not configured (API key or endpoint missing)`);
+            }
+        }
+        if (options.coach) {
+            const templates = new PromptTemplateStore(config.PROMPT_TEMPLATES_DIR || path.join(os.homedir(), '.cluely', 'prompts'));
+            context.promptTemplate = await templates.get(options.template || config.PROMPT_TEMPLATE);
+        }
+        if (options.summary) {
+            const templates = new SummaryTemplateStore(config.SUMMARY_TEMPLATES_DIR || path.join(os.homedir(), '.cluely', 'summaries'));
+            context.summaryTemplate = await templates.get(options.summaryTemplate || config.SESSION_SUMMARY_TEMPLATE);
+        }
+        if (options.session) {
+            context.sessionStore = new SessionStore(config.SESSIONS_DIR || defaultSessionsDir());
+        }
+
+        let failed = 0;
+        for (const file of options.files) {
+            try {
+                await transcribeFile(file, options, context);
+            } catch (error) {
+                failed++;
+                console.error(`❌ ${file}: ${error.message}`);
+            }
+        }
+        return failed > 0 ? 1 : 0;
+    } finally {
+        if (context.transcriptionProvider.dispose) context.transcriptionProvider.dispose();
+        if (context.coachingProvider && context.coachingProvider.dispose) context.coachingProvider.dispose();
+    }
+}
+
+main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(error => {
+        console.error(`❌ ${error.message}`);
+        if (error.usage) console.error(`\n${USAGE}`);
+        process.exitCode = error.usage ? 2 : 1;
+    });
@@ -0,0 +1,300 @@
+// Coaching triggers: which utterances are worth asking the coaching model about
+//
+// Interview coaching only ever talks to the interface below, so the strategy
+// can be picked from config.js (COACHING_TRIGGER) or per session:
+//
+//   trigger.name           - 'rules', 'classifier' or 'llm'
+//   trigger.isReady()      - true when the strategy can evaluate utterances
+//   trigger.evaluate(utterance, context) -> Promise<{ confidence, reason }>
+//
+// `confidence` (0-1) is how sure the strategy is that the utterance deserves
+// advice; it triggers coaching at COACHING_TRIGGER_THRESHOLD or above.
+// `reason` says why, for logs and the interviewCoaching message. `context` is
+// `{ source, language, history: [{ source, text }] }` (language: ISO 639-1
+// code of the transcript, when known). Every strategy first drops
+// fragments, filler and repetition (screenUtterance) so the classifier and
+// the LLM are only asked about real sentences.
+
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { renderTemplate } = require('./prompt-templates');
+
+const FILLER_WORDS = [
+    'oh', 'ah', 'um', 'uh', 'hmm', 'yeah', 'yes', 'no', 'okay', 'ok',
+    'bye', 'hello', 'hi', 'thanks', 'thank you', 'you', 'me', 'i',
+    'please', 'sorry', 'excuse me', 'pardon', 'what', 'huh'
+];
+const INTERVIEW_KEYWORDS = [
+    'experience', 'project', 'skill', 'challenge', 'team', 'manage', 'develop',
+    'code', 'programming', 'software', 'technical', 'problem', 'solution',
+    'work', 'company', 'role', 'responsibility', 'achievement', 'goal',
+    'learn', 'improve', 'difficult', 'successful', 'failure', 'lesson',
+    'algorithm', 'database', 'system', 'design', 'framework', 'language',
+    'java', 'python', 'javascript', 'react', 'node', 'api', 'backend', 'frontend'
+];
+const QUESTION_OPENERS = ['what', 'how', 'why', 'when', 'where', 'tell me', 'describe', 'explain'];
+
+// Zero-shot labels: the first two mean "coach this"
+const CLASSIFIER_LABELS = ['a question to answer', 'a statement about work or experience', 'small talk or filler'];
+const COACH_LABELS = CLASSIFIER_LABELS.slice(0, 2);
+
+const GATE_TEMPLATE = {
+    system: `You decide whether a live conversation coach should give advice on the latest utterance.
+Advice is worth it for questions, requests and substantive statements the user has to respond to;
+not for small talk, filler or unfinished fragments.
+Answer with JSON only: {"score": <0 to 1, how much the utterance deserves advice>, "reason": "<at most 10 words>"}`,
+    user: `Conversation so far:
+{{history}}
+
+Latest utterance ({{speaker}}): "{{utterance}}"`
+};
+
+function createTriggerError(message) {
+    const error = new Error(message);
+    error.code = 'TRIGGER_FAILED';
+    return error;
+}
+
+// -> { confidence, reason } when the utterance is not worth evaluating, else null
+function screenUtterance(utterance) {
+    const text = utterance.trim().toLowerCase();
+    const words = text.split(/\s+/).filter(word => word.length > 0);
+
+    if (words.length < 4 || text.length < 15) {
+        return { confidence: 0.05, reason: 'too short' };
+    }
+
+    const meaningfulWords = words.filter(word =>
+        !FILLER_WORDS.includes(word) &&
+        word.length > 2 &&
+        !/^[a-z]{1,2}$/.test(word) // Skip very short words like "to", "is", "of"
+    );
+    if (meaningfulWords.length < 2) {
+        return { confidence: 0.1, reason: 'only filler words' };
+    }
+
+    // Like "bye bye bye"
+    if (new Set(words).size < words.length / 2) {
+        return { confidence: 0.1, reason: 'repetitive' };
+    }
+    return null;
+}
+
+// The original keyword heuristics, scored so the threshold can tighten them.
+// The keywords are English; other languages only get the language-neutral rules.
+class RuleTrigger {
+    constructor() {
+        this.name = 'rules';
+    }
+
+    isReady() {
+        return true;
+    }
+
+    async evaluate(utterance, context = {}) {
+        const screened = screenUtterance(utterance);
+        if (screened) return screened;
+
+        const text = utterance.trim().toLowerCase();
+        const words = text.split(/\s+/).map(word => word.replace(/[^\w'-]/g, ''));
+
+        if (/[?¿？؟]/.test(text)) {
+            return { confidence: 0.9, reason: 'question' };
+        }
+        if (context.language && context.language !== 'en') {
+            return words.length >= 6
+                ? { confidence: 0.55, reason: `full sentence (no keyword rules for ${context.language})` }
+                : { confidence: 0.2, reason: `short statement (no keyword rules for ${context.language})` };
+        }
+        const opener = QUESTION_OPENERS.find(candidate => text.startsWith(candidate));
+        if (opener) {
+            return { confidence: 0.8, reason: `starts like a question ("${opener}")` };
+        }
+        const keyword = words.find(word => INTERVIEW_KEYWORDS.includes(word));
+        if (keyword) {
+            return { confidence: 0.7, reason: `interview topic ("${keyword}")` };
+        }
+        // Longer words are often more meaningful
+        const longWord = words.find(word => word.length > 6);
+        if (longWord) {
+            return { confidence: 0.55, reason: `substantive words ("${longWord}")` };
+        }
+        return { confidence: 0.2, reason: 'no question or interview topic' };
+    }
+}
+
+// Local zero-shot classifier (an NLI model through @xenova/transformers) on
+// its own thread, read from modelPath like the offline Whisper model
+class ClassifierTrigger {
+    constructor(options = {}) {
+        this.name = 'classifier';
+        this.modelPath = options.modelPath || '';
+        this.model = options.model || 'Xenova/mobilebert-uncased-mnli';
+        this.timeout = options.timeout || 15000;
+        this.worker = null;
+        this.pendingRequests = new Map();
+        this.nextRequestId = 1;
+    }
+
+    isReady() {
+        return this.modelPath.length > 0 && fs.existsSync(path.join(this.modelPath, this.model));
+    }
+
+    startWorker() {
+        if (this.worker) return this.worker;
+
+        this.worker = new Worker(path.join(__dirname, 'trigger-classifier-worker.js'), {
+            workerData: { modelPath: this.modelPath, model: this.model }
+        });
+
+        this.worker.on('message', (message) => {
+            if (message.type === 'ready') {
+                console.log(`✅ [TRIGGER] Classifier ${this.model} loaded`);
+                return;
+            }
+            if (message.id === null) {
+                console.error('❌ [TRIGGER] Classifier load failed:', message.message);
+                return;
+            }
+
+            const pending = this.pendingRequests.get(message.id);
+            if (!pending) return;
+            this.pendingRequests.delete(message.id);
+            clearTimeout(pending.timer);
+
+            if (message.type === 'result') {
+                pending.resolve(message);
+            } else {
+                pending.reject(createTriggerError(`classifier failed: ${message.message}`));
+            }
+        });
+
+        this.worker.on('error', (error) => {
+            this.failPendingRequests(error);
+            this.worker = null;
+        });
+
+        this.worker.on('exit', (code) => {
+            if (code !== 0) {
+                this.failPendingRequests(createTriggerError(`classifier worker exited with code ${code}`));
+            }
+            this.worker = null;
+        });
+
+        return this.worker;
+    }
+
+    failPendingRequests(error) {
+        this.pendingRequests.forEach(pending => {
+            clearTimeout(pending.timer);
+            pending.reject(error);
+        });
+        this.pendingRequests.clear();
+    }
+
+    classify(text) {
+        const worker = this.startWorker();
+        const id = this.nextRequestId++;
+
+        return new Promise((resolve, reject) => {
+            // The first request also waits for the model to load
+            const timer = setTimeout(() => {
+                this.pendingRequests.delete(id);
+                reject(createTriggerError(`classifier did not answer within ${this.timeout}ms`));
+            }, this.timeout);
+
+            this.pendingRequests.set(id, { resolve, reject, timer });
+            worker.postMessage({ type: 'classify', id, text, labels: CLASSIFIER_LABELS });
+        });
+    }
+
+    async evaluate(utterance) {
+        const screened = screenUtterance(utterance);
+        if (screened) return screened;
+
+        const { labels, scores } = await this.classify(utterance);
+        const confidence = labels.reduce((sum, label, i) => sum + (COACH_LABELS.includes(label) ? scores[i] : 0), 0);
+        return { confidence, reason: `classified as ${labels[0]} (${scores[0].toFixed(2)})` };
+    }
+
+    dispose() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.failPendingRequests(createTriggerError('classifier disposed'));
+    }
+}
+
+// The coaching model itself judges each utterance: best at telling small talk
+// from questions, at the cost of one more (short) request before the advice
+class LLMTrigger {
+    constructor(options = {}) {
+        this.name = 'llm';
+        this.provider = options.provider || null;
+    }
+
+    isReady() {
+        return Boolean(this.provider && this.provider.isReady());
+    }
+
+    async evaluate(utterance, context = {}) {
+        const screened = screenUtterance(utterance);
+        if (screened) return screened;
+
+        const prompt = renderTemplate(GATE_TEMPLATE, {
+            history: context.history || [],
+            utterance,
+            source: context.source
+        });
+        const { text } = await this.provider.complete([
+            { role: 'system', content: prompt.system },
+            { role: 'user', content: prompt.user }
+        ], { signal: context.signal });
+
+        let verdict;
+        try {
+            verdict = JSON.parse((text.match(/\{[\s\S]*\}/) || [''])[0]);
+        } catch (error) {
+            verdict = null;
+        }
+        if (!verdict || typeof verdict.score !== 'number' || !Number.isFinite(verdict.score)) {
+            throw createTriggerError(`llm gate answered without a score: ${text.slice(0, 100)}`);
+        }
+        return {
+            confidence: Math.min(1, Math.max(0, verdict.score)),
+            reason: typeof verdict.reason === 'string' && verdict.reason ? verdict.reason : 'judged by the coaching model'
+        };
+    }
+}
+
+// settings: { strategy, modelPath, model, timeout }; llmProvider: the coaching provider
+function createCoachingTrigger(settings, llmProvider) {
+    switch (settings.strategy) {
+        case 'rules':
+            return new RuleTrigger();
+
+        case 'classifier':
+            return new ClassifierTrigger({
+                modelPath: settings.modelPath,
+                model: settings.model,
+                timeout: settings.timeout
+            });
+
+        case 'llm':
+            return new LLMTrigger({ provider: llmProvider });
+
+        default:
+            throw new Error(`Unknown coaching trigger: ${settings.strategy}`);
+    }
+}
+
+module.exports = {
+    RuleTrigger,
+    ClassifierTrigger,
+    LLMTrigger,
+    TRIGGER_STRATEGIES: ['rules', 'classifier', 'llm'],
+    createCoachingTrigger,
+    screenUtterance
+};
@@ -0,0 +1,212 @@
+// Layered configuration
+//
+// Every setting is declared once in CONFIG_SCHEMA (config.js) with its type,
+// default and limits. The effective value comes from the last layer that sets it:
+//
+//   default -> config file -> environment (.env) -> runtime (setConfig)
+//
+// The config file (CONFIG_FILE, default ~/.cluely/config.json) is a JSON object
+// of the same keys; environment variables use the key as their name. Invalid
+// file or environment values are reported and ignored so a typo never stops the
+// app from starting. Runtime overrides live in memory until the app quits.
+//
+// Settings marked `live` can change while running (setConfig, or editing the
+// config file); the rest are read once at startup.
+
+const fs = require('fs');
+const { validate } = require('./protocol');
+
+const LAYERS = ['default', 'file', 'env', 'runtime'];
+
+// Environment variables are strings; turn them into the schema's type
+function parseEnvValue(raw, schema) {
+    switch (schema.type) {
+        case 'number':
+        case 'integer':
+            return raw.trim() === '' ? NaN : Number(raw);
+        case 'boolean':
+            if (raw === 'true' || raw === '1') return true;
+            if (raw === 'false' || raw === '0') return false;
+            return raw;
+        case 'array':
+            if (raw.trim().startsWith('[')) return JSON.parse(raw);
+            return raw.split(',').map(item => item.trim()).filter(Boolean)
+                .map(item => (schema.items && schema.items.type === 'number' ? Number(item) : item));
+        case 'object':
+            return JSON.parse(raw);
+        default:
+            return raw;
+    }
+}
+
+class ConfigStore {
+    constructor(schema, { env = {}, filePath = null } = {}) {
+        this.schema = schema;
+        this.filePath = filePath;
+        this.layers = { default: {}, file: {}, env: {}, runtime: {} };
+        // Resolved settings; updated in place so every holder of it sees changes
+        this.values = {};
+
+        Object.entries(schema).forEach(([key, definition]) => {
+            this.layers.default[key] = definition.default;
+        });
+        this.layers.file = this.readFile();
+        this.layers.env = this.readEnv(env);
+
+        Object.keys(schema).forEach(key => {
+            this.values[key] = this.resolve(key);
+        });
+    }
+
+    // -> list of problems with `value` for `key` (empty when valid)
+    validateValue(key, value) {
+        const definition = this.schema[key];
+        if (!definition) return [`${key} is not a known setting`];
+
+        const errors = validate(value, definition, key);
+        if (errors.length === 0 && definition.check) {
+            const problem = definition.check(value);
+            if (problem) errors.push(`${key} ${problem}`);
+        }
+        return errors;
+    }
+
+    // Keep only the valid entries of a layer, reporting the rest
+    acceptLayer(values, origin) {
+        const accepted = {};
+        Object.entries(values).forEach(([key, value]) => {
+            const errors = this.validateValue(key, value);
+            if (errors.length > 0) {
+                console.error(`⚠️ [CONFIG] Ignoring ${key} from ${origin}: ${errors.join('; ')}`);
+                return;
+            }
+            accepted[key] = value;
+        });
+        return accepted;
+    }
+
+    readFile() {
+        if (!this.filePath) return {};
+
+        let values;
+        try {
+            values = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`⚠️ [CONFIG] Ignoring unreadable config file ${this.filePath}:`, error.message);
+            }
+            return {};
+        }
+
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+            console.error(`⚠️ [CONFIG] Ignoring ${this.filePath}: expected a JSON object`);
+            return {};
+        }
+        return this.acceptLayer(values, this.filePath);
+    }
+
+    readEnv(env) {
+        const values = {};
+        Object.entries(this.schema).forEach(([key, definition]) => {
+            const raw = env[key];
+            // `KEY=` in .env means "not set" for anything but text
+            if (raw === undefined || (raw === '' && definition.type !== 'string')) return;
+
+            try {
+                values[key] = parseEnvValue(raw, definition);
+            } catch (error) {
+                values[key] = raw;
+            }
+        });
+        return this.acceptLayer(values, 'environment');
+    }
+
+    sourceOf(key) {
+        return [...LAYERS].reverse().find(layer => this.layers[layer][key] !== undefined);
+    }
+
+    resolve(key) {
+        return this.layers[this.sourceOf(key)][key];
+    }
+
+    // Settings and where each one came from, without secrets (for getConfig)
+    snapshot() {
+        const values = {};
+        const sources = {};
+        Object.entries(this.schema).forEach(([key, definition]) => {
+            if (definition.secret) return;
+            values[key] = this.values[key];
+            sources[key] = this.sourceOf(key);
+        });
+        return { values, sources };
+    }
+
+    // -> list of problems with a setConfig request (empty when it can be applied)
+    validateChanges(changes) {
+        return Object.entries(changes).flatMap(([key, value]) => {
+            const definition = this.schema[key];
+            if (!definition) return [`${key} is not a known setting`];
+            if (definition.secret || !definition.live) return [`${key} can only be changed in the config file or environment (restart required)`];
+            // null removes the runtime override
+            return value === null ? [] : this.validateValue(key, value);
+        });
+    }
+
+    // Apply runtime overrides (already validated); -> { key: newValue } for what changed
+    set(changes) {
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value === null) {
+                delete this.layers.runtime[key];
+            } else {
+                this.layers.runtime[key] = value;
+            }
+        });
+        return this.refresh(Object.keys(changes));
+    }
+
+    // Re-read the config file; settings that need a restart keep their old value
+    reloadFile() {
+        const previous = this.layers.file;
+        this.layers.file = this.readFile();
+
+        const keys = [...new Set([...Object.keys(previous), ...Object.keys(this.layers.file)])];
+        const pending = keys.filter(key => !this.schema[key].live && JSON.stringify(this.resolve(key)) !== JSON.stringify(this.values[key]));
+        if (pending.length > 0) {
+            console.log(`⚠️ [CONFIG] ${pending.join(', ')} changed in ${this.filePath} - restart to apply`);
+        }
+
+        return this.refresh(keys.filter(key => this.schema[key].live));
+    }
+
+    refresh(keys) {
+        const changed = {};
+        keys.forEach(key => {
+            const value = this.resolve(key);
+            if (JSON.stringify(value) !== JSON.stringify(this.values[key])) {
+                this.values[key] = value;
+                changed[key] = value;
+            }
+        });
+        return changed;
+    }
+
+    // Call onChange({ key: newValue }) whenever an edit to the config file changes live settings
+    watchFile(onChange, interval = 2000) {
+        if (!this.filePath) return;
+
+        // Polling also notices the file being created or replaced by an editor
+        fs.watchFile(this.filePath, { interval }, (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs) return;
+
+            const changed = this.reloadFile();
+            if (Object.keys(changed).length > 0) {
+                onChange(changed);
+            }
+        });
+    }
+}
+
+module.exports = {
+    ConfigStore,
+    parseEnvValue
+};
@@ -1,51 +1,231 @@
 // Load environment variables from .env file
 require('dotenv').config();
 
+const os = require('os');
+const path = require('path');
+const { ConfigStore } = require('./config-store');
+const { LANGUAGE_CODES } = require('./languages');
+
 // OpenAI Whisper API Configuration
-// 
+//
 // TO USE REAL TRANSCRIPTION (like Cluely):
 // 1. Get your API key from: https://platform.openai.com/api-keys
 // 2. Add OPENAI_API_KEY to your .env file
 // 3. Restart the Electron app
+//
+// Every setting below can also be set in the config file (CONFIG_FILE, default
+// ~/.cluely/config.json) or the environment, and `live` ones changed at runtime
+// with the setConfig WebSocket command (see config-store.js).
+
+const DEFAULT_CONFIG_FILE = path.join(os.homedir(), '.cluely', 'config.json');
+
+const text = (defaultValue, extra = {}) => ({ type: 'string', default: defaultValue, ...extra });
+const number = (defaultValue, extra = {}) => ({ type: 'number', default: defaultValue, ...extra });
+const integer = (defaultValue, extra = {}) => ({ type: 'integer', default: defaultValue, ...extra });
+const flag = (defaultValue, extra = {}) => ({ type: 'boolean', default: defaultValue, ...extra });
+const live = { live: true };
+const secret = { secret: true };
+// '' or an ISO 639-1 code Whisper knows (see languages.js)
+const languageSetting = {
+    check: value => (value === '' || LANGUAGE_CODES.includes(value) ? null : 'should be \'\' or a language code such as en, de, es')
+};
+const coachingOptions = {
+    type: 'object',
+    properties: {
+        model: { type: 'string', minLength: 1 },
+        maxTokens: { type: 'integer', minimum: 1, maximum: 4096 },
+        temperature: { type: 'number', minimum: 0, maximum: 2 }
+    },
+    additionalProperties: false
+};
 
-const config = {
+const CONFIG_SCHEMA = {
     // OpenAI API Key - REQUIRED for real transcription AND interview coaching
-    OPENAI_API_KEY: process.env.OPENAI_API_KEY || '', // Set in .env file
-    
+    OPENAI_API_KEY: text('', secret), // Set in .env file
+
+    // Transcription engine: 'openai', 'openai-compatible', 'local' or 'mock'
+    TRANSCRIPTION_PROVIDER: text('openai', { enum: ['openai', 'openai-compatible', 'local', 'mock'], ...live }),
+    // Used by 'openai-compatible' (e.g. a local whisper server at http://localhost:8080/v1)
+    TRANSCRIPTION_BASE_URL: text('', live),
+    TRANSCRIPTION_API_KEY: text('', secret),
+    // 'verbose_json' returns segment/word timestamps (needed for caption export);
+    // use 'json' for servers or models that only return plain text
+    TRANSCRIPTION_RESPONSE_FORMAT: text('verbose_json', { enum: ['verbose_json', 'json'], ...live }),
+    // Used by 'local': fully offline Whisper, model files read from
+    // LOCAL_WHISPER_MODEL_PATH/<LOCAL_WHISPER_MODEL> (never downloaded)
+    LOCAL_WHISPER_MODEL_PATH: text('', live),
+    LOCAL_WHISPER_MODEL: text('Xenova/whisper-tiny.en', live),
+    LOCAL_WHISPER_QUANTIZED: flag(true, live),
+    // Used by 'mock': scripted responses returned in order
+    MOCK_TRANSCRIPTIONS: { type: 'array', items: { type: 'string' }, default: [], ...live },
+
+    // API requests (transcription and coaching): time limit per attempt and retries
+    // for network errors, timeouts, 429 and 5xx with backoff (see api-client.js)
+    API_REQUEST_TIMEOUT: integer(15000, { minimum: 1000, maximum: 120000, ...live }),
+    API_MAX_RETRIES: integer(3, { minimum: 0, maximum: 10, ...live }),
+    // Chunks waiting for transcription while the API is slow or offline; past the
+    // limit the 'oldest' one (keeps up with the conversation) or the 'newest' is dropped
+    TRANSCRIPTION_QUEUE_LIMIT: integer(20, { minimum: 1, maximum: 500, ...live }),
+    TRANSCRIPTION_QUEUE_DROP_POLICY: text('oldest', { enum: ['oldest', 'newest'], ...live }),
+
+    // WebSocket server: loopback only unless explicitly opened up
+    WEBSOCKET_HOST: text('127.0.0.1'),
+    WEBSOCKET_PORT: integer(8765, { minimum: 1, maximum: 65535 }),
+    // Browser origins allowed to connect (native clients send no Origin)
+    WEBSOCKET_ALLOWED_ORIGINS: { type: 'array', items: { type: 'string' }, default: [] },
+    // Shared secret clients must send in `hello`; generated into
+    // ~/.cluely/companion-token (or COMPANION_AUTH_TOKEN_PATH) when unset
+    COMPANION_AUTH_TOKEN: text('', secret),
+    COMPANION_AUTH_TOKEN_PATH: text(''),
+    WEBSOCKET_AUTH_TIMEOUT: integer(5000, { minimum: 100 }), // Close connections that don't authenticate within 5s
+    WEBSOCKET_RATE_LIMIT: { // Commands per connection
+        type: 'object',
+        properties: { perSecond: { type: 'number', minimum: 1 }, burst: { type: 'number', minimum: 1 } },
+        required: ['perSecond', 'burst'],
+        additionalProperties: false,
+        default: { perSecond: 10, burst: 20 }
+    },
+    WEBSOCKET_MAX_RATE_LIMIT_VIOLATIONS: integer(20, { minimum: 1 }), // Consecutive rejected commands before disconnect
+    AUDIO_STREAM_MAX_BUFFERED_BYTES: integer(1024 * 1024, { minimum: 0, ...live }), // Drop live audio frames for slower clients
+
+    // Session history: one append-only JSONL file per capture session
+    // (defaults to <userData>/sessions)
+    SESSIONS_DIR: text(''),
+    // Decodes MP3, OGG and other compressed recordings for file transcription
+    // (transcribeFile, cli.js); WAV and FLAC need no ffmpeg
+    FFMPEG_PATH: text('ffmpeg', { minLength: 1, ...live }),
+
     // REAL-TIME: Whisper Model Settings for ULTRA-FAST processing
-    WHISPER_MODEL: 'whisper-1',
-    WHISPER_LANGUAGE: 'en', // Specify language for faster processing
-    
+    WHISPER_MODEL: text('whisper-1', { minLength: 1, ...live }),
+    WHISPER_LANGUAGE: text('en', { ...languageSetting, ...live }), // Specify language for faster processing ('' = auto-detect)
+    // 'translate' turns speech in any language into English text (Whisper translation);
+    // clients can change the language settings per session
+    TRANSCRIPTION_MODE: text('transcribe', { enum: ['transcribe', 'translate'], ...live }),
+
     // REAL-TIME: GPT-4o Interview Coaching Settings for INSTANT feedback
-    COACHING_MODEL: 'gpt-4o',
-    COACHING_ENABLED: true,
-    COACHING_MAX_TOKENS: 100, // FASTER: Even shorter responses (was 150)
-    COACHING_TEMPERATURE: 0.2, // LOWER: More consistent for real-time (was 0.3)
-    
+    COACHING_MODEL: text('gpt-4o', { minLength: 1, ...live }),
+    COACHING_ENABLED: flag(true, live),
+    // Length and randomness of each piece of advice
+    COACHING_MAX_TOKENS: integer(150, { minimum: 1, maximum: 4096, ...live }), // Room for the ~100 word answers the prompt asks for
+    COACHING_TEMPERATURE: number(0.3, { minimum: 0, maximum: 2, ...live }), // Low: consistent advice in real time
+    COACHING_LANGUAGE: text('', { ...languageSetting, ...live }), // Language of the advice ('' = the language being spoken)
+    // Coaching model backend: 'openai', 'openai-compatible' (llama.cpp server, Ollama,
+    // vLLM, ... at COACHING_BASE_URL, e.g. http://localhost:11434/v1) or 'mock'
+    COACHING_PROVIDER: text('openai', { enum: ['openai', 'openai-compatible', 'mock'], ...live }),
+    COACHING_BASE_URL: text('', live),
+    COACHING_API_KEY: text('', secret),
+    // Per-provider model/maxTokens/temperature, overriding the three settings above,
+    // e.g. { "openai-compatible": { "model": "llama3.1:8b", "maxTokens": 300 } }
+    COACHING_PROVIDER_OPTIONS: {
+        type: 'object',
+        properties: { openai: coachingOptions, 'openai-compatible': coachingOptions },
+        additionalProperties: false,
+        default: {},
+        ...live
+    },
+    // Used by 'mock': scripted advice streamed word by word, in order
+    MOCK_COACHING_RESPONSES: { type: 'array', items: { type: 'string' }, default: [], ...live },
+    // Coaching prompts: <id>.json templates in PROMPT_TEMPLATES_DIR (defaults to
+    // ~/.cluely/prompts, see prompt-templates.js); PROMPT_TEMPLATE is used until
+    // one is selected over WebSocket
+    PROMPT_TEMPLATES_DIR: text(''),
+    PROMPT_TEMPLATE: text('interview-coach', { pattern: '^[A-Za-z0-9_-]+$' }),
+    // Which utterances get advice (see coaching-triggers.js): 'rules' (keywords and
+    // questions), 'classifier' (local zero-shot model) or 'llm' (the coaching model
+    // judges each one first); coaching starts at COACHING_TRIGGER_THRESHOLD confidence.
+    // Clients can pick another per session.
+    COACHING_TRIGGER: text('rules', { enum: ['rules', 'classifier', 'llm'], ...live }),
+    COACHING_TRIGGER_THRESHOLD: number(0.5, { minimum: 0, maximum: 1, ...live }),
+    // Used by 'classifier': zero-shot (NLI) model read from
+    // COACHING_TRIGGER_MODEL_PATH/<COACHING_TRIGGER_MODEL> (default: LOCAL_WHISPER_MODEL_PATH)
+    COACHING_TRIGGER_MODEL_PATH: text('', live),
+    COACHING_TRIGGER_MODEL: text('Xenova/mobilebert-uncased-mnli', live),
+    // Conversation context in coaching prompts, in estimated tokens: the latest turns,
+    // plus a running summary of the rest of the session written by the coaching model
+    // (see conversation-memory.js). Without COACHING_MEMORY_ENABLED older turns are dropped.
+    COACHING_CONTEXT_TOKENS: integer(1500, { minimum: 200, maximum: 32000, ...live }),
+    COACHING_MEMORY_ENABLED: flag(true, live),
+    // Summary, questions, topics, action items... written by the coaching model when
+    // capture stops (see session-summary.js); its sections come from a template in
+    // SUMMARY_TEMPLATES_DIR (default ~/.cluely/summaries) or the built-in one
+    SESSION_SUMMARY_ENABLED: flag(true, live),
+    SESSION_SUMMARY_TEMPLATE: text('session-summary', { pattern: '^[A-Za-z0-9_-]+$', ...live }),
+    SUMMARY_TEMPLATES_DIR: text(''),
+    SESSION_SUMMARY_MAX_TOKENS: integer(1000, { minimum: 100, maximum: 16000, ...live }), // Length of the summary
+    // Longer transcripts are summarized in parts of this many (estimated) tokens
+    SESSION_SUMMARY_CHUNK_TOKENS: integer(6000, { minimum: 500, maximum: 200000, ...live }),
+
     // REAL-TIME: Audio Settings for INSTANT processing
-    AUDIO_CHUNK_DURATION: 100, // ULTRA-FAST: 100ms chunks (was 200ms)
-    MIN_AUDIO_SIZE: 200, // ULTRA-FAST: 200 bytes (was 500)
-    
+    // Long utterances are cut into chunks at a pause once AUDIO_CHUNK_DURATION is
+    // buffered, at the quietest point by AUDIO_MAX_CHUNK_DURATION; the next chunk
+    // repeats AUDIO_CHUNK_OVERLAP ms so words at the cut are not lost
+    AUDIO_CHUNK_DURATION: integer(3000, { minimum: 500, maximum: 30000, ...live }),
+    AUDIO_MAX_CHUNK_DURATION: integer(5000, { minimum: 500, maximum: 30000, ...live }), // Raised to AUDIO_CHUNK_DURATION if lower
+    AUDIO_CHUNK_OVERLAP: integer(500, { minimum: 0, maximum: 2000, ...live }),
+    AUDIO_TARGET_SAMPLE_RATE: integer(16000, { minimum: 8000, maximum: 48000, ...live }), // Resampled rate sent for transcription (speech needs no more)
+    AUDIO_ENCODING: text('wav', { enum: ['wav', 'flac'], ...live }), // 'flac' is lossless and ~30-50% smaller
+    // Also capture what the system plays (the other side of a call) as a separate
+    // 'remote' track with its own VAD and transcription (applies from the next capture)
+    SYSTEM_AUDIO_ENABLED: flag(false, live),
+    // Linux only: part of the PulseAudio/PipeWire monitor source label to use
+    // (default: the first "Monitor of ..." input)
+    SYSTEM_AUDIO_DEVICE: text('', live),
+    // Replay: capture plays these recordings into the pipeline instead of the
+    // microphone / system audio, REPLAY_SPEED times faster than real time
+    // (see replay-source.js and replay-harness.js; applies from the next capture)
+    REPLAY_AUDIO_FILE: text('', live),
+    REPLAY_SYSTEM_AUDIO_FILE: text('', live),
+    REPLAY_SPEED: number(1, { minimum: 0.1, maximum: 100, ...live }),
+
     // REAL-TIME: Speech detection thresholds for INSTANT response
-    SILENCE_THRESHOLD: 300, // ULTRA-FAST: 0.3s silence (was 800ms)
-    MIN_SPEECH_DURATION: 200, // ULTRA-FAST: 0.2s minimum (was 500ms)
-    SPEECH_THRESHOLD: 0.005, // ULTRA-SENSITIVE: Lower threshold (was 0.01)
-    
+    SILENCE_THRESHOLD: integer(800, { minimum: 100, maximum: 5000, ...live }), // 800ms silence ends an utterance - still allows pauses
+    MIN_SPEECH_DURATION: integer(200, { minimum: 0, maximum: 5000, ...live }), // Chunks with less detected speech are not transcribed
+    SPEECH_PROBABILITY_THRESHOLD: number(0.5, { minimum: 0.05, maximum: 0.95, ...live }), // VAD: smoothed speech probability that starts speech (see voice-activity-detector.js)
+    // No longer used - kept for config files that set them: the VAD replaced the
+    // energy threshold and transcript stitching the duplicate filter
+    SPEECH_THRESHOLD: number(0.005, { minimum: 0 }),
+    MAX_TRANSCRIPTION_HISTORY: integer(5, { minimum: 0 }),
+    TRANSCRIPTION_SIMILARITY_THRESHOLD: number(0.8, { minimum: 0, maximum: 1 }),
+
+    // Live captions: re-transcribe the growing audio window while someone speaks
+    // and send partial hypotheses as streamingTranscription
+    STREAMING_PARTIALS_ENABLED: flag(true, live),
+    PARTIAL_TRANSCRIPTION_INTERVAL: integer(1000, { minimum: 250, maximum: 10000, ...live }), // One partial decode per source per second of speech
+    PARTIAL_STABILITY: integer(2, { minimum: 1, maximum: 5, ...live }), // Words are final once this many hypotheses in a row agree on them
+
     // REAL-TIME: Processing optimization for 40 FPS monitoring
-    MAX_TRANSCRIPTION_HISTORY: 5, // Track recent transcriptions
-    TRANSCRIPTION_SIMILARITY_THRESHOLD: 0.8, // Duplicate detection
-    PROCESSING_INTERVAL: 25, // ULTRA-FAST: Check speech every 25ms (40 FPS)
-    
-    // NEW: Real-time streaming settings
-    STREAMING_ENABLED: true,
-    STREAMING_CHUNK_SIZE: 100, // Process every 100ms
-    VOICE_ACTIVITY_DETECTION: true,
-    CONTINUOUS_LISTENING: true,
-    
+    PROCESSING_INTERVAL: integer(25, { minimum: 10, maximum: 1000, ...live }), // ULTRA-FAST: Refresh the voice indicator every 25ms (40 FPS)
+
+    // NEW: Real-time streaming settings - kept for clients and config files that
+    // set them; capture always streams and listens continuously
+    STREAMING_ENABLED: flag(true),
+    STREAMING_CHUNK_SIZE: integer(100, { minimum: 1 }), // Process every 100ms
+    VOICE_ACTIVITY_DETECTION: flag(true),
+    CONTINUOUS_LISTENING: flag(true),
+
     // NEW: Visual feedback settings
-    VISUAL_FEEDBACK_ENABLED: true,
-    VOICE_FREQUENCY_RANGE: [300, 3000], // Human voice frequencies
-    VOICE_ACTIVITY_WINDOW: 10 // Smooth voice detection over 10 samples
+    VISUAL_FEEDBACK_ENABLED: flag(true, live),
+    VOICE_FREQUENCY_RANGE: { // Human voice frequencies - the only band the VAD listens to
+        type: 'array',
+        items: { type: 'number', minimum: 50, maximum: 8000 },
+        minItems: 2,
+        maxItems: 2,
+        check: ([low, high]) => (low < high ? null : 'should be [low, high] with low < high'),
+        default: [300, 3000],
+        ...live
+    },
+    VOICE_ACTIVITY_WINDOW: integer(10, { minimum: 1, maximum: 100, ...live }), // VAD hangover: average speech probability over 10 frames (200ms)
+    VOICE_ACTIVITY_UPDATE_INTERVAL: integer(100, { minimum: 20, maximum: 5000, ...live }) // Send speech probability to clients every 100ms
 };
 
-module.exports = config; 
\ No newline at end of file
+const configStore = new ConfigStore(CONFIG_SCHEMA, {
+    env: process.env,
+    filePath: process.env.CONFIG_FILE || DEFAULT_CONFIG_FILE
+});
+
+// `config` is updated in place when live settings change
+module.exports = {
+    config: configStore.values,
+    configStore,
+    CONFIG_SCHEMA
+};
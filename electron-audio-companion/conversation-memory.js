@@ -0,0 +1,155 @@
+// Conversation memory for coaching
+//
+// Keeps every transcribed turn of the session. Coaching prompts get as many of
+// the latest turns as fit in a token budget (COACHING_CONTEXT_TOKENS), plus a
+// running summary and key facts (names, numbers, decisions) of everything
+// before them. Once the turns not yet summarized outgrow RECENT_SHARE of the
+// budget, the oldest are folded into the summary in the background by
+// `summarize`, so the coach remembers the start of an hour-long call at a
+// constant prompt size.
+//
+// Tokens are estimated (about 4 characters each); the budget is a target, not
+// a hard limit of any model.
+
+const { formatHistory } = require('./prompt-templates');
+
+const RECENT_SHARE = 0.6; // Summarize once unsummarized turns take more of the budget than this...
+const RECENT_SHARE_AFTER = 0.4; // ...until they take at most this much
+const MAX_FACTS = 15;
+const RETRY_AFTER_TURNS = 5; // Turns to wait before trying again after a failed summary
+const SUMMARY_MAX_TOKENS = 600; // 150 words and the facts, as JSON; more than COACHING_MAX_TOKENS allows
+
+const SUMMARY_PROMPT = `You maintain the memory of a live conversation for a coaching assistant.
+Merge the earlier summary and key facts with the new part of the transcript.
+Answer with JSON only: {"summary": "<at most 150 words>", "facts": ["<short fact>", ...]}
+Facts are what the coach must not forget: names, companies, numbers, dates, decisions, questions still open. At most ${MAX_FACTS}.`;
+
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+// -> summarize({ summary, facts, turns }) asking a coaching provider (see llm-providers.js)
+function createLLMSummarizer(provider) {
+    return async ({ summary, facts, turns }) => {
+        const { text } = await provider.complete([
+            { role: 'system', content: SUMMARY_PROMPT },
+            {
+                role: 'user',
+                content: `EARLIER SUMMARY:\n${summary || '(none)'}\n\nKEY FACTS:\n${facts.map(fact => `- ${fact}`).join('\n') || '(none)'}\n\nNEW TRANSCRIPT:\n${formatHistory(turns)}`
+            }
+        ], { maxTokens: SUMMARY_MAX_TOKENS });
+
+        let result = null;
+        try {
+            result = JSON.parse((text.match(/\{[\s\S]*\}/) || [''])[0]);
+        } catch (error) {
+            result = null;
+        }
+
+        // Models that ignore the format still summarize; keep the facts we had
+        if (!result || typeof result.summary !== 'string') {
+            return { summary: text.trim(), facts };
+        }
+        return {
+            summary: result.summary.trim(),
+            facts: Array.isArray(result.facts) ? result.facts.filter(fact => typeof fact === 'string' && fact.trim()) : facts
+        };
+    };
+}
+
+class ConversationMemory {
+    // options: tokenBudget, summarize (async, see createLLMSummarizer; null
+    // keeps only what fits), onSummary({ summary, facts, summarizedTurns })
+    constructor(options = {}) {
+        this.tokenBudget = options.tokenBudget || 1500;
+        this.summarize = options.summarize || null;
+        this.onSummary = options.onSummary || (() => {});
+        this.reset();
+    }
+
+    reset() {
+        this.generation = (this.generation || 0) + 1; // A summary finishing after a reset is dropped
+        this.turns = []; // { source, text, timestamp, tokens }
+        this.summary = '';
+        this.facts = [];
+        this.summarizedTurns = 0; // turns[0 .. summarizedTurns) are in the summary
+        this.summarizing = null;
+        this.retryAt = 0;
+    }
+
+    add(turn) {
+        this.turns.push({ ...turn, tokens: estimateTokens(turn.text) });
+        this.maybeSummarize();
+    }
+
+    unsummarizedTokens() {
+        return this.turns.slice(this.summarizedTurns).reduce((sum, turn) => sum + turn.tokens, 0);
+    }
+
+    maybeSummarize() {
+        if (!this.summarize || this.summarizing || this.turns.length < this.retryAt) return;
+        if (this.unsummarizedTokens() <= this.tokenBudget * RECENT_SHARE) return;
+
+        // Oldest turns first, until what is left fits RECENT_SHARE_AFTER (the latest turn always stays)
+        let end = this.summarizedTurns;
+        let remaining = this.unsummarizedTokens();
+        while (end < this.turns.length - 1 && remaining > this.tokenBudget * RECENT_SHARE_AFTER) {
+            remaining -= this.turns[end].tokens;
+            end++;
+        }
+        if (end === this.summarizedTurns) return;
+
+        const turns = this.turns.slice(this.summarizedTurns, end);
+        const generation = this.generation;
+        console.log(`🧠 [MEMORY] Summarizing ${turns.length} older turns...`);
+
+        this.summarizing = this.summarize({ summary: this.summary, facts: this.facts, turns })
+            .then(({ summary, facts }) => {
+                if (generation !== this.generation) return;
+                this.summary = summary;
+                this.facts = [...new Set(facts)].slice(-MAX_FACTS);
+                this.summarizedTurns = end;
+                console.log(`🧠 [MEMORY] Summary now covers ${end} turns (${this.facts.length} key facts)`);
+                this.onSummary({ summary: this.summary, facts: this.facts, summarizedTurns: end });
+            })
+            .catch(error => {
+                if (generation !== this.generation) return;
+                // Until it works, the oldest turns are just left out of the prompt
+                console.error('❌ [MEMORY] Summarizing failed:', error.message);
+                this.retryAt = this.turns.length + RETRY_AFTER_TURNS;
+            })
+            .finally(() => {
+                if (generation !== this.generation) return;
+                this.summarizing = null;
+                this.maybeSummarize();
+            });
+    }
+
+    // -> { summary, facts, turns, omitted } for a prompt: the summary and facts, and the
+    // latest turns that fit in the rest of the budget (at least the last one)
+    context() {
+        let remaining = this.tokenBudget - estimateTokens(this.summary) - estimateTokens(this.facts.join('\n'));
+        const turns = [];
+
+        for (let i = this.turns.length - 1; i >= this.summarizedTurns; i--) {
+            const turn = this.turns[i];
+            if (turns.length > 0 && turn.tokens > remaining) break;
+            turns.unshift(turn);
+            remaining -= turn.tokens;
+        }
+
+        // `omitted`: turns neither shown nor summarized (summary behind or failing)
+        const omitted = this.turns.length - this.summarizedTurns - turns.length;
+        return { summary: this.summary, facts: this.facts, turns, omitted };
+    }
+
+    latest() {
+        return this.turns[this.turns.length - 1] || null;
+    }
+}
+
+module.exports = {
+    ConversationMemory,
+    createLLMSummarizer,
+    estimateTokens
+};
@@ -0,0 +1,251 @@
+// Headless transcription of recordings
+//
+// Runs an audio file through the same steps as live capture, without Electron
+// or a microphone: decoding (audio-file.js), voice activity detection and
+// segmentation (audio-pipeline.js), transcription, removal of the words
+// overlapping chunks repeat (transcript-stitcher.js) and, when a coaching
+// provider is given, the coaching trigger, conversation memory and advice.
+// Audio is fed to the pipeline a block at a time and each chunk is transcribed
+// before the next block, so transcripts are stitched and coached in order.
+//
+// The result has the shape of a stored session (see session-store.js), so it
+// can be saved with SessionStore.writeSession() or turned into captions and
+// notes with transcript-export.js. Used by cli.js and the transcribeFile
+// WebSocket command.
+
+const path = require('path');
+const { readAudioFile } = require('./audio-file');
+const { AudioPipeline, pipelineOptionsFromConfig } = require('./audio-pipeline');
+const { fileNameForMimeType } = require('./audio-encoding');
+const { TranscriptStitcher, toCaptureTiming } = require('./transcript-stitcher');
+const { ConversationMemory, createLLMSummarizer } = require('./conversation-memory');
+const { RuleTrigger, createCoachingTrigger } = require('./coaching-triggers');
+const { BUILT_IN_TEMPLATES, createCoachingPrompt, adviceLanguage } = require('./prompt-templates');
+
+const BLOCK_DURATION = 1000; // ms of audio pushed into the pipeline at a time
+const PROGRESS_INTERVAL = 1000; // ms between onProgress calls
+
+class FileTranscriber {
+    // options: {
+    //   config               settings (config.js)
+    //   transcriptionProvider  see transcription-providers.js
+    //   coachingProvider     see llm-providers.js; without one the file is only transcribed
+    //   promptTemplate       { id, system, user } (default: the built-in interview coach)
+    //   trigger              { strategy, threshold } (default: COACHING_TRIGGER(_THRESHOLD))
+    //   language, task, outputLanguage  as in languageSettings() of the renderer ('' = detect)
+    //   onProgress({ processed, duration })  ms of audio done, about once a second
+    // }
+    constructor(options) {
+        this.config = options.config;
+        this.transcriptionProvider = options.transcriptionProvider;
+        this.coachingProvider = options.coachingProvider || null;
+        this.promptTemplate = options.promptTemplate || { id: 'interview-coach', ...BUILT_IN_TEMPLATES['interview-coach'] };
+        this.trigger = options.trigger || { strategy: this.config.COACHING_TRIGGER, threshold: this.config.COACHING_TRIGGER_THRESHOLD };
+        this.language = options.language !== undefined ? options.language : this.config.WHISPER_LANGUAGE;
+        this.task = options.task || this.config.TRANSCRIPTION_MODE;
+        this.outputLanguage = options.outputLanguage !== undefined ? options.outputLanguage : this.config.COACHING_LANGUAGE;
+        this.onProgress = options.onProgress || (() => {});
+    }
+
+    // -> { name, file, startedAt, endedAt, duration, transcriptionLanguage, promptTemplateId?,
+    // coachingTrigger?, segments, coaching, failedChunks }: what SessionStore.writeSession()
+    // takes (segments and coaching as recorded live); source: 'local' or 'remote'
+    async transcribe(filePath, { source = 'local', name } = {}) {
+        if (!this.transcriptionProvider || !this.transcriptionProvider.isReady()) {
+            throw new Error('Transcription provider not configured (API key, endpoint or local model missing)');
+        }
+
+        const audio = await readAudioFile(filePath, {
+            ffmpegPath: this.config.FFMPEG_PATH,
+            sampleRate: this.config.AUDIO_TARGET_SAMPLE_RATE
+        });
+        console.log(`📂 [FILE] ${path.basename(filePath)}: ${(audio.duration / 1000).toFixed(1)}s of ${audio.format} audio at ${audio.sampleRate} Hz`);
+
+        // Times in the file become "capture" times of a session that starts now
+        const startedAt = Date.now();
+        const run = {
+            name: name || path.basename(filePath),
+            source,
+            startedAt,
+            stitcher: new TranscriptStitcher(),
+            segments: [],
+            coaching: [],
+            failedChunks: 0,
+            conversationLanguage: null,
+            coach: this.coachingProvider && this.coachingProvider.isReady() ? this.setupCoaching() : null
+        };
+
+        const chunks = [];
+        const pipeline = new AudioPipeline(
+            { ...pipelineOptionsFromConfig(this.config, audio.sampleRate), partialInterval: 0 },
+            event => { if (event.type === 'chunk') chunks.push(event); }
+        );
+
+        const blockSize = Math.round(audio.sampleRate * BLOCK_DURATION / 1000);
+        let lastProgress = Date.now();
+        try {
+            for (let offset = 0; offset < audio.samples.length; offset += blockSize) {
+                pipeline.pushFrames(audio.samples.subarray(offset, offset + blockSize));
+                while (chunks.length > 0) {
+                    await this.processChunk(chunks.shift(), run);
+                }
+                if (Date.now() - lastProgress >= PROGRESS_INTERVAL) {
+                    lastProgress = Date.now();
+                    this.onProgress({ processed: Math.min(audio.duration, Math.round((offset + blockSize) * 1000 / audio.sampleRate)), duration: audio.duration });
+                }
+            }
+            pipeline.flush();
+            while (chunks.length > 0) {
+                await this.processChunk(chunks.shift(), run);
+            }
+            this.onProgress({ processed: audio.duration, duration: audio.duration });
+        } finally {
+            if (run.coach && run.coach.trigger.dispose) {
+                run.coach.trigger.dispose();
+            }
+        }
+
+        console.log(`✅ [FILE] ${path.basename(filePath)}: ${run.segments.length} transcriptions, ${run.coaching.length} coaching notes${run.failedChunks > 0 ? `, ${run.failedChunks} chunks failed` : ''}`);
+        return {
+            name: run.name,
+            file: path.resolve(filePath),
+            startedAt,
+            endedAt: startedAt + audio.duration,
+            duration: audio.duration,
+            transcriptionLanguage: {
+                language: this.language || 'auto',
+                mode: this.task,
+                outputLanguage: this.outputLanguage || 'auto'
+            },
+            ...(run.coach ? { promptTemplateId: this.promptTemplate.id, coachingTrigger: this.trigger } : {}),
+            segments: run.segments,
+            coaching: run.coaching,
+            failedChunks: run.failedChunks
+        };
+    }
+
+    setupCoaching() {
+        let trigger;
+        try {
+            trigger = createCoachingTrigger({
+                strategy: this.trigger.strategy,
+                modelPath: this.config.COACHING_TRIGGER_MODEL_PATH || this.config.LOCAL_WHISPER_MODEL_PATH,
+                model: this.config.COACHING_TRIGGER_MODEL,
+                timeout: this.config.API_REQUEST_TIMEOUT
+            }, this.coachingProvider);
+        } catch (error) {
+            trigger = null;
+        }
+        if (!trigger || !trigger.isReady()) {
+            console.log(`⚠️ Coaching trigger ${this.trigger.strategy} not available - using rules`);
+            trigger = new RuleTrigger();
+        }
+
+        return {
+            trigger,
+            memory: new ConversationMemory({
+                tokenBudget: this.config.COACHING_CONTEXT_TOKENS,
+                summarize: this.config.COACHING_MEMORY_ENABLED ? createLLMSummarizer(this.coachingProvider) : null
+            })
+        };
+    }
+
+    async processChunk(event, run) {
+        const chunkInfo = { source: run.source, startTime: event.startTime, duration: event.duration, overlap: event.overlap };
+        const filename = fileNameForMimeType(event.mimeType);
+
+        let result;
+        try {
+            result = await this.transcriptionProvider.transcribe(new Blob([event.audio], { type: event.mimeType }), {
+                filename,
+                duration: event.duration,
+                language: this.language,
+                task: this.task
+            });
+        } catch (error) {
+            // Retries are used up (see api-client.js); a bad key or request fails every chunk
+            if (!error.retryable) throw error;
+            console.log(`❌ [FILE] Chunk at ${event.startTime}ms not transcribed:`, error.message);
+            run.failedChunks++;
+            return;
+        }
+
+        const stitched = run.stitcher.stitch(result.text, toCaptureTiming(result, chunkInfo), chunkInfo);
+        if (stitched.text.length === 0) return;
+        if (result.language) run.conversationLanguage = result.language;
+
+        const segment = {
+            text: stitched.text,
+            source: run.source,
+            language: result.language || undefined,
+            translated: this.task === 'translate' || undefined,
+            startTime: stitched.timing.startTime,
+            endTime: stitched.timing.endTime,
+            segments: stitched.timing.segments,
+            timestamp: run.startedAt + stitched.timing.endTime
+        };
+        run.segments.push(segment);
+        console.log(`📝 [FILE] ${segment.startTime}ms: ${segment.text}`);
+
+        if (run.coach) {
+            await this.coach(segment, run);
+        }
+    }
+
+    // Like analyzeForInterviewCoaching() in the renderer, except that every
+    // utterance the trigger accepts gets advice (nothing is live to fall behind)
+    async coach(segment, run) {
+        const { trigger, memory } = run.coach;
+        memory.add({ source: segment.source, text: segment.text, timestamp: segment.timestamp });
+        // Batch: let the summary catch up before it is used
+        if (memory.summarizing) await memory.summarizing;
+
+        const context = {
+            source: segment.source,
+            language: this.task === 'translate' ? 'en' : run.conversationLanguage,
+            history: memory.turns.slice(-4, -1)
+        };
+        let decision;
+        let strategy = trigger.name;
+        try {
+            decision = await trigger.evaluate(segment.text, context);
+        } catch (error) {
+            strategy = 'rules';
+            decision = await new RuleTrigger().evaluate(segment.text, context);
+        }
+        if (decision.confidence < this.trigger.threshold) return;
+
+        const prompt = createCoachingPrompt(this.promptTemplate, {
+            conversation: memory.context(),
+            utterance: segment.text,
+            source: segment.source,
+            session: { id: '', name: run.name, startedAt: run.startedAt },
+            outputLanguage: adviceLanguage({
+                task: this.task,
+                outputLanguage: this.outputLanguage,
+                conversationLanguage: run.conversationLanguage
+            })
+        });
+
+        try {
+            const { text } = await this.coachingProvider.complete([
+                { role: 'system', content: prompt.system },
+                { role: 'user', content: prompt.user }
+            ]);
+            if (!text.trim()) return;
+            run.coaching.push({
+                advice: text.trim(),
+                originalTranscription: segment.text,
+                captureTime: segment.endTime,
+                trigger: { strategy, confidence: decision.confidence, reason: decision.reason },
+                timestamp: segment.timestamp
+            });
+        } catch (error) {
+            console.error('❌ [FILE] Coaching error:', error.message);
+        }
+    }
+}
+
+module.exports = {
+    FileTranscriber
+};
@@ -0,0 +1,48 @@
+// Spoken languages
+//
+// Whisper's languages by ISO 639-1 code, with the name Whisper reports in a
+// verbose_json response (`"language": "german"`). Settings and messages use
+// the codes; languageCode() turns either form into one.
+
+const WHISPER_LANGUAGES = {
+    en: 'english', zh: 'chinese', de: 'german', es: 'spanish', ru: 'russian', ko: 'korean',
+    fr: 'french', ja: 'japanese', pt: 'portuguese', tr: 'turkish', pl: 'polish', ca: 'catalan',
+    nl: 'dutch', ar: 'arabic', sv: 'swedish', it: 'italian', id: 'indonesian', hi: 'hindi',
+    fi: 'finnish', vi: 'vietnamese', he: 'hebrew', uk: 'ukrainian', el: 'greek', ms: 'malay',
+    cs: 'czech', ro: 'romanian', da: 'danish', hu: 'hungarian', ta: 'tamil', no: 'norwegian',
+    th: 'thai', ur: 'urdu', hr: 'croatian', bg: 'bulgarian', lt: 'lithuanian', la: 'latin',
+    mi: 'maori', ml: 'malayalam', cy: 'welsh', sk: 'slovak', te: 'telugu', fa: 'persian',
+    lv: 'latvian', bn: 'bengali', sr: 'serbian', az: 'azerbaijani', sl: 'slovenian', kn: 'kannada',
+    et: 'estonian', mk: 'macedonian', br: 'breton', eu: 'basque', is: 'icelandic', hy: 'armenian',
+    ne: 'nepali', mn: 'mongolian', bs: 'bosnian', kk: 'kazakh', sq: 'albanian', sw: 'swahili',
+    gl: 'galician', mr: 'marathi', pa: 'punjabi', si: 'sinhala', km: 'khmer', sn: 'shona',
+    yo: 'yoruba', so: 'somali', af: 'afrikaans', oc: 'occitan', ka: 'georgian', be: 'belarusian',
+    tg: 'tajik', sd: 'sindhi', gu: 'gujarati', am: 'amharic', yi: 'yiddish', lo: 'lao',
+    uz: 'uzbek', fo: 'faroese', ht: 'haitian creole', ps: 'pashto', tk: 'turkmen', nn: 'nynorsk',
+    mt: 'maltese', sa: 'sanskrit', lb: 'luxembourgish', my: 'myanmar', bo: 'tibetan', tl: 'tagalog',
+    mg: 'malagasy', as: 'assamese', tt: 'tatar', haw: 'hawaiian', ln: 'lingala', ha: 'hausa',
+    ba: 'bashkir', jw: 'javanese', su: 'sundanese', yue: 'cantonese'
+};
+
+const LANGUAGE_CODES = Object.keys(WHISPER_LANGUAGES);
+
+// 'de', 'DE', 'german' or 'German' -> 'de'; anything else -> null
+function languageCode(value) {
+    if (typeof value !== 'string') return null;
+
+    const key = value.trim().toLowerCase();
+    if (WHISPER_LANGUAGES[key]) return key;
+    return LANGUAGE_CODES.find(code => WHISPER_LANGUAGES[code] === key) || null;
+}
+
+// 'de' -> 'German', for prompts and logs
+function languageName(code) {
+    const name = WHISPER_LANGUAGES[code] || code;
+    return name.replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+module.exports = {
+    LANGUAGE_CODES,
+    languageCode,
+    languageName
+};
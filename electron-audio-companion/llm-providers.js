@@ -0,0 +1,188 @@
+// Coaching (chat completion) providers
+//
+// Interview coaching only ever talks to the interface below, so the model can
+// run on OpenAI or on a local server from config.js (COACHING_PROVIDER):
+//
+//   provider.name          - short identifier used in logs
+//   provider.model         - model the requests go to
+//   provider.isReady()     - true when the provider can accept requests
+//   provider.complete(messages, options) -> Promise<{ text, finishReason }>
+//
+// `messages` are chat messages (`{ role, content }`). The completion streams:
+// options.onDelta(text) is called with each piece as it arrives, and the
+// promise resolves with the whole text once it is done. options.signal
+// cancels the request; options.onRetry is passed to fetchWithRetry;
+// options.maxTokens replaces the provider's limit for longer answers than
+// advice. Network providers reject with an ApiError (see api-client.js) on failure.
+
+const { fetchWithRetry, readEventStream } = require('./api-client');
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+// Any server with an OpenAI-style /chat/completions endpoint: llama.cpp
+// server, Ollama (http://localhost:11434/v1), vLLM, LM Studio, ...
+class OpenAICompatibleLLMProvider {
+    constructor(options = {}) {
+        this.name = options.name || 'openai-compatible';
+        this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+        this.apiKey = options.apiKey || '';
+        this.model = options.model || 'gpt-4o';
+        this.maxTokens = options.maxTokens || 150;
+        this.temperature = options.temperature !== undefined ? options.temperature : 0.3;
+        this.timeout = options.timeout || 15000;
+        this.retries = options.retries !== undefined ? options.retries : 3;
+    }
+
+    isReady() {
+        return this.baseUrl.length > 0 && this.model.length > 0;
+    }
+
+    async complete(messages, options = {}) {
+        const onDelta = options.onDelta || (() => {});
+        const label = `${this.name} coaching`;
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetchWithRetry(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model: this.model,
+                messages,
+                max_tokens: options.maxTokens || this.maxTokens,
+                temperature: this.temperature,
+                stream: true
+            })
+        }, {
+            label,
+            timeout: this.timeout,
+            retries: this.retries,
+            signal: options.signal,
+            onRetry: options.onRetry
+        });
+
+        // Some local servers ignore `stream` and answer in one piece
+        if (!(response.headers.get('content-type') || '').includes('text/event-stream')) {
+            const choice = (await response.json()).choices?.[0];
+            const text = choice?.message?.content || '';
+            if (text) onDelta(text);
+            return { text, finishReason: choice?.finish_reason || 'stop' };
+        }
+
+        let text = '';
+        let finishReason = null;
+        for await (const data of readEventStream(response, { idleTimeout: this.timeout, label })) {
+            if (data === '[DONE]') break;
+
+            const choice = JSON.parse(data).choices?.[0];
+            if (!choice) continue;
+
+            const delta = choice.delta?.content;
+            if (delta) {
+                text += delta;
+                onDelta(delta);
+            }
+            if (choice.finish_reason) finishReason = choice.finish_reason;
+        }
+
+        return { text, finishReason: finishReason || 'stop' };
+    }
+}
+
+class OpenAILLMProvider extends OpenAICompatibleLLMProvider {
+    constructor(options = {}) {
+        super({ ...options, name: 'openai', baseUrl: OPENAI_BASE_URL });
+    }
+
+    isReady() {
+        return this.apiKey.length > 0 && this.apiKey !== 'YOUR_OPENAI_API_KEY';
+    }
+}
+
+// Deterministic provider for tests and demos: streams the scripted responses
+// in order (cycling) word by word, or a line quoting the latest message
+class MockLLMProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.model = 'mock';
+        this.responses = options.responses || [];
+        this.delay = options.delay !== undefined ? options.delay : 20; // ms between deltas
+        this.callCount = 0;
+    }
+
+    isReady() {
+        return true;
+    }
+
+    async complete(messages, options = {}) {
+        const index = this.callCount++;
+        const lastMessage = messages[messages.length - 1];
+        const text = this.responses.length > 0
+            ? this.responses[index % this.responses.length]
+            : `mock coaching ${index + 1} for: ${lastMessage ? lastMessage.content.slice(0, 80) : ''}`;
+
+        const pieces = text.match(/\S+\s*/g) || [];
+        for (const piece of pieces) {
+            await new Promise(resolve => setTimeout(resolve, this.delay));
+            if (options.signal && options.signal.aborted) {
+                const error = new Error('mock coaching cancelled');
+                error.code = 'ABORTED';
+                throw error;
+            }
+            if (options.onDelta) options.onDelta(piece);
+        }
+
+        return { text, finishReason: 'stop' };
+    }
+}
+
+// COACHING_MODEL / _MAX_TOKENS / _TEMPERATURE, overridden per provider by
+// COACHING_PROVIDER_OPTIONS (e.g. { "openai-compatible": { "model": "llama3.1:8b" } })
+function coachingSettings(config, providerName) {
+    const overrides = (config.COACHING_PROVIDER_OPTIONS || {})[providerName] || {};
+    return {
+        model: overrides.model || config.COACHING_MODEL,
+        maxTokens: overrides.maxTokens || config.COACHING_MAX_TOKENS,
+        temperature: overrides.temperature !== undefined ? overrides.temperature : config.COACHING_TEMPERATURE,
+        timeout: config.API_REQUEST_TIMEOUT,
+        retries: config.API_MAX_RETRIES
+    };
+}
+
+function createLLMProvider(config) {
+    const providerName = (config.COACHING_PROVIDER || 'openai').toLowerCase();
+    const settings = coachingSettings(config, providerName);
+
+    switch (providerName) {
+        case 'openai':
+            return new OpenAILLMProvider({
+                ...settings,
+                apiKey: config.OPENAI_API_KEY
+            });
+
+        case 'openai-compatible':
+            return new OpenAICompatibleLLMProvider({
+                ...settings,
+                baseUrl: config.COACHING_BASE_URL,
+                apiKey: config.COACHING_API_KEY
+            });
+
+        case 'mock':
+            return new MockLLMProvider({
+                responses: config.MOCK_COACHING_RESPONSES
+            });
+
+        default:
+            throw new Error(`Unknown coaching provider: ${config.COACHING_PROVIDER}`);
+    }
+}
+
+module.exports = {
+    OpenAICompatibleLLMProvider,
+    OpenAILLMProvider,
+    MockLLMProvider,
+    createLLMProvider
+};
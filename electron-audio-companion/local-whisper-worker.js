@@ -0,0 +1,68 @@
+// Offline Whisper worker
+//
+// Runs a Whisper model through @xenova/transformers on its own thread so
+// inference never blocks audio capture. Models are only ever read from
+// `modelPath` - remote downloads are disabled, so nothing leaves the machine.
+//
+// Messages in:  { type: 'transcribe', id, audio: Float32Array (16 kHz mono), language, task }
+// Messages out: { type: 'ready' } | { type: 'result', id, text, segments } | { type: 'error', id, message }
+
+const { parentPort, workerData } = require('worker_threads');
+
+let transcriberPromise = null;
+
+function loadTranscriber() {
+    if (!transcriberPromise) {
+        transcriberPromise = (async () => {
+            // transformers.js is ESM-only
+            const { pipeline, env } = await import('@xenova/transformers');
+
+            env.localModelPath = workerData.modelPath;
+            env.allowLocalModels = true;
+            env.allowRemoteModels = false;
+            env.useBrowserCache = false;
+
+            return pipeline('automatic-speech-recognition', workerData.model, {
+                quantized: workerData.quantized
+            });
+        })();
+    }
+    return transcriberPromise;
+}
+
+async function transcribe({ id, audio, language, task }) {
+    try {
+        const transcriber = await loadTranscriber();
+        const options = { task: 'transcribe', chunk_length_s: 30, return_timestamps: true };
+
+        // English-only checkpoints reject the language and task options (and only hear English)
+        if (!workerData.model.endsWith('.en')) {
+            if (language) options.language = language;
+            if (task === 'translate') options.task = 'translate';
+        }
+
+        const output = await transcriber(audio, options);
+        const segments = (output.chunks || [])
+            .map(chunk => ({
+                start: chunk.timestamp[0],
+                // The last chunk may be open-ended
+                end: chunk.timestamp[1] !== null ? chunk.timestamp[1] : audio.length / 16000,
+                text: chunk.text.trim()
+            }))
+            .filter(segment => segment.text.length > 0);
+
+        parentPort.postMessage({ type: 'result', id, text: (output.text || '').trim(), segments });
+    } catch (error) {
+        parentPort.postMessage({ type: 'error', id, message: error.message });
+    }
+}
+
+parentPort.on('message', (message) => {
+    if (message.type === 'transcribe') {
+        transcribe(message);
+    }
+});
+
+loadTranscriber()
+    .then(() => parentPort.postMessage({ type: 'ready' }))
+    .catch(error => parentPort.postMessage({ type: 'error', id: null, message: error.message }));
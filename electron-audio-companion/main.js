@@ -1,6 +1,25 @@
-const { app, BrowserWindow, systemPreferences, shell, ipcMain } = require('electron');
+const { app, BrowserWindow, systemPreferences, shell, ipcMain, desktopCapturer, session } = require('electron');
+const os = require('os');
 const path = require('path');
 const WebSocket = require('ws');
+const { config, configStore } = require('./config');
+const protocol = require('./protocol');
+const { loadOrCreateAuthToken, verifyToken, isOriginAllowed, RateLimiter } = require('./auth');
+const audioFrames = require('./audio-frames');
+const { SessionStore } = require('./session-store');
+const { exportSession } = require('./transcript-export');
+const { Preferences } = require('./preferences');
+const { PromptTemplateStore, BUILT_IN_TEMPLATES } = require('./prompt-templates');
+const { SummaryTemplateStore } = require('./session-summary');
+const { FileTranscriber } = require('./file-transcriber');
+const { createTranscriptionProvider } = require('./transcription-providers');
+const { createLLMProvider } = require('./llm-providers');
+
+// A summary of a long session takes several model requests
+const SESSION_SUMMARY_TIMEOUT = 10 * 60 * 1000;
+// Stopping transcribes the tracks' last chunks and whatever is still queued,
+// each with the API's retries
+const CAPTURE_STOP_TIMEOUT = 2 * 60 * 1000;
 
 class CluelyAudioCompanion {
     constructor() {
@@ -8,14 +27,40 @@ class CluelyAudioCompanion {
         this.wsServer = null;
         this.audioStream = null;
         this.isCapturing = false;
-        this.swiftAppConnected = false;
-        this.connectedClients = [];
+        this.captureStarting = null; // Promise while startAudioCapture prepares the session
+        this.captureStopping = null; // Promise while stopAudioCapture waits for the renderer
+        this.authToken = null;
+        // ws -> connection state; protocolVersion/capabilities are negotiated via `hello`
+        this.clients = new Map();
+        this.audioStreamingEnabled = false;
+        this.sessionStore = null;
+        this.preferences = null;
+        this.promptTemplates = null;
+        this.summaryTemplates = null;
+        // Coaching prompt for this and later sessions, until another is selected
+        this.promptTemplateId = config.PROMPT_TEMPLATE;
+        // { strategy, threshold } chosen by a client; null follows COACHING_TRIGGER(_THRESHOLD)
+        this.coachingTrigger = null;
+        // { language, mode, outputLanguage } chosen by a client; null follows
+        // WHISPER_LANGUAGE, TRANSCRIPTION_MODE and COACHING_LANGUAGE
+        this.transcriptionLanguage = null;
+        // requestId -> { resolve, reject, timer } for requestRenderer()
+        this.rendererRequests = new Map();
+        this.nextRendererRequestId = 1;
     }
 
     async initialize() {
         console.log('🎤 Initializing Cluely Audio Companion...');
         
+        this.preferences = new Preferences(path.join(app.getPath('userData'), 'preferences.json'));
+        
+        // Every capture session is recorded to disk for later review
+        this.sessionStore = new SessionStore(config.SESSIONS_DIR || path.join(app.getPath('userData'), 'sessions'));
+        this.promptTemplates = new PromptTemplateStore(config.PROMPT_TEMPLATES_DIR || path.join(os.homedir(), '.cluely', 'prompts'));
+        this.summaryTemplates = new SummaryTemplateStore(config.SUMMARY_TEMPLATES_DIR || path.join(os.homedir(), '.cluely', 'summaries'));
+        
         // Create hidden window for audio capture
+        this.setupSystemAudioCapture();
         this.createWindow();
         
         // Setup WebSocket server for Swift communication
@@ -24,6 +69,9 @@ class CluelyAudioCompanion {
         // Setup IPC handlers
         this.setupIPC();
         
+        // Edits to the config file apply without a restart
+        configStore.watchFile(changed => this.applyConfigChanges(changed, 'file'));
+        
         console.log('✅ Audio companion ready');
     }
 
@@ -34,6 +82,7 @@ class CluelyAudioCompanion {
             show: false, // Hidden by default - background service
             webPreferences: {
                 nodeIntegration: true,
+                nodeIntegrationInWorker: true, // audio-pipeline-worker.js requires shared modules
                 contextIsolation: false,
                 enableRemoteModule: true
             },
@@ -63,78 +112,618 @@ class CluelyAudioCompanion {
         console.log('🪟 Background audio capture window created');
     }
 
+    // The renderer's getDisplayMedia() is answered with loopback audio of the
+    // whole system (Windows, macOS 13+). Linux uses a PulseAudio/PipeWire
+    // monitor source instead (see renderer-improved.js).
+    setupSystemAudioCapture() {
+        session.defaultSession.setDisplayMediaRequestHandler((request, callback) => {
+            desktopCapturer.getSources({ types: ['screen'] }).then(sources => {
+                callback({ video: sources[0], audio: 'loopback' });
+            }).catch(error => {
+                console.error('❌ System audio capture unavailable:', error.message);
+                callback({});
+            });
+        });
+    }
+
     setupWebSocketServer() {
-        // Create WebSocket server on port 8765 for Swift communication
-        this.wsServer = new WebSocket.Server({ port: 8765 });
+        this.authToken = loadOrCreateAuthToken({
+            token: config.COMPANION_AUTH_TOKEN,
+            tokenPath: config.COMPANION_AUTH_TOKEN_PATH
+        });
+        
+        // Loopback only by default; browsers may connect only from allowed origins
+        this.wsServer = new WebSocket.Server({
+            host: config.WEBSOCKET_HOST,
+            port: config.WEBSOCKET_PORT,
+            verifyClient: (info, callback) => {
+                if (isOriginAllowed(info.origin, config.WEBSOCKET_ALLOWED_ORIGINS)) {
+                    callback(true);
+                    return;
+                }
+                console.log(`🚫 Rejected WebSocket connection from origin ${info.origin}`);
+                callback(false, 403, 'Origin not allowed');
+            }
+        });
         
         this.wsServer.on('connection', (ws) => {
-            console.log('🔗 Swift app connected via WebSocket');
-            this.swiftAppConnected = true;
-            this.connectedClients.push(ws);
+            console.log('🔗 Client connected via WebSocket - awaiting authentication');
+            
+            const client = {
+                authenticated: false,
+                protocolVersion: protocol.PROTOCOL_VERSION,
+                capabilities: null,
+                rateLimiter: new RateLimiter(config.WEBSOCKET_RATE_LIMIT),
+                rateLimitViolations: 0,
+                audioSubscription: null, // { encoding, droppedFrames } once subscribed
+                authTimer: setTimeout(() => {
+                    this.rejectUnauthenticated(ws, 'Authentication timeout: send hello with token first');
+                }, config.WEBSOCKET_AUTH_TIMEOUT)
+            };
+            this.clients.set(ws, client);
             
             ws.on('message', async (message) => {
+                // Ignore anything still in flight after we closed the connection
+                if (ws.readyState !== WebSocket.OPEN) return;
+                
+                if (!client.rateLimiter.tryRemoveToken()) {
+                    this.handleRateLimited(ws, client);
+                    return;
+                }
+                client.rateLimitViolations = 0;
+                
+                let request = null;
+                try {
+                    request = protocol.parseClientMessage(message);
+                } catch (error) {
+                    if (!client.authenticated) {
+                        this.rejectUnauthenticated(ws, 'Authentication required: send hello with token first');
+                        return;
+                    }
+                    console.error('❌ Invalid message:', error.message);
+                    this.send(ws, protocol.createErrorMessage(error, error.details && error.details.id));
+                    return;
+                }
+                
+                if (request.type === 'hello' && !verifyToken(request.token, this.authToken)) {
+                    this.rejectUnauthenticated(ws, 'Invalid auth token', request.id);
+                    return;
+                }
+                
+                if (!client.authenticated && request.type !== 'hello') {
+                    this.rejectUnauthenticated(ws, 'Authentication required: send hello with token first', request.id);
+                    return;
+                }
+                
                 try {
-                    const data = JSON.parse(message);
-                    await this.handleSwiftMessage(data, ws);
+                    await this.handleClientMessage(request, ws);
                 } catch (error) {
-                    console.error('❌ Error processing message:', error);
-                    ws.send(JSON.stringify({ 
-                        type: 'error', 
-                        message: error.message 
-                    }));
+                    console.error('❌ Error processing message:', error.message);
+                    this.send(ws, protocol.createErrorMessage(error, request.id));
                 }
             });
             
             ws.on('close', () => {
-                console.log('🔌 Swift app disconnected');
-                this.swiftAppConnected = false;
-                this.connectedClients = this.connectedClients.filter(client => client !== ws);
+                console.log('🔌 Client disconnected');
+                clearTimeout(client.authTimer);
+                this.clients.delete(ws);
+                this.updateAudioStreaming();
             });
-            
-            // Send initial status
-            ws.send(JSON.stringify({ 
-                type: 'status', 
-                ready: true,
-                permissions: {
-                    microphone: systemPreferences.getMediaAccessStatus('microphone'),
-                    camera: systemPreferences.getMediaAccessStatus('camera')
-                }
-            }));
         });
 
-        console.log('🌐 WebSocket server listening on port 8765');
+        console.log(`🌐 WebSocket server listening on ${config.WEBSOCKET_HOST}:${config.WEBSOCKET_PORT}`);
+    }
+
+    rejectUnauthenticated(ws, reason, replyTo) {
+        console.log(`🚫 Closing unauthenticated connection: ${reason}`);
+        this.send(ws, protocol.createMessage('error', {
+            code: protocol.ERROR_CODES.UNAUTHENTICATED,
+            message: reason
+        }, replyTo));
+        ws.close(protocol.CLOSE_CODES.UNAUTHENTICATED, reason);
     }
 
-    async handleSwiftMessage(data, ws) {
-        console.log('📨 Received from Swift:', data.type);
+    handleRateLimited(ws, client) {
+        client.rateLimitViolations++;
         
-        switch (data.type) {
+        if (client.rateLimitViolations >= config.WEBSOCKET_MAX_RATE_LIMIT_VIOLATIONS) {
+            console.log('🚫 Closing connection that keeps exceeding the command rate limit');
+            ws.close(protocol.CLOSE_CODES.RATE_LIMITED, 'Rate limit exceeded');
+            return;
+        }
+        
+        this.send(ws, protocol.createMessage('error', {
+            code: protocol.ERROR_CODES.RATE_LIMITED,
+            message: 'Too many commands - message dropped'
+        }));
+    }
+
+    send(ws, message) {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    }
+
+    // Send an event to every client that negotiated the matching capability
+    broadcast(type, payload) {
+        const message = protocol.createMessage(type, payload);
+        const capability = protocol.capabilityForEvent(type);
+        const serialized = JSON.stringify(message);
+        
+        this.clients.forEach((client, ws) => {
+            if (!client.authenticated) return;
+            if (capability && client.capabilities && !client.capabilities.includes(capability)) return;
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(serialized);
+            }
+        });
+    }
+
+    async handleClientMessage(request, ws) {
+        console.log('📨 Received from client:', request.type);
+        
+        switch (request.type) {
+            case 'hello':
+                this.handleHello(request, ws);
+                break;
+                
             case 'requestPermissions':
-                await this.requestPermissions(ws);
+                await this.requestPermissions(ws, request);
                 break;
                 
             case 'startAudioCapture':
-                await this.startAudioCapture(ws);
+                await this.startAudioCapture(ws, request);
                 break;
                 
             case 'stopAudioCapture':
-                await this.stopAudioCapture(ws);
+                await this.stopAudioCapture(ws, request);
                 break;
                 
             case 'getPermissionStatus':
-                this.sendPermissionStatus(ws);
+                this.sendPermissionStatus(ws, request);
                 break;
                 
-            case 'ping':
-                ws.send(JSON.stringify({ type: 'pong' }));
+            case 'subscribeAudio':
+                this.subscribeAudio(request, ws);
+                break;
+                
+            case 'unsubscribeAudio':
+                this.clients.get(ws).audioSubscription = null;
+                this.updateAudioStreaming();
+                this.send(ws, protocol.createMessage('audioUnsubscribed', {}, request.id));
                 break;
                 
-            default:
-                console.log('❓ Unknown message type:', data.type);
+            case 'listSessions':
+                this.send(ws, protocol.createMessage('sessions', {
+                    sessions: await this.sessionStore.listSessions()
+                }, request.id));
+                break;
+                
+            case 'getSession':
+                this.send(ws, protocol.createMessage('session', {
+                    session: await this.sessionStore.getSession(request.sessionId)
+                }, request.id));
+                break;
+                
+            case 'renameSession':
+                await this.sessionStore.renameSession(request.sessionId, request.name);
+                if (request.sessionId === this.sessionStore.activeSessionId) {
+                    await this.sendPromptTemplate();
+                }
+                this.send(ws, protocol.createMessage('sessionRenamed', {
+                    sessionId: request.sessionId,
+                    name: request.name
+                }, request.id));
+                break;
+                
+            case 'deleteSession':
+                await this.sessionStore.deleteSession(request.sessionId);
+                console.log(`🗑️ Deleted session ${request.sessionId}`);
+                this.send(ws, protocol.createMessage('sessionDeleted', {
+                    sessionId: request.sessionId
+                }, request.id));
+                break;
+                
+            case 'listAudioDevices': {
+                const devices = await this.requestRenderer('listAudioDevices');
+                const selected = this.preferences.get('audioInputDevice');
+                this.send(ws, protocol.createMessage('audioDevices', {
+                    devices,
+                    selectedDeviceId: selected ? selected.deviceId : null
+                }, request.id));
+                break;
+            }
+                
+            case 'selectAudioDevice': {
+                const device = await this.requestRenderer('selectAudioDevice', { deviceId: request.deviceId });
+                this.preferences.set('audioInputDevice', device);
+                this.send(ws, protocol.createMessage('audioDeviceSelected', { device }, request.id));
+                break;
+            }
+                
+            case 'exportSession': {
+                const session = await this.sessionStore.getSession(request.sessionId);
+                this.send(ws, protocol.createMessage('sessionExport', {
+                    sessionId: request.sessionId,
+                    format: request.format,
+                    ...exportSession(session, request.format)
+                }, request.id));
+                break;
+            }
+                
+            case 'getConfig':
+                this.send(ws, protocol.createMessage('config', configStore.snapshot(), request.id));
+                break;
+                
+            case 'setConfig': {
+                const errors = configStore.validateChanges(request.values);
+                if (errors.length > 0) {
+                    throw new protocol.ProtocolError(protocol.ERROR_CODES.INVALID_MESSAGE, 'Invalid config values', { errors });
+                }
+                this.applyConfigChanges(configStore.set(request.values), 'runtime');
+                this.send(ws, protocol.createMessage('config', configStore.snapshot(), request.id));
+                break;
+            }
+                
+            case 'cancelCoaching': {
+                const cancelled = await this.requestRenderer('cancelCoaching', { coachingId: request.coachingId });
+                this.send(ws, protocol.createMessage('coachingCancelled', cancelled, request.id));
+                break;
+            }
+                
+            case 'listPromptTemplates':
+                this.send(ws, protocol.createMessage('promptTemplates', {
+                    templates: await this.promptTemplates.list(),
+                    selectedTemplateId: this.promptTemplateId
+                }, request.id));
+                break;
+                
+            case 'selectPromptTemplate': {
+                const template = await this.promptTemplates.get(request.templateId);
+                this.promptTemplateId = template.id;
+                console.log(`📝 [PROMPTS] Coaching with template ${template.id}`);
+                
+                const sessionId = this.sessionStore.activeSessionId || undefined;
+                if (sessionId) {
+                    await this.sessionStore.recordPromptTemplate(template.id);
+                    await this.sendPromptTemplate(template);
+                }
+                this.send(ws, protocol.createMessage('promptTemplateSelected', {
+                    templateId: template.id,
+                    sessionId
+                }, request.id));
+                break;
+            }
+                
+            case 'setTranscriptionLanguage': {
+                // Fields left out keep their current value
+                this.transcriptionLanguage = { ...this.transcriptionLanguageSettings() };
+                ['language', 'mode', 'outputLanguage'].forEach(key => {
+                    if (request[key] !== undefined) this.transcriptionLanguage[key] = request[key];
+                });
+                const settings = this.transcriptionLanguage;
+                console.log(`🌐 [LANGUAGE] ${settings.mode} ${settings.language}, advice in ${settings.outputLanguage}`);
+                this.sendToRenderer('transcriptionLanguage', settings);
+                
+                const sessionId = this.sessionStore.activeSessionId || undefined;
+                if (sessionId) {
+                    await this.sessionStore.recordTranscriptionLanguage(settings);
+                }
+                this.send(ws, protocol.createMessage('transcriptionLanguage', {
+                    ...settings,
+                    sessionId
+                }, request.id));
+                break;
+            }
+                
+            case 'selectCoachingTrigger': {
+                this.coachingTrigger = {
+                    strategy: request.strategy,
+                    threshold: request.threshold !== undefined ? request.threshold : config.COACHING_TRIGGER_THRESHOLD
+                };
+                console.log(`🎓 [TRIGGER] Coaching trigger ${this.coachingTrigger.strategy} at ${this.coachingTrigger.threshold}`);
+                this.sendToRenderer('coachingTrigger', this.coachingTrigger);
+                
+                const sessionId = this.sessionStore.activeSessionId || undefined;
+                if (sessionId) {
+                    await this.sessionStore.recordCoachingTrigger(this.coachingTrigger);
+                }
+                this.send(ws, protocol.createMessage('coachingTriggerSelected', {
+                    ...this.coachingTrigger,
+                    sessionId
+                }, request.id));
+                break;
+            }
+                
+            case 'previewPrompt': {
+                const template = request.templateId
+                    ? await this.promptTemplates.get(request.templateId)
+                    : await this.loadPromptTemplate();
+                const prompt = await this.requestRenderer('previewPrompt', {
+                    template,
+                    utterance: request.utterance,
+                    source: request.source
+                });
+                this.send(ws, protocol.createMessage('promptPreview', {
+                    templateId: template.id,
+                    ...prompt
+                }, request.id));
+                break;
+            }
+                
+            case 'listSummaryTemplates':
+                this.send(ws, protocol.createMessage('summaryTemplates', {
+                    templates: await this.summaryTemplates.list(),
+                    defaultTemplateId: config.SESSION_SUMMARY_TEMPLATE
+                }, request.id));
+                break;
+                
+            case 'summarizeSession': {
+                const summary = await this.summarizeSession(request.sessionId, request.templateId);
+                this.send(ws, protocol.createMessage('sessionSummary', {
+                    sessionId: request.sessionId,
+                    summary
+                }, request.id));
+                break;
+            }
+                
+            case 'transcribeFile': {
+                const result = await this.transcribeFile(request, ws);
+                this.send(ws, protocol.createMessage('fileTranscribed', result, request.id));
+                break;
+            }
+                
+            case 'ping':
+                this.send(ws, protocol.createMessage('pong', {}, request.id));
+                break;
+        }
+    }
+
+    // Hand changed live settings to the audio window (pipelines, transcription,
+    // coaching pick them up mid-capture) and tell every client
+    applyConfigChanges(changed, origin) {
+        if (Object.keys(changed).length === 0) return;
+        
+        console.log(`⚙️ [CONFIG] ${origin} change: ${Object.keys(changed).join(', ')}`);
+        this.sendToRenderer('configChanged', changed);
+        this.broadcast('configChanged', { changed, origin });
+    }
+
+    // Selected language settings, or the config ones ('' there is 'auto' here)
+    transcriptionLanguageSettings() {
+        return this.transcriptionLanguage || {
+            language: config.WHISPER_LANGUAGE || 'auto',
+            mode: config.TRANSCRIPTION_MODE,
+            outputLanguage: config.COACHING_LANGUAGE || 'auto'
+        };
+    }
+
+    // The selected coaching template; if its file was removed or broken since it
+    // was selected, coaching carries on with the built-in one
+    async loadPromptTemplate() {
+        try {
+            return await this.promptTemplates.get(this.promptTemplateId);
+        } catch (error) {
+            console.warn(`⚠️ [PROMPTS] ${error.message} - using interview-coach`);
+            return { id: 'interview-coach', ...BUILT_IN_TEMPLATES['interview-coach'] };
+        }
+    }
+
+    // Give the audio window the template and session details coaching prompts are rendered with
+    async sendPromptTemplate(template) {
+        const sessionId = this.sessionStore.activeSessionId;
+        const session = sessionId ? await this.sessionStore.getSession(sessionId) : null;
+        
+        this.sendToRenderer('promptTemplate', {
+            template: template || await this.loadPromptTemplate(),
+            session: session ? { id: session.id, name: session.name, startedAt: session.startedAt } : null
+        });
+    }
+
+    // Summarize a stored session with the coaching model and save the summary with it
+    async summarizeSession(sessionId, templateId) {
+        if (sessionId === this.sessionStore.activeSessionId) {
+            throw new protocol.ProtocolError(protocol.ERROR_CODES.CONFLICT, 'Cannot summarize the session that is currently recording');
+        }
+        const template = await this.summaryTemplates.get(templateId || config.SESSION_SUMMARY_TEMPLATE);
+        const session = await this.sessionStore.getSession(sessionId);
+        if (session.segments.length === 0) {
+            throw new protocol.ProtocolError(protocol.ERROR_CODES.CONFLICT, `Session ${sessionId} has no transcript to summarize`);
+        }
+        
+        console.log(`📋 [SUMMARY] Summarizing session ${sessionId} with ${template.id}...`);
+        const summary = await this.requestRenderer('summarizeSession', { template, session }, SESSION_SUMMARY_TIMEOUT);
+        await this.sessionStore.recordSummary(sessionId, summary);
+        console.log(`✅ [SUMMARY] Session ${sessionId} summarized`);
+        return summary;
+    }
+    
+    // Transcribe (and optionally coach) a recording on this machine into a new
+    // stored session; runs here in the main process, beside any live capture
+    async transcribeFile(request, ws) {
+        const settings = this.transcriptionLanguageSettings();
+        const language = request.language || settings.language;
+        const outputLanguage = request.outputLanguage || settings.outputLanguage;
+        const transcriptionProvider = createTranscriptionProvider(config);
+        const coachingProvider = request.coaching ? createLLMProvider(config) : null;
+        
+        try {
+            const transcriber = new FileTranscriber({
+                config,
+                transcriptionProvider,
+                coachingProvider,
+                promptTemplate: request.coaching
+                    ? (request.templateId ? await this.promptTemplates.get(request.templateId) : await this.loadPromptTemplate())
+                    : undefined,
+                trigger: this.coachingTrigger || undefined,
+                language: language === 'auto' ? '' : language,
+                task: request.mode || settings.mode,
+                outputLanguage: outputLanguage === 'auto' ? '' : outputLanguage,
+                onProgress: progress => {
+                    this.send(ws, protocol.createMessage('fileTranscriptionProgress', {
+                        file: request.path,
+                        ...progress
+                    }, request.id));
+                }
+            });
+            console.log(`📂 [FILE] Transcribing ${request.path}...`);
+            const result = await transcriber.transcribe(request.path, {
+                source: request.source,
+                name: request.name
+            });
+            
+            const sessionId = await this.sessionStore.writeSession(config, result);
+            console.log(`💾 [FILE] ${request.path} saved as session ${sessionId}`);
+            if (config.SESSION_SUMMARY_ENABLED && result.segments.length > 0) {
+                this.summarizeSession(sessionId)
+                    .then(summary => this.broadcast('sessionSummary', { sessionId, summary }))
+                    .catch(error => {
+                        console.error(`❌ [SUMMARY] Session ${sessionId}:`, error.message);
+                        this.broadcast('sessionSummaryFailed', { sessionId, message: error.message });
+                    });
+            }
+            
+            return {
+                sessionId,
+                file: result.file,
+                duration: result.duration,
+                segmentCount: result.segments.length,
+                coachingCount: result.coaching.length,
+                failedChunks: result.failedChunks
+            };
+        } finally {
+            if (transcriptionProvider.dispose) transcriptionProvider.dispose();
+            if (coachingProvider && coachingProvider.dispose) coachingProvider.dispose();
         }
     }
+    
+    // Ask the renderer for something and wait for its 'rendererReply'
+    requestRenderer(channel, payload = {}, timeout = 5000) {
+        const requestId = this.nextRendererRequestId++;
+        
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.rendererRequests.delete(requestId);
+                reject(new Error(`Audio window did not answer ${channel}`));
+            }, timeout);
+            
+            this.rendererRequests.set(requestId, { resolve, reject, timer });
+            if (!this.sendToRenderer(channel, { requestId, ...payload })) {
+                clearTimeout(timer);
+                this.rendererRequests.delete(requestId);
+                reject(new Error(`Audio window is closed, cannot ${channel}`));
+            }
+        });
+    }
+    
+    // Send to the audio window unless it is gone: clients can still disconnect
+    // (and settings change) while the app quits -> whether it was sent
+    sendToRenderer(channel, ...args) {
+        if (!this.window || this.window.isDestroyed()) return false;
+        this.window.webContents.send(channel, ...args);
+        return true;
+    }
 
-    async requestPermissions(ws) {
+    handleRendererReply(reply) {
+        const pending = this.rendererRequests.get(reply.requestId);
+        if (!pending) return;
+        
+        clearTimeout(pending.timer);
+        this.rendererRequests.delete(reply.requestId);
+        
+        if (reply.error) {
+            const error = new Error(reply.error.message);
+            error.code = reply.error.code;
+            pending.reject(error);
+        } else {
+            pending.resolve(reply.result);
+        }
+    }
+
+    subscribeAudio(request, ws) {
+        const encoding = request.encoding || 'pcm_s16le';
+        this.clients.get(ws).audioSubscription = { encoding, droppedFrames: 0 };
+        console.log(`🔊 Client subscribed to live audio (${encoding})`);
+        
+        this.send(ws, protocol.createMessage('audioSubscribed', {
+            encoding,
+            frameVersion: audioFrames.FRAME_VERSION,
+            frameHeaderBytes: audioFrames.FRAME_HEADER_BYTES
+        }, request.id));
+        this.updateAudioStreaming();
+    }
+
+    // Only ask the renderer for raw PCM while someone is listening
+    updateAudioStreaming() {
+        const hasSubscribers = [...this.clients.values()].some(client => client.audioSubscription);
+        if (hasSubscribers === this.audioStreamingEnabled) return;
+        
+        this.audioStreamingEnabled = hasSubscribers;
+        this.sendToRenderer('setAudioStreaming', hasSubscribers);
+    }
+
+    // Send one capture block to every audio subscriber as a binary frame
+    streamAudioFrame(audioData) {
+        const payloads = {};
+        
+        this.clients.forEach((client, ws) => {
+            const subscription = client.audioSubscription;
+            if (!subscription || ws.readyState !== WebSocket.OPEN) return;
+            
+            // Drop frames for clients that can't keep up instead of buffering without bound
+            if (ws.bufferedAmount > config.AUDIO_STREAM_MAX_BUFFERED_BYTES) {
+                subscription.droppedFrames++;
+                return;
+            }
+            
+            if (!payloads[subscription.encoding]) {
+                const payload = audioFrames.encodePCMPayload(audioData.samples, subscription.encoding);
+                payloads[subscription.encoding] = audioFrames.encodeAudioFrame({
+                    encoding: subscription.encoding,
+                    sequence: audioData.sequence,
+                    timestamp: audioData.timestamp,
+                    sampleRate: audioData.sampleRate,
+                    channels: audioData.channels,
+                    streamId: audioData.streamId
+                }, payload);
+            }
+            ws.send(payloads[subscription.encoding], { binary: true });
+        });
+    }
+
+    handleHello(request, ws) {
+        const client = this.clients.get(ws);
+        const negotiated = protocol.negotiate(request);
+        const isFirstHello = !client.authenticated;
+        
+        client.authenticated = true;
+        client.protocolVersion = negotiated.protocolVersion;
+        client.capabilities = negotiated.capabilities;
+        clearTimeout(client.authTimer);
+        
+        const clientName = request.client && request.client.name ? request.client.name : 'unknown client';
+        console.log(`🤝 ${clientName} negotiated protocol v${negotiated.protocolVersion} [${negotiated.capabilities.join(', ')}]`);
+        
+        this.send(ws, protocol.createMessage('welcome', {
+            protocolVersion: negotiated.protocolVersion,
+            capabilities: negotiated.capabilities,
+            server: { name: app.getName(), version: app.getVersion() }
+        }, request.id));
+        
+        if (isFirstHello) {
+            // Send initial status
+            this.send(ws, protocol.createMessage('status', {
+                ready: true,
+                protocolVersions: protocol.SUPPORTED_PROTOCOL_VERSIONS,
+                permissions: {
+                    microphone: systemPreferences.getMediaAccessStatus('microphone'),
+                    camera: systemPreferences.getMediaAccessStatus('camera')
+                }
+            }));
+        }
+    }
+
+    async requestPermissions(ws, request) {
         console.log('🔑 Requesting permissions...');
         
         try {
@@ -147,12 +736,11 @@ class CluelyAudioCompanion {
             console.log('📷 Camera permission:', cameraGranted ? 'granted' : 'denied');
             
             // Send results back to Swift
-            ws.send(JSON.stringify({
-                type: 'permissionsResult',
+            this.send(ws, protocol.createMessage('permissionsResult', {
                 microphone: micGranted,
                 camera: cameraGranted,
                 success: micGranted
-            }));
+            }, request.id));
             
             // If permissions denied, guide user to settings
             if (!micGranted) {
@@ -161,22 +749,20 @@ class CluelyAudioCompanion {
             
         } catch (error) {
             console.error('❌ Permission request error:', error);
-            ws.send(JSON.stringify({
-                type: 'permissionsResult',
+            this.send(ws, protocol.createMessage('permissionsResult', {
                 error: error.message,
                 success: false
-            }));
+            }, request.id));
         }
     }
 
-    sendPermissionStatus(ws) {
-        const status = {
-            type: 'permissionStatus',
+    sendPermissionStatus(ws, request) {
+        const status = protocol.createMessage('permissionStatus', {
             microphone: systemPreferences.getMediaAccessStatus('microphone'),
             camera: systemPreferences.getMediaAccessStatus('camera')
-        };
+        }, request.id);
         
-        ws.send(JSON.stringify(status));
+        this.send(ws, status);
         console.log('📊 Sent permission status:', status);
     }
 
@@ -188,8 +774,7 @@ class CluelyAudioCompanion {
                 // Open macOS privacy settings
                 await shell.openExternal('x-apple.systempreferences:com.apple.preference.security?Privacy_Microphone');
                 
-                ws.send(JSON.stringify({
-                    type: 'settingsOpened',
+                this.send(ws, protocol.createMessage('settingsOpened', {
                     message: 'Please enable microphone access and restart the app'
                 }));
             }
@@ -198,144 +783,273 @@ class CluelyAudioCompanion {
         }
     }
 
-    async startAudioCapture(ws) {
+    async startAudioCapture(ws, request) {
+        // The previous session must be closed before the next one opens
+        if (this.captureStopping) await this.captureStopping;
+        
         if (this.isCapturing) {
             console.log('🎤 Already capturing audio');
+            this.send(ws, protocol.createMessage('audioCaptureStarted', {
+                success: true,
+                alreadyCapturing: true,
+                sessionId: this.sessionStore.activeSessionId || undefined
+            }, request.id));
             return;
         }
 
         console.log('🎤 Starting audio capture...');
+        this.isCapturing = true;
+        
+        let sessionId = null;
+        const starting = (async () => {
+            // The session first: the renderer is only told to capture once there is one to record into
+            sessionId = await this.sessionStore.startSession(config);
+            const template = await this.loadPromptTemplate();
+            await this.sessionStore.recordPromptTemplate(template.id);
+            await this.sendPromptTemplate(template);
+            await this.sessionStore.recordCoachingTrigger(this.coachingTrigger || {
+                strategy: config.COACHING_TRIGGER,
+                threshold: config.COACHING_TRIGGER_THRESHOLD
+            });
+            await this.sessionStore.recordTranscriptionLanguage(this.transcriptionLanguageSettings());
+            
+            // Start audio capture in the renderer on the saved microphone
+            this.sendToRenderer('startAudioCapture', {
+                device: this.preferences.get('audioInputDevice')
+            });
+        })();
+        // stopAudioCapture waits for this
+        this.captureStarting = starting.catch(() => {});
         
         try {
-            // Send message to renderer to start audio capture
-            this.window.webContents.send('startAudioCapture');
-            this.isCapturing = true;
+            await starting;
             
-            ws.send(JSON.stringify({
-                type: 'audioCaptureStarted',
-                success: true
-            }));
+            this.send(ws, protocol.createMessage('audioCaptureStarted', {
+                success: true,
+                sessionId
+            }, request.id));
             
             console.log('✅ Audio capture started');
             
         } catch (error) {
             console.error('❌ Audio capture error:', error);
             this.isCapturing = false;
+            if (sessionId) {
+                await this.sessionStore.endSession().catch(() => {});
+            }
             
-            ws.send(JSON.stringify({
-                type: 'audioCaptureError',
+            this.send(ws, protocol.createMessage('audioCaptureError', {
                 error: error.message
-            }));
+            }, request.id));
+        } finally {
+            this.captureStarting = null;
         }
     }
 
-    async stopAudioCapture(ws) {
+    async stopAudioCapture(ws, request) {
+        // Let a start in progress finish first, so it cannot begin capture after this
+        if (this.captureStarting) await this.captureStarting;
+        if (this.captureStopping) await this.captureStopping;
+        
         if (!this.isCapturing) {
             console.log('🛑 Not currently capturing');
+            this.send(ws, protocol.createMessage('audioCaptureStopped', {
+                success: true,
+                notCapturing: true
+            }, request.id));
             return;
         }
 
         console.log('🛑 Stopping audio capture...');
+        this.isCapturing = false;
+        
+        const stopping = (async () => {
+            const sessionId = this.sessionStore.activeSessionId;
+            let drained = false;
+            try {
+                // The renderer answers once the tracks' last chunks and the queue are
+                // transcribed; their transcriptionResults arrive before the answer
+                const stopped = await this.requestRenderer('stopAudioCapture', {}, CAPTURE_STOP_TIMEOUT);
+                console.log(`🛑 Renderer stopped: ${stopped.transcribed} chunks transcribed at stop, ${stopped.dropped} dropped`);
+                drained = true;
+            } catch (error) {
+                console.error('⚠️ Audio window did not finish stopping - closing the session without the rest:', error.message);
+            }
+            
+            // Capture has stopped even if the session's last record cannot be written;
+            // the records queued before this one are written when it resolves
+            await this.sessionStore.endSession().catch(() => {});
+            return { sessionId, drained };
+        })();
+        this.captureStopping = stopping;
         
         try {
-            this.window.webContents.send('stopAudioCapture');
-            this.isCapturing = false;
+            const { sessionId, drained } = await stopping;
             
-            ws.send(JSON.stringify({
-                type: 'audioCaptureStopped',
-                success: true
-            }));
+            this.send(ws, protocol.createMessage('audioCaptureStopped', {
+                success: true,
+                sessionId: sessionId || undefined
+            }, request.id));
             
             console.log('✅ Audio capture stopped');
             
+            // Every client gets the summary once the model has written it. Without
+            // the renderer's answer the transcript may lack its end, and the renderer
+            // (which writes summaries) is not answering: summarizeSession can do it later
+            if (sessionId && config.SESSION_SUMMARY_ENABLED && !drained) {
+                this.broadcast('sessionSummaryFailed', {
+                    sessionId,
+                    message: 'Capture did not stop cleanly, so the transcript may be incomplete; use summarizeSession to summarize it'
+                });
+            } else if (sessionId && config.SESSION_SUMMARY_ENABLED) {
+                this.summarizeSession(sessionId)
+                    .then(summary => this.broadcast('sessionSummary', { sessionId, summary }))
+                    .catch(error => {
+                        // Nothing was said
+                        if (error.code === protocol.ERROR_CODES.CONFLICT) return;
+                        console.error(`❌ [SUMMARY] Session ${sessionId} not summarized:`, error.message);
+                        this.broadcast('sessionSummaryFailed', { sessionId, message: error.message });
+                    });
+            }
+            
         } catch (error) {
             console.error('❌ Stop capture error:', error);
+        } finally {
+            this.captureStopping = null;
         }
     }
 
     setupIPC() {
-        // Handle audio data from renderer
+        ipcMain.on('rendererReply', (event, reply) => {
+            this.handleRendererReply(reply);
+        });
+
+        // Microphone re-opened after hot-plug or selection
+        ipcMain.on('deviceChanged', (event, change) => {
+            console.log(`🎧 Microphone ${change.reason}: ${change.device ? change.device.label : 'none available'}`);
+            
+            this.broadcast('deviceChanged', {
+                reason: change.reason,
+                device: change.device,
+                previousDevice: change.previousDevice,
+                timestamp: change.timestamp
+            });
+        });
+
+        // Handle raw capture blocks from renderer (only sent while clients are subscribed)
         ipcMain.on('audioData', (event, audioData) => {
-            if (this.swiftAppConnected) {
-                // Forward audio data to Swift app
-                this.connectedClients.forEach(client => {
-                    if (client.readyState === WebSocket.OPEN) {
-                        client.send(JSON.stringify({
-                            type: 'audioData',
-                            data: audioData,
-                            timestamp: Date.now()
-                        }));
-                    }
-                });
-            }
+            this.streamAudioFrame(audioData);
         });
 
-        // Handle transcription results from renderer
+        // Handle transcription results from renderer; startTime/endTime/segments
+        // are ms since capture start
         ipcMain.on('transcriptionResult', (event, transcription) => {
-            console.log('📝 Transcription:', transcription);
+            console.log(`📝 Transcription (${transcription.source}):`, transcription.text);
+            
+            const segment = {
+                text: transcription.text,
+                source: transcription.source,
+                language: transcription.language,
+                translated: transcription.translated,
+                startTime: transcription.startTime,
+                endTime: transcription.endTime,
+                segments: transcription.segments,
+                timestamp: Date.now()
+            };
+            // A record that could not be written is logged by the store; capture goes on
+            this.sessionStore.recordSegment(segment).catch(() => {});
             
             // Send to all connected Swift apps
-            this.connectedClients.forEach(ws => {
-                if (ws.readyState === WebSocket.OPEN) {
-                    ws.send(JSON.stringify({
-                        type: 'transcription',
-                        text: transcription,
-                        timestamp: Date.now()
-                    }));
-                }
+            this.broadcast('transcription', {
+                ...segment,
+                sessionId: this.sessionStore.activeSessionId || undefined
             });
         });
 
         // NEW: Handle real-time voice activity updates
         ipcMain.on('voiceActivityUpdate', (event, activityData) => {
-            console.log(`🎤 [REAL-TIME] Voice activity: ${activityData.type}`);
+            // Level updates arrive every 100ms per track; only log transitions
+            if (activityData.type !== 'level') {
+                console.log(`🎤 [REAL-TIME] Voice activity: ${activityData.type} (${activityData.source})`);
+            }
             
             // Send real-time voice activity to Swift apps
-            this.connectedClients.forEach(ws => {
-                if (ws.readyState === WebSocket.OPEN) {
-                    ws.send(JSON.stringify({
-                        type: 'voiceActivity',
-                        activity: activityData.type,
-                        level: activityData.level,
-                        duration: activityData.duration,
-                        timestamp: activityData.timestamp
-                    }));
-                }
+            this.broadcast('voiceActivity', {
+                activity: activityData.type,
+                source: activityData.source,
+                probability: activityData.probability,
+                level: activityData.level,
+                duration: activityData.duration,
+                time: activityData.time,
+                timestamp: activityData.timestamp
             });
         });
 
-        // NEW: Handle streaming transcription chunks
+        // Transcription/coaching API health (retrying, behind, failing) for every client
+        ipcMain.on('serviceStatus', (event, status) => {
+            console.log(`🩺 [STATUS] ${status.service} ${status.state}: ${status.message}`);
+            this.broadcast('serviceStatus', { ...status, timestamp: Date.now() });
+        });
+
+        // NEW: Live captions - partial hypotheses while someone speaks, then the final text
         ipcMain.on('streamingTranscription', (event, streamData) => {
-            console.log(`🌊 [STREAMING] Partial transcription: "${streamData.text}"`);
+            console.log(`🌊 [STREAMING] ${streamData.partial ? 'Partial' : 'Final'} ${streamData.source} caption: "${streamData.text}"`);
             
             // Send streaming transcription to Swift apps
-            this.connectedClients.forEach(ws => {
-                if (ws.readyState === WebSocket.OPEN) {
-                    ws.send(JSON.stringify({
-                        type: 'streamingTranscription',
-                        text: streamData.text,
-                        partial: streamData.partial,
-                        context: streamData.context,
-                        timestamp: Date.now()
-                    }));
-                }
+            this.broadcast('streamingTranscription', {
+                text: streamData.text,
+                partial: streamData.partial,
+                stableText: streamData.stableText,
+                unstableText: streamData.unstableText,
+                source: streamData.source,
+                windowStart: streamData.windowStart,
+                endTime: streamData.endTime,
+                context: streamData.context,
+                timestamp: Date.now()
             });
         });
 
-        // Handle interview coaching from renderer
-        ipcMain.on('interviewCoaching', (event, coachingData) => {
-            console.log('🎓 Interview Coaching:', coachingData.advice);
+        // Interview coaching streams from the renderer piece by piece
+        ipcMain.on('coachingDelta', (event, delta) => {
+            this.broadcast('coachingDelta', {
+                coachingId: delta.coachingId,
+                delta: delta.delta,
+                index: delta.index
+            });
+        });
+        
+        ipcMain.on('coachingComplete', (event, coachingData) => {
+            console.log(`🎓 Interview Coaching (${coachingData.finishReason}):`, coachingData.advice);
+            const sessionId = this.sessionStore.activeSessionId || undefined;
             
-            // Send coaching advice to all connected Swift apps
-            this.connectedClients.forEach(ws => {
-                if (ws.readyState === WebSocket.OPEN) {
-                    ws.send(JSON.stringify({
-                        type: 'interviewCoaching',
-                        advice: coachingData.advice,
-                        originalTranscription: coachingData.originalTranscription,
-                        timestamp: coachingData.timestamp
-                    }));
-                }
+            this.broadcast('coachingComplete', { ...coachingData, sessionId });
+            if (coachingData.finishReason === 'cancelled' || coachingData.finishReason === 'error' || !coachingData.advice) return;
+            
+            const coaching = {
+                advice: coachingData.advice,
+                originalTranscription: coachingData.originalTranscription,
+                captureTime: coachingData.captureTime,
+                trigger: coachingData.trigger,
+                timestamp: coachingData.timestamp
+            };
+            this.sessionStore.recordCoaching(coaching).catch(() => {});
+            
+            // The whole advice at once, for clients that don't render deltas
+            this.broadcast('interviewCoaching', { ...coaching, sessionId });
+        });
+
+        // Summary of the older conversation, kept with the session
+        ipcMain.on('conversationMemory', (event, memory) => {
+            this.sessionStore.recordMemory(memory).catch(() => {});
+        });
+        
+        // A REPLAY_*_FILE recording has been played to its end (capture goes on)
+        ipcMain.on('replayFinished', (event, replay) => {
+            console.log(`📼 Replay of ${replay.file} (${replay.source}) finished`);
+            this.broadcast('replayFinished', {
+                source: replay.source,
+                file: replay.file,
+                duration: replay.duration
             });
         });
     }
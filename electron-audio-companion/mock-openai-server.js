@@ -0,0 +1,338 @@
+// Local stand-in for the OpenAI API, for replays and tests without an API key
+//
+// Serves the endpoints the openai-compatible providers call:
+//
+//   POST /v1/audio/transcriptions, /v1/audio/translations  (multipart upload)
+//   POST /v1/chat/completions                              (streamed or not)
+//
+// Answers come from scripts, used in order and cycling like the mock
+// providers. A transcription entry is a string (the text) or
+//
+//   { "text": "...", "language": "de", "segments": [{ "start": 0, "end": 1.2, "text": "..." }],
+//     "delay": 800, "status": 429, "retryAfter": 2, "error": "Rate limited", "drop": true, "hang": true }
+//
+// and a completion entry a string (the reply) or { "content", "finishReason",
+// "delay", "chunkDelay", "status", "retryAfter", "error", "drop", "hang" }.
+// `status` answers with an OpenAI-style error, `drop` closes the connection
+// without an answer and `hang` never answers (until the client gives up);
+// `delay` replaces the server's `latency` for that answer. Without segments a
+// transcription gets one segment over the whole chunk, with evenly spaced words.
+// Without a script each answer is a line naming the request.
+//
+// Every request is logged in `requests` (see MockOpenAIServer.record) so
+// replays can check which chunks were sent. Run it on its own with
+//   node mock-openai-server.js [script.json] [--port 8080]
+// where script.json is { "latency", "transcriptions": [...], "completions": [...] }.
+
+const fs = require('fs');
+const http = require('http');
+const { decodeAudio } = require('./audio-encoding');
+
+const DEFAULT_PORT = 8080;
+
+// -> { fields: { name: value | [values] }, files: { name: { filename, contentType, data } } }
+function parseMultipart(body, contentType) {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+    const result = { fields: {}, files: {} };
+    if (!match) return result;
+
+    const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+    let start = body.indexOf(delimiter);
+    while (start !== -1) {
+        const partStart = start + delimiter.length;
+        // '--' after the delimiter closes the body
+        if (body.toString('latin1', partStart, partStart + 2) === '--') break;
+
+        const next = body.indexOf(delimiter, partStart);
+        if (next === -1) break;
+        // Each part: CRLF, headers, blank line, content, CRLF
+        const part = body.subarray(partStart + 2, next - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd !== -1) {
+            const headers = part.toString('utf8', 0, headerEnd);
+            const content = part.subarray(headerEnd + 4);
+            const name = (/name="([^"]*)"/i.exec(headers) || [])[1];
+            const filename = (/filename="([^"]*)"/i.exec(headers) || [])[1];
+
+            if (name !== undefined && filename !== undefined) {
+                result.files[name] = {
+                    filename,
+                    contentType: ((/content-type:\s*([^\r\n]+)/i.exec(headers) || [])[1] || '').trim(),
+                    data: content
+                };
+            } else if (name !== undefined) {
+                const value = content.toString('utf8');
+                result.fields[name] = result.fields[name] === undefined
+                    ? value
+                    : [].concat(result.fields[name], value);
+            }
+        }
+        start = next;
+    }
+    return result;
+}
+
+// ms of audio in an uploaded WAV/FLAC chunk, or null
+function audioDuration(data) {
+    try {
+        const audio = decodeAudio(data.buffer.slice(data.byteOffset, data.byteOffset + data.length));
+        return Math.round(audio.samples.length * 1000 / audio.sampleRate);
+    } catch (error) {
+        return null;
+    }
+}
+
+// One segment over the chunk, words spread evenly over it (seconds)
+function segmentsFor(text, duration) {
+    const seconds = (duration || 1000) / 1000;
+    const words = text.split(/\s+/).filter(Boolean);
+    const step = words.length > 0 ? seconds / words.length : seconds;
+    return {
+        segments: text ? [{ id: 0, start: 0, end: seconds, text }] : [],
+        words: words.map((word, index) => ({ word, start: index * step, end: (index + 1) * step }))
+    };
+}
+
+function sendJSON(response, status, body, headers = {}) {
+    response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    response.end(JSON.stringify(body));
+}
+
+class MockOpenAIServer {
+    // options: { transcriptions, completions (scripts, see above), latency (ms, default 0),
+    //            host (default 127.0.0.1), port (default 0: any free port) }
+    constructor(options = {}) {
+        this.transcriptions = options.transcriptions || [];
+        this.completions = options.completions || [];
+        this.latency = options.latency || 0;
+        this.host = options.host || '127.0.0.1';
+        this.port = options.port || 0;
+
+        this.server = null;
+        this.requests = [];
+        this.transcriptionCount = 0;
+        this.completionCount = 0;
+        this.pending = 0; // Requests not answered yet
+        this.lastActivity = Date.now();
+        this.connections = new Set();
+    }
+
+    // -> base URL for TRANSCRIPTION_BASE_URL / COACHING_BASE_URL, e.g. http://127.0.0.1:41234/v1
+    start() {
+        this.server = http.createServer((request, response) => this.handleRequest(request, response));
+        this.server.on('connection', socket => {
+            this.connections.add(socket);
+            socket.on('close', () => this.connections.delete(socket));
+        });
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.port = this.server.address().port;
+                resolve(this.url);
+            });
+        });
+    }
+
+    get url() {
+        return `http://${this.host}:${this.port}/v1`;
+    }
+
+    stop() {
+        if (!this.server) return Promise.resolve();
+        // Hanging requests would keep close() waiting
+        this.connections.forEach(socket => socket.destroy());
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    // Resolves once no request has been open for `quiet` ms
+    waitForIdle(quiet = 1000) {
+        return new Promise(resolve => {
+            const check = () => {
+                const idleFor = Date.now() - this.lastActivity;
+                if (this.pending === 0 && idleFor >= quiet) {
+                    resolve();
+                } else {
+                    setTimeout(check, Math.max(50, quiet - idleFor));
+                }
+            };
+            check();
+        });
+    }
+
+    async handleRequest(request, response) {
+        this.pending++;
+        this.lastActivity = Date.now();
+        response.on('close', () => {
+            this.pending--;
+            this.lastActivity = Date.now();
+        });
+
+        const chunks = [];
+        for await (const chunk of request) chunks.push(chunk);
+        const body = Buffer.concat(chunks);
+        const endpoint = request.url.replace(/\?.*$/, '').replace(/^\/v1/, '');
+
+        try {
+            if (request.method === 'POST' && (endpoint === '/audio/transcriptions' || endpoint === '/audio/translations')) {
+                await this.transcribe(request, response, body, endpoint === '/audio/translations');
+            } else if (request.method === 'POST' && endpoint === '/chat/completions') {
+                await this.complete(response, JSON.parse(body.toString('utf8') || '{}'));
+            } else {
+                sendJSON(response, 404, { error: { message: `Unknown endpoint ${request.method} ${request.url}`, type: 'invalid_request_error' } });
+            }
+        } catch (error) {
+            console.error('❌ [MOCK-API] Request failed:', error.message);
+            if (!response.headersSent) {
+                sendJSON(response, 400, { error: { message: error.message, type: 'invalid_request_error' } });
+            } else {
+                response.destroy();
+            }
+        }
+    }
+
+    // Logged per request: { endpoint, index (within its script), receivedAt, ... } plus
+    // for audio { model, language, responseFormat, filename, contentType, bytes, duration (ms) }
+    // and for chat { model, messages, maxTokens, stream }; `status` is the one
+    // answered with (null when dropped or hanging)
+    record(entry) {
+        const logged = { ...entry, receivedAt: Date.now() };
+        this.requests.push(logged);
+        return logged;
+    }
+
+    // Applies the entry's delay and injected failures; -> false when no answer should follow
+    async prepare(entry, response) {
+        const delay = entry.delay !== undefined ? entry.delay : this.latency;
+        if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+
+        if (entry.hang) return false;
+        if (entry.drop) {
+            response.destroy();
+            return false;
+        }
+        if (entry.status && entry.status >= 400) {
+            sendJSON(response, entry.status, {
+                error: { message: entry.error || `Injected error ${entry.status}`, type: 'mock_error' }
+            }, entry.retryAfter !== undefined ? { 'Retry-After': String(entry.retryAfter) } : {});
+            return false;
+        }
+        return true;
+    }
+
+    async transcribe(request, response, body, translate) {
+        const { fields, files } = parseMultipart(body, request.headers['content-type']);
+        const file = files.file;
+        if (!file) throw new Error('file is required');
+
+        const index = this.transcriptionCount++;
+        const duration = audioDuration(file.data);
+        const logged = this.record({
+            endpoint: translate ? 'translations' : 'transcriptions',
+            index,
+            model: fields.model,
+            language: fields.language || null,
+            responseFormat: fields.response_format || 'json',
+            filename: file.filename,
+            contentType: file.contentType,
+            bytes: file.data.length,
+            duration
+        });
+
+        const scripted = this.transcriptions.length > 0 ? this.transcriptions[index % this.transcriptions.length] : null;
+        const entry = typeof scripted === 'string' ? { text: scripted }
+            : scripted || { text: `chunk ${index + 1} (${duration !== null ? `${duration} ms` : `${file.data.length} bytes`})` };
+        logged.status = entry.drop || entry.hang ? null : (entry.status || 200);
+        if (!await this.prepare(entry, response)) return;
+
+        const text = entry.text || '';
+        const language = translate ? 'english' : (entry.language || fields.language || 'en');
+        switch (logged.responseFormat) {
+            case 'text':
+                response.writeHead(200, { 'Content-Type': 'text/plain' });
+                response.end(text);
+                break;
+            case 'verbose_json': {
+                const timing = entry.segments
+                    ? { segments: entry.segments, words: entry.words || [] }
+                    : segmentsFor(text, duration);
+                sendJSON(response, 200, {
+                    task: translate ? 'translate' : 'transcribe',
+                    language,
+                    duration: (duration || 0) / 1000,
+                    text,
+                    ...timing
+                });
+                break;
+            }
+            default:
+                sendJSON(response, 200, { text });
+        }
+    }
+
+    async complete(response, request) {
+        const index = this.completionCount++;
+        const logged = this.record({
+            endpoint: 'chat',
+            index,
+            model: request.model,
+            messages: request.messages || [],
+            maxTokens: request.max_tokens,
+            stream: Boolean(request.stream)
+        });
+
+        const scripted = this.completions.length > 0 ? this.completions[index % this.completions.length] : null;
+        const lastMessage = (request.messages || []).slice(-1)[0];
+        const entry = typeof scripted === 'string' ? { content: scripted }
+            : scripted || { content: `mock advice ${index + 1} for: ${lastMessage ? String(lastMessage.content).slice(0, 60) : ''}` };
+        logged.status = entry.drop || entry.hang ? null : (entry.status || 200);
+        if (!await this.prepare(entry, response)) return;
+
+        const content = entry.content || '';
+        const finishReason = entry.finishReason || 'stop';
+        const id = `chatcmpl-mock-${index + 1}`;
+        const created = Math.floor(Date.now() / 1000);
+
+        if (!request.stream) {
+            sendJSON(response, 200, {
+                id, object: 'chat.completion', created, model: request.model,
+                choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: finishReason }]
+            });
+            return;
+        }
+
+        // One delta per word, as a streaming model would send them
+        response.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+        const send = choice => response.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model: request.model, choices: [{ index: 0, ...choice }] })}\n\n`);
+        const pieces = content.match(/\S+\s*|\s+/g) || [];
+        for (const piece of pieces) {
+            if (response.destroyed) return;
+            send({ delta: { content: piece }, finish_reason: null });
+            if (entry.chunkDelay) await new Promise(resolve => setTimeout(resolve, entry.chunkDelay));
+        }
+        send({ delta: {}, finish_reason: finishReason });
+        response.end('data: [DONE]\n\n');
+    }
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const portIndex = args.indexOf('--port');
+    const port = portIndex !== -1 ? Number(args.splice(portIndex, 2)[1]) : DEFAULT_PORT;
+    const script = args[0] ? JSON.parse(fs.readFileSync(args[0], 'utf8')) : {};
+
+    const server = new MockOpenAIServer({ ...script, port });
+    server.start().then(url => {
+        console.log(`🧪 [MOCK-API] Listening on ${url}`);
+        console.log(`   TRANSCRIPTION_PROVIDER=openai-compatible TRANSCRIPTION_BASE_URL=${url}`);
+        console.log(`   COACHING_PROVIDER=openai-compatible COACHING_BASE_URL=${url}`);
+    }).catch(error => {
+        console.error('❌ [MOCK-API]', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    MockOpenAIServer,
+    parseMultipart
+};
@@ -0,0 +1,46 @@
+// User preferences that must survive restarts (e.g. the selected microphone),
+// kept as a small JSON file in the app's userData folder.
+
+const fs = require('fs');
+const path = require('path');
+
+class Preferences {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.values = {};
+        this.load();
+    }
+
+    load() {
+        try {
+            this.values = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`⚠️ Ignoring unreadable preferences file ${this.filePath}:`, error.message);
+            }
+            this.values = {};
+        }
+    }
+
+    get(key, fallback = null) {
+        return this.values[key] !== undefined ? this.values[key] : fallback;
+    }
+
+    // Written to a temp file and renamed so a crash never leaves half a file
+    set(key, value) {
+        if (value === null || value === undefined) {
+            delete this.values[key];
+        } else {
+            this.values[key] = value;
+        }
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.values, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+}
+
+module.exports = {
+    Preferences
+};
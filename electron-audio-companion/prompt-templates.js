@@ -0,0 +1,226 @@
+// Coaching prompt templates ("personas")
+//
+// A template is a JSON file in PROMPT_TEMPLATES_DIR (default ~/.cluely/prompts)
+// named <id>.json:
+//
+//   { "name": "Sales call", "description": "...", "system": "...", "user": "..." }
+//
+// `system` is the system message and `user` the message sent for every
+// utterance worth coaching. Both may use these placeholders:
+//
+//   {{history}}          recent conversation, one "Speaker: text" line each
+//   {{summary}}          summary of the conversation before that (conversation-memory.js)
+//   {{facts}}            key facts from it, one "- fact" line each
+//   {{utterance}}        the latest transcription (required in `user`)
+//   {{speaker}}          who said it (SPEAKER_LABELS)
+//   {{session.id}}, {{session.name}}, {{session.startedAt}}  the recording session
+//
+// Files are read whenever a template is listed or selected, so edits apply
+// the next time it is selected. A file with a built-in's id replaces it.
+
+const fs = require('fs');
+const path = require('path');
+const { languageName } = require('./languages');
+
+const TEMPLATE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+const PLACEHOLDERS = ['history', 'summary', 'facts', 'utterance', 'speaker', 'session.id', 'session.name', 'session.startedAt'];
+
+// Transcription sources (capture-track.js) as they appear in prompts
+const SPEAKER_LABELS = { local: 'User', remote: 'Other speaker' };
+
+const BUILT_IN_TEMPLATES = {
+    'interview-coach': {
+        name: 'Interview coach',
+        description: 'Concise, actionable advice for answering interview questions',
+        system: 'You are an expert interview coach. Provide CONCISE, actionable advice for interview responses. Keep responses under 100 words and focus on key points.',
+        user: `EARLIER IN THE INTERVIEW: {{summary}}
+KEY FACTS:
+{{facts}}
+
+INTERVIEW CONTEXT:
+{{history}}
+LATEST TRANSCRIPTION ({{speaker}}): "{{utterance}}"
+
+Provide CONCISE coaching advice (max 50 words) focusing on:
+1. How to respond effectively
+2. Key points to mention
+3. Professional tone suggestions
+
+Be direct and actionable.`
+    }
+};
+
+function createTemplateError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// -> "Speaker: text" lines
+function formatHistory(turns) {
+    return turns.map(turn => `${SPEAKER_LABELS[turn.source] || SPEAKER_LABELS.local}: ${turn.text}`).join('\n');
+}
+
+function placeholdersIn(text) {
+    return [...new Set([...text.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+}
+
+// -> list of problems (empty when the template can be used)
+function validateTemplate(template) {
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+        return ['template should be a JSON object'];
+    }
+
+    const errors = [];
+    ['system', 'user'].forEach(field => {
+        if (typeof template[field] !== 'string' || template[field].trim() === '') {
+            errors.push(`${field} should be a non-empty string`);
+            return;
+        }
+        placeholdersIn(template[field])
+            .filter(name => !PLACEHOLDERS.includes(name))
+            .forEach(name => errors.push(`${field} uses unknown placeholder {{${name}}} (known: ${PLACEHOLDERS.join(', ')})`));
+    });
+    ['name', 'description'].forEach(field => {
+        if (template[field] !== undefined && typeof template[field] !== 'string') {
+            errors.push(`${field} should be a string`);
+        }
+    });
+
+    if (typeof template.user === 'string' && !placeholdersIn(template.user).includes('utterance')) {
+        errors.push('user should contain {{utterance}}');
+    }
+    return errors;
+}
+
+// context: { history: [{ source, text }], summary, facts: [], utterance, source,
+// session: { id, name, startedAt } } -> { system, user }
+function renderTemplate(template, context) {
+    const session = context.session || {};
+    const facts = context.facts || [];
+    const values = {
+        history: formatHistory(context.history || []),
+        summary: context.summary || '(nothing yet)',
+        facts: facts.length > 0 ? facts.map(fact => `- ${fact}`).join('\n') : '(none yet)',
+        utterance: context.utterance || '',
+        speaker: SPEAKER_LABELS[context.source] || SPEAKER_LABELS.local,
+        'session.id': session.id || '',
+        'session.name': session.name || '',
+        'session.startedAt': session.startedAt ? new Date(session.startedAt).toISOString() : ''
+    };
+    const render = text => text.replace(PLACEHOLDER_PATTERN, (match, name) => values[name]);
+
+    return { system: render(template.system), user: render(template.user) };
+}
+
+// COACHING_LANGUAGE / the session's outputLanguage, else the language being
+// spoken (English when translating); null while unknown
+function adviceLanguage({ task, outputLanguage, conversationLanguage }) {
+    if (outputLanguage) return outputLanguage;
+    return task === 'translate' ? 'en' : (conversationLanguage || null);
+}
+
+// The coaching request for the latest utterance, live (renderer) or from a
+// file (file-transcriber.js). conversation: ConversationMemory#context();
+// outputLanguage: see adviceLanguage() -> { system, user }
+function createCoachingPrompt(template, { conversation, utterance, source, session, outputLanguage }) {
+    const prompt = renderTemplate(template, {
+        history: conversation.turns,
+        summary: conversation.summary,
+        facts: conversation.facts,
+        utterance,
+        source,
+        session
+    });
+
+    if (outputLanguage) {
+        prompt.system += `\n\nAlways respond in ${languageName(outputLanguage)}.`;
+    }
+    return prompt;
+}
+
+// options (for other kinds of templates, see session-summary.js): builtIns,
+// validate(template) -> errors, kind (for error messages)
+class PromptTemplateStore {
+    constructor(templatesDir, options = {}) {
+        this.templatesDir = templatesDir;
+        this.builtIns = options.builtIns || BUILT_IN_TEMPLATES;
+        this.validate = options.validate || validateTemplate;
+        this.kind = options.kind || 'prompt template';
+    }
+
+    describe(id, template, source, errors) {
+        return {
+            id,
+            name: (template && typeof template.name === 'string' && template.name) || id,
+            description: (template && typeof template.description === 'string') ? template.description : '',
+            source,
+            placeholders: template ? placeholdersIn(`${template.system || ''} ${template.user || ''}`) : [],
+            valid: errors.length === 0,
+            ...(errors.length > 0 ? { errors } : {})
+        };
+    }
+
+    // -> [{ id, template, source, errors }] for the built-ins and every file
+    async readAll() {
+        const templates = new Map(Object.entries(this.builtIns).map(([id, template]) => (
+            [id, { id, template, source: 'built-in', errors: [] }]
+        )));
+
+        let files = [];
+        try {
+            files = await fs.promises.readdir(this.templatesDir);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        await Promise.all(files
+            .filter(file => file.endsWith('.json') && TEMPLATE_ID_PATTERN.test(file.slice(0, -'.json'.length)))
+            .map(async file => {
+                const id = file.slice(0, -'.json'.length);
+                let template = null;
+                let errors;
+                try {
+                    template = JSON.parse(await fs.promises.readFile(path.join(this.templatesDir, file), 'utf8'));
+                    errors = this.validate(template);
+                } catch (error) {
+                    errors = [`unreadable: ${error.message}`];
+                }
+                templates.set(id, { id, template, source: 'file', errors });
+            }));
+
+        return [...templates.values()].sort((a, b) => a.id.localeCompare(b.id));
+    }
+
+    async list() {
+        const templates = await this.readAll();
+        return templates.map(({ id, template, source, errors }) => this.describe(id, template, source, errors));
+    }
+
+    // -> { id, ...template } of a usable template
+    async get(templateId) {
+        const entry = (await this.readAll()).find(candidate => candidate.id === templateId);
+        if (!entry) {
+            throw createTemplateError('NOT_FOUND', `Unknown ${this.kind}: ${templateId}`);
+        }
+        if (entry.errors.length > 0) {
+            const error = createTemplateError('INVALID_MESSAGE', `${this.kind[0].toUpperCase()}${this.kind.slice(1)} ${templateId} is invalid`);
+            error.details = { errors: entry.errors };
+            throw error;
+        }
+        return { id: entry.id, ...entry.template };
+    }
+}
+
+module.exports = {
+    PromptTemplateStore,
+    BUILT_IN_TEMPLATES,
+    PLACEHOLDERS,
+    SPEAKER_LABELS,
+    validateTemplate,
+    renderTemplate,
+    createCoachingPrompt,
+    adviceLanguage,
+    formatHistory
+};
@@ -0,0 +1,729 @@
+// WebSocket protocol between the audio companion and its clients
+//
+// Every message is a JSON object with a `type`. Clients must open with a
+// `hello` carrying the shared auth token; it also negotiates the protocol
+// version and the capabilities (event streams) they want, and the companion
+// answers with `welcome`. Commands may carry an `id`
+// and every reply to a command echoes it back as `replyTo`. Invalid or
+// unknown messages are answered with a structured `error` message.
+//
+// The full message reference lives in WEBSOCKET_PROTOCOL.md; the schemas
+// below are the source of truth and are checked on every message.
+
+const { EXPORT_FORMATS } = require('./transcript-export');
+const { TRIGGER_STRATEGIES } = require('./coaching-triggers');
+const { LANGUAGE_CODES } = require('./languages');
+
+const PROTOCOL_VERSION = 1;
+const SUPPORTED_PROTOCOL_VERSIONS = [1];
+
+// Capabilities a client can ask for in `hello`, and the events they unlock
+const CAPABILITIES = {
+    transcription: ['transcription'],
+    streamingTranscription: ['streamingTranscription'],
+    voiceActivity: ['voiceActivity'],
+    coaching: ['interviewCoaching', 'coachingDelta', 'coachingComplete']
+};
+
+// Which side of the call a transcription came from (see capture-track.js)
+const TRANSCRIPT_SOURCES = ['local', 'remote'];
+
+// Live audio is not a JSON event: clients opt in with `subscribeAudio` and
+// then receive binary frames (see audio-frames.js)
+const AUDIO_STREAM_ENCODINGS = ['pcm_s16le', 'pcm_f32le'];
+
+const ERROR_CODES = {
+    INVALID_JSON: 'INVALID_JSON',
+    INVALID_MESSAGE: 'INVALID_MESSAGE',
+    UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+    UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+    UNAUTHENTICATED: 'UNAUTHENTICATED',
+    RATE_LIMITED: 'RATE_LIMITED',
+    NOT_FOUND: 'NOT_FOUND',
+    CONFLICT: 'CONFLICT',
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+// WebSocket close codes (4000-4999 are reserved for applications)
+const CLOSE_CODES = {
+    UNAUTHENTICATED: 4401,
+    RATE_LIMITED: 4429
+};
+
+class ProtocolError extends Error {
+    constructor(code, message, details) {
+        super(message);
+        this.name = 'ProtocolError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// --- Schemas ----------------------------------------------------------------
+
+const requestId = { type: ['string', 'number'] };
+const timestamp = { type: 'number' };
+const sessionId = { type: 'string', pattern: '^[A-Za-z0-9_-]+$' };
+const templateId = { type: 'string', pattern: '^[A-Za-z0-9_-]+$' };
+// ISO 639-1 code (see languages.js), or 'auto': detect / answer in the language spoken
+const language = { type: 'string', enum: ['auto', ...LANGUAGE_CODES] };
+const transcriptionMode = { type: 'string', enum: ['transcribe', 'translate'] };
+
+function command(properties = {}, required = []) {
+    return {
+        type: 'object',
+        properties: { type: { type: 'string' }, id: requestId, ...properties },
+        required: ['type', ...required],
+        additionalProperties: false
+    };
+}
+
+function event(properties = {}, required = []) {
+    return {
+        type: 'object',
+        properties: {
+            type: { type: 'string' },
+            version: { type: 'integer' },
+            replyTo: requestId,
+            timestamp,
+            ...properties
+        },
+        required: ['type', 'version', ...required],
+        additionalProperties: false
+    };
+}
+
+// Messages clients may send
+const CLIENT_MESSAGE_SCHEMAS = {
+    hello: command({
+        token: { type: 'string' },
+        protocolVersions: { type: 'array', items: { type: 'integer', minimum: 1 }, minItems: 1 },
+        capabilities: { type: 'array', items: { type: 'string', enum: Object.keys(CAPABILITIES) } },
+        client: {
+            type: 'object',
+            properties: { name: { type: 'string' }, version: { type: 'string' } },
+            additionalProperties: true
+        }
+    }, ['token', 'protocolVersions']),
+    ping: command(),
+    requestPermissions: command(),
+    getPermissionStatus: command(),
+    startAudioCapture: command(),
+    stopAudioCapture: command(),
+    subscribeAudio: command({
+        encoding: { type: 'string', enum: AUDIO_STREAM_ENCODINGS }
+    }),
+    unsubscribeAudio: command(),
+    listSessions: command(),
+    getSession: command({ sessionId }, ['sessionId']),
+    renameSession: command({
+        sessionId,
+        name: { type: 'string', minLength: 1, maxLength: 200 }
+    }, ['sessionId', 'name']),
+    deleteSession: command({ sessionId }, ['sessionId']),
+    listAudioDevices: command(),
+    // null or 'default' selects the system default microphone
+    selectAudioDevice: command({ deviceId: { type: ['string', 'null'] } }, ['deviceId']),
+    exportSession: command({
+        sessionId,
+        format: { type: 'string', enum: Object.keys(EXPORT_FORMATS) }
+    }, ['sessionId', 'format']),
+    getConfig: command(),
+    // Runtime overrides of live settings (see config.js); null reverts a setting
+    setConfig: command({ values: { type: 'object' } }, ['values']),
+    cancelCoaching: command({ coachingId: { type: 'string' } }, ['coachingId']),
+    listPromptTemplates: command(),
+    selectPromptTemplate: command({ templateId }, ['templateId']),
+    // Spoken language, 'translate' for English text from any language, language of the advice
+    setTranscriptionLanguage: command({ language, mode: transcriptionMode, outputLanguage: language }),
+    // threshold defaults to COACHING_TRIGGER_THRESHOLD
+    selectCoachingTrigger: command({
+        strategy: { type: 'string', enum: TRIGGER_STRATEGIES },
+        threshold: { type: 'number', minimum: 0, maximum: 1 }
+    }, ['strategy']),
+    // Renders a template (default: the selected one) with the current conversation;
+    // utterance defaults to the latest transcription
+    previewPrompt: command({
+        templateId,
+        utterance: { type: 'string', maxLength: 2000 },
+        source: { type: 'string', enum: TRANSCRIPT_SOURCES }
+    }),
+    listSummaryTemplates: command(),
+    // (Re)writes the summary of a finished session; templateId defaults to SESSION_SUMMARY_TEMPLATE
+    summarizeSession: command({ sessionId, templateId }, ['sessionId']),
+    // Transcribes a recording on the companion's machine into a new session;
+    // language settings default to the selected ones, coaching (off by default)
+    // uses templateId or the selected template
+    transcribeFile: command({
+        path: { type: 'string', minLength: 1, maxLength: 4096 },
+        name: { type: 'string', minLength: 1, maxLength: 200 },
+        source: { type: 'string', enum: TRANSCRIPT_SOURCES },
+        language,
+        mode: transcriptionMode,
+        outputLanguage: language,
+        coaching: { type: 'boolean' },
+        templateId
+    }, ['path'])
+};
+
+const permissionStatus = { type: 'string' };
+
+const audioDevice = {
+    type: ['object', 'null'],
+    properties: { deviceId: { type: 'string' }, label: { type: 'string' } },
+    required: ['deviceId'],
+    additionalProperties: false
+};
+
+// Times are ms since capture start
+const transcriptSegment = {
+    type: 'object',
+    properties: {
+        start: { type: 'number' },
+        end: { type: 'number' },
+        text: { type: 'string' },
+        words: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: { word: { type: 'string' }, start: { type: 'number' }, end: { type: 'number' } },
+                additionalProperties: false
+            }
+        }
+    },
+    required: ['start', 'end', 'text'],
+    additionalProperties: false
+};
+
+const transcriptionLanguageSettings = {
+    type: 'object',
+    properties: { language, mode: transcriptionMode, outputLanguage: language },
+    required: ['language', 'mode', 'outputLanguage'],
+    additionalProperties: false
+};
+
+// Which coaching trigger a session uses (see coaching-triggers.js) ...
+const coachingTriggerSettings = {
+    type: 'object',
+    properties: {
+        strategy: { type: 'string', enum: TRIGGER_STRATEGIES },
+        threshold: { type: 'number', minimum: 0, maximum: 1 }
+    },
+    required: ['strategy', 'threshold'],
+    additionalProperties: false
+};
+
+// ... and why it asked for a piece of advice
+const coachingTriggerDecision = {
+    type: 'object',
+    properties: {
+        strategy: { type: 'string', enum: TRIGGER_STRATEGIES },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        reason: { type: 'string' }
+    },
+    required: ['strategy', 'confidence', 'reason'],
+    additionalProperties: false
+};
+
+const sessionSummary = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        startedAt: { type: ['number', 'null'] },
+        endedAt: { type: ['number', 'null'] },
+        active: { type: 'boolean' },
+        segmentCount: { type: 'integer' },
+        coachingCount: { type: 'integer' },
+        summarized: { type: 'boolean' }
+    },
+    required: ['id', 'name'],
+    additionalProperties: false
+};
+
+// End-of-session summary (see session-summary.js): the template's sections in order
+const summaryReport = {
+    type: 'object',
+    properties: {
+        templateId: { type: 'string' },
+        sections: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    title: { type: 'string' },
+                    type: { type: 'string', enum: ['text', 'list'] },
+                    content: { type: ['string', 'array'], items: { type: 'string' } }
+                },
+                required: ['id', 'title', 'type', 'content'],
+                additionalProperties: false
+            }
+        },
+        language: { type: ['string', 'null'] }, // ISO 639-1 code it is written in, when known
+        model: { type: 'string' },
+        generatedAt: { type: 'number' }
+    },
+    required: ['templateId', 'sections', 'generatedAt'],
+    additionalProperties: false
+};
+
+// Messages the companion sends
+const SERVER_MESSAGE_SCHEMAS = {
+    welcome: event({
+        protocolVersion: { type: 'integer' },
+        capabilities: { type: 'array', items: { type: 'string' } },
+        server: { type: 'object' }
+    }, ['protocolVersion', 'capabilities']),
+    error: event({
+        code: { type: 'string', enum: Object.values(ERROR_CODES) },
+        message: { type: 'string' },
+        details: {}
+    }, ['code', 'message']),
+    status: event({
+        ready: { type: 'boolean' },
+        protocolVersions: { type: 'array', items: { type: 'integer' } },
+        permissions: {
+            type: 'object',
+            properties: { microphone: permissionStatus, camera: permissionStatus },
+            additionalProperties: false
+        }
+    }, ['ready']),
+    pong: event(),
+    permissionsResult: event({
+        microphone: { type: 'boolean' },
+        camera: { type: 'boolean' },
+        success: { type: 'boolean' },
+        error: { type: 'string' }
+    }, ['success']),
+    permissionStatus: event({
+        microphone: permissionStatus,
+        camera: permissionStatus
+    }, ['microphone', 'camera']),
+    settingsOpened: event({ message: { type: 'string' } }, ['message']),
+    audioCaptureStarted: event({
+        success: { type: 'boolean' },
+        alreadyCapturing: { type: 'boolean' },
+        sessionId: { type: 'string' }
+    }, ['success']),
+    audioCaptureStopped: event({
+        success: { type: 'boolean' },
+        notCapturing: { type: 'boolean' },
+        sessionId: { type: 'string' }
+    }, ['success']),
+    audioCaptureError: event({ error: { type: 'string' } }, ['error']),
+    audioSubscribed: event({
+        encoding: { type: 'string', enum: AUDIO_STREAM_ENCODINGS },
+        frameVersion: { type: 'integer' },
+        frameHeaderBytes: { type: 'integer' }
+    }, ['encoding', 'frameVersion', 'frameHeaderBytes']),
+    audioUnsubscribed: event(),
+    audioDevices: event({
+        devices: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    deviceId: { type: 'string' },
+                    label: { type: 'string' },
+                    groupId: { type: 'string' },
+                    isDefault: { type: 'boolean' },
+                    active: { type: 'boolean' }
+                },
+                required: ['deviceId', 'label'],
+                additionalProperties: false
+            }
+        },
+        selectedDeviceId: { type: ['string', 'null'] }
+    }, ['devices']),
+    audioDeviceSelected: event({ device: audioDevice }, ['device']),
+    deviceChanged: event({
+        reason: { type: 'string', enum: ['disconnected', 'reconnected', 'selected', 'unavailable'] },
+        device: audioDevice,
+        previousDevice: audioDevice
+    }, ['reason', 'device']),
+    config: event({
+        values: { type: 'object' },
+        // Layer each value came from: default, file, env or runtime
+        sources: { type: 'object' }
+    }, ['values', 'sources']),
+    configChanged: event({
+        changed: { type: 'object' },
+        origin: { type: 'string', enum: ['file', 'runtime'] }
+    }, ['changed', 'origin']),
+    sessions: event({ sessions: { type: 'array', items: sessionSummary } }, ['sessions']),
+    session: event({
+        session: {
+            type: 'object',
+            properties: {
+                id: { type: 'string' },
+                name: { type: 'string' },
+                startedAt: { type: ['number', 'null'] },
+                endedAt: { type: ['number', 'null'] },
+                active: { type: 'boolean' },
+                config: { type: 'object' },
+                segments: { type: 'array', items: { type: 'object' } },
+                coaching: { type: 'array', items: { type: 'object' } },
+                promptTemplateId: { type: 'string' },
+                coachingTrigger: coachingTriggerSettings,
+                transcriptionLanguage: transcriptionLanguageSettings,
+                // Summary of the conversation before the latest turns (see conversation-memory.js)
+                memory: {
+                    type: 'object',
+                    properties: {
+                        summary: { type: 'string' },
+                        facts: { type: 'array', items: { type: 'string' } },
+                        summarizedTurns: { type: 'integer', minimum: 0 }
+                    },
+                    required: ['summary', 'facts', 'summarizedTurns'],
+                    additionalProperties: false
+                },
+                summary: summaryReport,
+                // Recording the session was transcribed from (transcribeFile, cli.js)
+                file: { type: 'string' }
+            },
+            required: ['id', 'name', 'segments', 'coaching'],
+            additionalProperties: false
+        }
+    }, ['session']),
+    sessionRenamed: event({ sessionId: { type: 'string' }, name: { type: 'string' } }, ['sessionId', 'name']),
+    sessionDeleted: event({ sessionId: { type: 'string' } }, ['sessionId']),
+    sessionExport: event({
+        sessionId: { type: 'string' },
+        format: { type: 'string', enum: Object.keys(EXPORT_FORMATS) },
+        fileName: { type: 'string' },
+        mimeType: { type: 'string' },
+        content: { type: 'string' }
+    }, ['sessionId', 'format', 'fileName', 'mimeType', 'content']),
+    transcription: event({
+        text: { type: 'string' },
+        source: { type: 'string', enum: TRANSCRIPT_SOURCES },
+        language: { type: 'string' }, // Spoken language (ISO 639-1), when known
+        translated: { type: 'boolean' }, // text is an English translation
+        sessionId: { type: 'string' },
+        startTime: { type: 'number' },
+        endTime: { type: 'number' },
+        segments: { type: 'array', items: transcriptSegment }
+    }, ['text']),
+    voiceActivity: event({
+        activity: { type: 'string', enum: ['speechStarted', 'speechEnded', 'level'] },
+        source: { type: 'string', enum: TRANSCRIPT_SOURCES },
+        probability: { type: 'number' },
+        level: { type: 'number' },
+        duration: { type: 'number' },
+        time: { type: 'number' }
+    }, ['activity']),
+    serviceStatus: event({
+        service: { type: 'string', enum: ['transcription', 'coaching'] },
+        state: { type: 'string', enum: ['ok', 'degraded', 'error'] },
+        message: { type: 'string' },
+        // Transcription backlog: chunks and ms of audio waiting, chunks dropped this capture
+        queued: { type: 'integer', minimum: 0 },
+        queuedDuration: { type: 'number', minimum: 0 },
+        dropped: { type: 'integer', minimum: 0 },
+        retryIn: { type: 'number', minimum: 0 } // ms until the next attempt while offline
+    }, ['service', 'state']),
+    streamingTranscription: event({
+        text: { type: 'string' },
+        partial: { type: 'boolean' },
+        // Words that will not change again / may still change (text = both)
+        stableText: { type: 'string' },
+        unstableText: { type: 'string' },
+        source: { type: 'string', enum: TRANSCRIPT_SOURCES },
+        // Identifies the audio window (ms since capture start); the partial: false
+        // message with the same windowStart and source settles the caption
+        windowStart: { type: 'number' },
+        endTime: { type: 'number' },
+        context: {}
+    }, ['text']),
+    interviewCoaching: event({
+        advice: { type: 'string' },
+        originalTranscription: { type: 'string' },
+        captureTime: { type: 'number' },
+        trigger: coachingTriggerDecision,
+        sessionId: { type: 'string' }
+    }, ['advice']),
+    // Streaming coaching: deltas in `index` order, then one coachingComplete
+    coachingDelta: event({
+        coachingId: { type: 'string' },
+        delta: { type: 'string' },
+        index: { type: 'integer', minimum: 0 }
+    }, ['coachingId', 'delta', 'index']),
+    coachingComplete: event({
+        coachingId: { type: 'string' },
+        advice: { type: 'string' }, // Everything generated (so far, if cancelled)
+        finishReason: { type: 'string' }, // 'stop', 'length', 'cancelled' or 'error'
+        error: { type: 'string' },
+        originalTranscription: { type: 'string' },
+        captureTime: { type: 'number' },
+        trigger: coachingTriggerDecision,
+        sessionId: { type: 'string' }
+    }, ['coachingId', 'advice', 'finishReason']),
+    coachingCancelled: event({ coachingId: { type: 'string' } }, ['coachingId']),
+    promptTemplates: event({
+        templates: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    description: { type: 'string' },
+                    source: { type: 'string', enum: ['built-in', 'file'] },
+                    placeholders: { type: 'array', items: { type: 'string' } },
+                    valid: { type: 'boolean' },
+                    errors: { type: 'array', items: { type: 'string' } } // Why an invalid template cannot be selected
+                },
+                required: ['id', 'name', 'source', 'valid'],
+                additionalProperties: false
+            }
+        },
+        selectedTemplateId: { type: 'string' }
+    }, ['templates', 'selectedTemplateId']),
+    promptTemplateSelected: event({
+        templateId: { type: 'string' },
+        sessionId: { type: 'string' } // Recording session it now applies to, if any
+    }, ['templateId']),
+    transcriptionLanguage: event({
+        ...transcriptionLanguageSettings.properties,
+        sessionId: { type: 'string' }
+    }, ['language', 'mode', 'outputLanguage']),
+    coachingTriggerSelected: event({
+        ...coachingTriggerSettings.properties,
+        sessionId: { type: 'string' }
+    }, ['strategy', 'threshold']),
+    promptPreview: event({
+        templateId: { type: 'string' },
+        system: { type: 'string' },
+        user: { type: 'string' }
+    }, ['templateId', 'system', 'user']),
+    summaryTemplates: event({
+        templates: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    description: { type: 'string' },
+                    source: { type: 'string', enum: ['built-in', 'file'] },
+                    sections: { type: 'array', items: { type: 'string' } },
+                    valid: { type: 'boolean' },
+                    errors: { type: 'array', items: { type: 'string' } }
+                },
+                required: ['id', 'name', 'source', 'valid'],
+                additionalProperties: false
+            }
+        },
+        defaultTemplateId: { type: 'string' }
+    }, ['templates', 'defaultTemplateId']),
+    sessionSummary: event({
+        sessionId: { type: 'string' },
+        summary: summaryReport
+    }, ['sessionId', 'summary']),
+    // The summary written after capture stopped failed (model unavailable, ...)
+    sessionSummaryFailed: event({
+        sessionId: { type: 'string' },
+        message: { type: 'string' }
+    }, ['sessionId', 'message']),
+    // ms of the recording processed so far, about once a second
+    fileTranscriptionProgress: event({
+        file: { type: 'string' },
+        processed: { type: 'integer', minimum: 0 },
+        duration: { type: 'integer', minimum: 0 }
+    }, ['file', 'processed', 'duration']),
+    fileTranscribed: event({
+        sessionId: { type: 'string' },
+        file: { type: 'string' },
+        duration: { type: 'integer', minimum: 0 },
+        segmentCount: { type: 'integer', minimum: 0 },
+        coachingCount: { type: 'integer', minimum: 0 },
+        // Chunks left out after their transcription failed
+        failedChunks: { type: 'integer', minimum: 0 }
+    }, ['sessionId', 'file', 'duration', 'segmentCount', 'coachingCount', 'failedChunks']),
+    // A REPLAY_AUDIO_FILE / REPLAY_SYSTEM_AUDIO_FILE recording was played to its end
+    replayFinished: event({
+        source: { type: 'string', enum: TRANSCRIPT_SOURCES },
+        file: { type: 'string' },
+        duration: { type: 'integer', minimum: 0 }
+    }, ['source', 'file', 'duration'])
+};
+
+// --- Validation ---------------------------------------------------------------
+//
+// Implements the subset of JSON Schema used above: type, enum, required,
+// properties, additionalProperties, items, minItems, maxItems, minimum,
+// maximum, minLength, maxLength, pattern.
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, expected) {
+    const actual = typeOf(value);
+    return actual === expected || (expected === 'number' && actual === 'integer');
+}
+
+function validate(value, schema, path = '') {
+    const errors = [];
+    const at = path || '(root)';
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${at} should be ${types.join(' or ')}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at} should be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at} should have at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at} should have at most ${schema.maxLength} characters`);
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) errors.push(`${at} should match ${schema.pattern}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} should be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} should be <= ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${at} should have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${at} should have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validate(item, schema.items, `${path}[${index}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push(`${path ? path + '.' : ''}${key} is required`);
+        });
+        Object.keys(value).forEach(key => {
+            // Undefined values are dropped by JSON.stringify
+            if (value[key] === undefined) return;
+            const childPath = path ? `${path}.${key}` : key;
+            if (properties[key]) {
+                errors.push(...validate(value[key], properties[key], childPath));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${childPath} is not allowed`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+// --- Encoding / decoding ------------------------------------------------------
+
+// Parse and validate a raw client frame; throws ProtocolError
+function parseClientMessage(raw) {
+    let message;
+    try {
+        message = JSON.parse(raw.toString());
+    } catch (error) {
+        throw new ProtocolError(ERROR_CODES.INVALID_JSON, `Message is not valid JSON: ${error.message}`);
+    }
+
+    if (typeOf(message) !== 'object' || typeof message.type !== 'string') {
+        throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Message must be an object with a string "type"');
+    }
+
+    const schema = CLIENT_MESSAGE_SCHEMAS[message.type];
+    if (!schema) {
+        throw new ProtocolError(ERROR_CODES.UNKNOWN_TYPE, `Unknown message type: ${message.type}`, { id: message.id });
+    }
+
+    const errors = validate(message, schema);
+    if (errors.length > 0) {
+        throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, `Invalid ${message.type} message`, { id: message.id, errors });
+    }
+
+    return message;
+}
+
+// Build an outgoing message; schema violations are our own bugs, so they are
+// logged rather than thrown to keep live streams flowing
+function createMessage(type, payload = {}, replyTo) {
+    const message = { type, version: PROTOCOL_VERSION, ...payload };
+    if (replyTo !== undefined) message.replyTo = replyTo;
+
+    const schema = SERVER_MESSAGE_SCHEMAS[type];
+    const errors = schema ? validate(message, schema) : [`no schema for ${type}`];
+    if (errors.length > 0) {
+        console.error(`❌ [PROTOCOL] Outgoing ${type} message does not match schema:`, errors.join('; '));
+    }
+
+    return message;
+}
+
+// Errors from other modules (e.g. the session store) may carry one of our
+// codes too; anything else is reported as INTERNAL_ERROR
+function createErrorMessage(error, replyTo) {
+    const isProtocolError = error instanceof ProtocolError;
+    const details = error.details && error.details.errors ? { errors: error.details.errors } : undefined;
+    const hasKnownCode = isProtocolError || Object.values(ERROR_CODES).includes(error.code);
+
+    return createMessage('error', {
+        code: hasKnownCode ? error.code : ERROR_CODES.INTERNAL_ERROR,
+        message: error.message,
+        ...(details ? { details } : {})
+    }, replyTo);
+}
+
+// Pick the highest version both sides support and the capabilities we offer
+function negotiate(hello) {
+    const version = hello.protocolVersions
+        .filter(candidate => SUPPORTED_PROTOCOL_VERSIONS.includes(candidate))
+        .sort((a, b) => b - a)[0];
+
+    if (!version) {
+        throw new ProtocolError(
+            ERROR_CODES.UNSUPPORTED_VERSION,
+            `No common protocol version (server supports ${SUPPORTED_PROTOCOL_VERSIONS.join(', ')})`
+        );
+    }
+
+    const capabilities = hello.capabilities
+        ? hello.capabilities.filter(capability => CAPABILITIES[capability])
+        : Object.keys(CAPABILITIES);
+
+    return { protocolVersion: version, capabilities };
+}
+
+// Capability that gates an event type, or null for replies/status that every client gets
+function capabilityForEvent(type) {
+    const entry = Object.entries(CAPABILITIES).find(([, events]) => events.includes(type));
+    return entry ? entry[0] : null;
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    SUPPORTED_PROTOCOL_VERSIONS,
+    CAPABILITIES,
+    AUDIO_STREAM_ENCODINGS,
+    TRANSCRIPT_SOURCES,
+    ERROR_CODES,
+    CLOSE_CODES,
+    CLIENT_MESSAGE_SCHEMAS,
+    SERVER_MESSAGE_SCHEMAS,
+    ProtocolError,
+    validate,
+    parseClientMessage,
+    createMessage,
+    createErrorMessage,
+    negotiate,
+    capabilityForEvent
+};
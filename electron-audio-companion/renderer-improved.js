@@ -1,65 +1,133 @@
+const crypto = require('crypto');
 const { ipcRenderer } = require('electron');
-const config = require('./config');
+const { config } = require('./config');
+const { createTranscriptionProvider } = require('./transcription-providers');
+const { createLLMProvider } = require('./llm-providers');
+const { BUILT_IN_TEMPLATES, createCoachingPrompt, adviceLanguage } = require('./prompt-templates');
+const { RuleTrigger, createCoachingTrigger } = require('./coaching-triggers');
+const { ConversationMemory, createLLMSummarizer } = require('./conversation-memory');
+const { summarizeSession } = require('./session-summary');
+const { fileNameForMimeType } = require('./audio-encoding');
+const { TRACK_SOURCES, CaptureTrack } = require('./capture-track');
+const { ReplaySource } = require('./replay-source');
+const { pipelineOptionsFromConfig } = require('./audio-pipeline');
+const { STREAM_IDS } = require('./audio-frames');
+const { StreamingTranscript } = require('./streaming-transcript');
+const { TranscriptStitcher, toCaptureTiming } = require('./transcript-stitcher');
+
+// Live settings (see config.js) that need the transcription provider rebuilt
+// or the running pipelines reconfigured when they change
+const TRANSCRIPTION_SETTINGS = [
+    'TRANSCRIPTION_PROVIDER', 'TRANSCRIPTION_BASE_URL', 'TRANSCRIPTION_RESPONSE_FORMAT',
+    'LOCAL_WHISPER_MODEL_PATH', 'LOCAL_WHISPER_MODEL', 'LOCAL_WHISPER_QUANTIZED',
+    'MOCK_TRANSCRIPTIONS', 'WHISPER_MODEL', 'WHISPER_LANGUAGE', 'API_REQUEST_TIMEOUT', 'API_MAX_RETRIES'
+];
+const COACHING_SETTINGS = [
+    'COACHING_ENABLED', 'COACHING_PROVIDER', 'COACHING_BASE_URL', 'COACHING_MODEL', 'COACHING_MAX_TOKENS',
+    'COACHING_TEMPERATURE', 'COACHING_PROVIDER_OPTIONS', 'MOCK_COACHING_RESPONSES', 'API_REQUEST_TIMEOUT', 'API_MAX_RETRIES',
+    'COACHING_TRIGGER', 'COACHING_TRIGGER_MODEL_PATH', 'COACHING_TRIGGER_MODEL', 'LOCAL_WHISPER_MODEL_PATH',
+    'COACHING_CONTEXT_TOKENS', 'COACHING_MEMORY_ENABLED'
+];
+const PIPELINE_SETTINGS = [
+    'AUDIO_TARGET_SAMPLE_RATE', 'AUDIO_ENCODING', 'AUDIO_CHUNK_DURATION', 'AUDIO_MAX_CHUNK_DURATION',
+    'AUDIO_CHUNK_OVERLAP', 'SILENCE_THRESHOLD',
+    'MIN_SPEECH_DURATION', 'SPEECH_PROBABILITY_THRESHOLD', 'VOICE_FREQUENCY_RANGE',
+    'VOICE_ACTIVITY_WINDOW', 'VOICE_ACTIVITY_UPDATE_INTERVAL',
+    'STREAMING_PARTIALS_ENABLED', 'PARTIAL_TRANSCRIPTION_INTERVAL'
+];
+
+// How long the queue waits after a chunk failed all its retries (API down,
+// network gone) before trying it again, unless the API said how long
+const QUEUE_RETRY_DELAY = 5000;
 
 class AudioCaptureManager {
     constructor() {
-        this.mediaStream = null;
         this.audioContext = null;
         this.analyser = null;
         this.isRecording = false;
         this.recognition = null;
         
-        // FIXED: Web Audio API approach instead of MediaRecorder
-        this.audioProcessor = null;
-        this.audioSource = null;
-        this.audioBuffer = [];
-        this.bufferChunks = [];
+        // One CaptureTrack per source (microphone, optional system audio), each with
+        // its own AudioWorklet capture and VAD/encoding worker (see audio-pipeline.js)
+        this.tracks = [];
+        
+        // Microphone chosen via selectAudioDevice ({ deviceId, label }), persisted by
+        // main.js; null means the system default. Re-resolved on hot-plug.
+        this.preferredDevice = null;
+        this.deviceChangeTimer = null;
+        this.microphoneSwitch = null; // In-flight switchMicrophone(), so events don't race
+        this.audioStreamingEnabled = false; // Raw PCM to main.js for binary subscribers
         
-        // OpenAI Whisper API transcription
-        this.openAIApiKey = null;
-        this.whisperReady = false;
-        this.processingWhisper = false;
+        // Pluggable transcription engine (see transcription-providers.js)
+        this.transcriptionProvider = null;
+        this.transcriptionReady = false;
         
-        // GPT-4o Interview Coaching
+        // Interview coaching on a pluggable chat model (see llm-providers.js)
+        this.coachingProvider = null;
         this.coachingEnabled = false;
-        this.conversationHistory = [];
+        // The whole session's transcript, older parts summarized (see conversation-memory.js)
+        this.memory = new ConversationMemory({
+            onSummary: summary => ipcRenderer.send('conversationMemory', { ...summary, timestamp: Date.now() })
+        });
+        // Prompts are rendered from the template main.js selects for the session (see prompt-templates.js)
+        this.promptTemplate = { id: 'interview-coach', ...BUILT_IN_TEMPLATES['interview-coach'] };
+        this.coachingSession = null; // { id, name, startedAt } of the recording session
+        // Decides which utterances get advice (see coaching-triggers.js); main.js may
+        // select a strategy/threshold for the session, else config applies
+        this.coachingTrigger = null;
+        this.triggerSelection = null; // { strategy, threshold }
         this.lastInterviewerQuestion = '';
         this.processingCoaching = false;
+        this.activeCoaching = null; // { coachingId, controller } while advice is streaming
+        this.coachingTasks = new Set(); // analyzeForInterviewCoaching() runs, awaited at stop
         
-        // REAL-TIME: Enhanced speech detection
-        this.speechBuffer = [];
+        // REAL-TIME: Speech state reported by the pipeline workers (any track)
         this.isSpeaking = false;
-        this.lastSpeechTime = 0;
-        this.speechStartTime = 0;
-        this.silenceThreshold = 800; // OPTIMIZED: 800ms silence detection (was 1200ms) - faster but still allows pauses
-        this.minSpeechDuration = 400; // OPTIMIZED: 400ms minimum speech (was 500ms)
-        this.speechThreshold = 0.005; // Sensitivity threshold
         
         // REAL-TIME: WAV encoding settings
         this.sampleRate = 44100;
-        this.bufferSize = 4096; // 4KB chunks for responsiveness
-        this.chunkDuration = 3000; // OPTIMIZED: Send every 3 seconds for speed vs accuracy balance (was 8000)
-        this.lastChunkTime = 0;
+        this.captureBatchSize = 1024; // Samples per worklet -> worker message
         
         // REAL-TIME: Transcription queue
         this.transcriptionQueue = [];
         this.isProcessingQueue = false;
+        this.queueRun = Promise.resolve(); // The latest processTranscriptionQueue() run
         this.lastTranscriptionTime = 0;
         this.minTranscriptionInterval = 500; // Every 500ms
         
-        // IMPROVED: Duplicate detection
-        this.lastTranscriptions = [];
-        this.maxTranscriptionHistory = 5;
+        // While the API is unreachable or rate limiting, the head of the queue waits
+        // until queueResumeAt and the queue is bounded (TRANSCRIPTION_QUEUE_LIMIT)
+        this.queueResumeAt = 0;
+        this.droppedChunks = 0; // Since capture start
+        this.transcriptionFailure = null; // Last error, until a chunk goes through again
+        // Health of each API as last reported to clients (serviceStatus): ok / degraded / error
+        this.serviceStatus = { transcription: 'ok', coaching: 'ok' };
+        
+        // Per source: removes the words a chunk repeats from the one before
+        // (segmented utterances overlap, see transcript-stitcher.js)
+        this.stitchers = {};
+        
+        // Language settings main.js selected for the session ({ language, mode,
+        // outputLanguage }, 'auto' = detect), else config; and the language of
+        // the latest transcription, which coaching answers in by default
+        this.languageSelection = null;
+        this.conversationLanguage = null;
+        
+        // Live captions per source: { transcript (StreamingTranscript of the open
+        // window), pending partial, inFlight, shownWindows (captions still on screen) }
+        this.liveCaptions = {};
         
         // NEW: Real-time visual feedback
-        this.visualFeedbackEnabled = true;
         this.currentVolumeLevel = 0;
         this.voiceActivityIndicator = null;
+        this.monitorInterval = null;
         
         this.initializeUI();
         this.setupAudioCapture();
-        this.setupOpenAIWhisper();
+        this.setupCoachingProvider();
+        this.setupTranscriptionProvider();
         this.setupIPC();
+        this.setupDeviceChangeHandling();
         this.startTranscriptionQueue();
         this.initializeRealTimeFeatures();
     }
@@ -98,93 +166,525 @@ class AudioCaptureManager {
         }
     }
 
-    async setupOpenAIWhisper() {
+    setupCoachingProvider() {
+        try {
+            this.coachingProvider = createLLMProvider(config);
+        } catch (error) {
+            console.error('❌ Coaching provider setup error:', error.message);
+            this.coachingProvider = null;
+        }
+        
+        const ready = Boolean(this.coachingProvider && this.coachingProvider.isReady());
+        if (config.COACHING_ENABLED && !ready) {
+            console.log('⚠️ Coaching provider not configured (API key, COACHING_BASE_URL or model missing)');
+        }
+        this.coachingEnabled = config.COACHING_ENABLED && ready;
+        this.memory.tokenBudget = config.COACHING_CONTEXT_TOKENS;
+        this.memory.summarize = config.COACHING_MEMORY_ENABLED && this.coachingEnabled
+            ? createLLMSummarizer(this.coachingProvider)
+            : null;
+        console.log('🎓 REAL-TIME Interview Coaching:', this.coachingEnabled
+            ? `ENABLED (${this.coachingProvider.name}, ${this.coachingProvider.model})`
+            : 'DISABLED');
+        
+        // The llm trigger asks the coaching provider, so follow it
+        this.setupCoachingTrigger();
+    }
+
+    setupCoachingTrigger() {
+        if (this.coachingTrigger && this.coachingTrigger.dispose) {
+            this.coachingTrigger.dispose();
+        }
+        
+        const strategy = (this.triggerSelection && this.triggerSelection.strategy) || config.COACHING_TRIGGER;
+        try {
+            this.coachingTrigger = createCoachingTrigger({
+                strategy,
+                modelPath: config.COACHING_TRIGGER_MODEL_PATH || config.LOCAL_WHISPER_MODEL_PATH,
+                model: config.COACHING_TRIGGER_MODEL,
+                timeout: config.API_REQUEST_TIMEOUT
+            }, this.coachingProvider);
+        } catch (error) {
+            console.error('❌ Coaching trigger setup error:', error.message);
+            this.coachingTrigger = null;
+        }
+        
+        if (!this.coachingTrigger || !this.coachingTrigger.isReady()) {
+            console.log(`⚠️ Coaching trigger ${strategy} not available (model or coaching provider missing) - using rules`);
+            this.coachingTrigger = new RuleTrigger();
+        }
+        console.log(`🎓 Coaching trigger: ${this.coachingTrigger.name}`);
+    }
+
+    // -> { strategy, confidence, reason, threshold }; falls back to the rules when
+    // the classifier or LLM fails, so coaching never stalls on the gate
+    async evaluateCoachingTrigger(transcription, source) {
+        const threshold = this.triggerSelection && this.triggerSelection.threshold !== undefined
+            ? this.triggerSelection.threshold
+            : config.COACHING_TRIGGER_THRESHOLD;
+        // Translations are English whatever was spoken
+        const context = {
+            source,
+            language: this.languageSettings().task === 'translate' ? 'en' : this.conversationLanguage,
+            history: this.memory.turns.slice(-4, -1)
+        };
+        
+        let trigger = this.coachingTrigger;
+        let decision;
+        try {
+            decision = await trigger.evaluate(transcription, context);
+        } catch (error) {
+            console.error(`❌ Coaching trigger ${trigger.name} failed, using rules:`, error.message);
+            trigger = new RuleTrigger();
+            decision = await trigger.evaluate(transcription, context);
+        }
+        return { strategy: trigger.name, ...decision, threshold };
+    }
+
+    async setupTranscriptionProvider() {
+        // Replacing a running provider (config change): stop the old one first
+        this.transcriptionReady = false;
+        if (this.transcriptionProvider && this.transcriptionProvider.dispose) {
+            this.transcriptionProvider.dispose();
+        }
+        
         try {
-            console.log('🤖 Initializing REAL-TIME OpenAI Whisper API...');
-            this.updatePermissionStatus('🤖 Setting up REAL-TIME OpenAI Whisper...');
+            console.log(`🤖 Initializing REAL-TIME transcription provider: ${config.TRANSCRIPTION_PROVIDER}...`);
+            this.updatePermissionStatus('🤖 Setting up REAL-TIME transcription...');
             
-            this.openAIApiKey = config.OPENAI_API_KEY;
+            this.transcriptionProvider = createTranscriptionProvider(config);
+            // New settings (key, endpoint) deserve a fresh attempt
+            this.transcriptionFailure = null;
+            this.queueResumeAt = 0;
             
-            if (this.openAIApiKey === 'YOUR_OPENAI_API_KEY') {
-                console.log('⚠️ OpenAI API key not configured');
-                this.updatePermissionStatus('⚠️ OpenAI API key needed for real transcription');
+            if (!this.transcriptionProvider.isReady()) {
+                console.log(`⚠️ Transcription provider "${this.transcriptionProvider.name}" not configured`);
+                this.updatePermissionStatus('⚠️ API key, endpoint or local model needed for transcription');
                 return;
             }
             
-            this.whisperReady = true;
-            this.coachingEnabled = config.COACHING_ENABLED;
-            console.log('✅ REAL-TIME OpenAI Whisper API ready!');
-            console.log('🎓 REAL-TIME GPT-4o Interview Coaching:', this.coachingEnabled ? 'ENABLED' : 'DISABLED');
+            this.transcriptionReady = true;
+            console.log(`✅ REAL-TIME ${this.transcriptionProvider.name} transcription ready!`);
             
             this.updateCapabilityStatus();
             
         } catch (error) {
-            console.error('❌ OpenAI Whisper setup error:', error);
-            this.updatePermissionStatus('⚠️ OpenAI Whisper failed');
-            this.whisperReady = false;
+            console.error('❌ Transcription provider setup error:', error);
+            this.updatePermissionStatus('⚠️ Transcription setup failed');
+            this.transcriptionReady = false;
         }
     }
 
     updateCapabilityStatus() {
-        const coachingStatus = this.coachingEnabled ? '+ FAST GPT-4o Coaching' : '';
-        this.updatePermissionStatus(`✅ REAL-TIME WAV → Whisper ready ${coachingStatus}`);
+        const coachingStatus = this.coachingEnabled ? `+ FAST ${this.coachingProvider.model} Coaching` : '';
+        this.updatePermissionStatus(`✅ REAL-TIME WAV → ${this.transcriptionProvider.name} ready ${coachingStatus}`);
     }
 
     startTranscriptionQueue() {
         setInterval(() => {
             if (this.transcriptionQueue.length > 0 && !this.isProcessingQueue) {
-                this.processTranscriptionQueue();
+                this.queueRun = this.processTranscriptionQueue();
             }
         }, this.minTranscriptionInterval);
     }
 
     async processTranscriptionQueue() {
         if (this.isProcessingQueue || this.transcriptionQueue.length === 0) return;
+        // Waiting out an outage or a rate limit
+        if (Date.now() < this.queueResumeAt) return;
         
         this.isProcessingQueue = true;
-        const audioBlob = this.transcriptionQueue.shift();
+        const chunk = this.transcriptionQueue.shift();
         
         try {
-            await this.transcribeWithOpenAI(audioBlob);
+            await this.transcribeChunk(chunk.audioBlob, chunk);
         } catch (error) {
-            console.error('❌ Queue processing error:', error);
+            if (error.retryable) {
+                // Still worth sending once the API is back: keep it first in line
+                this.transcriptionQueue.unshift(chunk);
+                this.queueResumeAt = Date.now() + (error.retryAfter || QUEUE_RETRY_DELAY);
+                this.enforceQueueLimit();
+            } else {
+                console.error('❌ Queue processing error:', error);
+            }
         } finally {
             this.isProcessingQueue = false;
+            this.updateTranscriptionStatus();
+        }
+    }
+
+    // At stop: transcribe every chunk still queued, without waiting for the queue's
+    // turn; the API's own retries apply, but once it fails the rest is dropped
+    // -> { transcribed, dropped }
+    async drainTranscriptionQueue() {
+        await this.queueRun;
+        this.isProcessingQueue = true;
+        let transcribed = 0;
+        let dropped = 0;
+        
+        try {
+            while (this.transcriptionQueue.length > 0) {
+                const chunk = this.transcriptionQueue.shift();
+                try {
+                    await this.transcribeChunk(chunk.audioBlob, chunk);
+                    transcribed++;
+                } catch (error) {
+                    dropped = this.transcriptionQueue.length + 1;
+                    console.log(`🗑️ [QUEUE] Dropped the last ${dropped} chunks at stop:`, error.message);
+                    [chunk, ...this.transcriptionQueue].forEach(lost => this.endLiveCaption(lost.source, lost.startTime, ''));
+                    this.transcriptionQueue = [];
+                }
+            }
+        } finally {
+            this.isProcessingQueue = false;
+            this.queueResumeAt = 0;
+            this.droppedChunks += dropped;
+            this.updateTranscriptionStatus(dropped > 0);
+        }
+        return { transcribed, dropped };
+    }
+
+    // Past TRANSCRIPTION_QUEUE_LIMIT drop chunks per TRANSCRIPTION_QUEUE_DROP_POLICY
+    enforceQueueLimit() {
+        while (this.transcriptionQueue.length > config.TRANSCRIPTION_QUEUE_LIMIT) {
+            const dropped = config.TRANSCRIPTION_QUEUE_DROP_POLICY === 'newest'
+                ? this.transcriptionQueue.pop()
+                : this.transcriptionQueue.shift();
+            this.droppedChunks++;
+            console.log(`🗑️ [QUEUE] Dropped ${dropped.source} chunk (${dropped.startTime}ms +${dropped.duration}ms) - transcription is ${this.transcriptionQueue.length} chunks behind`);
+            
+            this.endLiveCaption(dropped.source, dropped.startTime, '');
+            this.updateTranscriptionStatus(true);
+        }
+    }
+
+    // degraded: retrying, offline or falling behind (audio may be dropped);
+    // error: failing in a way retries cannot fix (bad API key, bad request)
+    updateTranscriptionStatus(dropped = false) {
+        const failure = this.transcriptionFailure;
+        const queued = this.transcriptionQueue.length;
+        let state = 'ok';
+        let message = 'Transcription is up to date';
+        
+        if (failure && !failure.retryable) {
+            state = 'error';
+            message = failure.message;
+        } else if (failure) {
+            state = 'degraded';
+            message = `Transcription is behind - ${failure.message}`;
+        } else if (dropped || queued >= Math.ceil(config.TRANSCRIPTION_QUEUE_LIMIT / 2)) {
+            state = 'degraded';
+            message = `Transcription is behind - ${queued} chunks waiting`;
+        }
+        
+        this.reportServiceStatus('transcription', state, {
+            message,
+            queued,
+            queuedDuration: this.transcriptionQueue.reduce((total, chunk) => total + chunk.duration, 0),
+            dropped: this.droppedChunks,
+            ...(Date.now() < this.queueResumeAt ? { retryIn: this.queueResumeAt - Date.now() } : {})
+        }, dropped);
+    }
+
+    // Tell clients (serviceStatus) when an API's health changes, or always with `force`
+    reportServiceStatus(service, state, details, force = false) {
+        if (this.serviceStatus[service] === state && !force) return;
+        this.serviceStatus[service] = state;
+        
+        console.log(`${state === 'ok' ? '✅' : '⚠️'} [STATUS] ${service} ${state}: ${details.message}`);
+        ipcRenderer.send('serviceStatus', { service, state, ...details });
+        
+        if (state !== 'ok') {
+            this.updatePermissionStatus(`⚠️ ${details.message}`);
+        } else if (this.transcriptionReady) {
+            this.updateCapabilityStatus();
         }
     }
 
     setupIPC() {
-        ipcRenderer.on('startAudioCapture', () => {
+        ipcRenderer.on('startAudioCapture', (event, options = {}) => {
+            this.preferredDevice = options.device || null;
             this.startCapture();
         });
         
-        ipcRenderer.on('stopAudioCapture', () => {
-            this.stopCapture();
+        // main.js closes the session once this answers
+        ipcRenderer.on('stopAudioCapture', (event, request) => {
+            this.replyToMain(request.requestId, () => this.stopCapture());
+        });
+        
+        ipcRenderer.on('setAudioStreaming', (event, enabled) => {
+            this.setAudioStreaming(enabled);
+        });
+        
+        // Live settings changed in main.js (setConfig or an edited config file)
+        ipcRenderer.on('configChanged', (event, changed) => {
+            this.applyConfig(changed);
+        });
+        
+        ipcRenderer.on('transcriptionLanguage', (event, selection) => {
+            this.languageSelection = selection;
+            console.log(`🌐 Transcription language: ${selection.language}, ${selection.mode}, advice in ${selection.outputLanguage}`);
+        });
+        
+        ipcRenderer.on('coachingTrigger', (event, selection) => {
+            this.triggerSelection = selection;
+            this.setupCoachingTrigger();
+        });
+        
+        ipcRenderer.on('promptTemplate', (event, { template, session }) => {
+            this.promptTemplate = template;
+            this.coachingSession = session;
+            console.log(`📝 Coaching prompt template: ${template.id}`);
+        });
+        
+        // Requests from main.js that expect an answer on 'rendererReply'
+        ipcRenderer.on('listAudioDevices', (event, request) => {
+            this.replyToMain(request.requestId, () => this.listAudioDevices());
+        });
+        
+        ipcRenderer.on('selectAudioDevice', (event, request) => {
+            this.replyToMain(request.requestId, () => this.selectAudioDevice(request.deviceId));
+        });
+        
+        ipcRenderer.on('cancelCoaching', (event, request) => {
+            this.replyToMain(request.requestId, () => this.cancelCoaching(request.coachingId));
+        });
+        
+        ipcRenderer.on('previewPrompt', (event, request) => {
+            this.replyToMain(request.requestId, () => this.previewPrompt(request));
+        });
+        
+        ipcRenderer.on('summarizeSession', (event, request) => {
+            this.replyToMain(request.requestId, () => this.summarizeSession(request));
         });
         
         console.log('📡 IPC communication setup');
     }
 
+    async replyToMain(requestId, work) {
+        try {
+            ipcRenderer.send('rendererReply', { requestId, result: await work() });
+        } catch (error) {
+            ipcRenderer.send('rendererReply', { requestId, error: { message: error.message, code: error.code } });
+        }
+    }
+
+    async listAudioDevices() {
+        let devices = await navigator.mediaDevices.enumerateDevices();
+        
+        // Labels stay empty until microphone access has been granted once
+        if (devices.some(device => device.kind === 'audioinput' && !device.label)) {
+            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            stream.getTracks().forEach(track => track.stop());
+            devices = await navigator.mediaDevices.enumerateDevices();
+        }
+        
+        const activeDeviceId = this.getActiveMicrophoneDeviceId();
+        return devices
+            .filter(device => device.kind === 'audioinput')
+            .map(device => ({
+                deviceId: device.deviceId,
+                label: device.label,
+                groupId: device.groupId,
+                isDefault: device.deviceId === 'default',
+                active: device.deviceId === activeDeviceId
+            }));
+    }
+
+    // deviceId null/'default' goes back to the system default microphone
+    async selectAudioDevice(deviceId) {
+        let device = null;
+        
+        if (deviceId && deviceId !== 'default') {
+            const devices = await this.listAudioDevices();
+            const match = devices.find(candidate => candidate.deviceId === deviceId);
+            if (!match) {
+                const error = new Error(`Unknown audio input device: ${deviceId}`);
+                error.code = 'NOT_FOUND';
+                throw error;
+            }
+            device = { deviceId: match.deviceId, label: match.label };
+        }
+        
+        this.preferredDevice = device;
+        console.log(`🎧 Selected microphone: ${device ? device.label : 'system default'}`);
+        
+        if (this.isRecording) {
+            // Let a hot-plug switch finish first so it can't override the choice
+            if (this.microphoneSwitch) await this.microphoneSwitch;
+            await this.switchMicrophone('selected');
+        }
+        return device;
+    }
+
+    // Preferred device if it is plugged in (matched by id, then by label), else the default
+    async resolveInputDevice() {
+        if (!this.preferredDevice) return null;
+        
+        const inputs = (await navigator.mediaDevices.enumerateDevices()).filter(device => device.kind === 'audioinput');
+        return inputs.find(device => device.deviceId === this.preferredDevice.deviceId)
+            || inputs.find(device => device.label && device.label === this.preferredDevice.label)
+            || null;
+    }
+
+    async openMicrophone() {
+        const device = await this.resolveInputDevice();
+        if (this.preferredDevice && !device) {
+            console.log(`⚠️ ${this.preferredDevice.label || 'Selected microphone'} not connected - using system default`);
+        }
+        
+        // Get microphone access with high-quality settings
+        return navigator.mediaDevices.getUserMedia({
+            audio: {
+                ...(device ? { deviceId: { exact: device.deviceId } } : {}),
+                echoCancellation: true,
+                noiseSuppression: true,
+                autoGainControl: true,
+                sampleRate: this.sampleRate,
+                channelCount: 1 // Mono for efficiency
+            }
+        });
+    }
+
+    getMicrophoneTrack() {
+        return this.tracks.find(track => track.source === TRACK_SOURCES.local) || null;
+    }
+
+    getActiveMicrophoneDeviceId() {
+        const track = this.getMicrophoneTrack();
+        const [audioTrack] = track && track.mediaStream ? track.mediaStream.getAudioTracks() : [];
+        return audioTrack ? audioTrack.getSettings().deviceId : null;
+    }
+
+    describeMicrophone() {
+        const track = this.getMicrophoneTrack();
+        const [audioTrack] = track && track.mediaStream ? track.mediaStream.getAudioTracks() : [];
+        return audioTrack ? { deviceId: audioTrack.getSettings().deviceId, label: audioTrack.label } : null;
+    }
+
+    setupDeviceChangeHandling() {
+        // Fires several times per plug/unplug, so settle first
+        navigator.mediaDevices.addEventListener('devicechange', () => {
+            clearTimeout(this.deviceChangeTimer);
+            this.deviceChangeTimer = setTimeout(() => this.handleDeviceChange(), 500);
+        });
+    }
+
+    async handleDeviceChange() {
+        if (!this.isRecording) return;
+        
+        const microphone = this.getMicrophoneTrack();
+        // A replayed recording has no device to lose
+        if (microphone && microphone.replay) return;
+        const [audioTrack] = microphone ? microphone.mediaStream.getAudioTracks() : [];
+        const lost = !audioTrack || audioTrack.readyState === 'ended';
+        
+        // Switch back when the preferred device is plugged in again
+        const preferred = await this.resolveInputDevice();
+        const preferredReturned = preferred && audioTrack && audioTrack.getSettings().deviceId !== preferred.deviceId;
+        
+        if (lost) {
+            await this.switchMicrophone('disconnected');
+        } else if (preferredReturned) {
+            await this.switchMicrophone('reconnected');
+        }
+    }
+
+    // Re-open the microphone track on whichever device resolves now, keeping the
+    // system audio track and the rest of the capture running
+    switchMicrophone(reason) {
+        if (!this.microphoneSwitch) {
+            this.microphoneSwitch = this.reopenMicrophone(reason).finally(() => {
+                this.microphoneSwitch = null;
+            });
+        }
+        return this.microphoneSwitch;
+    }
+
+    async reopenMicrophone(reason) {
+        const previous = this.getMicrophoneTrack();
+        const previousDevice = this.describeMicrophone();
+        
+        if (previous) {
+            this.tracks = this.tracks.filter(track => track !== previous);
+            await previous.stop();
+        }
+        
+        try {
+            const microphone = this.addMicrophoneTrack(await this.openMicrophone());
+            const device = this.describeMicrophone();
+            console.log(`🎧 Microphone ${reason}: now using ${device ? device.label : 'unknown device'}`);
+            
+            ipcRenderer.send('deviceChanged', {
+                reason,
+                device,
+                previousDevice,
+                timestamp: Date.now()
+            });
+            return microphone;
+        } catch (error) {
+            console.error('❌ No microphone available after device change:', error.message);
+            ipcRenderer.send('deviceChanged', {
+                reason: 'unavailable',
+                device: null,
+                previousDevice,
+                timestamp: Date.now()
+            });
+            this.updatePermissionStatus('❌ No microphone available');
+            return null;
+        }
+    }
+
+    addMicrophoneTrack(microphoneStream) {
+        const microphone = this.addTrack(TRACK_SOURCES.local, STREAM_IDS.microphone, microphoneStream);
+        if (this.analyser) {
+            microphone.audioSource.connect(this.analyser);
+        }
+        
+        // An unplugged device ends its track; don't wait for devicechange to notice
+        microphoneStream.getAudioTracks().forEach(audioTrack => {
+            audioTrack.addEventListener('ended', () => {
+                if (this.isRecording && this.getMicrophoneTrack() === microphone) {
+                    this.switchMicrophone('disconnected');
+                }
+            });
+        });
+        return microphone;
+    }
+
     async startCapture() {
         if (this.isRecording) return;
 
         try {
             console.log('🎤 Starting REAL-TIME Web Audio API capture...');
             this.isRecording = true;
+            this.stitchers = {};
+            this.memory.reset();
+            this.conversationLanguage = null;
+            this.droppedChunks = 0;
             
-            // Get microphone access with high-quality settings
-            this.mediaStream = await navigator.mediaDevices.getUserMedia({
-                audio: {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: true,
-                    sampleRate: this.sampleRate,
-                    channelCount: 1 // Mono for efficiency
-                }
-            });
+            // A recording can stand in for the microphone (see replay-source.js)
+            if (config.REPLAY_AUDIO_FILE) {
+                await this.setupWebAudioAPI(null);
+                await this.addReplayTrack(TRACK_SOURCES.local, STREAM_IDS.microphone, config.REPLAY_AUDIO_FILE);
+            } else {
+                const microphoneStream = await this.openMicrophone();
 
-            console.log('✅ Microphone access granted!');
-            this.setupWebAudioAPI();
+                console.log('✅ Microphone access granted!');
+                await this.setupWebAudioAPI(microphoneStream);
+            }
+            
+            // The other side of the call, as its own track; capture goes on without it
+            if (config.REPLAY_SYSTEM_AUDIO_FILE) {
+                await this.addReplayTrack(TRACK_SOURCES.remote, STREAM_IDS.system, config.REPLAY_SYSTEM_AUDIO_FILE);
+            } else if (config.SYSTEM_AUDIO_ENABLED) {
+                try {
+                    this.addTrack(TRACK_SOURCES.remote, STREAM_IDS.system, await this.getSystemAudioStream());
+                    console.log('✅ System audio capture started');
+                } catch (error) {
+                    console.error('⚠️ System audio unavailable - capturing microphone only:', error.message);
+                }
+            }
             
             this.updateUI();
             this.startVisualization();
@@ -198,45 +698,32 @@ class AudioCaptureManager {
         }
     }
 
-    setupWebAudioAPI() {
+    async setupWebAudioAPI(microphoneStream) {
         try {
-            console.log('🔧 Setting up REAL-TIME Web Audio API processing...');
+            console.log('🔧 Setting up REAL-TIME AudioWorklet processing...');
             
             // Create AudioContext with specified sample rate
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
                 sampleRate: this.sampleRate
             });
             
-            // Create source from microphone stream
-            this.audioSource = this.audioContext.createMediaStreamSource(this.mediaStream);
+            // Captures PCM on the audio thread and hands it straight to each track's worker
+            await this.audioContext.audioWorklet.addModule('audio-capture-worklet.js');
             
-            // Create analyser for visualization
+            // Create analyser for visualization (microphone only)
             this.analyser = this.audioContext.createAnalyser();
             this.analyser.fftSize = 1024;
             this.analyser.smoothingTimeConstant = 0.3;
             this.analyser.minDecibels = -90;
             this.analyser.maxDecibels = -10;
             
-            // FIXED: Use ScriptProcessorNode for real-time PCM capture
-            this.audioProcessor = this.audioContext.createScriptProcessor(
-                this.bufferSize, // Buffer size
-                1, // Input channels (mono)
-                1  // Output channels (mono)
-            );
-            
-            // Connect the audio pipeline
-            this.audioSource.connect(this.analyser);
-            this.audioSource.connect(this.audioProcessor);
-            this.audioProcessor.connect(this.audioContext.destination);
-            
-            // REAL-TIME: Process audio data as it comes in
-            this.audioProcessor.onaudioprocess = (event) => {
-                this.processAudioChunk(event);
-            };
+            if (microphoneStream) {
+                this.addMicrophoneTrack(microphoneStream);
+            }
             
             this.startContinuousMonitoring();
             
-            console.log('✅ REAL-TIME Web Audio API processing setup complete');
+            console.log('✅ REAL-TIME AudioWorklet processing setup complete');
             
         } catch (error) {
             console.error('❌ Web Audio API setup failed:', error);
@@ -244,179 +731,320 @@ class AudioCaptureManager {
         }
     }
 
-    processAudioChunk(event) {
-        // Get PCM audio samples from the input buffer
-        const inputBuffer = event.inputBuffer;
-        const samples = inputBuffer.getChannelData(0); // Mono channel
+    addTrack(source, streamId, mediaStream, replay = null) {
+        const track = new CaptureTrack({
+            source,
+            streamId,
+            audioContext: this.audioContext,
+            mediaStream,
+            replay,
+            batchSize: this.captureBatchSize,
+            pipelineOptions: this.pipelineOptions(),
+            onEvent: (event, eventTrack) => this.handlePipelineEvent(event, eventTrack)
+        });
         
-        // FIXED: Calculate audio energy to detect actual speech
-        let energy = 0;
-        for (let i = 0; i < samples.length; i++) {
-            energy += samples[i] * samples[i];
+        track.start(this.audioStreamingEnabled);
+        this.tracks.push(track);
+        return track;
+    }
+
+    // Capture from a recording; main.js tells clients when it has been played
+    async addReplayTrack(source, streamId, filePath) {
+        const replay = new ReplaySource(filePath, {
+            sampleRate: this.audioContext.sampleRate,
+            speed: config.REPLAY_SPEED,
+            batchSize: this.captureBatchSize,
+            ffmpegPath: config.FFMPEG_PATH,
+            onEnd: () => ipcRenderer.send('replayFinished', { source, file: filePath, duration: replay.duration })
+        });
+        await replay.load();
+        return this.addTrack(source, streamId, null, replay);
+    }
+
+    // Apply changed settings to the running capture - no restart needed
+    applyConfig(changed) {
+        Object.assign(config, changed);
+        const keys = Object.keys(changed);
+        console.log(`⚙️ [CONFIG] Applying ${keys.join(', ')}`);
+        
+        if (keys.some(key => COACHING_SETTINGS.includes(key))) {
+            this.setupCoachingProvider();
         }
-        energy = Math.sqrt(energy / samples.length);
         
-        // FIXED: Only store chunks that have actual audio content
-        const hasSignificantAudio = energy > 0.001; // Minimum energy threshold
+        if (keys.some(key => TRANSCRIPTION_SETTINGS.includes(key))) {
+            this.setupTranscriptionProvider();
+        } else if (keys.some(key => COACHING_SETTINGS.includes(key)) && this.transcriptionReady) {
+            this.updateCapabilityStatus();
+        }
         
-        if (hasSignificantAudio) {
-            this.bufferChunks.push(new Float32Array(samples));
+        if (keys.some(key => PIPELINE_SETTINGS.includes(key)) && this.tracks.length > 0) {
+            const options = this.pipelineOptions();
+            this.tracks.forEach(track => track.configure(options));
         }
         
-        // FIXED: Only process if we have voice activity AND audio content
-        const currentTime = Date.now();
-        if (currentTime - this.lastChunkTime >= this.chunkDuration) {
-            // Only send if we have actual speech detected AND audio content
-            if (this.isSpeaking && this.bufferChunks.length > 0) {
-                this.processBufferedAudio();
-            } else {
-                // Clear empty buffers to prevent phantom transcriptions
-                this.bufferChunks = [];
-                console.log('🔇 [SILENCE] No speech detected - clearing buffer, not sending to OpenAI');
-            }
-            this.lastChunkTime = currentTime;
+        if (keys.includes('PROCESSING_INTERVAL') && this.isRecording) {
+            this.startContinuousMonitoring();
+        }
+        
+        if (keys.includes('VISUAL_FEEDBACK_ENABLED') && this.voiceActivityIndicator) {
+            this.voiceActivityIndicator.style.display = config.VISUAL_FEEDBACK_ENABLED ? 'flex' : 'none';
         }
+        
+        // SYSTEM_AUDIO_* are read when the next capture starts
     }
 
-    async processBufferedAudio() {
-        if (this.bufferChunks.length === 0 || !this.whisperReady) return;
-        
-        try {
-            console.log(`🎵 [REAL-TIME] Converting ${this.bufferChunks.length} PCM chunks to WAV...`);
-            
-            // FIXED: Additional validation - check if the WAV has actual content
-            const wavBlob = this.convertPCMToWAV(this.bufferChunks, this.sampleRate);
-            
-            // Clear the buffer for next chunk
-            this.bufferChunks = [];
+    // Pipeline settings from config (see audio-pipeline.js DEFAULT_OPTIONS)
+    pipelineOptions() {
+        return pipelineOptionsFromConfig(config, this.audioContext.sampleRate);
+    }
+
+    // Loopback audio of whatever the system is playing (the remote side of a call)
+    async getSystemAudioStream() {
+        if (process.platform === 'linux') {
+            // PulseAudio/PipeWire expose every output's loopback as a "Monitor of ..." input
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            const monitor = devices.find(device => device.kind === 'audioinput' && (config.SYSTEM_AUDIO_DEVICE
+                ? device.label.includes(config.SYSTEM_AUDIO_DEVICE)
+                : /monitor/i.test(device.label)));
             
-            if (wavBlob && wavBlob.size > 5000) { // INCREASED: Minimum 5KB for meaningful audio
-                // FIXED: Validate audio content before sending
-                if (await this.hasSignificantAudioContent(wavBlob)) {
-                    console.log(`🎤 [REAL-TIME] Sending ${Math.round(wavBlob.size/1024)}KB WAV chunk to OpenAI...`);
-                    this.transcriptionQueue.push(wavBlob);
-                } else {
-                    console.log(`🔇 [SILENT] Audio chunk has no significant content - skipping OpenAI call`);
-                }
-            } else {
-                console.log('🔇 [REAL-TIME] Audio chunk too small, skipping...');
+            if (!monitor) {
+                throw new Error('No PulseAudio/PipeWire monitor source found (set SYSTEM_AUDIO_DEVICE)');
             }
             
-        } catch (error) {
-            console.error('❌ [REAL-TIME] Audio processing error:', error);
-            this.bufferChunks = [];
+            console.log(`🔈 Using monitor source: ${monitor.label}`);
+            return navigator.mediaDevices.getUserMedia({
+                audio: {
+                    deviceId: { exact: monitor.deviceId },
+                    // Processing meant for microphones only degrades loopback audio
+                    echoCancellation: false,
+                    noiseSuppression: false,
+                    autoGainControl: false,
+                    channelCount: 1
+                }
+            });
         }
+        
+        // main.js answers with desktopCapturer loopback audio; the API insists on
+        // a video track as well, which we drop straight away
+        const stream = await navigator.mediaDevices.getDisplayMedia({ audio: true, video: true });
+        stream.getVideoTracks().forEach(track => {
+            track.stop();
+            stream.removeTrack(track);
+        });
+        
+        if (stream.getAudioTracks().length === 0) {
+            throw new Error('System audio loopback is not supported on this platform');
+        }
+        return stream;
     }
 
-    async hasSignificantAudioContent(wavBlob) {
-        try {
-            // Convert blob to array buffer and analyze audio content
-            const arrayBuffer = await wavBlob.arrayBuffer();
-            const dataView = new DataView(arrayBuffer);
-            
-            // Skip WAV header (44 bytes) and analyze audio data
-            let maxAmplitude = 0;
-            let totalEnergy = 0;
-            let sampleCount = 0;
-            
-            for (let i = 44; i < arrayBuffer.byteLength; i += 2) {
-                const sample = dataView.getInt16(i, true); // little endian
-                const normalizedSample = Math.abs(sample) / 32768;
-                maxAmplitude = Math.max(maxAmplitude, normalizedSample);
-                totalEnergy += normalizedSample * normalizedSample;
-                sampleCount++;
-            }
-            
-            const avgEnergy = Math.sqrt(totalEnergy / sampleCount);
-            const hasContent = maxAmplitude > 0.01 && avgEnergy > 0.005; // Thresholds for real speech
-            
-            console.log(`🔍 [AUDIO-CHECK] Max: ${maxAmplitude.toFixed(4)}, Avg: ${avgEnergy.toFixed(4)}, HasContent: ${hasContent}`);
-            
-            return hasContent;
-            
-        } catch (error) {
-            console.error('❌ [AUDIO-CHECK] Error validating audio content:', error);
-            return true; // If validation fails, proceed anyway
+    setAudioStreaming(enabled) {
+        this.audioStreamingEnabled = enabled;
+        console.log(`🔊 [STREAM] Live audio streaming ${enabled ? 'enabled' : 'disabled'}`);
+        
+        this.tracks.forEach(track => track.setStreaming(enabled));
+    }
+
+    handlePipelineEvent(event, track) {
+        switch (event.type) {
+            case 'speechStart':
+                this.isSpeaking = true;
+                console.log(`🗣️ [REAL-TIME] ${track.source} voice detected at ${event.time}ms (p=${event.probability.toFixed(2)}) - continuous processing active`);
+                this.sendVoiceActivity('speechStarted', track, { probability: event.probability, time: event.time });
+                break;
+                
+            case 'speechEnd':
+                this.isSpeaking = this.tracks.some(other => other.isSpeaking);
+                console.log(`🤐 [SMART-END] ${track.source} voice ended (${event.duration}ms total speech) - processing now!`);
+                this.sendVoiceActivity('speechEnded', track, { duration: event.duration, time: event.time });
+                break;
+                
+            case 'partial':
+                this.queuePartial(new Blob([event.audio], { type: event.mimeType }), {
+                    ...event,
+                    startTime: event.startTime + track.startOffset,
+                    source: track.source
+                });
+                break;
+                
+            case 'chunk':
+                // Its final transcription replaces the live caption (transcribeChunk)
+                this.closeLiveCaption(track.source);
+                this.queueAudioChunk(new Blob([event.audio], { type: event.mimeType }), {
+                    ...event,
+                    startTime: event.startTime + track.startOffset,
+                    source: track.source
+                });
+                break;
+                
+            case 'audio':
+                ipcRenderer.send('audioData', {
+                    samples: new Float32Array(event.samples),
+                    sequence: event.sequence,
+                    timestamp: event.timestamp + track.startOffset,
+                    sampleRate: this.audioContext.sampleRate,
+                    channels: 1,
+                    streamId: track.streamId
+                });
+                break;
+                
+            case 'skipped':
+                console.log(`🔇 [SILENT] ${track.source} audio chunk skipped (${event.reason}) - not transcribing`);
+                this.closeLiveCaption(track.source, '');
+                break;
+                
+            case 'level':
+                this.sendVoiceActivity('level', track, { level: event.rms, probability: event.speechProbability });
+                break;
+                
+            default:
+                console.log('❓ [PIPELINE] Unknown event type:', event.type);
+        }
+    }
+
+    // Speech start/end and periodic speech probability for clients (voiceActivity)
+    sendVoiceActivity(type, track, details) {
+        const activity = { type, source: track.source, ...details, timestamp: Date.now() };
+        if (activity.time !== undefined) {
+            activity.time += track.startOffset;
         }
+        ipcRenderer.send('voiceActivityUpdate', activity);
     }
 
-    convertPCMToWAV(pcmChunks, sampleRate) {
-        if (pcmChunks.length === 0) return null;
+    queueAudioChunk(audioBlob, chunkInfo) {
+        if (!this.transcriptionReady) return;
         
-        // Calculate total length
-        const totalLength = pcmChunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        console.log(`🎤 [REAL-TIME] Queueing ${Math.round(audioBlob.size/1024)}KB ${chunkInfo.source} chunk (${chunkInfo.startTime}ms +${chunkInfo.duration}ms) for transcription...`);
+        this.transcriptionQueue.push({
+            audioBlob,
+            source: chunkInfo.source,
+            startTime: chunkInfo.startTime,
+            duration: chunkInfo.duration,
+            overlap: chunkInfo.overlap
+        });
+        this.enforceQueueLimit();
+        this.updateTranscriptionStatus();
+    }
+
+    // Partial hypotheses skip the queue: the newest window snapshot wins and at
+    // most one partial decode per source is in flight
+    queuePartial(audioBlob, chunkInfo) {
+        // Leave the API to the final chunks while it is struggling
+        if (!this.transcriptionReady || this.serviceStatus.transcription !== 'ok') return;
         
-        // Merge all PCM chunks into single array
-        const mergedPCM = new Float32Array(totalLength);
-        let offset = 0;
-        for (const chunk of pcmChunks) {
-            mergedPCM.set(chunk, offset);
-            offset += chunk.length;
-        }
+        const caption = this.liveCaptions[chunkInfo.source] ||
+            (this.liveCaptions[chunkInfo.source] = { transcript: null, pending: null, inFlight: false, shownWindows: new Set() });
         
-        // Convert float samples to 16-bit PCM
-        const pcm16 = new Int16Array(totalLength);
-        for (let i = 0; i < totalLength; i++) {
-            const sample = Math.max(-1, Math.min(1, mergedPCM[i]));
-            pcm16[i] = sample * 0x7FFF;
+        if (!caption.transcript || caption.transcript.startTime !== chunkInfo.startTime) {
+            caption.transcript = new StreamingTranscript({ startTime: chunkInfo.startTime, stableAfter: config.PARTIAL_STABILITY });
         }
+        caption.pending = { audioBlob, chunkInfo };
+        this.processPartial(caption);
+    }
+
+    async processPartial(caption) {
+        if (caption.inFlight || !caption.pending) return;
         
-        // Create WAV file structure
-        const buffer = new ArrayBuffer(44 + pcm16.length * 2);
-        const view = new DataView(buffer);
+        const { audioBlob, chunkInfo } = caption.pending;
+        const transcript = caption.transcript;
+        caption.pending = null;
+        caption.inFlight = true;
         
-        // WAV header
-        const writeString = (offset, string) => {
-            for (let i = 0; i < string.length; i++) {
-                view.setUint8(offset + i, string.charCodeAt(i));
+        try {
+            const { language, task } = this.languageSettings();
+            const result = await this.transcriptionProvider.transcribe(audioBlob, {
+                filename: fileNameForMimeType(audioBlob.type),
+                duration: chunkInfo.duration,
+                language,
+                task,
+                retries: 0
+            });
+            
+            // Without the words the previous chunk already ended with
+            const text = this.stitcherFor(chunkInfo.source).trim(result.text, chunkInfo);
+            
+            // The window may have been finalized while this was decoding
+            if (text.length > 0 && transcript.accepts(chunkInfo.startTime)) {
+                const hypothesis = transcript.update(text);
+                caption.shownWindows.add(chunkInfo.startTime);
+                ipcRenderer.send('streamingTranscription', {
+                    ...hypothesis,
+                    partial: true,
+                    source: chunkInfo.source,
+                    windowStart: chunkInfo.startTime,
+                    endTime: chunkInfo.startTime + chunkInfo.duration
+                });
             }
-        };
-        
-        writeString(0, 'RIFF');
-        view.setUint32(4, 36 + pcm16.length * 2, true);
-        writeString(8, 'WAVE');
-        writeString(12, 'fmt ');
-        view.setUint32(16, 16, true);
-        view.setUint16(20, 1, true); // PCM format
-        view.setUint16(22, 1, true); // Mono
-        view.setUint32(24, sampleRate, true);
-        view.setUint32(28, sampleRate * 2, true);
-        view.setUint16(32, 2, true);
-        view.setUint16(34, 16, true);
-        writeString(36, 'data');
-        view.setUint32(40, pcm16.length * 2, true);
+        } catch (error) {
+            console.log(`⚠️ [PARTIAL] ${this.transcriptionProvider.name} error:`, error.message);
+        } finally {
+            caption.inFlight = false;
+            this.processPartial(caption);
+        }
+    }
+
+    // The open window of a source was finalized (or dropped: finalText = '')
+    closeLiveCaption(source, finalText) {
+        const caption = this.liveCaptions[source];
+        if (!caption || !caption.transcript) return;
         
-        // Write PCM data
-        const samples = new Uint8Array(buffer, 44);
-        const pcmBytes = new Uint8Array(pcm16.buffer);
-        samples.set(pcmBytes);
+        caption.transcript.close();
+        caption.pending = null;
+        if (finalText !== undefined) {
+            this.endLiveCaption(source, caption.transcript.startTime, finalText);
+        }
+    }
+
+    // Replace a window's live caption with its final text so clients can settle it
+    endLiveCaption(source, windowStart, text) {
+        const caption = this.liveCaptions[source];
+        if (!caption || !caption.shownWindows.delete(windowStart)) return;
         
-        return new Blob([buffer], { type: 'audio/wav' });
+        ipcRenderer.send('streamingTranscription', {
+            text,
+            stableText: text,
+            unstableText: '',
+            partial: false,
+            source,
+            windowStart
+        });
+    }
+
+    // At stop: settle every caption still on screen and ignore partials in flight
+    clearLiveCaptions() {
+        Object.entries(this.liveCaptions).forEach(([source, caption]) => {
+            if (caption.transcript) caption.transcript.close();
+            caption.pending = null;
+            [...caption.shownWindows].forEach(windowStart => this.endLiveCaption(source, windowStart, ''));
+        });
+        this.liveCaptions = {};
     }
 
     startContinuousMonitoring() {
         console.log('🎤 [REAL-TIME] Starting ultra-responsive voice monitoring...');
         
-        // Monitor voice activity every 25ms for real-time feedback
-        const monitorInterval = setInterval(() => {
+        // Refresh voice activity visuals every PROCESSING_INTERVAL ms for real-time feedback
+        clearInterval(this.monitorInterval);
+        this.monitorInterval = setInterval(() => {
             if (!this.isRecording) {
-                clearInterval(monitorInterval);
+                clearInterval(this.monitorInterval);
+                this.monitorInterval = null;
                 return;
             }
-            this.checkSpeechActivity();
-        }, 25);
+            this.updateVolumeLevel();
+        }, config.PROCESSING_INTERVAL);
         
-        console.log('✅ [REAL-TIME] Voice monitoring active (25ms intervals)');
+        console.log(`✅ [REAL-TIME] Voice monitoring active (${config.PROCESSING_INTERVAL}ms intervals)`);
     }
 
-    checkSpeechActivity() {
+    updateVolumeLevel() {
         if (!this.analyser) return;
         
         const bufferLength = this.analyser.frequencyBinCount;
         const dataArray = new Uint8Array(bufferLength);
         this.analyser.getByteFrequencyData(dataArray);
         
-        // Calculate voice activity
+        // Calculate volume for the visual indicator; speech decisions are made in the pipeline worker
         let sum = 0;
         let maxVolume = 0;
         for (let i = 0; i < bufferLength; i++) {
@@ -426,92 +1054,47 @@ class AudioCaptureManager {
         const averageVolume = sum / bufferLength / 255;
         const normalizedMaxVolume = maxVolume / 255;
         
-        const currentTime = Date.now();
-        const speechDetected = averageVolume > this.speechThreshold || normalizedMaxVolume > 0.05;
-        
-        if (speechDetected) {
-            if (!this.isSpeaking) {
-                this.isSpeaking = true;
-                this.speechStartTime = currentTime;
-                console.log(`🗣️ [REAL-TIME] Voice detected - continuous processing active`);
-            }
-            this.lastSpeechTime = currentTime;
-            this.lastVolumeLevel = averageVolume; // Track volume for speech-end detection
-        } else {
-            if (this.isSpeaking) {
-                const silenceTime = currentTime - this.lastSpeechTime;
-                const speechDuration = currentTime - this.speechStartTime;
-                
-                // SMART: End speech faster if we had substantial speech duration
-                const smartThreshold = speechDuration > 2000 ? 500 : this.silenceThreshold; // 500ms for longer speech
-                
-                if (silenceTime > smartThreshold) {
-                    console.log(`🤐 [SMART-END] Voice ended after ${silenceTime}ms silence (${speechDuration}ms total speech) - processing now!`);
-                    this.isSpeaking = false;
-                    
-                    // IMMEDIATE: Trigger processing if we have buffered content
-                    if (this.bufferChunks.length > 0) {
-                        console.log(`⚡ [IMMEDIATE] Processing buffered speech immediately`);
-                        this.processBufferedAudio();
-                        this.lastChunkTime = currentTime; // Reset chunk timer
-                    }
-                } else if (silenceTime > 300) {
-                    // Brief pause detection (reduced logging)
-                    if (silenceTime % 200 === 0) { // Log every 200ms to reduce spam
-                        console.log(`⏸️ [PAUSE] Brief pause (${silenceTime}ms) - continuing...`);
-                    }
-                }
-            }
-        }
-        
-        // Update visual feedback
         this.updateVoiceActivityVisuals(averageVolume, normalizedMaxVolume);
     }
 
+    // Stops the tracks and transcribes what they and the queue still hold, so
+    // the session is complete when this resolves -> { transcribed, dropped }
     async stopCapture() {
-        if (!this.isRecording) return;
+        if (!this.isRecording) return { transcribed: 0, dropped: 0 };
 
         try {
             console.log('🛑 Stopping REAL-TIME audio capture...');
             
-            // Process any remaining buffered audio
-            if (this.bufferChunks.length > 0) {
-                await this.processBufferedAudio();
-            }
+            // Each track flushes its buffered audio (a last chunk) before shutting down
+            await Promise.all(this.tracks.map(track => track.stop()));
+            this.tracks = [];
             
             // Clean up Web Audio API
-            if (this.audioProcessor) {
-                this.audioProcessor.disconnect();
-                this.audioProcessor = null;
-            }
-            
-            if (this.audioSource) {
-                this.audioSource.disconnect();
-                this.audioSource = null;
-            }
-            
-            if (this.mediaStream) {
-                this.mediaStream.getTracks().forEach(track => track.stop());
-                this.mediaStream = null;
-            }
-            
             if (this.audioContext && this.audioContext.state !== 'closed') {
                 await this.audioContext.close();
                 this.audioContext = null;
             }
             
             this.isRecording = false;
-            this.bufferChunks = [];
-            this.speechBuffer = [];
+            this.isSpeaking = false;
             
             this.updateUI();
             this.stopVisualization();
             
-            console.log('✅ REAL-TIME Audio capture stopped');
-            
         } catch (error) {
             console.error('❌ Error stopping capture:', error);
+            this.isRecording = false;
         }
+        
+        // Advice for the stopped session is cancelled (its coachingComplete says so)
+        // before main.js closes the session
+        if (this.activeCoaching) this.activeCoaching.controller.abort();
+        await Promise.all(this.coachingTasks);
+        
+        const drained = await this.drainTranscriptionQueue();
+        this.clearLiveCaptions();
+        console.log(`✅ REAL-TIME Audio capture stopped (${drained.transcribed} chunks transcribed at stop)`);
+        return drained;
     }
 
     startVisualization() {
@@ -558,279 +1141,231 @@ class AudioCaptureManager {
         console.log('📊 Status:', message);
     }
 
-    isDuplicateTranscription(text) {
-        const cleanText = text.toLowerCase().trim();
-        return this.lastTranscriptions.some(prev => {
-            const similarity = this.calculateSimilarity(cleanText, prev);
-            return similarity > 0.8;
-        });
-    }
-
-    calculateSimilarity(str1, str2) {
-        const len1 = str1.length;
-        const len2 = str2.length;
-        const matrix = Array(len2 + 1).fill(null).map(() => Array(len1 + 1).fill(null));
-        
-        for (let i = 0; i <= len1; i++) matrix[0][i] = i;
-        for (let j = 0; j <= len2; j++) matrix[j][0] = j;
-        
-        for (let j = 1; j <= len2; j++) {
-            for (let i = 1; i <= len1; i++) {
-                const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
-                matrix[j][i] = Math.min(
-                    matrix[j][i - 1] + 1,
-                    matrix[j - 1][i] + 1,
-                    matrix[j - 1][i - 1] + cost
-                );
-            }
+    // -> { language ('' = detect), task ('transcribe' / 'translate'), outputLanguage ('' = as spoken) }
+    languageSettings() {
+        const selection = this.languageSelection;
+        if (!selection) {
+            return { language: config.WHISPER_LANGUAGE, task: config.TRANSCRIPTION_MODE, outputLanguage: config.COACHING_LANGUAGE };
         }
-        
-        return 1 - (matrix[len2][len1] / Math.max(len1, len2));
+        return {
+            language: selection.language === 'auto' ? '' : selection.language,
+            task: selection.mode,
+            outputLanguage: selection.outputLanguage === 'auto' ? '' : selection.outputLanguage
+        };
     }
 
-    addToTranscriptionHistory(text) {
-        this.lastTranscriptions.push(text.toLowerCase().trim());
-        if (this.lastTranscriptions.length > this.maxTranscriptionHistory) {
-            this.lastTranscriptions.shift();
-        }
+    stitcherFor(source) {
+        return this.stitchers[source] || (this.stitchers[source] = new TranscriptStitcher());
     }
 
-    async transcribeWithOpenAI(audioBlob) {
-        console.log(`🎯 [TRANSCRIBE] Starting WAV transcription for ${Math.round(audioBlob.size/1024)}KB...`);
+    async transcribeChunk(audioBlob, chunkInfo = {}) {
+        const filename = fileNameForMimeType(audioBlob.type);
+        console.log(`🎯 [TRANSCRIBE] Starting ${filename} transcription for ${Math.round(audioBlob.size/1024)}KB...`);
         
-        if (!this.whisperReady || !this.openAIApiKey) {
-            console.log('🔇 [TRANSCRIBE] Skipping - not ready or no API key');
-            return;
-        }
-
-        if (audioBlob.size < 1000) {
-            console.log('🔇 [TRANSCRIBE] Skipping tiny audio chunk');
+        if (!this.transcriptionReady) {
+            console.log('🔇 [TRANSCRIBE] Skipping - transcription provider not ready');
             return;
         }
 
+        let finalText = '';
         try {
-            const formData = new FormData();
-            formData.append('file', audioBlob, 'audio.wav'); // WAV format!
-            formData.append('model', 'whisper-1');
-            formData.append('response_format', 'json');
-            formData.append('language', 'en');
-
-            console.log(`📡 [REAL-TIME] Sending WAV file (${Math.round(audioBlob.size/1024)}KB) to OpenAI...`);
-
-            const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.openAIApiKey}`
-                },
-                body: formData
-            });
-
-            console.log(`📊 [TRANSCRIBE] OpenAI response status: ${response.status}`);
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.log(`❌ [REAL-TIME] OpenAI API Error: ${response.status} - ${errorText.slice(0, 200)}...`);
-                return;
-            }
-
-            const result = await response.json();
+            console.log(`📡 [REAL-TIME] Sending ${filename} (${Math.round(audioBlob.size/1024)}KB) to ${this.transcriptionProvider.name}...`);
 
-            if (result && result.text && result.text.trim().length > 0) {
-                const transcription = result.text.trim();
-                
-                // Check for duplicates
-                if (this.isDuplicateTranscription(transcription)) {
-                    console.log('🔄 [REAL-TIME] Duplicate transcription detected, skipping');
-                    return;
-                }
-                
-                this.addToTranscriptionHistory(transcription);
-                console.log(`✅ [REAL-TIME] WAV transcription successful:`, transcription);
-                
-                // Send to main process
-                ipcRenderer.send('transcriptionResult', transcription);
-                
-                // Background coaching analysis
-                if (this.coachingEnabled) {
-                    this.analyzeForInterviewCoaching(transcription).catch(error => {
-                        console.error('❌ [BACKGROUND] Coaching error:', error);
-                    });
+            const { language, task } = this.languageSettings();
+            const result = await this.transcriptionProvider.transcribe(audioBlob, {
+                filename,
+                duration: chunkInfo.duration,
+                language,
+                task,
+                onRetry: ({ error }) => {
+                    this.transcriptionFailure = error;
+                    this.updateTranscriptionStatus();
                 }
+            });
+            this.transcriptionFailure = null;
+
+            // Chunks are transcribed in order, so each is stitched to the one before
+            const stitched = this.stitcherFor(chunkInfo.source).stitch(result.text, toCaptureTiming(result, chunkInfo), chunkInfo);
+            
+            if (stitched.text.length > 0) {
+                finalText = stitched.text;
+                if (result.language) this.conversationLanguage = result.language;
+                this.handleTranscription(stitched.text, stitched.timing, chunkInfo.source, {
+                    language: result.language || undefined,
+                    translated: task === 'translate' || undefined
+                });
+            } else if (result.text.length > 0) {
+                console.log('🔗 [STITCH] Chunk only repeated the end of the previous one');
             } else {
                 console.log('🔇 [REAL-TIME] No transcription result');
             }
 
         } catch (error) {
-            console.log('❌ [REAL-TIME] Whisper error:', error.message);
+            this.transcriptionFailure = error;
+            // Rethrown so the queue keeps the chunk; its live caption stays open until then
+            if (error.retryable) {
+                console.log(`⏳ [REAL-TIME] ${this.transcriptionProvider.name} unavailable, keeping chunk for later:`, error.message);
+                throw error;
+            }
+            console.log(`❌ [REAL-TIME] ${this.transcriptionProvider.name} error:`, error.message);
         }
+        
+        this.endLiveCaption(chunkInfo.source, chunkInfo.startTime, finalText);
     }
 
-    async analyzeForInterviewCoaching(transcription) {
+    // language: { language (spoken, when known), translated (text is an English translation) }
+    handleTranscription(transcription, timing = {}, source = TRACK_SOURCES.local, language = {}) {
+        console.log(`✅ [REAL-TIME] Transcription successful${language.language ? ` (${language.language})` : ''}:`, transcription);
+        
+        // Send to main process
+        ipcRenderer.send('transcriptionResult', {
+            text: transcription,
+            source,
+            ...language,
+            ...timing
+        });
+
+        this.memory.add({ source, text: transcription, timestamp: Date.now() });
+
+        // Background coaching analysis; the last chunks transcribed at stop get none
+        if (this.coachingEnabled && this.isRecording) {
+            const analysis = this.analyzeForInterviewCoaching(transcription, timing, source)
+                .catch(error => {
+                    console.error('❌ [BACKGROUND] Coaching error:', error);
+                })
+                .finally(() => this.coachingTasks.delete(analysis));
+            this.coachingTasks.add(analysis);
+        }
+    }
+
+    async analyzeForInterviewCoaching(transcription, timing = {}, source = TRACK_SOURCES.local) {
         if (this.processingCoaching) {
             console.log('🎓 Already processing coaching, skipping...');
             return;
         }
 
-        // SMART FILTERING: Only coach meaningful interview-related speech
-        if (!this.shouldProvideCoaching(transcription)) {
-            console.log(`🎓 [FILTERED] Skipping coaching for: "${transcription}" (too casual/short)`);
+        // SMART FILTERING: Only coach what the trigger finds worth it
+        this.processingCoaching = true;
+        let decision;
+        try {
+            decision = await this.evaluateCoachingTrigger(transcription, source);
+        } finally {
+            this.processingCoaching = false;
+        }
+        // Capture stopped while the trigger was deciding
+        if (!this.isRecording) return;
+        if (decision.confidence < decision.threshold) {
+            console.log(`🎓 [FILTERED] Skipping coaching for: "${transcription}" (${decision.strategy}: ${decision.reason}, ${decision.confidence.toFixed(2)})`);
             return;
         }
 
-        console.log('🎓 Analyzing for TARGETED interview coaching...');
+        console.log(`🎓 Analyzing for TARGETED interview coaching (${decision.strategy}: ${decision.reason}, ${decision.confidence.toFixed(2)})...`);
         
-        this.conversationHistory.push({
-            timestamp: Date.now(),
-            text: transcription,
-            type: 'transcription'
-        });
-
-        if (this.conversationHistory.length > 10) {
-            this.conversationHistory = this.conversationHistory.slice(-10);
-        }
+        // Advice streams to clients as coachingDelta messages and ends with coachingComplete
+        const coaching = { coachingId: `coaching-${crypto.randomBytes(4).toString('hex')}`, advice: '', deltas: 0 };
+        const controller = new AbortController();
+        this.activeCoaching = { coachingId: coaching.coachingId, controller };
+        let finishReason;
+        let failure;
 
         try {
             this.processingCoaching = true;
-            const coaching = await this.getInterviewCoaching(transcription);
-            
-            if (coaching) {
-                console.log('✅ TARGETED coaching generated');
-                ipcRenderer.send('interviewCoaching', {
-                    advice: coaching,
-                    originalTranscription: transcription,
-                    timestamp: Date.now()
+            finishReason = await this.getInterviewCoaching(transcription, source, coaching, controller.signal);
+            console.log('✅ TARGETED coaching generated');
+            this.reportServiceStatus('coaching', 'ok', { message: 'Coaching is available' });
+        } catch (error) {
+            if (controller.signal.aborted) {
+                finishReason = 'cancelled';
+                console.log(`🛑 Coaching ${coaching.coachingId} cancelled`);
+            } else {
+                finishReason = 'error';
+                failure = error.message;
+                console.error('❌ Coaching generation error:', error.message);
+                this.reportServiceStatus('coaching', error.retryable ? 'degraded' : 'error', {
+                    message: error.retryable ? `Coaching is unavailable - ${error.message}` : error.message
                 });
             }
-        } catch (error) {
-            console.error('❌ Coaching error:', error);
         } finally {
             this.processingCoaching = false;
+            this.activeCoaching = null;
         }
+
+        ipcRenderer.send('coachingComplete', {
+            coachingId: coaching.coachingId,
+            advice: coaching.advice.trim(),
+            finishReason,
+            ...(failure ? { error: failure } : {}),
+            originalTranscription: transcription,
+            captureTime: timing.endTime,
+            trigger: { strategy: decision.strategy, confidence: decision.confidence, reason: decision.reason },
+            timestamp: Date.now()
+        });
     }
 
-    shouldProvideCoaching(transcription) {
-        const text = transcription.trim().toLowerCase();
-        
-        // FILTER 1: Minimum length - must be at least 4 words or 15 characters
-        const words = text.split(/\s+/).filter(word => word.length > 0);
-        if (words.length < 4 || text.length < 15) {
-            return false;
-        }
-        
-        // FILTER 2: Casual/social words that don't need coaching
-        const casualWords = [
-            'oh', 'ah', 'um', 'uh', 'hmm', 'yeah', 'yes', 'no', 'okay', 'ok',
-            'bye', 'hello', 'hi', 'thanks', 'thank you', 'you', 'me', 'i',
-            'please', 'sorry', 'excuse me', 'pardon', 'what', 'huh'
-        ];
-        
-        // If the entire transcription is just casual words, skip
-        const nonCasualWords = words.filter(word => 
-            !casualWords.includes(word) && 
-            word.length > 2 && 
-            !/^[a-z]{1,2}$/.test(word) // Skip very short words like "to", "is", "of"
-        );
-        
-        if (nonCasualWords.length < 2) {
-            return false;
-        }
-        
-        // FILTER 3: Repetitive words (like "bye bye bye")
-        const uniqueWords = [...new Set(words)];
-        if (uniqueWords.length < words.length / 2) {
-            return false; // Too repetitive
+    // A client no longer wants the advice being generated (the conversation moved on)
+    cancelCoaching(coachingId) {
+        if (!this.activeCoaching || this.activeCoaching.coachingId !== coachingId) {
+            const error = new Error(`No coaching in progress with id ${coachingId}`);
+            error.code = 'NOT_FOUND';
+            throw error;
         }
-        
-        // FILTER 4: Look for interview-relevant content
-        const interviewKeywords = [
-            'experience', 'project', 'skill', 'challenge', 'team', 'manage', 'develop',
-            'code', 'programming', 'software', 'technical', 'problem', 'solution',
-            'work', 'company', 'role', 'responsibility', 'achievement', 'goal',
-            'learn', 'improve', 'difficult', 'successful', 'failure', 'lesson',
-            'algorithm', 'database', 'system', 'design', 'framework', 'language',
-            'java', 'python', 'javascript', 'react', 'node', 'api', 'backend', 'frontend'
-        ];
-        
-        const hasInterviewContent = words.some(word => 
-            interviewKeywords.includes(word) ||
-            word.length > 6 // Longer words are often more meaningful
-        );
-        
-        // FILTER 5: Questions deserve coaching (they might be interview questions)
-        const isQuestion = text.includes('?') || 
-                          text.startsWith('what') || 
-                          text.startsWith('how') || 
-                          text.startsWith('why') || 
-                          text.startsWith('when') || 
-                          text.startsWith('where') ||
-                          text.startsWith('tell me') ||
-                          text.startsWith('describe') ||
-                          text.startsWith('explain');
-        
-        return hasInterviewContent || isQuestion;
+        this.activeCoaching.controller.abort();
+        return { coachingId };
     }
 
-    async getInterviewCoaching(transcription) {
-        try {
-            console.log('🎓 Getting FAST GPT-4o coaching...');
-
-            const prompt = this.createCoachingPrompt(transcription);
-            
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.openAIApiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: 'gpt-4o',
-                    messages: [
-                        {
-                            role: 'system',
-                            content: 'You are an expert interview coach. Provide CONCISE, actionable advice for interview responses. Keep responses under 100 words and focus on key points.'
-                        },
-                        {
-                            role: 'user',
-                            content: prompt
-                        }
-                    ],
-                    max_tokens: 150,
-                    temperature: 0.3
-                })
-            });
+    // Streams the completion into `coaching.advice`, sending each piece as it
+    // arrives; -> finish reason ('stop', 'length', ...). Throws on failure.
+    async getInterviewCoaching(transcription, source, coaching, signal) {
+        console.log(`🎓 Getting FAST coaching from ${this.coachingProvider.name} (${this.coachingProvider.model}, ${this.promptTemplate.id})...`);
 
-            if (!response.ok) {
-                console.error('❌ Coaching API error:', response.status);
-                return null;
-            }
-
-            const result = await response.json();
-            const advice = result.choices?.[0]?.message?.content?.trim();
-            
-            console.log('✅ FAST coaching received');
-            return advice;
-
-        } catch (error) {
-            console.error('❌ Coaching generation error:', error);
-            return null;
-        }
+        const prompt = this.createCoachingPrompt(this.promptTemplate, transcription, source);
+        
+        const result = await this.coachingProvider.complete([
+            { role: 'system', content: prompt.system },
+            { role: 'user', content: prompt.user }
+        ], {
+            signal,
+            onDelta: delta => {
+                coaching.advice += delta;
+                ipcRenderer.send('coachingDelta', { coachingId: coaching.coachingId, delta, index: coaching.deltas++ });
+            },
+            onRetry: ({ error }) => this.reportServiceStatus('coaching', 'degraded', { message: `Coaching is delayed - ${error.message}` })
+        });
+        
+        return result.finishReason;
     }
 
-    createCoachingPrompt(transcription) {
-        const recentHistory = this.conversationHistory
-            .slice(-3)
-            .map(item => item.text)
-            .join(' ');
-
-        return `INTERVIEW CONTEXT: "${recentHistory}"
-LATEST TRANSCRIPTION: "${transcription}"
+    // -> { system, user } messages for the latest transcription
+    createCoachingPrompt(template, transcription, source) {
+        const { task, outputLanguage } = this.languageSettings();
+        return createCoachingPrompt(template, {
+            conversation: this.memory.context(),
+            utterance: transcription,
+            source,
+            session: this.coachingSession,
+            outputLanguage: adviceLanguage({ task, outputLanguage, conversationLanguage: this.conversationLanguage })
+        });
+    }
 
-Provide CONCISE coaching advice (max 50 words) focusing on:
-1. How to respond effectively
-2. Key points to mention
-3. Professional tone suggestions
+    // What `template` would send for `utterance` (default: the latest transcription) right now
+    previewPrompt({ template, utterance, source }) {
+        const latest = this.memory.latest();
+        return this.createCoachingPrompt(
+            template,
+            utterance !== undefined ? utterance : (latest ? latest.text : ''),
+            source || (latest ? latest.source : TRACK_SOURCES.local)
+        );
+    }
 
-Be direct and actionable.`;
+    // End-of-session summary (see session-summary.js), with the coaching model
+    summarizeSession({ template, session }) {
+        if (!this.coachingProvider || !this.coachingProvider.isReady()) {
+            throw new Error('Coaching provider not configured (API key, COACHING_BASE_URL or model missing)');
+        }
+        return summarizeSession(this.coachingProvider, template, session, {
+            chunkTokens: config.SESSION_SUMMARY_CHUNK_TOKENS,
+            maxTokens: config.SESSION_SUMMARY_MAX_TOKENS
+        });
     }
 
     initializeRealTimeFeatures() {
@@ -864,12 +1399,15 @@ Be direct and actionable.`;
             z-index: 1000;
         `;
         indicator.textContent = '🎤';
+        if (!config.VISUAL_FEEDBACK_ENABLED) {
+            indicator.style.display = 'none';
+        }
         document.body.appendChild(indicator);
         this.voiceActivityIndicator = indicator;
     }
 
     updateVoiceActivityVisuals(voiceLevel, peakLevel) {
-        if (!this.voiceActivityIndicator) return;
+        if (!this.voiceActivityIndicator || !config.VISUAL_FEEDBACK_ENABLED) return;
         
         const intensity = Math.min(voiceLevel * 10, 1);
         const scale = 1 + (intensity * 0.3);
@@ -0,0 +1,440 @@
+#!/usr/bin/env node
+// Deterministic replays of recordings through the whole companion
+//
+//   node replay-harness.js [--electron <binary>] [--report <file.json>] [--verbose] <scenario.json>...
+//
+// For each scenario: starts a MockOpenAIServer (mock-openai-server.js) with
+// its scripts, launches the app with both providers pointed at it and the
+// recordings as REPLAY_AUDIO_FILE / REPLAY_SYSTEM_AUDIO_FILE, connects as a
+// WebSocket client, starts capture, waits until the recordings were played and
+// the mock API has gone quiet, stops capture, waits again and then checks what
+// was sent to the API and to the client. Exits 1 when a check fails. Needs a
+// display like the app itself; on a Linux server run it under xvfb-run.
+//
+// A scenario (paths relative to its file):
+//
+//   {
+//     "audio": "interview.wav",                   required: replaces the microphone
+//     "systemAudio": "other-side.wav",            optional: the remote track
+//     "speed": 4,                                 REPLAY_SPEED (default 1)
+//     "config": { "SILENCE_THRESHOLD": 600 },     further settings for the app
+//     "server": { "latency": 100, "transcriptions": [...], "completions": [...] },
+//     "before": [{ "type": "selectCoachingTrigger", "strategy": "llm" }],  commands sent before capture
+//     "settle": 1500,                             ms without API requests that count as done
+//     "timeout": 120000,                          ms for the whole replay
+//     "expect": {
+//       "chunks": { "min": 3, "max": 6 },         transcription requests (or an exact number)
+//       "completions": 2,                         chat requests
+//       "transcripts": ["Tell me about", "/hardest problem/i"],
+//       "messages": [{ "type": "interviewCoaching", "advice": "/budget/" }],
+//       "absent": ["sessionSummaryFailed", { "type": "serviceStatus", "state": "error" }]
+//     }
+//   }
+//
+// `transcripts` must appear in this order in the text of `transcription`
+// events (a string is a substring, "/.../flags" a regular expression).
+// `messages` must arrive in this order; each is matched field by field against
+// a message (strings exactly unless written as a regular expression).
+// `absent` lists message types or patterns no message may match.
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const WebSocket = require('ws');
+const { MockOpenAIServer } = require('./mock-openai-server');
+
+const DEFAULT_SETTLE = 1500;
+const DEFAULT_TIMEOUT = 120000;
+const STARTUP_TIMEOUT = 30000; // ms for the app to open its WebSocket server
+const LOG_TAIL = 40; // App output lines shown when a scenario fails
+
+const USAGE = 'Usage: node replay-harness.js [--electron <binary>] [--report <file.json>] [--verbose] <scenario.json>...';
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function withTimeout(promise, ms, description) {
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms waiting for ${description}`)), ms);
+        })
+    ]).finally(() => clearTimeout(timer));
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+function electronBinary(option) {
+    if (option) return option;
+    if (process.env.ELECTRON_PATH) return process.env.ELECTRON_PATH;
+    try {
+        // The electron package exports the path of its binary to Node
+        return require('electron');
+    } catch (error) {
+        throw new Error(`Electron is not installed (${error.message}); run npm install or pass --electron`);
+    }
+}
+
+// --- Matching -----------------------------------------------------------------
+
+function asRegExp(pattern) {
+    const match = typeof pattern === 'string' ? /^\/(.*)\/([a-z]*)$/s.exec(pattern) : null;
+    return match ? new RegExp(match[1], match[2]) : null;
+}
+
+function matches(actual, expected) {
+    const regex = asRegExp(expected);
+    if (regex) return typeof actual === 'string' && regex.test(actual);
+    if (Array.isArray(expected)) {
+        return Array.isArray(actual) && expected.every((item, index) => matches(actual[index], item));
+    }
+    if (expected && typeof expected === 'object') {
+        return Boolean(actual) && typeof actual === 'object'
+            && Object.keys(expected).every(key => matches(actual[key], expected[key]));
+    }
+    return actual === expected;
+}
+
+function matchesText(text, pattern) {
+    const regex = asRegExp(pattern);
+    return regex ? regex.test(text) : text.includes(pattern);
+}
+
+function describeCount(expected) {
+    if (typeof expected === 'number') return `${expected}`;
+    if (expected.min !== undefined && expected.max !== undefined) return `${expected.min}–${expected.max}`;
+    return expected.min !== undefined ? `at least ${expected.min}` : `at most ${expected.max}`;
+}
+
+function checkCount(check, expected, actual) {
+    const ok = typeof expected === 'number'
+        ? actual === expected
+        : (expected.min === undefined || actual >= expected.min) && (expected.max === undefined || actual <= expected.max);
+    return { check, ok, detail: `${actual} (expected ${describeCount(expected)})` };
+}
+
+// Each pattern must match an item after the one the previous pattern matched
+function checkSequence(check, patterns, items, match, describe) {
+    let position = 0;
+    for (const pattern of patterns) {
+        const found = items.findIndex((item, index) => index >= position && match(item, pattern));
+        if (found === -1) {
+            const after = position > 0 ? ` after ${describe(items[position - 1])}` : '';
+            return { check, ok: false, detail: `${JSON.stringify(pattern)} not found${after}` };
+        }
+        position = found + 1;
+    }
+    return { check, ok: true, detail: `${patterns.length} matched in order` };
+}
+
+// -> [{ check, ok, detail }]
+function checkExpectations(expect = {}, observed) {
+    const results = [];
+    if (expect.chunks !== undefined) {
+        results.push(checkCount('chunks', expect.chunks, observed.chunks.length));
+    }
+    if (expect.completions !== undefined) {
+        results.push(checkCount('completions', expect.completions, observed.completions.length));
+    }
+    if (expect.transcripts) {
+        results.push(checkSequence('transcripts', expect.transcripts, observed.transcripts, matchesText, text => JSON.stringify(text)));
+    }
+    if (expect.messages) {
+        results.push(checkSequence('messages', expect.messages, observed.messages, matches, message => message.type));
+    }
+    (expect.absent || []).forEach(pattern => {
+        const unwanted = typeof pattern === 'string' ? { type: pattern } : pattern;
+        const found = observed.messages.find(message => matches(message, unwanted));
+        results.push({
+            check: `absent ${JSON.stringify(pattern)}`,
+            ok: !found,
+            detail: found ? `got ${JSON.stringify(found).slice(0, 200)}` : 'none'
+        });
+    });
+    return results;
+}
+
+// --- WebSocket client ----------------------------------------------------------
+
+class TestClient {
+    constructor(ws) {
+        this.ws = ws;
+        this.messages = [];
+        this.waiters = [];
+        this.nextId = 1;
+
+        ws.on('message', (data, isBinary) => {
+            if (isBinary) return; // Live audio frames
+            const message = { ...JSON.parse(data.toString()), receivedAt: Date.now() };
+            this.messages.push(message);
+            this.waiters = this.waiters.filter(waiter => !waiter(message));
+        });
+    }
+
+    // Retries until the app listens; gives up at `deadline` or once running() is false
+    static async connect(port, deadline, running = () => true) {
+        for (;;) {
+            try {
+                const ws = new WebSocket(`ws://127.0.0.1:${port}`);
+                await new Promise((resolve, reject) => {
+                    ws.once('open', resolve);
+                    ws.once('error', reject);
+                });
+                return new TestClient(ws);
+            } catch (error) {
+                if (!running()) throw new Error('App ended before it opened its WebSocket server');
+                if (Date.now() > deadline) throw new Error(`App did not open its WebSocket server on port ${port}`);
+                await delay(250);
+            }
+        }
+    }
+
+    // Resolves with the first message (already received or not) matching predicate
+    waitFor(predicate, timeout, description) {
+        const existing = this.messages.find(predicate);
+        if (existing) return Promise.resolve(existing);
+
+        return withTimeout(new Promise(resolve => {
+            this.waiters.push(message => {
+                if (!predicate(message)) return false;
+                resolve(message);
+                return true;
+            });
+        }), timeout, description);
+    }
+
+    // Sends a command and waits for its reply; rejects on an `error` reply
+    async request(command, timeout) {
+        const id = this.nextId++;
+        this.ws.send(JSON.stringify({ ...command, id }));
+        const reply = await this.waitFor(message => message.replyTo === id, timeout, `the reply to ${command.type}`);
+        if (reply.type === 'error') {
+            throw new Error(`${command.type} failed: ${reply.code} ${reply.message}`);
+        }
+        return reply;
+    }
+
+    close() {
+        this.ws.close();
+    }
+}
+
+// --- Running a scenario --------------------------------------------------------
+
+function settingsEnv(settings = {}) {
+    const env = {};
+    Object.entries(settings).forEach(([key, value]) => {
+        env[key] = typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+    });
+    return env;
+}
+
+function launchApp(electronPath, env, verbose) {
+    const log = [];
+    const app = spawn(electronPath, [__dirname], { env, stdio: ['ignore', 'pipe', 'pipe'] });
+    const collect = data => {
+        data.toString().split('\n').filter(Boolean).forEach(line => {
+            log.push(line);
+            if (verbose) console.log(`   │ ${line}`);
+        });
+    };
+    app.stdout.on('data', collect);
+    app.stderr.on('data', collect);
+    // Resolves with why the app ended: its exit code or why it could not start
+    app.ended = false;
+    app.exited = new Promise(resolve => {
+        app.once('exit', code => resolve(`code ${code}`));
+        app.once('error', error => resolve(error.message));
+    }).then(reason => {
+        app.ended = true;
+        return reason;
+    });
+    app.log = log;
+    return app;
+}
+
+async function stopApp(app) {
+    if (app.exitCode !== null || app.signalCode !== null) return;
+    app.kill();
+    const ended = await Promise.race([app.exited, delay(5000).then(() => false)]);
+    if (!ended) {
+        app.kill('SIGKILL');
+        await app.exited;
+    }
+}
+
+// -> { scenario, passed, error?, results, chunks, completions, transcripts, messages }
+async function runScenario(scenarioPath, options = {}) {
+    const scenario = JSON.parse(await fs.promises.readFile(scenarioPath, 'utf8'));
+    const baseDir = path.dirname(path.resolve(scenarioPath));
+    const audio = scenario.audio ? path.resolve(baseDir, scenario.audio) : '';
+    const systemAudio = scenario.systemAudio ? path.resolve(baseDir, scenario.systemAudio) : '';
+    if (!audio) {
+        throw new Error(`${scenarioPath}: "audio" is required (it replaces the microphone)`);
+    }
+    [audio, systemAudio].filter(Boolean).forEach(file => {
+        if (!fs.existsSync(file)) throw new Error(`${scenarioPath}: no such file ${file}`);
+    });
+
+    const settle = scenario.settle !== undefined ? scenario.settle : DEFAULT_SETTLE;
+    const timeout = scenario.timeout || DEFAULT_TIMEOUT;
+    const server = new MockOpenAIServer(scenario.server || {});
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'cluely-replay-'));
+    const token = crypto.randomBytes(16).toString('hex');
+    const report = { scenario: scenarioPath, passed: false, results: [] };
+    let app = null;
+    let client = null;
+
+    try {
+        const url = await server.start();
+        const port = await freePort();
+        app = launchApp(electronBinary(options.electron), {
+            ...process.env,
+            TRANSCRIPTION_PROVIDER: 'openai-compatible',
+            TRANSCRIPTION_BASE_URL: url,
+            TRANSCRIPTION_API_KEY: 'mock',
+            COACHING_PROVIDER: 'openai-compatible',
+            COACHING_BASE_URL: url,
+            COACHING_API_KEY: 'mock',
+            REPLAY_AUDIO_FILE: audio,
+            REPLAY_SYSTEM_AUDIO_FILE: systemAudio,
+            REPLAY_SPEED: String(scenario.speed || 1),
+            WEBSOCKET_HOST: '127.0.0.1',
+            WEBSOCKET_PORT: String(port),
+            COMPANION_AUTH_TOKEN: token,
+            SESSIONS_DIR: path.join(workDir, 'sessions'),
+            CONFIG_FILE: path.join(workDir, 'config.json'),
+            ...settingsEnv(scenario.config)
+        }, options.verbose);
+        const appExited = app.exited.then(reason => { throw new Error(`App exited (${reason}) during the replay`); });
+        appExited.catch(() => {});
+
+        const replay = async () => {
+            client = await TestClient.connect(port, Date.now() + STARTUP_TIMEOUT, () => !app.ended);
+            await client.request({
+                type: 'hello',
+                token,
+                protocolVersions: [1],
+                ...(scenario.capabilities ? { capabilities: scenario.capabilities } : {}),
+                client: { name: 'replay-harness' }
+            }, STARTUP_TIMEOUT);
+            for (const command of scenario.before || []) {
+                await client.request(command, 10000);
+            }
+
+            await client.request({ type: 'startAudioCapture' }, 10000);
+            const sources = systemAudio ? ['local', 'remote'] : ['local'];
+            await Promise.all(sources.map(source => client.waitFor(
+                message => message.type === 'replayFinished' && message.source === source,
+                timeout,
+                `the ${source} recording to finish`
+            )));
+            await server.waitForIdle(settle);
+
+            await client.request({ type: 'stopAudioCapture' }, 10000);
+            await server.waitForIdle(settle);
+        };
+        await withTimeout(Promise.race([replay(), appExited]), timeout + STARTUP_TIMEOUT, 'the replay');
+    } catch (error) {
+        report.error = error.message;
+    } finally {
+        if (client) client.close();
+        if (app) await stopApp(app);
+        await server.stop();
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+
+    const observed = {
+        chunks: server.requests.filter(request => request.endpoint !== 'chat'),
+        completions: server.requests.filter(request => request.endpoint === 'chat'),
+        transcripts: client ? client.messages.filter(message => message.type === 'transcription').map(message => message.text) : [],
+        messages: client ? client.messages : []
+    };
+    if (!report.error) {
+        report.results = checkExpectations(scenario.expect, observed);
+    }
+    report.passed = !report.error && report.results.every(result => result.ok);
+    report.log = report.passed || !app ? [] : app.log.slice(-LOG_TAIL);
+    return { ...report, ...observed };
+}
+
+function printReport(report) {
+    console.log(`\n📼 ${report.scenario}: ${report.chunks.length} chunks, ${report.transcripts.length} transcripts, ${report.completions.length} completions, ${report.messages.length} messages`);
+    report.chunks.forEach((chunk, index) => {
+        console.log(`   chunk ${index + 1}: ${chunk.duration !== null ? `${chunk.duration} ms` : '?'}, ${chunk.bytes} bytes -> ${chunk.status === null ? 'no answer' : chunk.status}`);
+    });
+    report.transcripts.forEach(text => console.log(`   📝 ${text}`));
+    if (report.error) console.log(`❌ ${report.error}`);
+    report.results.forEach(result => console.log(`${result.ok ? '✅' : '❌'} ${result.check}: ${result.detail}`));
+    if (report.log.length > 0) {
+        console.log('   Last app output:');
+        report.log.forEach(line => console.log(`   │ ${line}`));
+    }
+}
+
+async function main(argv) {
+    const options = { scenarios: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--electron' || argv[i] === '--report') {
+            options[argv[i].slice(2)] = argv[++i];
+        } else if (argv[i] === '--verbose') {
+            options.verbose = true;
+        } else if (argv[i] === '-h' || argv[i] === '--help') {
+            console.log(USAGE);
+            return 0;
+        } else {
+            options.scenarios.push(argv[i]);
+        }
+    }
+    if (options.scenarios.length === 0) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    const reports = [];
+    for (const scenario of options.scenarios) {
+        let report;
+        try {
+            report = await runScenario(scenario, options);
+        } catch (error) {
+            report = { scenario, passed: false, error: error.message, results: [], log: [], chunks: [], completions: [], transcripts: [], messages: [] };
+        }
+        printReport(report);
+        reports.push(report);
+    }
+    if (options.report) {
+        await fs.promises.writeFile(options.report, JSON.stringify(reports, null, 2));
+    }
+
+    const failed = reports.filter(report => !report.passed).length;
+    console.log(`\n${failed === 0 ? '✅' : '❌'} ${reports.length - failed}/${reports.length} scenarios passed`);
+    return failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => { process.exitCode = code; })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    runScenario,
+    checkExpectations
+};
@@ -0,0 +1,70 @@
+// A recording played into a capture track in place of a live device
+//
+// With REPLAY_AUDIO_FILE (and REPLAY_SYSTEM_AUDIO_FILE for the remote side)
+// the renderer captures from files: each is decoded like a file transcription
+// (audio-file.js), resampled to the capture rate and posted to the track's
+// pipeline worker in capture-sized batches, paced by the clock at REPLAY_SPEED
+// times real time. Everything after the worker – VAD, chunking, the
+// transcription queue, coaching, WebSocket events – runs as for a microphone,
+// which is what replay-harness.js checks against a mock API.
+
+const path = require('path');
+const { readAudioFile } = require('./audio-file');
+const { resample } = require('./audio-encoding');
+
+const TICK_INTERVAL = 20; // ms between batches, like a 20 ms audio callback
+
+class ReplaySource {
+    // options: { sampleRate (of the capture), speed, batchSize, ffmpegPath, onEnd() }
+    constructor(filePath, options) {
+        this.filePath = filePath;
+        this.sampleRate = options.sampleRate;
+        this.speed = options.speed || 1;
+        this.batchSize = options.batchSize || 1024;
+        this.ffmpegPath = options.ffmpegPath;
+        this.onEnd = options.onEnd || (() => {});
+
+        this.samples = null;
+        this.duration = 0; // ms
+        this.position = 0; // Samples posted so far
+        this.timer = null;
+    }
+
+    async load() {
+        const audio = await readAudioFile(this.filePath, { ffmpegPath: this.ffmpegPath, sampleRate: this.sampleRate });
+        this.samples = resample(audio.samples, audio.sampleRate, this.sampleRate);
+        this.duration = audio.duration;
+        console.log(`📼 [REPLAY] ${path.basename(this.filePath)}: ${(this.duration / 1000).toFixed(1)}s at ${this.speed}x`);
+    }
+
+    // onFrames(samples) gets each batch (a Float32Array it may transfer);
+    // onEnd() is called once the whole recording was posted
+    start(onFrames) {
+        const startedAt = Date.now();
+        this.position = 0;
+
+        this.timer = setInterval(() => {
+            const due = Math.min(this.samples.length, Math.floor((Date.now() - startedAt) * this.speed * this.sampleRate / 1000));
+            while (this.position < due && (due - this.position >= this.batchSize || due === this.samples.length)) {
+                const end = Math.min(due, this.position + this.batchSize);
+                onFrames(this.samples.slice(this.position, end));
+                this.position = end;
+            }
+
+            if (this.position >= this.samples.length) {
+                this.stop();
+                console.log(`📼 [REPLAY] ${path.basename(this.filePath)} finished`);
+                this.onEnd();
+            }
+        }, TICK_INTERVAL);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = {
+    ReplaySource
+};
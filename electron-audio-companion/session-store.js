@@ -0,0 +1,299 @@
+// Persistent session store
+//
+// Every start/stop capture cycle is a session, stored as an append-only JSONL
+// file (<sessionsDir>/<id>.jsonl). Each line is one record:
+//
+//   { type: 'sessionStarted', id, name, startedAt, config, file? }  (file: transcribed recording)
+//   { type: 'segment', text, timestamp, ... }
+//   { type: 'coaching', advice, originalTranscription, timestamp, ... }
+//   { type: 'renamed', name, timestamp }
+//   { type: 'promptTemplate', templateId, timestamp }  (coaching prompt from here on)
+//   { type: 'coachingTrigger', strategy, threshold, timestamp }  (and trigger)
+//   { type: 'transcriptionLanguage', language, mode, outputLanguage, timestamp }
+//   { type: 'memory', summary, facts, summarizedTurns, timestamp }  (latest one wins)
+//   { type: 'summary', templateId, sections, language, model, generatedAt }  (after sessionEnded; latest wins)
+//   { type: 'sessionEnded', endedAt }
+//
+// Records are never rewritten; reading a session replays them in order.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const SECRET_KEY_PATTERN = /KEY|TOKEN|SECRET/i;
+
+function createSessionError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Copy of the config with credentials removed, stored with each session
+function snapshotConfig(config) {
+    const snapshot = {};
+    Object.entries(config).forEach(([key, value]) => {
+        if (!SECRET_KEY_PATTERN.test(key) && typeof value !== 'function') {
+            snapshot[key] = value;
+        }
+    });
+    return snapshot;
+}
+
+function createSessionId(date) {
+    const stamp = date.toISOString().replace(/[:.]/g, '-');
+    return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+class SessionStore {
+    constructor(sessionsDir) {
+        this.sessionsDir = sessionsDir;
+        this.activeSessionId = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    sessionPath(sessionId) {
+        if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+            throw createSessionError('NOT_FOUND', `Unknown session: ${sessionId}`);
+        }
+        return path.join(this.sessionsDir, `${sessionId}.jsonl`);
+    }
+
+    // Appends are serialized so records land in the order they were produced.
+    // A failed write rejects for its caller; the writes queued after it still run
+    append(sessionId, record) {
+        const line = JSON.stringify(record) + '\n';
+        const filePath = this.sessionPath(sessionId);
+
+        const write = this.writeQueue.then(() => fs.promises.appendFile(filePath, line));
+        this.writeQueue = write.catch(error => console.error(`❌ [SESSIONS] Failed to write ${sessionId}:`, error.message));
+
+        return write;
+    }
+
+    async startSession(config, name) {
+        await fs.promises.mkdir(this.sessionsDir, { recursive: true });
+
+        const startedAt = new Date();
+        const sessionId = createSessionId(startedAt);
+
+        await this.append(sessionId, {
+            type: 'sessionStarted',
+            id: sessionId,
+            name: name || `Session ${startedAt.toLocaleString()}`,
+            startedAt: startedAt.getTime(),
+            config: snapshotConfig(config)
+        });
+        this.activeSessionId = sessionId;
+
+        console.log(`💾 [SESSIONS] Started session ${sessionId}`);
+        return sessionId;
+    }
+
+    async endSession() {
+        const sessionId = this.activeSessionId;
+        if (!sessionId) return null;
+
+        this.activeSessionId = null;
+        await this.append(sessionId, { type: 'sessionEnded', endedAt: Date.now() });
+        console.log(`💾 [SESSIONS] Ended session ${sessionId}`);
+        return sessionId;
+    }
+
+    // A whole session at once, from a transcribed recording (see file-transcriber.js);
+    // it never becomes the active session -> id
+    async writeSession(config, { name, file, startedAt, endedAt, transcriptionLanguage, promptTemplateId, coachingTrigger, segments, coaching }) {
+        await fs.promises.mkdir(this.sessionsDir, { recursive: true });
+
+        const sessionId = createSessionId(new Date(startedAt));
+        const records = [
+            { type: 'sessionStarted', id: sessionId, name, startedAt, config: snapshotConfig(config), file },
+            { type: 'transcriptionLanguage', ...transcriptionLanguage, timestamp: startedAt },
+            ...(promptTemplateId ? [{ type: 'promptTemplate', templateId: promptTemplateId, timestamp: startedAt }] : []),
+            ...(coachingTrigger ? [{ type: 'coachingTrigger', ...coachingTrigger, timestamp: startedAt }] : []),
+            ...segments.map(segment => ({ type: 'segment', ...segment })),
+            ...coaching.map(note => ({ type: 'coaching', ...note })),
+            { type: 'sessionEnded', endedAt }
+        ];
+        await this.writeQueue;
+        await fs.promises.writeFile(this.sessionPath(sessionId), records.map(record => JSON.stringify(record) + '\n').join(''));
+
+        console.log(`💾 [SESSIONS] Saved session ${sessionId} from ${file}`);
+        return sessionId;
+    }
+
+    recordSegment(segment) {
+        if (!this.activeSessionId) return Promise.resolve();
+        return this.append(this.activeSessionId, { type: 'segment', ...segment });
+    }
+
+    recordCoaching(coaching) {
+        if (!this.activeSessionId) return Promise.resolve();
+        return this.append(this.activeSessionId, { type: 'coaching', ...coaching });
+    }
+
+    recordPromptTemplate(templateId) {
+        if (!this.activeSessionId) return Promise.resolve();
+        return this.append(this.activeSessionId, { type: 'promptTemplate', templateId, timestamp: Date.now() });
+    }
+
+    recordCoachingTrigger({ strategy, threshold }) {
+        if (!this.activeSessionId) return Promise.resolve();
+        return this.append(this.activeSessionId, { type: 'coachingTrigger', strategy, threshold, timestamp: Date.now() });
+    }
+
+    recordTranscriptionLanguage({ language, mode, outputLanguage }) {
+        if (!this.activeSessionId) return Promise.resolve();
+        return this.append(this.activeSessionId, { type: 'transcriptionLanguage', language, mode, outputLanguage, timestamp: Date.now() });
+    }
+
+    recordMemory({ summary, facts, summarizedTurns }) {
+        if (!this.activeSessionId) return Promise.resolve();
+        return this.append(this.activeSessionId, { type: 'memory', summary, facts, summarizedTurns, timestamp: Date.now() });
+    }
+
+    // End-of-session summary (see session-summary.js), for any stored session
+    async recordSummary(sessionId, summary) {
+        await this.readRecords(sessionId);
+        await this.append(sessionId, { type: 'summary', ...summary });
+    }
+
+    async readRecords(sessionId) {
+        const filePath = this.sessionPath(sessionId);
+        await this.writeQueue;
+
+        let content;
+        try {
+            content = await fs.promises.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') throw createSessionError('NOT_FOUND', `Unknown session: ${sessionId}`);
+            throw error;
+        }
+
+        // Tolerate a torn last line from a crash mid-append
+        return content.split('\n').filter(Boolean).flatMap(line => {
+            try {
+                return [JSON.parse(line)];
+            } catch (error) {
+                return [];
+            }
+        });
+    }
+
+    async getSession(sessionId) {
+        const records = await this.readRecords(sessionId);
+        const session = {
+            id: sessionId,
+            name: sessionId,
+            startedAt: null,
+            endedAt: null,
+            active: sessionId === this.activeSessionId,
+            config: {},
+            segments: [],
+            coaching: []
+        };
+
+        records.forEach(record => {
+            switch (record.type) {
+                case 'sessionStarted':
+                    session.name = record.name;
+                    session.startedAt = record.startedAt;
+                    session.config = record.config;
+                    if (record.file) session.file = record.file;
+                    break;
+                case 'segment':
+                    session.segments.push(record);
+                    break;
+                case 'coaching':
+                    session.coaching.push(record);
+                    break;
+                case 'renamed':
+                    session.name = record.name;
+                    break;
+                case 'promptTemplate':
+                    session.promptTemplateId = record.templateId;
+                    break;
+                case 'coachingTrigger':
+                    session.coachingTrigger = { strategy: record.strategy, threshold: record.threshold };
+                    break;
+                case 'transcriptionLanguage':
+                    session.transcriptionLanguage = {
+                        language: record.language,
+                        mode: record.mode,
+                        outputLanguage: record.outputLanguage
+                    };
+                    break;
+                case 'memory':
+                    session.memory = { summary: record.summary, facts: record.facts, summarizedTurns: record.summarizedTurns };
+                    break;
+                case 'summary': {
+                    const { type, ...summary } = record;
+                    session.summary = summary;
+                    break;
+                }
+                case 'sessionEnded':
+                    session.endedAt = record.endedAt;
+                    break;
+            }
+        });
+
+        return session;
+    }
+
+    async listSessions() {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.sessionsDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const sessionIds = files
+            .filter(file => file.endsWith('.jsonl'))
+            .map(file => file.slice(0, -'.jsonl'.length))
+            .filter(sessionId => SESSION_ID_PATTERN.test(sessionId));
+
+        const sessions = await Promise.all(sessionIds.map(async sessionId => {
+            const session = await this.getSession(sessionId);
+            return {
+                id: session.id,
+                name: session.name,
+                startedAt: session.startedAt,
+                endedAt: session.endedAt,
+                active: session.active,
+                segmentCount: session.segments.length,
+                coachingCount: session.coaching.length,
+                summarized: Boolean(session.summary)
+            };
+        }));
+
+        return sessions.sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0));
+    }
+
+    async renameSession(sessionId, name) {
+        // Make sure it exists before appending
+        await this.readRecords(sessionId);
+        await this.append(sessionId, { type: 'renamed', name, timestamp: Date.now() });
+    }
+
+    async deleteSession(sessionId) {
+        if (sessionId === this.activeSessionId) {
+            throw createSessionError('CONFLICT', 'Cannot delete the session that is currently recording');
+        }
+
+        const filePath = this.sessionPath(sessionId);
+        await this.writeQueue;
+        try {
+            await fs.promises.unlink(filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') throw createSessionError('NOT_FOUND', `Unknown session: ${sessionId}`);
+            throw error;
+        }
+    }
+}
+
+module.exports = {
+    SessionStore,
+    snapshotConfig
+};
@@ -0,0 +1,256 @@
+// End-of-session summaries
+//
+// When capture stops, the coaching model reads the session's whole transcript
+// and fills in the sections of a summary template. A template is a JSON file
+// in SUMMARY_TEMPLATES_DIR (default ~/.cluely/summaries) named <id>.json:
+//
+//   {
+//     "name": "Sales call", "description": "...",
+//     "instructions": "Focus on budget and timeline.",
+//     "sections": [
+//       { "id": "overview", "title": "Overview", "type": "text", "description": "..." },
+//       { "id": "objections", "title": "Objections", "type": "list", "description": "..." }
+//     ]
+//   }
+//
+// `type` is 'text' (a paragraph) or 'list' (one short item each); the model is
+// told each section's `description` and the optional `instructions`. The
+// summary keeps the template's sections in order with their content.
+//
+// Transcripts longer than `chunkTokens` are summarized part by part, and the
+// partial summaries merged in one last request.
+
+const { PromptTemplateStore, SPEAKER_LABELS } = require('./prompt-templates');
+const { collectCues, formatTimestamp } = require('./transcript-export');
+const { estimateTokens } = require('./conversation-memory');
+const { languageName } = require('./languages');
+
+const SECTION_ID_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+const SECTION_TYPES = ['text', 'list'];
+
+const BUILT_IN_SUMMARY_TEMPLATES = {
+    'session-summary': {
+        name: 'Session summary',
+        description: 'Summary, questions asked, topics, action items and follow-ups',
+        sections: [
+            { id: 'summary', title: 'Summary', type: 'text', description: 'What the conversation was about and how it went, in at most 150 words' },
+            { id: 'questions', title: 'Questions asked', type: 'list', description: 'Every question the user was asked, in order, one line each' },
+            { id: 'topics', title: 'Topics covered', type: 'list', description: 'The subjects discussed, a few words each' },
+            { id: 'actionItems', title: 'Action items', type: 'list', description: 'Tasks that were agreed on, with who does them and by when if said' },
+            { id: 'followUps', title: 'Follow-ups', type: 'list', description: 'What the user should send, ask or look into after the conversation' }
+        ]
+    }
+};
+
+function createSummaryError(message) {
+    const error = new Error(message);
+    error.code = 'SUMMARY_FAILED';
+    return error;
+}
+
+// -> list of problems (empty when the template can be used)
+function validateSummaryTemplate(template) {
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+        return ['template should be a JSON object'];
+    }
+
+    const errors = [];
+    ['name', 'description', 'instructions'].forEach(field => {
+        if (template[field] !== undefined && typeof template[field] !== 'string') {
+            errors.push(`${field} should be a string`);
+        }
+    });
+    if (!Array.isArray(template.sections) || template.sections.length === 0) {
+        errors.push('sections should be a non-empty array');
+        return errors;
+    }
+
+    const ids = new Set();
+    template.sections.forEach((section, index) => {
+        if (!section || typeof section !== 'object') {
+            errors.push(`sections[${index}] should be an object`);
+            return;
+        }
+        if (typeof section.id !== 'string' || !SECTION_ID_PATTERN.test(section.id)) {
+            errors.push(`sections[${index}].id should be a name like "actionItems"`);
+        } else if (ids.has(section.id)) {
+            errors.push(`sections[${index}].id "${section.id}" is used twice`);
+        }
+        ids.add(section.id);
+        if (typeof section.title !== 'string' || section.title.trim() === '') {
+            errors.push(`sections[${index}].title should be a non-empty string`);
+        }
+        if (!SECTION_TYPES.includes(section.type)) {
+            errors.push(`sections[${index}].type should be one of ${SECTION_TYPES.join(', ')}`);
+        }
+        if (section.description !== undefined && typeof section.description !== 'string') {
+            errors.push(`sections[${index}].description should be a string`);
+        }
+    });
+    return errors;
+}
+
+class SummaryTemplateStore extends PromptTemplateStore {
+    constructor(templatesDir) {
+        super(templatesDir, {
+            builtIns: BUILT_IN_SUMMARY_TEMPLATES,
+            validate: validateSummaryTemplate,
+            kind: 'summary template'
+        });
+    }
+
+    describe(id, template, source, errors) {
+        const sections = template && Array.isArray(template.sections) ? template.sections : [];
+        return {
+            id,
+            name: (template && typeof template.name === 'string' && template.name) || id,
+            description: (template && typeof template.description === 'string') ? template.description : '',
+            source,
+            sections: sections.filter(section => section && typeof section.id === 'string').map(section => section.id),
+            valid: errors.length === 0,
+            ...(errors.length > 0 ? { errors } : {})
+        };
+    }
+}
+
+// The language to write in: the session's advice language, else the one spoken most
+function summaryLanguage(session) {
+    const selected = session.transcriptionLanguage && session.transcriptionLanguage.outputLanguage;
+    if (selected && selected !== 'auto') return selected;
+    if (session.transcriptionLanguage && session.transcriptionLanguage.mode === 'translate') return 'en';
+
+    const counts = {};
+    session.segments.forEach(segment => {
+        if (segment.language) counts[segment.language] = (counts[segment.language] || 0) + 1;
+    });
+    const spoken = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+    return spoken[0] || null;
+}
+
+function formatSections(template) {
+    return template.sections.map(section => `"${section.id}": ${section.type === 'list' ? 'array of strings' : 'string'} – ${section.title}${section.description ? `: ${section.description}` : ''}`).join('\n');
+}
+
+function systemPrompt(template, task, language) {
+    return [
+        task,
+        template.instructions || '',
+        `Answer with JSON only, with exactly these keys:\n${formatSections(template)}`,
+        'Use an empty string or array for a section the conversation has nothing for. Do not invent anything that was not said.',
+        language ? `Write in ${languageName(language)}.` : ''
+    ].filter(Boolean).join('\n\n');
+}
+
+// Transcript lines, grouped into parts of at most chunkTokens (a longer line is a part of its own)
+function transcriptChunks(session, chunkTokens) {
+    const lines = collectCues(session).map(cue => `[${formatTimestamp(cue.start).slice(0, 8)}] ${SPEAKER_LABELS[cue.source] || SPEAKER_LABELS.local}: ${cue.text}`);
+    const chunks = [];
+    let current = [];
+    let tokens = 0;
+
+    lines.forEach(line => {
+        const lineTokens = estimateTokens(line) + 1;
+        if (current.length > 0 && tokens + lineTokens > chunkTokens) {
+            chunks.push(current.join('\n'));
+            current = [];
+            tokens = 0;
+        }
+        current.push(line);
+        tokens += lineTokens;
+    });
+    if (current.length > 0) chunks.push(current.join('\n'));
+    return chunks;
+}
+
+// -> { [section id]: string | string[] } from the model's answer
+function parseSummary(template, text) {
+    let answer;
+    try {
+        answer = JSON.parse((text.match(/\{[\s\S]*\}/) || [''])[0]);
+    } catch (error) {
+        answer = null;
+    }
+    if (!answer || typeof answer !== 'object' || Array.isArray(answer)) {
+        throw createSummaryError(`summary is not JSON: ${text.slice(0, 100)}`);
+    }
+
+    const content = {};
+    template.sections.forEach(section => {
+        const value = answer[section.id];
+        if (section.type === 'list') {
+            const items = Array.isArray(value) ? value : (typeof value === 'string' ? value.split('\n') : []);
+            content[section.id] = items
+                .filter(item => typeof item === 'string')
+                .map(item => item.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+                .filter(Boolean);
+        } else {
+            content[section.id] = typeof value === 'string' ? value.trim() : (Array.isArray(value) ? value.join(' ').trim() : '');
+        }
+    });
+    return content;
+}
+
+// provider: a coaching provider (see llm-providers.js); session: as read by
+// session-store.js; options: { chunkTokens, maxTokens, signal }
+// -> { templateId, sections: [{ id, title, type, content }], language, model, generatedAt }
+async function summarizeSession(provider, template, session, options = {}) {
+    const language = summaryLanguage(session);
+    const chunks = transcriptChunks(session, options.chunkTokens || 6000);
+    if (chunks.length === 0) {
+        throw createSummaryError(`session ${session.id} has no transcript to summarize`);
+    }
+
+    const heading = [
+        `SESSION: ${session.name}`,
+        session.startedAt ? `STARTED: ${new Date(session.startedAt).toISOString()}` : '',
+        session.startedAt && session.endedAt ? `DURATION: ${formatTimestamp(session.endedAt - session.startedAt).slice(0, 8)}` : ''
+    ].filter(Boolean).join('\n');
+    const ask = async (system, user) => {
+        const { text } = await provider.complete([
+            { role: 'system', content: system },
+            { role: 'user', content: user }
+        ], { maxTokens: options.maxTokens, signal: options.signal });
+        return parseSummary(template, text);
+    };
+
+    let content;
+    if (chunks.length === 1) {
+        content = await ask(
+            systemPrompt(template, 'You write the report of a conversation the user just had, from its transcript ("User" is the person you write for).', language),
+            `${heading}\n\nTRANSCRIPT:\n${chunks[0]}`
+        );
+    } else {
+        const parts = [];
+        for (let i = 0; i < chunks.length; i++) {
+            console.log(`📋 [SUMMARY] Summarizing part ${i + 1} of ${chunks.length}...`);
+            parts.push(await ask(
+                systemPrompt(template, `You write notes on part ${i + 1} of ${chunks.length} of a conversation the user had, from its transcript ("User" is the person you write for).`, language),
+                `${heading}\n\nTRANSCRIPT (PART ${i + 1} OF ${chunks.length}):\n${chunks[i]}`
+            ));
+        }
+        content = await ask(
+            systemPrompt(template, 'You merge the notes on consecutive parts of one conversation into a single report: one summary of the whole conversation, and lists without duplicates.', language),
+            `${heading}\n\n${parts.map((part, i) => `NOTES ON PART ${i + 1}:\n${JSON.stringify(part, null, 2)}`).join('\n\n')}`
+        );
+    }
+
+    return {
+        templateId: template.id,
+        sections: template.sections.map(section => ({
+            id: section.id,
+            title: section.title,
+            type: section.type,
+            content: content[section.id]
+        })),
+        language,
+        model: provider.model,
+        generatedAt: Date.now()
+    };
+}
+
+module.exports = {
+    SummaryTemplateStore,
+    BUILT_IN_SUMMARY_TEMPLATES,
+    validateSummaryTemplate,
+    summarizeSession
+};
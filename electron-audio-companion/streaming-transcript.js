@@ -0,0 +1,82 @@
+// Live caption state for one audio window of one source (microphone or system audio)
+//
+// While someone speaks, the pipeline re-sends the open audio window (see
+// 'partial' in audio-pipeline.js) and every decode of it is a new hypothesis.
+// Early words of a hypothesis settle quickly while the tail keeps changing, so
+// words become stable ("local agreement") once `stableAfter` consecutive
+// hypotheses agree on them and everything before them. Stable words never
+// change again for that window; the final transcription of the window (the
+// pipeline's 'chunk' with the same startTime) replaces the caption.
+
+// Words compare equal regardless of case and punctuation ("Hello," == "hello")
+function normalizeWord(word) {
+    return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+}
+
+function splitWords(text) {
+    return text.trim().split(/\s+/).filter(Boolean);
+}
+
+// Number of leading words all hypotheses agree on
+function agreedPrefixLength(hypotheses) {
+    const [first, ...rest] = hypotheses;
+    let length = 0;
+    while (length < first.length &&
+        rest.every(words => length < words.length && normalizeWord(words[length]) === normalizeWord(first[length]))) {
+        length++;
+    }
+    return length;
+}
+
+class StreamingTranscript {
+    // One per audio window, opened at startTime (ms since capture start)
+    constructor({ startTime, stableAfter = 2 }) {
+        this.startTime = startTime;
+        this.stableAfter = Math.max(1, stableAfter);
+        this.open = true;
+        this.hypotheses = [];
+        this.stableWords = [];
+    }
+
+    // The window was finalized; late partial results for it are ignored
+    close() {
+        this.open = false;
+    }
+
+    accepts(startTime) {
+        return this.open && this.startTime === startTime;
+    }
+
+    // -> { text, stableText, unstableText }
+    update(text) {
+        const words = splitWords(text);
+        this.hypotheses.push(words);
+        if (this.hypotheses.length > this.stableAfter) this.hypotheses.shift();
+
+        if (this.hypotheses.length === this.stableAfter) {
+            const agreed = agreedPrefixLength(this.hypotheses);
+            if (agreed > this.stableWords.length) {
+                // Keep the newest spelling/punctuation of the newly settled words
+                this.stableWords.push(...words.slice(this.stableWords.length, agreed));
+            }
+        }
+
+        // Stable words stay even if this hypothesis disagrees with them
+        const unstableWords = words.slice(this.stableWords.length);
+        const stableText = this.stableWords.join(' ');
+        const unstableText = unstableWords.join(' ');
+
+        return {
+            text: [stableText, unstableText].filter(Boolean).join(' '),
+            stableText,
+            unstableText
+        };
+    }
+}
+
+module.exports = {
+    StreamingTranscript,
+    agreedPrefixLength,
+    normalizeWord,
+    splitWords
+};
@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { getEventListeners } = require('events');
+const { ApiError, fetchWithRetry, readEventStream, isRetryableStatus, parseRetryAfter, backoffDelay } = require('../api-client');
+
+// Quiet retry logs
+test.mock.method(console, 'log', () => {});
+
+// A local server answering with `responses` in order (the last one repeats);
+// each is { status, headers, body, delay, chunks: [[delay, text]...] }
+async function startServer(t, responses) {
+    const requests = [];
+    const server = http.createServer(async (request, response) => {
+        const reply = responses[Math.min(requests.length, responses.length - 1)];
+        requests.push(request.url);
+        if (reply.delay) await new Promise(resolve => setTimeout(resolve, reply.delay));
+        response.writeHead(reply.status || 200, reply.headers || {});
+        for (const [delay, text] of reply.chunks || []) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+            if (response.destroyed) return;
+            response.write(text);
+        }
+        response.end(reply.body || '');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+    return { url: `http://127.0.0.1:${server.address().port}/v1/test`, requests };
+}
+
+const FAST = { baseDelay: 1, maxDelay: 5, timeout: 2000 };
+
+test('parseRetryAfter reads seconds, dates and retry-after-ms', () => {
+    assert.strictEqual(parseRetryAfter(new Headers({ 'retry-after': '2' })), 2000);
+    assert.strictEqual(parseRetryAfter(new Headers({ 'retry-after-ms': '150', 'retry-after': '2' })), 150);
+    assert.strictEqual(parseRetryAfter(new Headers({ 'retry-after': 'soon' })), null);
+    assert.strictEqual(parseRetryAfter(new Headers()), null);
+    assert.strictEqual(parseRetryAfter(new Headers({ 'retry-after': new Date(Date.now() - 5000).toUTCString() })), 0);
+    const later = parseRetryAfter(new Headers({ 'retry-after': new Date(Date.now() + 60000).toUTCString() }));
+    assert.ok(later > 55000 && later <= 60000, String(later));
+});
+
+test('backoffDelay stays within the exponential bound', () => {
+    for (let attempt = 0; attempt < 8; attempt++) {
+        for (let i = 0; i < 50; i++) {
+            const delay = backoffDelay(attempt, { baseDelay: 100, maxDelay: 1000 });
+            assert.ok(delay >= 0 && delay <= Math.min(1000, 100 * 2 ** attempt), `${attempt}: ${delay}`);
+        }
+    }
+});
+
+test('retries 408, 429 and 5xx only', () => {
+    [408, 429, 500, 502, 503].forEach(status => assert.ok(isRetryableStatus(status), String(status)));
+    [400, 401, 403, 404, 422].forEach(status => assert.ok(!isRetryableStatus(status), String(status)));
+});
+
+test('retries until the server recovers', async t => {
+    const server = await startServer(t, [{ status: 503, body: 'busy' }, { status: 429, headers: { 'retry-after-ms': '10' } }, { body: 'ok' }]);
+    const retries = [];
+    const response = await fetchWithRetry(server.url, {}, { ...FAST, onRetry: retry => retries.push(retry) });
+
+    assert.strictEqual(await response.text(), 'ok');
+    assert.strictEqual(server.requests.length, 3);
+    assert.deepStrictEqual(retries.map(retry => retry.attempt), [1, 2]);
+    assert.strictEqual(retries[1].delay, 10);
+});
+
+test('throws other failures straight away', async t => {
+    const server = await startServer(t, [{ status: 401, body: 'bad key' }]);
+    await assert.rejects(fetchWithRetry(server.url, {}, FAST), error => {
+        assert.ok(error instanceof ApiError);
+        assert.deepStrictEqual([error.code, error.status, error.retryable, error.attempts], ['HTTP', 401, false, 1]);
+        assert.match(error.message, /401 - bad key/);
+        return true;
+    });
+    assert.strictEqual(server.requests.length, 1);
+});
+
+test('gives up after the retries, or on a Retry-After too long to wait', async t => {
+    const busy = await startServer(t, [{ status: 500 }]);
+    await assert.rejects(fetchWithRetry(busy.url, {}, { ...FAST, retries: 2 }), { code: 'HTTP', retryable: true, attempts: 3 });
+
+    const limited = await startServer(t, [{ status: 429, headers: { 'retry-after': '120' } }]);
+    await assert.rejects(fetchWithRetry(limited.url, {}, FAST), { status: 429, retryAfter: 120000, attempts: 1 });
+});
+
+test('times out a slow attempt', async t => {
+    const server = await startServer(t, [{ delay: 500 }]);
+    await assert.rejects(fetchWithRetry(server.url, {}, { ...FAST, timeout: 50, retries: 1 }), { code: 'TIMEOUT', attempts: 2 });
+});
+
+test('cancels a request and its waiting', async t => {
+    const server = await startServer(t, [{ status: 503 }]);
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+    await assert.rejects(
+        fetchWithRetry(server.url, {}, { baseDelay: 5000, maxDelay: 5000, retries: 5, signal: controller.signal }),
+        { code: 'ABORTED' }
+    );
+});
+
+test('an already cancelled signal sends nothing and waits for nothing', async t => {
+    const server = await startServer(t, [{ status: 503 }]);
+    const cancelled = new AbortController();
+    cancelled.abort();
+    await assert.rejects(fetchWithRetry(server.url, {}, { ...FAST, signal: cancelled.signal }), { name: 'ApiError', code: 'ABORTED' });
+    assert.strictEqual(server.requests.length, 0);
+
+    // Cancelled just before the wait between attempts
+    const controller = new AbortController();
+    const startedAt = Date.now();
+    await assert.rejects(
+        fetchWithRetry(server.url, {}, { baseDelay: 5000, maxDelay: 5000, retries: 5, signal: controller.signal, onRetry: () => controller.abort() }),
+        { name: 'ApiError', code: 'ABORTED' }
+    );
+    assert.strictEqual(server.requests.length, 1);
+    assert.ok(Date.now() - startedAt < 1000);
+});
+
+test('leaves no abort listeners behind from failed attempts and waits', async t => {
+    const server = await startServer(t, [{ status: 503 }, { status: 503 }, { status: 503 }, { body: 'ok' }]);
+    const controller = new AbortController();
+    const response = await fetchWithRetry(server.url, {}, { ...FAST, signal: controller.signal });
+    await response.text();
+    // Only the successful attempt's, which lets the signal stop reading the body
+    assert.ok(getEventListeners(controller.signal, 'abort').length <= 1);
+
+    const failing = await startServer(t, [{ status: 500 }]);
+    await assert.rejects(fetchWithRetry(failing.url, {}, { ...FAST, retries: 4, signal: controller.signal }));
+    assert.ok(getEventListeners(controller.signal, 'abort').length <= 1);
+});
+
+test('the signal still stops reading a streamed body', async t => {
+    const server = await startServer(t, [{ headers: { 'content-type': 'text/event-stream' }, chunks: [[0, 'data: one\n\n'], [1000, 'data: two\n\n']] }]);
+    const controller = new AbortController();
+    const response = await fetchWithRetry(server.url, {}, { ...FAST, signal: controller.signal });
+
+    const received = [];
+    await assert.rejects(async () => {
+        for await (const data of readEventStream(response)) {
+            received.push(data);
+            controller.abort();
+        }
+    });
+    assert.deepStrictEqual(received, ['one']);
+});
+
+test('readEventStream yields data lines and fails a stalled stream', async t => {
+    const server = await startServer(t, [
+        { headers: { 'content-type': 'text/event-stream' }, chunks: [[0, 'data: {"a":1}\n\n: comment\ndata: [DO'], [10, 'NE]\n\n']] },
+        { headers: { 'content-type': 'text/event-stream' }, chunks: [[0, 'data: first\n\n'], [1000, 'data: late\n\n']] }
+    ]);
+
+    const received = [];
+    for await (const data of readEventStream(await fetch(server.url))) received.push(data);
+    assert.deepStrictEqual(received, ['{"a":1}', '[DONE]']);
+
+    const stalled = [];
+    await assert.rejects(async () => {
+        for await (const data of readEventStream(await fetch(server.url), { idleTimeout: 100 })) stalled.push(data);
+    }, { code: 'TIMEOUT', retryable: true });
+    assert.deepStrictEqual(stalled, ['first']);
+});
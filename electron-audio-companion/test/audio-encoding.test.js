@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { encodeFLAC, decodeFLAC, encodeWAV, decodeWAV, resample } = require('../audio-encoding');
+const { tone, noise } = require('./fixtures');
+
+// What a sample becomes once quantized to 16 bits
+function quantize(samples) {
+    return Array.from(samples, sample => Math.round(Math.max(-1, Math.min(1, sample)) * 0x7FFF) / 0x8000);
+}
+
+function assertFLACRoundTrip(samples, sampleRate = 16000) {
+    const decoded = decodeFLAC(encodeFLAC(samples, sampleRate));
+    assert.strictEqual(decoded.sampleRate, sampleRate);
+    assert.strictEqual(decoded.samples.length, samples.length);
+    const expected = quantize(samples);
+    for (let i = 0; i < samples.length; i++) {
+        assert.ok(Math.abs(decoded.samples[i] - expected[i]) < 1e-4, `sample ${i}: ${decoded.samples[i]} != ${expected[i]}`);
+    }
+}
+
+test('FLAC round-trips silence, tones and quiet noise', () => {
+    assertFLACRoundTrip(new Float32Array(16000));
+    assertFLACRoundTrip(tone(1, 440));
+    assertFLACRoundTrip(noise(1, 0.1));
+});
+
+test('FLAC round-trips loud and full-scale noise', () => {
+    for (const amplitude of [0.3, 0.5, 0.9, 1]) {
+        assertFLACRoundTrip(noise(1, amplitude, { seed: amplitude * 100 }));
+    }
+});
+
+test('FLAC round-trips short and clipped blocks', () => {
+    const square = new Float32Array(15).map((_, i) => (i % 2 ? 0.5 : -0.5));
+    assertFLACRoundTrip(square);
+    assertFLACRoundTrip(new Float32Array(1).fill(1));
+    assertFLACRoundTrip(noise(0.3125, 2)); // Clipped to full scale
+});
+
+test('FLAC round-trips several frames at other sample rates', () => {
+    assertFLACRoundTrip(tone(48123 / 48000, 1000, 0.5, { sampleRate: 48000 }), 48000);
+    assertFLACRoundTrip(noise(1, 0.8, { sampleRate: 22050 }), 22050);
+});
+
+test('FLAC is smaller than WAV for speech-like audio', () => {
+    const samples = tone(1, 220, 0.3);
+    assert.ok(encodeFLAC(samples, 16000).byteLength < encodeWAV(samples, 16000).byteLength);
+});
+
+test('WAV round-trips 16-bit samples', () => {
+    const samples = tone(0.1, 440);
+    const decoded = decodeWAV(encodeWAV(samples, 16000));
+    assert.strictEqual(decoded.sampleRate, 16000);
+    assert.strictEqual(decoded.samples.length, samples.length);
+    decoded.samples.forEach((sample, i) => assert.ok(Math.abs(sample - samples[i]) < 1e-3));
+});
+
+test('resample keeps duration', () => {
+    assert.strictEqual(resample(new Float32Array(48000), 48000, 16000).length, 16000);
+    const same = new Float32Array(10);
+    assert.strictEqual(resample(same, 16000, 16000).length, 10);
+});
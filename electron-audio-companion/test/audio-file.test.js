@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { readAudioFile } = require('../audio-file');
+const { encodeFLAC } = require('../audio-encoding');
+const { tone, writeWAV, temporaryDirectory } = require('./fixtures');
+
+// A stand-in ffmpeg: a shell script run with the real ffmpeg's arguments
+function fakeFFmpeg(directory, script) {
+    const ffmpegPath = path.join(directory, 'ffmpeg');
+    fs.writeFileSync(ffmpegPath, `#!/bin/sh\n${script}\n`, { mode: 0o755 });
+    return ffmpegPath;
+}
+
+test('reads WAV and FLAC without ffmpeg', async t => {
+    const directory = temporaryDirectory(t);
+    const samples = tone(0.5, 440);
+    const wavPath = writeWAV(path.join(directory, 'a.wav'), samples);
+    const flacPath = path.join(directory, 'a.flac');
+    fs.writeFileSync(flacPath, Buffer.from(encodeFLAC(samples, 16000)));
+
+    for (const [filePath, format] of [[wavPath, 'wav'], [flacPath, 'flac']]) {
+        const audio = await readAudioFile(filePath, { ffmpegPath: path.join(directory, 'missing') });
+        assert.strictEqual(audio.format, format);
+        assert.strictEqual(audio.sampleRate, 16000);
+        assert.strictEqual(audio.duration, 500);
+        assert.strictEqual(audio.samples.length, samples.length);
+    }
+});
+
+test('reports a missing file', async () => {
+    await assert.rejects(readAudioFile('/nonexistent/recording.wav'), { code: 'NOT_FOUND' });
+});
+
+test('reports a broken WAV', async t => {
+    const filePath = path.join(temporaryDirectory(t), 'broken.wav');
+    fs.writeFileSync(filePath, Buffer.from('RIFF\0\0\0\0WAVEjunk'));
+    await assert.rejects(readAudioFile(filePath), { code: 'UNSUPPORTED_AUDIO', message: /Cannot decode/ });
+});
+
+test('needs ffmpeg for other formats', async t => {
+    const directory = temporaryDirectory(t);
+    const filePath = path.join(directory, 'call.mp3');
+    fs.writeFileSync(filePath, Buffer.from('ID3 not really an mp3'));
+
+    await assert.rejects(
+        readAudioFile(filePath, { ffmpegPath: path.join(directory, 'no-ffmpeg') }),
+        { code: 'UNSUPPORTED_AUDIO', message: /needs ffmpeg.*FFMPEG_PATH/ }
+    );
+});
+
+test('reports what ffmpeg could not decode', async t => {
+    const directory = temporaryDirectory(t);
+    const filePath = path.join(directory, 'call.ogg');
+    fs.writeFileSync(filePath, Buffer.from('OggS garbage'));
+    const ffmpegPath = fakeFFmpeg(directory, 'echo "Invalid data found when processing input" >&2\nexit 1');
+
+    await assert.rejects(
+        readAudioFile(filePath, { ffmpegPath }),
+        { code: 'UNSUPPORTED_AUDIO', message: /ffmpeg could not decode .*Invalid data found/ }
+    );
+});
+
+test('decodes other formats with ffmpeg at the requested rate', async t => {
+    const directory = temporaryDirectory(t);
+    const filePath = path.join(directory, 'call.m4a');
+    fs.writeFileSync(filePath, Buffer.from('not decoded by the fake'));
+    // 800 zero float samples, and the arguments for checking
+    const ffmpegPath = fakeFFmpeg(directory, `echo "$@" > "${directory}/arguments"\nhead -c 3200 /dev/zero`);
+
+    const audio = await readAudioFile(filePath, { ffmpegPath, sampleRate: 8000 });
+    assert.strictEqual(audio.format, 'ffmpeg');
+    assert.strictEqual(audio.sampleRate, 8000);
+    assert.strictEqual(audio.samples.length, 800);
+    assert.strictEqual(audio.duration, 100);
+
+    const args = fs.readFileSync(path.join(directory, 'arguments'), 'utf8');
+    assert.match(args, /-i .*call\.m4a/);
+    assert.match(args, /-f f32le -ac 1 -ar 8000/);
+});
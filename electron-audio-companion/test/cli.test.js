@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { utterances, writeWAV, temporaryDirectory } = require('./fixtures');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+const SUMMARY = JSON.stringify({
+    summary: 'A short test conversation',
+    questions: ['What is two?'],
+    topics: ['counting'],
+    actionItems: ['Ship the release'],
+    followUps: []
+});
+
+// Runs cli.js on mock providers, away from the user's settings and sessions
+function runCLI(directory, args, env = {}) {
+    const result = spawnSync(process.execPath, [CLI, ...args], {
+        cwd: directory,
+        encoding: 'utf8',
+        timeout: 60000,
+        env: {
+            PATH: process.env.PATH,
+            CONFIG_FILE: path.join(directory, 'config.json'),
+            SESSIONS_DIR: path.join(directory, 'sessions'),
+            PROMPT_TEMPLATES_DIR: path.join(directory, 'prompts'),
+            SUMMARY_TEMPLATES_DIR: path.join(directory, 'summaries'),
+            TRANSCRIPTION_PROVIDER: 'mock',
+            MOCK_TRANSCRIPTIONS: JSON.stringify(['one', 'two', 'three']),
+            COACHING_PROVIDER: 'mock',
+            ...env
+        }
+    });
+    return { code: result.status, output: result.stdout + result.stderr };
+}
+
+function sessionFiles(directory) {
+    const sessionsDir = path.join(directory, 'sessions');
+    return fs.existsSync(sessionsDir) ? fs.readdirSync(sessionsDir) : [];
+}
+
+test('transcribes a recording into the export formats', t => {
+    const directory = temporaryDirectory(t);
+    const recording = writeWAV(path.join(directory, 'interview.wav'), utterances());
+
+    const { code, output } = runCLI(directory, ['-f', 'srt,json', '-o', 'out', recording]);
+    assert.strictEqual(code, 0, output);
+
+    const srt = fs.readFileSync(path.join(directory, 'out', 'interview.srt'), 'utf8');
+    assert.match(srt, /^1\n00:00:00,000 --> .*\nMe: one\n\n2\n.*\nMe: two\n\n3\n.*\nMe: three/);
+    const session = JSON.parse(fs.readFileSync(path.join(directory, 'out', 'interview.json'), 'utf8'));
+    assert.strictEqual(session.segments.length, 3);
+    assert.deepStrictEqual(sessionFiles(directory), []);
+});
+
+test('keeps the transcript when the summary fails', t => {
+    const directory = temporaryDirectory(t);
+    const recording = writeWAV(path.join(directory, 'interview.wav'), utterances());
+
+    const { code, output } = runCLI(directory, ['-f', 'srt,markdown', '-o', 'out', '--summary', '--session', recording], {
+        MOCK_COACHING_RESPONSES: JSON.stringify(['Sorry, no JSON today'])
+    });
+    assert.strictEqual(code, 0, output);
+    assert.match(output, /no summary - summary is not JSON/);
+    assert.ok(fs.existsSync(path.join(directory, 'out', 'interview.srt')));
+    assert.doesNotMatch(fs.readFileSync(path.join(directory, 'out', 'interview.md'), 'utf8'), /Action items/);
+    assert.strictEqual(sessionFiles(directory).length, 1);
+});
+
+test('adds the summary to the exports and the session', t => {
+    const directory = temporaryDirectory(t);
+    const recording = writeWAV(path.join(directory, 'interview.wav'), utterances());
+
+    const { code, output } = runCLI(directory, ['-f', 'markdown', '-o', 'out', '--summary', '--session', recording], {
+        MOCK_COACHING_RESPONSES: JSON.stringify([SUMMARY])
+    });
+    assert.strictEqual(code, 0, output);
+    assert.match(fs.readFileSync(path.join(directory, 'out', 'interview.md'), 'utf8'), /Action items[\s\S]*Ship the release/);
+
+    const [sessionFile] = sessionFiles(directory);
+    assert.match(fs.readFileSync(path.join(directory, 'sessions', sessionFile), 'utf8'), /Ship the release/);
+});
+
+test('fails a compressed recording without ffmpeg but goes on with the rest', t => {
+    const directory = temporaryDirectory(t);
+    const compressed = path.join(directory, 'call.mp3');
+    fs.writeFileSync(compressed, 'ID3 not really an mp3');
+    const recording = writeWAV(path.join(directory, 'interview.wav'), utterances());
+
+    const { code, output } = runCLI(directory, ['-f', 'srt', compressed, recording], {
+        FFMPEG_PATH: path.join(directory, 'no-ffmpeg')
+    });
+    assert.strictEqual(code, 1, output);
+    assert.match(output, /call\.mp3: Decoding .* needs ffmpeg/);
+    assert.ok(fs.existsSync(path.join(directory, 'interview.srt')));
+});
+
+test('rejects bad arguments', t => {
+    const directory = temporaryDirectory(t);
+    assert.strictEqual(runCLI(directory, []).code, 2);
+    assert.strictEqual(runCLI(directory, ['--format', 'docx', 'a.wav']).code, 2);
+    assert.strictEqual(runCLI(directory, ['--bogus', 'a.wav']).code, 2);
+
+    const help = runCLI(directory, ['--help']);
+    assert.strictEqual(help.code, 0);
+    assert.match(help.output, /Usage: node cli\.js/);
+});
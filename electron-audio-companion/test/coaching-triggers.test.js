@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RuleTrigger, ClassifierTrigger, LLMTrigger, createCoachingTrigger, screenUtterance } = require('../coaching-triggers');
+const { MockLLMProvider } = require('../llm-providers');
+
+test('screenUtterance drops fragments, filler and repetition', () => {
+    assert.deepStrictEqual(screenUtterance('yes okay'), { confidence: 0.05, reason: 'too short' });
+    assert.deepStrictEqual(screenUtterance('oh um yeah okay thanks hello'), { confidence: 0.1, reason: 'only filler words' });
+    assert.deepStrictEqual(screenUtterance('goodbye goodbye goodbye goodbye now'), { confidence: 0.1, reason: 'repetitive' });
+    assert.strictEqual(screenUtterance('Tell me about your last project'), null);
+});
+
+test('the rules score questions, openers, keywords and long words', async () => {
+    const trigger = new RuleTrigger();
+    assert.strictEqual(trigger.isReady(), true);
+
+    const cases = [
+        ['Could you walk me through that one?', 0.9, 'question'],
+        ['Tell me about the hardest bug', 0.8, 'starts like a question ("tell me")'],
+        ['We rebuilt the payment system last year', 0.7, 'interview topic ("system")'],
+        ['Honestly the weather yesterday was wonderful', 0.55, 'substantive words ("honestly")'],
+        ['We met at the park for tea', 0.2, 'no question or interview topic']
+    ];
+    for (const [utterance, confidence, reason] of cases) {
+        assert.deepStrictEqual(await trigger.evaluate(utterance), { confidence, reason }, utterance);
+    }
+});
+
+test('the rules only apply language-neutral checks to other languages', async () => {
+    const trigger = new RuleTrigger();
+    assert.strictEqual((await trigger.evaluate('¿Cuál fue tu proyecto más difícil?', { language: 'es' })).confidence, 0.9);
+    assert.deepStrictEqual(await trigger.evaluate('Trabajé cinco años en una empresa grande', { language: 'es' }),
+        { confidence: 0.55, reason: 'full sentence (no keyword rules for es)' });
+    assert.deepStrictEqual(await trigger.evaluate('Hablamos del proyecto nuevo', { language: 'es' }),
+        { confidence: 0.2, reason: 'short statement (no keyword rules for es)' });
+});
+
+test('the classifier is not ready without its model', () => {
+    assert.strictEqual(new ClassifierTrigger().isReady(), false);
+    assert.strictEqual(new ClassifierTrigger({ modelPath: '/nonexistent' }).isReady(), false);
+});
+
+test('the LLM trigger asks the provider and clamps its score', async () => {
+    const requests = [];
+    const provider = {
+        isReady: () => true,
+        complete: async (messages, options) => {
+            requests.push({ messages, options });
+            return { text: 'Sure: {"score": 1.4, "reason": "direct question"}', finishReason: 'stop' };
+        }
+    };
+    const trigger = new LLMTrigger({ provider });
+    assert.strictEqual(trigger.isReady(), true);
+
+    const signal = new AbortController().signal;
+    const verdict = await trigger.evaluate('What would you do differently next time?', {
+        source: 'local',
+        history: [{ source: 'remote', text: 'Thanks for joining us today.' }],
+        signal
+    });
+    assert.deepStrictEqual(verdict, { confidence: 1, reason: 'direct question' });
+
+    assert.strictEqual(requests.length, 1);
+    const [system, user] = requests[0].messages;
+    assert.strictEqual(system.role, 'system');
+    assert.match(system.content, /Answer with JSON only/);
+    assert.match(user.content, /Thanks for joining us today\./);
+    assert.match(user.content, /What would you do differently next time\?/);
+    assert.strictEqual(requests[0].options.signal, signal);
+});
+
+test('the LLM trigger screens utterances before asking and rejects answers without a score', async () => {
+    const provider = new MockLLMProvider({ responses: ['{"reason": "no idea"}'], delay: 0 });
+    const trigger = new LLMTrigger({ provider });
+
+    assert.deepStrictEqual(await trigger.evaluate('ok bye'), { confidence: 0.05, reason: 'too short' });
+    assert.strictEqual(provider.callCount, 0);
+
+    await assert.rejects(trigger.evaluate('How did you handle the outage?'), { code: 'TRIGGER_FAILED' });
+    assert.strictEqual(provider.callCount, 1);
+
+    assert.strictEqual(new LLMTrigger().isReady(), false);
+});
+
+test('createCoachingTrigger builds each strategy and rejects unknown ones', () => {
+    const provider = new MockLLMProvider();
+    assert.ok(createCoachingTrigger({ strategy: 'rules' }) instanceof RuleTrigger);
+
+    const classifier = createCoachingTrigger({ strategy: 'classifier', modelPath: '/models', model: 'some/model', timeout: 500 });
+    assert.ok(classifier instanceof ClassifierTrigger);
+    assert.strictEqual(classifier.modelPath, '/models');
+    assert.strictEqual(classifier.model, 'some/model');
+    assert.strictEqual(classifier.timeout, 500);
+
+    const llm = createCoachingTrigger({ strategy: 'llm' }, provider);
+    assert.ok(llm instanceof LLMTrigger);
+    assert.strictEqual(llm.provider, provider);
+
+    assert.throws(() => createCoachingTrigger({ strategy: 'magic' }), /Unknown coaching trigger: magic/);
+});
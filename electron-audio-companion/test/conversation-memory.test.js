@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConversationMemory, createLLMSummarizer, estimateTokens } = require('../conversation-memory');
+
+// Quiet summary logs
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+// 40 characters: 10 tokens
+function turn(i, source = 'remote') {
+    return { source, text: `Turn ${String(i).padStart(2, '0')} of the long conversation goes on`, timestamp: i * 1000 };
+}
+
+// A summarize() whose calls the test resolves or rejects
+function controlledSummarizer() {
+    const calls = [];
+    const summarize = (input) => new Promise((resolve, reject) => calls.push({ input, resolve, reject }));
+    return { summarize, calls };
+}
+
+test('estimateTokens counts about four characters per token', () => {
+    assert.strictEqual(estimateTokens(''), 0);
+    assert.strictEqual(estimateTokens(undefined), 0);
+    assert.strictEqual(estimateTokens(turn(1).text), 10);
+    assert.strictEqual(estimateTokens('abcde'), 2);
+});
+
+test('without a summarizer the context keeps the latest turns that fit', () => {
+    const memory = new ConversationMemory({ tokenBudget: 30 });
+    for (let i = 0; i < 5; i++) memory.add(turn(i));
+
+    const context = memory.context();
+    assert.deepStrictEqual(context.turns.map(t => t.timestamp), [2000, 3000, 4000]);
+    assert.strictEqual(context.omitted, 2);
+    assert.strictEqual(context.summary, '');
+    assert.deepStrictEqual(context.facts, []);
+    assert.strictEqual(memory.latest().timestamp, 4000);
+});
+
+test('the latest turn is always in the context, even over budget', () => {
+    const memory = new ConversationMemory({ tokenBudget: 5 });
+    memory.add(turn(1));
+    memory.add(turn(2));
+    assert.deepStrictEqual(memory.context().turns.map(t => t.timestamp), [2000]);
+});
+
+test('the oldest turns are folded into the summary once they outgrow the budget', async () => {
+    const { summarize, calls } = controlledSummarizer();
+    const summaries = [];
+    const memory = new ConversationMemory({ tokenBudget: 100, summarize, onSummary: summary => summaries.push(summary) });
+
+    for (let i = 0; i < 6; i++) memory.add(turn(i));
+    assert.strictEqual(calls.length, 0);
+
+    memory.add(turn(6));
+    assert.strictEqual(calls.length, 1);
+    assert.deepStrictEqual(calls[0].input.turns.map(t => t.timestamp), [0, 1000, 2000]);
+    assert.strictEqual(calls[0].input.summary, '');
+
+    // One summary at a time
+    memory.add(turn(7));
+    assert.strictEqual(calls.length, 1);
+
+    const facts = Array.from({ length: 20 }, (_, i) => `fact ${i % 18}`);
+    calls[0].resolve({ summary: 'They talked about turns.', facts });
+    await memory.summarizing;
+
+    assert.strictEqual(memory.summarizedTurns, 3);
+    assert.strictEqual(memory.facts.length, 15);
+    assert.strictEqual(memory.facts[14], 'fact 17');
+    assert.deepStrictEqual(summaries, [{ summary: 'They talked about turns.', facts: memory.facts, summarizedTurns: 3 }]);
+
+    const context = memory.context();
+    assert.strictEqual(context.summary, 'They talked about turns.');
+    assert.strictEqual(context.turns[0].timestamp, 3000);
+    assert.strictEqual(context.turns[context.turns.length - 1].timestamp, 7000);
+});
+
+test('a failed summary is retried only after a few more turns', async () => {
+    const { summarize, calls } = controlledSummarizer();
+    const memory = new ConversationMemory({ tokenBudget: 100, summarize });
+    for (let i = 0; i < 7; i++) memory.add(turn(i));
+
+    calls[0].reject(new Error('rate limited'));
+    await memory.summarizing;
+    assert.strictEqual(memory.summarizedTurns, 0);
+    assert.strictEqual(memory.retryAt, 12);
+    assert.strictEqual(memory.summary, '');
+
+    for (let i = 7; i < 11; i++) memory.add(turn(i));
+    assert.strictEqual(calls.length, 1);
+    memory.add(turn(11));
+    assert.strictEqual(calls.length, 2);
+    assert.strictEqual(calls[1].input.turns[0].timestamp, 0);
+});
+
+test('a summary finishing after a reset is dropped', async () => {
+    const { summarize, calls } = controlledSummarizer();
+    const memory = new ConversationMemory({ tokenBudget: 100, summarize });
+    for (let i = 0; i < 7; i++) memory.add(turn(i));
+
+    const pending = memory.summarizing;
+    memory.reset();
+    calls[0].resolve({ summary: 'stale', facts: ['stale fact'] });
+    await pending;
+
+    assert.strictEqual(memory.summary, '');
+    assert.deepStrictEqual(memory.facts, []);
+    assert.strictEqual(memory.turns.length, 0);
+    assert.strictEqual(memory.summarizing, null);
+});
+
+test('the LLM summarizer sends the earlier memory and new transcript and reads its JSON', async () => {
+    const requests = [];
+    let answer = 'Here: {"summary": " Anna leads the payments team. ", "facts": ["Anna: payments lead", "", 3]}';
+    const provider = {
+        isReady: () => true,
+        complete: async (messages, options) => {
+            requests.push({ messages, options });
+            return { text: answer, finishReason: 'stop' };
+        }
+    };
+    const summarize = createLLMSummarizer(provider);
+    const turns = [{ source: 'remote', text: 'I lead the payments team.' }, { source: 'local', text: 'How big is it?' }];
+
+    assert.deepStrictEqual(await summarize({ summary: 'Intro call.', facts: ['Role: backend'], turns }),
+        { summary: 'Anna leads the payments team.', facts: ['Anna: payments lead'] });
+
+    const [system, user] = requests[0].messages;
+    assert.match(system.content, /Answer with JSON only/);
+    assert.match(user.content, /EARLIER SUMMARY:\nIntro call\./);
+    assert.match(user.content, /KEY FACTS:\n- Role: backend/);
+    assert.match(user.content, /I lead the payments team\./);
+    assert.match(user.content, /How big is it\?/);
+    assert.strictEqual(requests[0].options.maxTokens, 600);
+
+    // Models that ignore the format still summarize; the facts are kept
+    answer = 'They discussed the payments team.';
+    assert.deepStrictEqual(await summarize({ summary: '', facts: ['Role: backend'], turns }),
+        { summary: 'They discussed the payments team.', facts: ['Role: backend'] });
+    assert.match(requests[1].messages[1].content, /EARLIER SUMMARY:\n\(none\)/);
+});
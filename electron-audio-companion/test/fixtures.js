@@ -0,0 +1,84 @@
+// Synthetic audio for tests
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { encodeWAV } = require('../audio-encoding');
+
+const SAMPLE_RATE = 16000;
+
+// Voiced speech stand-in: a gliding 120-160 Hz pitch with harmonics, optionally
+// rising and falling in loudness like syllables
+function voice(seconds, amplitude, { sampleRate = SAMPLE_RATE, syllables = true } = {}) {
+    const samples = new Float32Array(Math.round(seconds * sampleRate));
+    let phase = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const time = i / sampleRate;
+        phase += 2 * Math.PI * (140 + 20 * Math.sin(2 * Math.PI * 0.7 * time)) / sampleRate;
+        let value = 0;
+        for (let harmonic = 1; harmonic <= 12; harmonic++) value += Math.sin(harmonic * phase) / harmonic;
+        const envelope = syllables ? 0.55 + 0.45 * Math.sin(2 * Math.PI * 3 * time) : 1;
+        samples[i] = amplitude * envelope * value / 3;
+    }
+    return samples;
+}
+
+function tone(seconds, frequency, amplitude = 0.5, { sampleRate = SAMPLE_RATE } = {}) {
+    const samples = new Float32Array(Math.round(seconds * sampleRate));
+    for (let i = 0; i < samples.length; i++) samples[i] = Math.sin(2 * Math.PI * frequency * i / sampleRate) * amplitude;
+    return samples;
+}
+
+// Deterministic white noise, so failures reproduce
+function noise(seconds, amplitude, { sampleRate = SAMPLE_RATE, seed = 7 } = {}) {
+    const samples = new Float32Array(Math.round(seconds * sampleRate));
+    let state = seed;
+    for (let i = 0; i < samples.length; i++) {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        samples[i] = (state / 1073741824 - 1) * amplitude;
+    }
+    return samples;
+}
+
+function silence(seconds, { sampleRate = SAMPLE_RATE } = {}) {
+    return new Float32Array(Math.round(seconds * sampleRate));
+}
+
+function concat(...parts) {
+    const samples = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        samples.set(part, offset);
+        offset += part.length;
+    }
+    return samples;
+}
+
+// Three utterances, the first from the very start of the recording
+function utterances() {
+    return concat(voice(2.5, 0.3), silence(1.5), voice(2, 0.3), silence(1.5), voice(2, 0.3), silence(1));
+}
+
+function writeWAV(filePath, samples, sampleRate = SAMPLE_RATE) {
+    fs.writeFileSync(filePath, Buffer.from(encodeWAV(samples, sampleRate)));
+    return filePath;
+}
+
+// A fresh directory, removed when the test ends
+function temporaryDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cluely-test-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+module.exports = {
+    SAMPLE_RATE,
+    voice,
+    tone,
+    noise,
+    silence,
+    concat,
+    utterances,
+    writeWAV,
+    temporaryDirectory
+};
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MockOpenAIServer } = require('../mock-openai-server');
+const { encodeWAV } = require('../audio-encoding');
+const { SAMPLE_RATE, voice } = require('./fixtures');
+
+async function startServer(t, options) {
+    const server = new MockOpenAIServer(options);
+    const url = await server.start();
+    t.after(() => server.stop());
+    return { server, url };
+}
+
+function transcribe(url, fields = {}) {
+    const form = new FormData();
+    form.append('file', new Blob([encodeWAV(voice(1.5, 0.3), SAMPLE_RATE)], { type: 'audio/wav' }), 'chunk.wav');
+    form.append('model', 'whisper-1');
+    Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+    return fetch(`${url}/audio/transcriptions`, { method: 'POST', body: form });
+}
+
+function complete(url, body) {
+    return fetch(`${url}/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'Help' }], ...body })
+    });
+}
+
+test('answers transcriptions from its script and logs each chunk', async t => {
+    const { server, url } = await startServer(t, { transcriptions: ['first answer', { text: 'second answer', language: 'de' }] });
+
+    const first = await transcribe(url, { response_format: 'verbose_json' });
+    const result = await first.json();
+    assert.strictEqual(result.text, 'first answer');
+    assert.strictEqual(result.duration, 1.5);
+    // One segment over the whole chunk, with evenly spaced words
+    assert.strictEqual(result.segments.length, 1);
+    assert.strictEqual(result.segments[0].end, 1.5);
+
+    assert.deepStrictEqual(await (await transcribe(url)).json(), { text: 'second answer' });
+    assert.strictEqual(await (await transcribe(url, { response_format: 'text' })).text(), 'first answer');
+
+    assert.deepStrictEqual(server.requests.map(({ endpoint, index, model, filename, duration, status }) => ({ endpoint, index, model, filename, duration, status })), [
+        { endpoint: 'transcriptions', index: 0, model: 'whisper-1', filename: 'chunk.wav', duration: 1500, status: 200 },
+        { endpoint: 'transcriptions', index: 1, model: 'whisper-1', filename: 'chunk.wav', duration: 1500, status: 200 },
+        { endpoint: 'transcriptions', index: 2, model: 'whisper-1', filename: 'chunk.wav', duration: 1500, status: 200 }
+    ]);
+});
+
+test('injects errors and dropped connections', async t => {
+    const { server, url } = await startServer(t, {
+        transcriptions: [{ status: 429, retryAfter: 2, error: 'Slow down' }, { drop: true }, 'fine']
+    });
+
+    const limited = await transcribe(url);
+    assert.strictEqual(limited.status, 429);
+    assert.strictEqual(limited.headers.get('retry-after'), '2');
+    assert.strictEqual((await limited.json()).error.message, 'Slow down');
+
+    await assert.rejects(transcribe(url), /fetch failed/);
+    assert.deepStrictEqual(await (await transcribe(url)).json(), { text: 'fine' });
+    assert.deepStrictEqual(server.requests.map(request => request.status), [429, null, 200]);
+});
+
+test('streams completions one word per delta', async t => {
+    const { server, url } = await startServer(t, { completions: ['Use the STAR method.'] });
+
+    const streamed = await complete(url, { stream: true, max_tokens: 50 });
+    assert.strictEqual(streamed.headers.get('content-type'), 'text/event-stream');
+    const events = (await streamed.text()).split('\n\n').filter(Boolean);
+    assert.strictEqual(events.pop(), 'data: [DONE]');
+    const choices = events.map(event => JSON.parse(event.slice('data: '.length)).choices[0]);
+    assert.strictEqual(choices.map(choice => choice.delta.content || '').join(''), 'Use the STAR method.');
+    assert.strictEqual(choices.pop().finish_reason, 'stop');
+
+    const plain = await (await complete(url)).json();
+    assert.strictEqual(plain.choices[0].message.content, 'Use the STAR method.');
+
+    const [request] = server.requests;
+    assert.strictEqual(request.endpoint, 'chat');
+    assert.strictEqual(request.maxTokens, 50);
+    assert.deepStrictEqual(request.messages, [{ role: 'user', content: 'Help' }]);
+    assert.strictEqual((await fetch(`${url}/models`)).status, 404);
+});
+
+test('waitForIdle resolves once requests have stopped for a while', async t => {
+    const { server, url } = await startServer(t, { completions: [{ content: 'slow', delay: 300 }] });
+
+    const answer = complete(url);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const startedAt = Date.now();
+    await server.waitForIdle(200);
+    // The request was open for about 250 ms more, then 200 ms of quiet
+    assert.ok(Date.now() - startedAt >= 400, `${Date.now() - startedAt} ms`);
+    assert.strictEqual((await (await answer).json()).choices[0].message.content, 'slow');
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { BUILT_IN_TEMPLATES, createCoachingPrompt, adviceLanguage } = require('../prompt-templates');
+
+const conversation = {
+    summary: 'A backend interview at Acme.',
+    facts: ['Interviewer: Sam'],
+    turns: [{ source: 'remote', text: 'What did you build last?' }],
+    omitted: 0
+};
+
+test('adviceLanguage prefers the chosen language, then the spoken one', () => {
+    assert.strictEqual(adviceLanguage({ task: 'transcribe', outputLanguage: 'de', conversationLanguage: 'fr' }), 'de');
+    assert.strictEqual(adviceLanguage({ task: 'transcribe', outputLanguage: '', conversationLanguage: 'fr' }), 'fr');
+    assert.strictEqual(adviceLanguage({ task: 'translate', outputLanguage: '', conversationLanguage: 'fr' }), 'en');
+    assert.strictEqual(adviceLanguage({ task: 'transcribe', outputLanguage: '' }), null);
+});
+
+test('createCoachingPrompt renders the memory and asks for the advice language', () => {
+    const prompt = createCoachingPrompt(BUILT_IN_TEMPLATES['interview-coach'], {
+        conversation,
+        utterance: 'A payment service in Go.',
+        source: 'local',
+        session: { id: 's1', name: 'Acme', startedAt: 0 },
+        outputLanguage: 'es'
+    });
+
+    assert.match(prompt.user, /EARLIER IN THE INTERVIEW: A backend interview at Acme\./);
+    assert.match(prompt.user, /- Interviewer: Sam/);
+    assert.match(prompt.user, /Other speaker: What did you build last\?/);
+    assert.match(prompt.user, /LATEST TRANSCRIPTION \(User\): "A payment service in Go\."/);
+    assert.ok(prompt.system.startsWith(BUILT_IN_TEMPLATES['interview-coach'].system));
+    assert.match(prompt.system, /\n\nAlways respond in Spanish\.$/);
+});
+
+test('createCoachingPrompt leaves the system message alone without a language', () => {
+    const template = { system: 'Coach {{session.name}}.', user: '{{utterance}}' };
+    const prompt = createCoachingPrompt(template, {
+        conversation,
+        utterance: 'Hi',
+        source: 'remote',
+        session: { name: 'Demo' },
+        outputLanguage: null
+    });
+    assert.deepStrictEqual(prompt, { system: 'Coach Demo.', user: 'Hi' });
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    ERROR_CODES,
+    CLIENT_MESSAGE_SCHEMAS,
+    SERVER_MESSAGE_SCHEMAS,
+    ProtocolError,
+    validate,
+    parseClientMessage,
+    createMessage,
+    negotiate,
+    capabilityForEvent
+} = require('../protocol');
+
+// createMessage logs outgoing messages that do not match their schema
+const logged = test.mock.method(console, 'error', () => {});
+
+function parseError(raw) {
+    try {
+        parseClientMessage(raw);
+    } catch (error) {
+        assert.ok(error instanceof ProtocolError, error.message);
+        return error;
+    }
+    assert.fail(`${raw} was accepted`);
+}
+
+test('validate checks types, enums, lengths, patterns and ranges', () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 5, pattern: '^[a-z]+$' },
+            mode: { type: 'string', enum: ['a', 'b'] },
+            level: { type: 'number', minimum: 0, maximum: 1 },
+            count: { type: 'integer' },
+            device: { type: ['string', 'null'] }
+        },
+        required: ['name'],
+        additionalProperties: false
+    };
+
+    assert.deepStrictEqual(validate({ name: 'abc', mode: 'a', level: 0.5, count: 2, device: null }, schema), []);
+    assert.deepStrictEqual(validate({ name: 'abc', extra: undefined }, schema), []);
+    assert.deepStrictEqual(validate({ name: '', mode: 'c', level: 2, count: 1.5, device: 3, extra: 1 }, schema), [
+        'name should have at least 1 characters',
+        'name should match ^[a-z]+$',
+        'mode should be one of a, b',
+        'level should be <= 1',
+        'count should be integer',
+        'device should be string or null',
+        'extra is not allowed'
+    ]);
+    assert.deepStrictEqual(validate({}, schema), ['name is required']);
+    assert.deepStrictEqual(validate([], schema), ['(root) should be object']);
+});
+
+test('validate reports array items by index', () => {
+    const schema = { type: 'array', items: { type: 'integer', minimum: 1 }, minItems: 1, maxItems: 2 };
+    assert.deepStrictEqual(validate([1, 0, 'x'], schema), [
+        '(root) should have at most 2 items',
+        '[1] should be >= 1',
+        '[2] should be integer'
+    ]);
+    assert.deepStrictEqual(validate([], schema), ['(root) should have at least 1 items']);
+});
+
+test('parseClientMessage accepts valid commands', () => {
+    const message = parseClientMessage(JSON.stringify({ type: 'getSession', id: 7, sessionId: 'abc_123' }));
+    assert.deepStrictEqual(message, { type: 'getSession', id: 7, sessionId: 'abc_123' });
+    assert.strictEqual(parseClientMessage(Buffer.from('{"type":"ping","id":"a"}')).id, 'a');
+});
+
+test('parseClientMessage rejects bad JSON, unknown types and invalid fields', () => {
+    assert.strictEqual(parseError('{nope').code, ERROR_CODES.INVALID_JSON);
+    assert.strictEqual(parseError('[1]').code, ERROR_CODES.INVALID_MESSAGE);
+    assert.strictEqual(parseError('{"id":1}').code, ERROR_CODES.INVALID_MESSAGE);
+
+    const unknown = parseError('{"type":"selfDestruct","id":3}');
+    assert.strictEqual(unknown.code, ERROR_CODES.UNKNOWN_TYPE);
+    assert.deepStrictEqual(unknown.details, { id: 3 });
+
+    const invalid = parseError(JSON.stringify({ type: 'getSession', id: 4, sessionId: '../etc/passwd', extra: true }));
+    assert.strictEqual(invalid.code, ERROR_CODES.INVALID_MESSAGE);
+    assert.deepStrictEqual(invalid.details, {
+        id: 4,
+        errors: ['sessionId should match ^[A-Za-z0-9_-]+$', 'extra is not allowed']
+    });
+
+    assert.strictEqual(parseError(JSON.stringify({ type: 'hello', token: 'x', protocolVersions: [] })).code, ERROR_CODES.INVALID_MESSAGE);
+    assert.strictEqual(parseError(JSON.stringify({ type: 'selectCoachingTrigger', strategy: 'rules', threshold: 2 })).code, ERROR_CODES.INVALID_MESSAGE);
+});
+
+test('every schema requires the message type', () => {
+    Object.values(CLIENT_MESSAGE_SCHEMAS).forEach(schema => assert.ok(schema.required.includes('type')));
+    Object.values(SERVER_MESSAGE_SCHEMAS).forEach(schema => assert.deepStrictEqual(schema.required.slice(0, 2), ['type', 'version']));
+});
+
+test('createMessage adds the version and replyTo and checks the schema', () => {
+    logged.mock.resetCalls();
+    assert.deepStrictEqual(createMessage('pong', {}, 5), { type: 'pong', version: 1, replyTo: 5 });
+    assert.deepStrictEqual(createMessage('transcription', { text: 'hi', source: 'local' }), {
+        type: 'transcription', version: 1, text: 'hi', source: 'local'
+    });
+    assert.strictEqual(logged.mock.callCount(), 0);
+
+    createMessage('transcription', { text: 'hi', source: 'nobody' });
+    createMessage('noSuchEvent');
+    assert.strictEqual(logged.mock.callCount(), 2);
+});
+
+test('negotiate picks the newest common version and known capabilities', () => {
+    assert.deepStrictEqual(negotiate({ protocolVersions: [1, 2] }), {
+        protocolVersion: 1,
+        capabilities: ['transcription', 'streamingTranscription', 'voiceActivity', 'coaching']
+    });
+    assert.deepStrictEqual(negotiate({ protocolVersions: [1], capabilities: ['coaching', 'teleport'] }).capabilities, ['coaching']);
+    assert.throws(() => negotiate({ protocolVersions: [9] }), error => error.code === ERROR_CODES.UNSUPPORTED_VERSION);
+});
+
+test('capabilityForEvent maps events to the capability that unlocks them', () => {
+    assert.strictEqual(capabilityForEvent('coachingDelta'), 'coaching');
+    assert.strictEqual(capabilityForEvent('voiceActivity'), 'voiceActivity');
+    assert.strictEqual(capabilityForEvent('sessions'), null);
+});
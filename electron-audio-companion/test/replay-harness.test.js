@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { execFile, spawnSync } = require('child_process');
+const { checkExpectations } = require('../replay-harness');
+const { MockOpenAIServer } = require('../mock-openai-server');
+const { readAudioFile } = require('../audio-file');
+const { temporaryDirectory } = require('./fixtures');
+
+const ROOT = path.join(__dirname, '..');
+const SCENARIOS_DIR = path.join(ROOT, 'scenarios');
+
+const OBSERVED = {
+    chunks: [{ endpoint: 'transcriptions' }, { endpoint: 'transcriptions' }],
+    completions: [{ endpoint: 'chat' }],
+    transcripts: ['Tell me about yourself?', 'I build payment systems.'],
+    messages: [
+        { type: 'welcome', version: 1 },
+        { type: 'transcription', version: 1, source: 'local', text: 'Tell me about yourself?' },
+        { type: 'interviewCoaching', version: 1, advice: 'Keep it short', trigger: { strategy: 'rules' } },
+        { type: 'serviceStatus', version: 1, service: 'transcription', state: 'ok' }
+    ]
+};
+
+function failed(results) {
+    return results.filter(result => !result.ok).map(result => result.check);
+}
+
+function scenarioFiles() {
+    return fs.readdirSync(SCENARIOS_DIR).filter(file => file.endsWith('.json')).map(file => path.join(SCENARIOS_DIR, file));
+}
+
+test('counts are exact numbers or ranges', () => {
+    assert.deepStrictEqual(failed(checkExpectations({ chunks: 2, completions: { min: 1, max: 3 } }, OBSERVED)), []);
+    assert.deepStrictEqual(failed(checkExpectations({ chunks: 3, completions: { min: 2 } }, OBSERVED)), ['chunks', 'completions']);
+
+    const [result] = checkExpectations({ chunks: { max: 1 } }, OBSERVED);
+    assert.strictEqual(result.detail, '2 (expected at most 1)');
+});
+
+test('transcripts match substrings and regular expressions in order', () => {
+    assert.deepStrictEqual(failed(checkExpectations({ transcripts: ['about yourself', '/PAYMENT/i'] }, OBSERVED)), []);
+
+    const [outOfOrder] = checkExpectations({ transcripts: ['payment', 'yourself'] }, OBSERVED);
+    assert.strictEqual(outOfOrder.ok, false);
+    assert.match(outOfOrder.detail, /"yourself" not found after "I build payment systems\."/);
+});
+
+test('messages match field by field, in order', () => {
+    const expect = {
+        messages: [
+            { type: 'transcription', text: '/yourself/' },
+            { type: 'interviewCoaching', trigger: { strategy: 'rules' } }
+        ]
+    };
+    assert.deepStrictEqual(failed(checkExpectations(expect, OBSERVED)), []);
+
+    // Strings without slashes match exactly
+    assert.deepStrictEqual(failed(checkExpectations({ messages: [{ type: 'interviewCoaching', advice: 'Keep' }] }, OBSERVED)), ['messages']);
+    assert.deepStrictEqual(failed(checkExpectations({
+        messages: [{ type: 'interviewCoaching' }, { type: 'transcription' }]
+    }, OBSERVED)), ['messages']);
+});
+
+test('absent patterns fail on any matching message', () => {
+    const results = checkExpectations({
+        absent: ['sessionSummaryFailed', { type: 'serviceStatus', state: 'error' }, { type: 'serviceStatus', state: 'ok' }]
+    }, OBSERVED);
+    assert.deepStrictEqual(results.map(result => result.ok), [true, true, false]);
+    assert.match(results[2].detail, /^got \{"type":"serviceStatus"/);
+});
+
+test('example scenarios parse and their recordings decode', async () => {
+    const files = scenarioFiles();
+    assert.ok(files.length > 0);
+
+    for (const file of files) {
+        const scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+        assert.ok(scenario.expect, `${path.basename(file)} checks nothing`);
+        for (const recording of [scenario.audio, scenario.systemAudio].filter(Boolean)) {
+            const audio = await readAudioFile(path.resolve(SCENARIOS_DIR, recording));
+            assert.ok(audio.duration > 0, `${recording} is empty`);
+        }
+    }
+});
+
+// The app itself needs Electron and a display; what the API sees from the
+// recording can be checked without them, through the same pipeline in cli.js
+test('the interview scenario\'s recording gives the chunks, completions and transcripts it expects', async t => {
+    const directory = temporaryDirectory(t);
+    const scenarioPath = path.join(SCENARIOS_DIR, 'interview.json');
+    const scenario = JSON.parse(fs.readFileSync(scenarioPath, 'utf8'));
+    const server = new MockOpenAIServer({ ...scenario.server, latency: 0 });
+    const url = await server.start();
+    t.after(() => server.stop());
+
+    const settings = {};
+    Object.entries(scenario.config || {}).forEach(([key, value]) => { settings[key] = String(value); });
+    await new Promise((resolve, reject) => {
+        execFile(process.execPath, [path.join(ROOT, 'cli.js'), '--coach', '-f', 'json', '-o', directory, path.resolve(SCENARIOS_DIR, scenario.audio)], {
+            cwd: directory,
+            timeout: 60000,
+            env: {
+                PATH: process.env.PATH,
+                CONFIG_FILE: path.join(directory, 'config.json'),
+                SESSIONS_DIR: path.join(directory, 'sessions'),
+                PROMPT_TEMPLATES_DIR: path.join(directory, 'prompts'),
+                ...settings,
+                TRANSCRIPTION_PROVIDER: 'openai-compatible',
+                TRANSCRIPTION_BASE_URL: url,
+                TRANSCRIPTION_API_KEY: 'mock',
+                COACHING_PROVIDER: 'openai-compatible',
+                COACHING_BASE_URL: url,
+                COACHING_API_KEY: 'mock'
+            }
+        }, (error, stdout, stderr) => (error ? reject(new Error(`${error.message}\n${stdout}${stderr}`)) : resolve()));
+    });
+
+    const exported = JSON.parse(fs.readFileSync(path.join(directory, 'interview.json'), 'utf8'));
+    const observed = {
+        chunks: server.requests.filter(request => request.endpoint !== 'chat'),
+        completions: server.requests.filter(request => request.endpoint === 'chat'),
+        transcripts: exported.segments.map(segment => segment.text),
+        messages: []
+    };
+    const { chunks, completions, transcripts } = scenario.expect;
+    const results = checkExpectations({ chunks, completions, transcripts }, observed);
+    assert.deepStrictEqual(results.filter(result => !result.ok), []);
+    assert.deepStrictEqual(exported.coaching.map(note => note.advice), scenario.server.completions);
+});
+
+test('a scenario that cannot run fails the replay', t => {
+    const directory = temporaryDirectory(t);
+    const harness = path.join(ROOT, 'replay-harness.js');
+    const run = args => spawnSync(process.execPath, [harness, ...args], { cwd: directory, encoding: 'utf8', timeout: 60000 });
+
+    const noElectron = run(['--electron', path.join(directory, 'no-electron'), path.join(SCENARIOS_DIR, 'interview.json')]);
+    assert.strictEqual(noElectron.status, 1);
+    assert.match(noElectron.stdout, /0\/1 scenarios passed/);
+
+    fs.writeFileSync(path.join(directory, 'broken.json'), JSON.stringify({ audio: 'missing.wav' }));
+    const missingAudio = run([path.join(directory, 'broken.json')]);
+    assert.strictEqual(missingAudio.status, 1);
+    assert.match(missingAudio.stdout, /no such file .*missing\.wav/);
+
+    assert.strictEqual(run([]).status, 2);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { ReplaySource } = require('../replay-source');
+const { tone, writeWAV, temporaryDirectory } = require('./fixtures');
+
+test.mock.method(console, 'log', () => {});
+
+function play(source) {
+    const batches = [];
+    return new Promise(resolve => {
+        source.onEnd = () => resolve(batches);
+        source.start(samples => batches.push(samples));
+    });
+}
+
+test('posts the whole recording in capture-sized batches, then ends', async t => {
+    const recording = writeWAV(path.join(temporaryDirectory(t), 'tone.wav'), tone(1, 440, 0.5, { sampleRate: 8000 }), 8000);
+    const source = new ReplaySource(recording, { sampleRate: 16000, speed: 10, batchSize: 1024 });
+    await source.load();
+    assert.strictEqual(source.duration, 1000);
+    assert.strictEqual(source.samples.length, 16000);
+
+    const batches = await play(source);
+    assert.strictEqual(batches.reduce((sum, batch) => sum + batch.length, 0), 16000);
+    // Only the last batch may be short
+    batches.slice(0, -1).forEach(batch => assert.strictEqual(batch.length, 1024));
+    assert.ok(batches[batches.length - 1].length <= 1024);
+    assert.strictEqual(source.timer, null);
+});
+
+test('is paced by the clock at its speed', async t => {
+    const recording = writeWAV(path.join(temporaryDirectory(t), 'tone.wav'), tone(1, 440));
+    const source = new ReplaySource(recording, { sampleRate: 16000, speed: 4 });
+    await source.load();
+
+    const startedAt = Date.now();
+    await play(source);
+    const elapsed = Date.now() - startedAt;
+    // 1 s of audio at 4x: 250 ms, give or take a tick
+    assert.ok(elapsed >= 240 && elapsed < 1000, `${elapsed} ms`);
+});
+
+test('stop() ends the replay early', async t => {
+    const recording = writeWAV(path.join(temporaryDirectory(t), 'tone.wav'), tone(2, 440));
+    const source = new ReplaySource(recording, { sampleRate: 16000 });
+    await source.load();
+
+    let ended = false;
+    source.onEnd = () => { ended = true; };
+    source.start(() => {});
+    await new Promise(resolve => setTimeout(resolve, 100));
+    source.stop();
+    const position = source.position;
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    assert.strictEqual(source.position, position);
+    assert.ok(position < source.samples.length);
+    assert.strictEqual(ended, false);
+});
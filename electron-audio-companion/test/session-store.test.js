@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { SessionStore } = require('../session-store');
+const { temporaryDirectory } = require('./fixtures');
+
+// The store logs every session it starts and every write that fails
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+const CONFIG = { WHISPER_MODEL: 'whisper-1', OPENAI_API_KEY: 'sk-secret', COMPANION_AUTH_TOKEN: 'token' };
+
+// appendFile fails for the next `count` calls
+function failAppends(t, count = 1) {
+    const appendFile = fs.promises.appendFile;
+    let failures = count;
+    t.mock.method(fs.promises, 'appendFile', (...args) => {
+        if (failures-- > 0) return Promise.reject(Object.assign(new Error('disk full'), { code: 'ENOSPC' }));
+        return appendFile(...args);
+    });
+}
+
+test('records a session and reads it back', async t => {
+    const store = new SessionStore(temporaryDirectory(t));
+    const sessionId = await store.startSession(CONFIG, 'Interview');
+    await store.recordSegment({ text: 'Hello', source: 'local', startTime: 0, endTime: 500, timestamp: 1 });
+    await store.recordCoaching({ advice: 'Smile', originalTranscription: 'Hello', timestamp: 2 });
+    await store.endSession();
+
+    const session = await store.getSession(sessionId);
+    assert.strictEqual(session.name, 'Interview');
+    assert.strictEqual(session.active, false);
+    assert.deepStrictEqual(session.segments.map(segment => segment.text), ['Hello']);
+    assert.deepStrictEqual(session.coaching.map(note => note.advice), ['Smile']);
+    assert.ok(session.endedAt);
+    // Credentials never reach the disk
+    assert.deepStrictEqual(session.config, { WHISPER_MODEL: 'whisper-1' });
+
+    const [listed] = await store.listSessions();
+    assert.deepStrictEqual(
+        { id: listed.id, segmentCount: listed.segmentCount, coachingCount: listed.coachingCount },
+        { id: sessionId, segmentCount: 1, coachingCount: 1 }
+    );
+});
+
+test('reports a failed write to its caller and goes on with later ones', async t => {
+    const store = new SessionStore(temporaryDirectory(t));
+    const sessionId = await store.startSession(CONFIG);
+
+    failAppends(t);
+    await assert.rejects(store.recordCoaching({ advice: 'Lost', timestamp: 1 }), { code: 'ENOSPC' });
+    await store.recordCoaching({ advice: 'Kept', timestamp: 2 });
+
+    const session = await store.getSession(sessionId);
+    assert.deepStrictEqual(session.coaching.map(note => note.advice), ['Kept']);
+});
+
+test('fails a rename that could not be written', async t => {
+    const store = new SessionStore(temporaryDirectory(t));
+    const sessionId = await store.startSession(CONFIG, 'Before');
+    await store.endSession();
+
+    failAppends(t);
+    await assert.rejects(store.renameSession(sessionId, 'After'), { code: 'ENOSPC' });
+    assert.strictEqual((await store.getSession(sessionId)).name, 'Before');
+
+    await store.renameSession(sessionId, 'After');
+    assert.strictEqual((await store.getSession(sessionId)).name, 'After');
+});
+
+test('has no active session when starting one failed', async t => {
+    const store = new SessionStore(temporaryDirectory(t));
+
+    failAppends(t);
+    await assert.rejects(store.startSession(CONFIG), { code: 'ENOSPC' });
+    assert.strictEqual(store.activeSessionId, null);
+    assert.strictEqual(await store.recordSegment({ text: 'ignored' }), undefined);
+});
+
+test('keeps writes in order', async t => {
+    const store = new SessionStore(temporaryDirectory(t));
+    const sessionId = await store.startSession(CONFIG);
+    await Promise.all(Array.from({ length: 20 }, (_, i) => store.recordSegment({ text: String(i), timestamp: i })));
+
+    const session = await store.getSession(sessionId);
+    assert.deepStrictEqual(session.segments.map(segment => segment.text), Array.from({ length: 20 }, (_, i) => String(i)));
+});
+
+test('rejects unknown and unsafe session ids', async t => {
+    const directory = temporaryDirectory(t);
+    const store = new SessionStore(directory);
+    await assert.rejects(store.getSession('missing'), { code: 'NOT_FOUND' });
+    await assert.rejects(store.getSession('../outside'), { code: 'NOT_FOUND' });
+    assert.deepStrictEqual(fs.readdirSync(directory), []);
+    assert.ok(!fs.existsSync(path.join(directory, '..', 'outside.jsonl')));
+});
+
+test('will not delete the session being recorded', async t => {
+    const store = new SessionStore(temporaryDirectory(t));
+    const sessionId = await store.startSession(CONFIG);
+    await assert.rejects(store.deleteSession(sessionId), { code: 'CONFLICT' });
+
+    await store.endSession();
+    await store.deleteSession(sessionId);
+    await assert.rejects(store.getSession(sessionId), { code: 'NOT_FOUND' });
+});
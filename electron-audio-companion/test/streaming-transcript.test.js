@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { StreamingTranscript, agreedPrefixLength, normalizeWord, splitWords } = require('../streaming-transcript');
+
+test('words compare regardless of case and punctuation', () => {
+    assert.strictEqual(normalizeWord('Hello,'), 'hello');
+    assert.strictEqual(normalizeWord("don't!"), "don't");
+    assert.strictEqual(normalizeWord('Grüße.'), 'grüße');
+    assert.deepStrictEqual(splitWords('  one\ttwo \n three '), ['one', 'two', 'three']);
+    assert.deepStrictEqual(splitWords('   '), []);
+});
+
+test('agreedPrefixLength counts the leading words all hypotheses share', () => {
+    assert.strictEqual(agreedPrefixLength([['Tell', 'me', 'a'], ['tell', 'me,', 'about'], ['tell', 'me', 'about', 'it']]), 2);
+    assert.strictEqual(agreedPrefixLength([['tell', 'me'], ['tell', 'me', 'more']]), 2);
+    assert.strictEqual(agreedPrefixLength([['yes'], ['no']]), 0);
+});
+
+test('words become stable once consecutive hypotheses agree on them', () => {
+    const caption = new StreamingTranscript({ startTime: 1000 });
+
+    assert.deepStrictEqual(caption.update('tell me a'), { text: 'tell me a', stableText: '', unstableText: 'tell me a' });
+    assert.deepStrictEqual(caption.update('Tell me about'), { text: 'Tell me about', stableText: 'Tell me', unstableText: 'about' });
+    assert.deepStrictEqual(caption.update('tell me about your'), { text: 'Tell me about your', stableText: 'Tell me about', unstableText: 'your' });
+});
+
+test('stable words stay when a later hypothesis disagrees', () => {
+    const caption = new StreamingTranscript({ startTime: 0 });
+    caption.update('we rebuilt the');
+    caption.update('we rebuilt the payment');
+
+    assert.deepStrictEqual(caption.update('we rebuild a payment system'), {
+        text: 'we rebuilt the payment system',
+        stableText: 'we rebuilt the',
+        unstableText: 'payment system'
+    });
+});
+
+test('stableAfter sets how many hypotheses must agree', () => {
+    const caption = new StreamingTranscript({ startTime: 0, stableAfter: 3 });
+    caption.update('one two');
+    assert.strictEqual(caption.update('one two').stableText, '');
+    assert.strictEqual(caption.update('one two three').stableText, 'one two');
+
+    // Never less than one: each hypothesis is then stable as it comes
+    assert.strictEqual(new StreamingTranscript({ startTime: 0, stableAfter: 0 }).update('right away').stableText, 'right away');
+});
+
+test('a closed window accepts no more partial results', () => {
+    const caption = new StreamingTranscript({ startTime: 2500 });
+    assert.strictEqual(caption.accepts(2500), true);
+    assert.strictEqual(caption.accepts(0), false);
+
+    caption.close();
+    assert.strictEqual(caption.accepts(2500), false);
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TranscriptStitcher, alignOverlap, toCaptureTiming } = require('../transcript-stitcher');
+
+function words(text) {
+    return text.split(' ');
+}
+
+// A 3 s chunk cut while someone speaks, followed by one repeating its last 500 ms
+const FIRST = { startTime: 0, duration: 3000, overlap: 0 };
+const SECOND = { startTime: 2500, duration: 3000, overlap: 500 };
+
+test('alignOverlap finds the words a chunk repeats', () => {
+    assert.strictEqual(alignOverlap(words('we rebuilt the payment system'), words('payment system in two months'), 12), 2);
+    // Case and punctuation do not matter
+    assert.strictEqual(alignOverlap(words('we rebuilt the Payment System.'), words('payment system, in two months'), 12), 2);
+    assert.strictEqual(alignOverlap(words('we rebuilt the payment system'), words('in two months'), 12), 0);
+});
+
+test('alignOverlap skips one clipped word at either edge', () => {
+    // "syst" was cut off at the end of the previous chunk
+    assert.strictEqual(alignOverlap(words('the payment system syst'), words('payment system in two months'), 12), 2);
+    // "ment" is what the next chunk heard of "payment"
+    assert.strictEqual(alignOverlap(words('we rebuilt the payment system'), words('ment the payment system worked'), 12), 4);
+    // A single word only counts right at the boundary
+    assert.strictEqual(alignOverlap(words('so we rebuilt it today'), words('uh so it goes'), 12), 0);
+    assert.strictEqual(alignOverlap(words('we rebuilt it'), words('it worked'), 12), 1);
+});
+
+test('alignOverlap looks back no further than maxWords', () => {
+    const sentence = words('a b c d e f g');
+    assert.strictEqual(alignOverlap(sentence, words('a b c d e f g h'), 7), 7);
+    assert.strictEqual(alignOverlap(sentence, words('a b c d e f g h'), 3), 0);
+    assert.strictEqual(alignOverlap(sentence, words('e f g h'), 3), 3);
+});
+
+test('toCaptureTiming moves chunk-relative seconds to ms since capture start', () => {
+    const timing = toCaptureTiming({
+        segments: [{ start: 0.5, end: 1.25, text: 'hello there', words: [{ word: 'hello', start: 0.5, end: 0.9 }, { word: 'there', start: 0.9, end: 1.25 }] }]
+    }, { startTime: 2000, duration: 3000 });
+    assert.deepStrictEqual(timing, {
+        startTime: 2500,
+        endTime: 3250,
+        segments: [{
+            start: 2500,
+            end: 3250,
+            text: 'hello there',
+            words: [{ word: 'hello', start: 2500, end: 2900 }, { word: 'there', start: 2900, end: 3250 }]
+        }]
+    });
+
+    assert.deepStrictEqual(toCaptureTiming({}, { startTime: 2000, duration: 3000 }), { startTime: 2000, endTime: 5000, segments: [] });
+    assert.deepStrictEqual(toCaptureTiming({ segments: [] }, {}), {});
+});
+
+test('stitch removes the repeated words from a continuing chunk and its segments', () => {
+    const stitcher = new TranscriptStitcher();
+    stitcher.stitch('we rebuilt the payment system', {}, FIRST);
+
+    const timing = {
+        startTime: 2600,
+        endTime: 5200,
+        segments: [
+            { start: 2600, end: 3100, text: 'payment system' },
+            { start: 3200, end: 5200, text: 'in two months' }
+        ]
+    };
+    const { text, timing: stitched } = stitcher.stitch('payment system in two months', timing, SECOND);
+    assert.strictEqual(text, 'in two months');
+    assert.deepStrictEqual(stitched, { startTime: 3200, endTime: 5200, segments: [{ start: 3200, end: 5200, text: 'in two months' }] });
+});
+
+test('stitch trims a segment that starts inside the overlap', () => {
+    const stitcher = new TranscriptStitcher();
+    stitcher.stitch('we rebuilt the payment system', {}, FIRST);
+
+    const timing = {
+        startTime: 2600,
+        segments: [{
+            start: 2600,
+            end: 4000,
+            text: 'system in time',
+            words: [{ word: 'system', start: 2600, end: 2900 }, { word: 'in', start: 3000, end: 3200 }, { word: 'time', start: 3300, end: 4000 }]
+        }]
+    };
+    const { text, timing: stitched } = stitcher.stitch('system in time', timing, SECOND);
+    assert.strictEqual(text, 'in time');
+    assert.deepStrictEqual(stitched.segments, [{
+        start: 3000,
+        end: 4000,
+        text: 'in time',
+        words: [{ word: 'in', start: 3000, end: 3200 }, { word: 'time', start: 3300, end: 4000 }]
+    }]);
+    assert.strictEqual(stitched.startTime, 3000);
+});
+
+test('stitch leaves chunks alone that do not continue the previous one', () => {
+    const stitcher = new TranscriptStitcher();
+    stitcher.stitch('we rebuilt the payment system', {}, FIRST);
+    // A new utterance after a pause: no overlap, even if the words repeat
+    const next = { startTime: 4000, duration: 2000, overlap: 0 };
+    assert.strictEqual(stitcher.stitch('payment system again', {}, next).text, 'payment system again');
+
+    // A chunk that does not start `overlap` ms before the previous one ended
+    const gap = { startTime: 7000, duration: 2000, overlap: 500 };
+    assert.strictEqual(stitcher.stitch('system again and again', {}, gap).text, 'system again and again');
+});
+
+test('word timestamps decide when the words do not line up', () => {
+    const stitcher = new TranscriptStitcher();
+    const firstTiming = {
+        segments: [{ start: 0, end: 2900, text: 'we rebuilt it', words: [{ word: 'we', start: 0, end: 500 }, { word: 'rebuilt', start: 600, end: 1500 }, { word: 'it', start: 1600, end: 2900 }] }]
+    };
+    stitcher.stitch('we rebuilt it', firstTiming, FIRST);
+
+    // The repeated "it" was heard as "eat": centred before 2900, so it goes
+    const timing = {
+        segments: [{ start: 2550, end: 4000, text: 'eat in two months', words: [
+            { word: 'eat', start: 2550, end: 2850 },
+            { word: 'in', start: 3000, end: 3200 },
+            { word: 'two', start: 3200, end: 3500 },
+            { word: 'months', start: 3500, end: 4000 }
+        ] }]
+    };
+    assert.strictEqual(stitcher.stitch('eat in two months', timing, SECOND).text, 'in two months');
+});
+
+test('trim drops repeated words from partial hypotheses without remembering them', () => {
+    const stitcher = new TranscriptStitcher();
+    stitcher.stitch('we rebuilt the payment system', {}, FIRST);
+
+    assert.strictEqual(stitcher.trim('payment system in', SECOND), 'in');
+    assert.strictEqual(stitcher.trim('payment system in two', SECOND), 'in two');
+    assert.strictEqual(stitcher.stitch('payment system in two months', {}, SECOND).text, 'in two months');
+});
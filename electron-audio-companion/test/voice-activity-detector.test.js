@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SpectralVAD, fft } = require('../voice-activity-detector');
+const { SAMPLE_RATE, voice, noise, silence, concat } = require('./fixtures');
+
+const FRAME = 320; // 20ms
+
+// isSpeech of every frame
+function detect(samples) {
+    const vad = new SpectralVAD({ sampleRate: SAMPLE_RATE, frequencyRange: [300, 3000] });
+    const decisions = [];
+    for (let offset = 0; offset + FRAME <= samples.length; offset += FRAME) {
+        decisions.push(vad.process(samples.subarray(offset, offset + FRAME)).isSpeech);
+    }
+    return decisions;
+}
+
+const framesAt = seconds => Math.round(seconds * SAMPLE_RATE / FRAME);
+
+test('detects speech that starts with the first frame', () => {
+    const decisions = detect(voice(2.5, 0.3));
+    assert.ok(decisions.slice(0, framesAt(0.2)).some(Boolean), 'speech not detected within 200ms');
+    assert.ok(decisions.slice(framesAt(0.2)).every(Boolean), 'speech dropped out');
+});
+
+test('keeps detecting a steady voice', () => {
+    const decisions = detect(voice(4, 0.3, { syllables: false }));
+    assert.ok(decisions.slice(framesAt(0.2)).every(Boolean));
+});
+
+test('detects a quiet speaker after a loud one', () => {
+    const decisions = detect(concat(voice(2.5, 0.3), silence(1), voice(2, 0.05)));
+    assert.ok(decisions.slice(framesAt(3), framesAt(3.3)).every(decision => !decision), 'silence taken for speech');
+    assert.ok(decisions.slice(framesAt(4)).every(Boolean), 'quiet speech missed');
+});
+
+test('ignores noise and digital silence', () => {
+    assert.ok(detect(noise(3, 0.05)).every(decision => !decision));
+    assert.ok(detect(silence(1)).every(decision => !decision));
+});
+
+test('detects speech over background noise', () => {
+    const background = noise(3, 0.01);
+    const speech = voice(2, 0.1);
+    const mixed = background.slice();
+    for (let i = 0; i < speech.length; i++) mixed[SAMPLE_RATE + i] += speech[i];
+
+    const decisions = detect(mixed);
+    assert.ok(decisions.slice(0, framesAt(1)).every(decision => !decision));
+    assert.ok(decisions.slice(framesAt(1.3), framesAt(3)).every(Boolean));
+});
+
+test('fft of an impulse is flat', () => {
+    const real = new Float64Array(8);
+    const imag = new Float64Array(8);
+    real[0] = 1;
+    fft(real, imag);
+    real.forEach(value => assert.ok(Math.abs(value - 1) < 1e-12));
+    imag.forEach(value => assert.ok(Math.abs(value) < 1e-12));
+});
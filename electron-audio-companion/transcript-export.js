@@ -0,0 +1,164 @@
+// Transcript export
+//
+// Turns a stored session (see session-store.js) into captions or notes.
+// All times are ms since capture start: transcription segments carry the
+// capture-relative timing the renderer mapped from the engine's timestamps.
+// Segments recorded without timing fall back to their arrival time. Cues are
+// labelled with their source ('local' microphone or 'remote' system audio).
+
+const EXPORT_FORMATS = {
+    srt: { mimeType: 'application/x-subrip', extension: 'srt' },
+    vtt: { mimeType: 'text/vtt', extension: 'vtt' },
+    markdown: { mimeType: 'text/markdown', extension: 'md' },
+    json: { mimeType: 'application/json', extension: 'json' }
+};
+
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+}
+
+// 01:02:03.456 (separator ',' for SRT, '.' for WebVTT)
+function formatTimestamp(ms, separator = '.') {
+    const total = Math.max(0, Math.round(ms));
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor(total / 60000) % 60;
+    const seconds = Math.floor(total / 1000) % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+}
+
+const SOURCE_LABELS = {
+    local: 'Me',
+    remote: 'Remote'
+};
+
+function arrivalTime(record, session) {
+    return session.startedAt ? Math.max(0, record.timestamp - session.startedAt) : 0;
+}
+
+// Flatten recorded transcriptions into time-ordered cues
+function collectCues(session) {
+    const cues = [];
+    let previousEnd = 0;
+
+    session.segments.forEach(record => {
+        const source = record.source ? { source: record.source } : {};
+        if (record.segments && record.segments.length > 0) {
+            record.segments.forEach(segment => cues.push({ ...segment, ...source }));
+        } else if (record.startTime !== undefined && record.endTime !== undefined) {
+            cues.push({ start: record.startTime, end: record.endTime, text: record.text, ...source });
+        } else {
+            const end = Math.max(previousEnd, arrivalTime(record, session));
+            cues.push({ start: previousEnd, end, text: record.text, ...source });
+        }
+        previousEnd = cues[cues.length - 1].end;
+    });
+
+    return cues.sort((a, b) => a.start - b.start);
+}
+
+function collectCoaching(session) {
+    return session.coaching.map(record => ({
+        time: record.captureTime !== undefined ? record.captureTime : arrivalTime(record, session),
+        advice: record.advice,
+        originalTranscription: record.originalTranscription
+    }));
+}
+
+function labelled(cue) {
+    return cue.source ? `${SOURCE_LABELS[cue.source]}: ${cue.text}` : cue.text;
+}
+
+function toSRT(session) {
+    return collectCues(session).map((cue, index) => [
+        index + 1,
+        `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+        labelled(cue)
+    ].join('\n')).join('\n\n') + '\n';
+}
+
+function escapeVTT(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function toVTT(session) {
+    const cues = collectCues(session).map(cue => [
+        `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}`,
+        cue.source ? `<v ${SOURCE_LABELS[cue.source]}>${escapeVTT(cue.text)}` : escapeVTT(cue.text)
+    ].join('\n'));
+
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+function toMarkdown(session) {
+    // Coaching notes go right after the speech that prompted them
+    const entries = [
+        ...collectCues(session).map(cue => ({ time: cue.start, order: 0, line: `**[${formatTimestamp(cue.start).slice(0, 8)}]** ${labelled(cue)}` })),
+        ...collectCoaching(session).map(note => ({ time: note.time, order: 1, line: `> 💡 **Coaching:** ${note.advice}` }))
+    ].sort((a, b) => a.time - b.time || a.order - b.order);
+
+    const lines = [`# ${session.name}`, ''];
+    if (session.startedAt) {
+        lines.push(`- **Started:** ${new Date(session.startedAt).toISOString()}`);
+    }
+    if (session.startedAt && session.endedAt) {
+        lines.push(`- **Duration:** ${formatTimestamp(session.endedAt - session.startedAt).slice(0, 8)}`);
+    }
+    if (session.summary) {
+        session.summary.sections.forEach(section => {
+            lines.push('', `## ${section.title}`, '');
+            if (section.type === 'list') {
+                (section.content.length > 0 ? section.content : ['(none)']).forEach(item => lines.push(`- ${item}`));
+            } else {
+                lines.push(section.content || '(none)');
+            }
+        });
+    }
+    lines.push('', '## Transcript', '');
+    entries.forEach(entry => lines.push(entry.line, ''));
+
+    return lines.join('\n');
+}
+
+function toJSON(session) {
+    return JSON.stringify({
+        format: 'cluely-transcript',
+        version: 1,
+        session: {
+            id: session.id,
+            name: session.name,
+            startedAt: session.startedAt,
+            endedAt: session.endedAt
+        },
+        segments: collectCues(session),
+        coaching: collectCoaching(session),
+        summary: session.summary || null
+    }, null, 2) + '\n';
+}
+
+const FORMATTERS = {
+    srt: toSRT,
+    vtt: toVTT,
+    markdown: toMarkdown,
+    json: toJSON
+};
+
+// -> { content, mimeType, fileName }
+function exportSession(session, format) {
+    const formatter = FORMATTERS[format];
+    if (!formatter) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+
+    return {
+        content: formatter(session),
+        mimeType: EXPORT_FORMATS[format].mimeType,
+        fileName: `${session.id}.${EXPORT_FORMATS[format].extension}`
+    };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    formatTimestamp,
+    collectCues,
+    exportSession
+};
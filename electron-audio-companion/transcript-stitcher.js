@@ -0,0 +1,169 @@
+// Joins the transcripts of consecutive chunks of one source into a continuous
+// transcript
+//
+// When the pipeline cuts an utterance that is still going (see segmentation in
+// audio-pipeline.js) the next chunk repeats the last `overlap` ms of audio, so
+// a word split by the cut is heard whole at least once. The words transcribed
+// from that repeated audio are found by aligning the start of the new
+// transcript with the end of the previous one and removed, together with their
+// segments. Words at the very edge of a chunk are often clipped or misheard, so
+// the alignment may skip one such word on either side. When the words do not
+// line up at all, word timestamps (if the engine returns them) decide instead.
+
+const { normalizeWord, splitWords } = require('./streaming-transcript');
+
+// A chunk continues the previous one if it starts `overlap` ms before its end
+// (ms rounding of both chunk boundaries can differ by one)
+const BOUNDARY_TOLERANCE = 2;
+
+// -> number of leading `words` that repeat the end of `previousWords`
+function alignOverlap(previousWords, words, maxWords) {
+    const previous = previousWords.map(normalizeWord);
+    const next = words.map(normalizeWord);
+    let best = 0;
+
+    for (let skipPrevious = 0; skipPrevious <= 1; skipPrevious++) {
+        for (let skipNext = 0; skipNext <= 1; skipNext++) {
+            const end = previous.length - skipPrevious;
+            const longest = Math.min(maxWords, end, next.length - skipNext);
+            // A single matching word only counts right at the boundary
+            const shortest = skipPrevious + skipNext > 0 ? 2 : 1;
+
+            for (let length = longest; length >= shortest; length--) {
+                const matches = next.slice(skipNext, skipNext + length)
+                    .every((word, i) => word.length > 0 && word === previous[end - length + i]);
+                if (matches) {
+                    best = Math.max(best, skipNext + length);
+                    break;
+                }
+            }
+        }
+    }
+    return best;
+}
+
+function segmentWords(segments) {
+    return segments.flatMap(segment => segment.words || []);
+}
+
+// Remove the first `count` words from capture timing ({ startTime, endTime, segments })
+function dropLeadingWords(timing, count) {
+    let remaining = count;
+    const segments = [];
+
+    (timing.segments || []).forEach(segment => {
+        const words = splitWords(segment.text);
+        if (remaining >= words.length) {
+            remaining -= words.length;
+            return;
+        }
+
+        if (remaining === 0) {
+            segments.push(segment);
+            return;
+        }
+
+        const trimmed = { ...segment, text: words.slice(remaining).join(' ') };
+        if (segment.words && segment.words.length === words.length) {
+            trimmed.words = segment.words.slice(remaining);
+            trimmed.start = trimmed.words[0].start;
+        }
+        segments.push(trimmed);
+        remaining = 0;
+    });
+
+    return {
+        ...timing,
+        startTime: segments.length > 0 ? segments[0].start : timing.startTime,
+        segments
+    };
+}
+
+// Map chunk-relative segment times (seconds) of a transcription result to ms
+// since capture start -> { startTime, endTime, segments }
+function toCaptureTiming(result, chunkInfo) {
+    if (chunkInfo.startTime === undefined) return {};
+
+    const toCaptureTime = seconds => Math.round(chunkInfo.startTime + seconds * 1000);
+    const segments = (result.segments || []).map(segment => ({
+        start: toCaptureTime(segment.start),
+        end: toCaptureTime(segment.end),
+        text: segment.text,
+        ...(segment.words ? {
+            words: segment.words.map(word => ({
+                word: word.word,
+                start: toCaptureTime(word.start),
+                end: toCaptureTime(word.end)
+            }))
+        } : {})
+    }));
+
+    return {
+        startTime: segments.length > 0 ? segments[0].start : chunkInfo.startTime,
+        endTime: segments.length > 0 ? segments[segments.length - 1].end : chunkInfo.startTime + chunkInfo.duration,
+        segments
+    };
+}
+
+class TranscriptStitcher {
+    constructor({ maxOverlapWords = 12 } = {}) {
+        // More words than anyone says in the overlap; bounds false matches further back
+        this.maxOverlapWords = maxOverlapWords;
+        this.previous = null;
+    }
+
+    continues(chunkInfo) {
+        return Boolean(this.previous && chunkInfo.overlap > 0 &&
+            Math.abs(chunkInfo.startTime + chunkInfo.overlap - this.previous.endTime) <= BOUNDARY_TOLERANCE);
+    }
+
+    // Number of leading words of a chunk's transcript that the previous chunk already had
+    overlapLength(words, chunkInfo, timing = {}) {
+        if (!this.continues(chunkInfo) || words.length === 0) return 0;
+
+        const aligned = alignOverlap(this.previous.words, words, this.maxOverlapWords);
+        if (aligned > 0 || this.previous.lastWordEnd === null) return aligned;
+
+        // Nothing lines up: fall back to dropping words centred before the previous chunk's last word ended
+        const timedWords = segmentWords(timing.segments || []);
+        if (timedWords.length !== words.length) return 0;
+
+        let count = 0;
+        while (count < timedWords.length && (timedWords[count].start + timedWords[count].end) / 2 < this.previous.lastWordEnd) {
+            count++;
+        }
+        return count;
+    }
+
+    // Final transcript of a chunk (in order) -> { text, timing } without the repeated words
+    stitch(text, timing, chunkInfo) {
+        const words = splitWords(text);
+        const count = this.overlapLength(words, chunkInfo, timing);
+        const timedWords = segmentWords(timing.segments || []);
+
+        this.previous = {
+            words: words.slice(-this.maxOverlapWords),
+            endTime: chunkInfo.startTime + chunkInfo.duration,
+            lastWordEnd: timedWords.length > 0 ? timedWords[timedWords.length - 1].end : null
+        };
+
+        if (count === 0) return { text, timing };
+        return {
+            text: words.slice(count).join(' '),
+            timing: dropLeadingWords(timing, count)
+        };
+    }
+
+    // Same for a partial hypothesis of the open window, which is not remembered
+    trim(text, chunkInfo) {
+        const words = splitWords(text);
+        const count = this.overlapLength(words, chunkInfo);
+        return count === 0 ? text : words.slice(count).join(' ');
+    }
+}
+
+module.exports = {
+    TranscriptStitcher,
+    alignOverlap,
+    toCaptureTiming
+};
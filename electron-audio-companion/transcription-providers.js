@@ -0,0 +1,294 @@
+// Transcription providers
+//
+// AudioCaptureManager only ever talks to the interface below, so engines can
+// be swapped from config.js (TRANSCRIPTION_PROVIDER) without touching the
+// capture pipeline:
+//
+//   provider.name          - short identifier used in logs
+//   provider.isReady()     - true when the provider can accept audio
+//   provider.transcribe(audioBlob, options) -> Promise<{ text, segments, language }>
+//
+// options.language is the spoken language ('' detects it) and options.task
+// 'transcribe' (default) or 'translate' (English text from any language).
+// `language` is the ISO 639-1 code of what was spoken, when the engine
+// detected it or was told; null otherwise. `segments` is `[{ start, end, text, words? }]` with times in seconds from the
+// start of the chunk (words are `{ word, start, end }`); it is empty when the
+// engine returned no timing. transcribe() resolves with `{ text: '', segments: [] }`
+// when the engine heard nothing and rejects with an Error (carrying `status`
+// for HTTP failures) on errors. Network engines retry transient failures
+// themselves (see api-client.js) and reject with `retryable: true` when the
+// chunk is still worth sending again later.
+
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { decodeAudio, resample } = require('./audio-encoding');
+const { fetchWithRetry } = require('./api-client');
+const { languageCode } = require('./languages');
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+// Turn a verbose_json response into `segments`, attaching each word to the
+// segment it falls in
+function segmentsFromVerboseJSON(result) {
+    const words = Array.isArray(result.words) ? result.words : [];
+    const segments = Array.isArray(result.segments) ? result.segments : [];
+
+    return segments.map(segment => {
+        const segmentWords = words
+            .filter(word => word.start >= segment.start && word.start < segment.end)
+            .map(word => ({ word: word.word.trim(), start: word.start, end: word.end }));
+
+        return {
+            start: segment.start,
+            end: segment.end,
+            text: segment.text.trim(),
+            ...(segmentWords.length > 0 ? { words: segmentWords } : {})
+        };
+    }).filter(segment => segment.text.length > 0);
+}
+
+class OpenAICompatibleTranscriptionProvider {
+    constructor(options = {}) {
+        this.name = options.name || 'openai-compatible';
+        this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+        this.apiKey = options.apiKey || '';
+        this.model = options.model || 'whisper-1';
+        this.language = options.language || '';
+        // verbose_json adds segment/word timestamps; servers without it can use 'json'
+        this.responseFormat = options.responseFormat || 'verbose_json';
+        this.timeout = options.timeout || 15000;
+        this.retries = options.retries !== undefined ? options.retries : 3;
+    }
+
+    isReady() {
+        return this.baseUrl.length > 0;
+    }
+
+    async transcribe(audioBlob, options = {}) {
+        // Translations take neither a language nor word timestamps
+        const translate = options.task === 'translate';
+        const language = options.language !== undefined ? options.language : this.language;
+
+        const formData = new FormData();
+        formData.append('file', audioBlob, options.filename || 'audio.wav');
+        formData.append('model', options.model || this.model);
+        formData.append('response_format', this.responseFormat);
+        if (this.responseFormat === 'verbose_json' && !translate) {
+            formData.append('timestamp_granularities[]', 'segment');
+            formData.append('timestamp_granularities[]', 'word');
+        }
+        if (language && !translate) {
+            formData.append('language', language);
+        }
+
+        const headers = {};
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        // options.retries: 0 for partial transcripts, which are stale by the time a retry lands
+        const response = await fetchWithRetry(`${this.baseUrl}/audio/${translate ? 'translations' : 'transcriptions'}`, {
+            method: 'POST',
+            headers,
+            body: formData
+        }, {
+            label: `${this.name} ${translate ? 'translation' : 'transcription'}`,
+            timeout: this.timeout,
+            retries: options.retries !== undefined ? options.retries : this.retries,
+            onRetry: options.onRetry
+        });
+
+        const result = await response.json();
+        return {
+            text: result && typeof result.text === 'string' ? result.text.trim() : '',
+            segments: result ? segmentsFromVerboseJSON(result) : [],
+            // A translation reports the language it produced (English), not the one spoken
+            language: (!translate && result && languageCode(result.language)) || language || null
+        };
+    }
+}
+
+class OpenAITranscriptionProvider extends OpenAICompatibleTranscriptionProvider {
+    constructor(options = {}) {
+        super({ ...options, name: 'openai', baseUrl: OPENAI_BASE_URL });
+    }
+
+    isReady() {
+        return this.apiKey.length > 0 && this.apiKey !== 'YOUR_OPENAI_API_KEY';
+    }
+}
+
+// Deterministic provider for tests and demos: returns the scripted responses
+// in order (cycling), or a synthetic line describing the chunk it was given.
+class MockTranscriptionProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.responses = options.responses || [];
+        this.callCount = 0;
+    }
+
+    isReady() {
+        return true;
+    }
+
+    async transcribe(audioBlob, options = {}) {
+        const index = this.callCount++;
+        const text = this.responses.length > 0
+            ? this.responses[index % this.responses.length]
+            : `mock transcription ${index + 1} (${audioBlob.size} bytes)`;
+
+        // One segment spanning the whole chunk when its duration is known
+        const segments = text && options.duration
+            ? [{ start: 0, end: options.duration / 1000, text }]
+            : [];
+
+        return { text, segments, language: options.language || null };
+    }
+}
+
+// Fully offline provider: runs Whisper from LOCAL_WHISPER_MODEL_PATH in a
+// worker thread (see local-whisper-worker.js). No network access is made.
+class LocalWhisperTranscriptionProvider {
+    constructor(options = {}) {
+        this.name = 'local-whisper';
+        this.modelPath = options.modelPath || '';
+        this.model = options.model || 'Xenova/whisper-tiny.en';
+        this.language = options.language || '';
+        this.quantized = options.quantized !== false;
+        this.worker = null;
+        this.pendingRequests = new Map();
+        this.nextRequestId = 1;
+    }
+
+    isReady() {
+        return this.modelPath.length > 0 && fs.existsSync(path.join(this.modelPath, this.model));
+    }
+
+    startWorker() {
+        if (this.worker) return this.worker;
+
+        this.worker = new Worker(path.join(__dirname, 'local-whisper-worker.js'), {
+            workerData: {
+                modelPath: this.modelPath,
+                model: this.model,
+                quantized: this.quantized
+            }
+        });
+
+        this.worker.on('message', (message) => {
+            if (message.type === 'ready') {
+                console.log(`✅ [LOCAL-WHISPER] Model ${this.model} loaded`);
+                return;
+            }
+
+            if (message.id === null) {
+                console.error('❌ [LOCAL-WHISPER] Model load failed:', message.message);
+                return;
+            }
+
+            const pending = this.pendingRequests.get(message.id);
+            if (!pending) return;
+            this.pendingRequests.delete(message.id);
+
+            // transformers.js does not report the language it detected
+            if (message.type === 'result') {
+                pending.resolve({ text: message.text, segments: message.segments || [], language: pending.language || null });
+            } else {
+                pending.reject(new Error(`local-whisper transcription failed: ${message.message}`));
+            }
+        });
+
+        this.worker.on('error', (error) => {
+            this.failPendingRequests(error);
+            this.worker = null;
+        });
+
+        this.worker.on('exit', (code) => {
+            if (code !== 0) {
+                this.failPendingRequests(new Error(`local-whisper worker exited with code ${code}`));
+            }
+            this.worker = null;
+        });
+
+        return this.worker;
+    }
+
+    failPendingRequests(error) {
+        this.pendingRequests.forEach(pending => pending.reject(error));
+        this.pendingRequests.clear();
+    }
+
+    async transcribe(audioBlob, options = {}) {
+        const { sampleRate, samples } = decodeAudio(await audioBlob.arrayBuffer());
+        const audio = resample(samples, sampleRate, 16000);
+        const language = options.language !== undefined ? options.language : this.language;
+        const task = options.task || 'transcribe';
+
+        const worker = this.startWorker();
+        const id = this.nextRequestId++;
+
+        return new Promise((resolve, reject) => {
+            this.pendingRequests.set(id, { resolve, reject, language });
+            worker.postMessage({ type: 'transcribe', id, audio, language, task }, [audio.buffer]);
+        });
+    }
+
+    dispose() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.failPendingRequests(new Error('local-whisper provider disposed'));
+    }
+}
+
+function createTranscriptionProvider(config) {
+    const providerName = (config.TRANSCRIPTION_PROVIDER || 'openai').toLowerCase();
+    const common = {
+        model: config.WHISPER_MODEL,
+        language: config.WHISPER_LANGUAGE,
+        responseFormat: config.TRANSCRIPTION_RESPONSE_FORMAT,
+        timeout: config.API_REQUEST_TIMEOUT,
+        retries: config.API_MAX_RETRIES
+    };
+
+    switch (providerName) {
+        case 'openai':
+            return new OpenAITranscriptionProvider({
+                ...common,
+                apiKey: config.OPENAI_API_KEY
+            });
+
+        case 'openai-compatible':
+            return new OpenAICompatibleTranscriptionProvider({
+                ...common,
+                baseUrl: config.TRANSCRIPTION_BASE_URL,
+                apiKey: config.TRANSCRIPTION_API_KEY
+            });
+
+        case 'local':
+            return new LocalWhisperTranscriptionProvider({
+                modelPath: config.LOCAL_WHISPER_MODEL_PATH,
+                model: config.LOCAL_WHISPER_MODEL,
+                language: config.WHISPER_LANGUAGE,
+                quantized: config.LOCAL_WHISPER_QUANTIZED
+            });
+
+        case 'mock':
+            return new MockTranscriptionProvider({
+                responses: config.MOCK_TRANSCRIPTIONS
+            });
+
+        default:
+            throw new Error(`Unknown transcription provider: ${config.TRANSCRIPTION_PROVIDER}`);
+    }
+}
+
+module.exports = {
+    OpenAICompatibleTranscriptionProvider,
+    OpenAITranscriptionProvider,
+    LocalWhisperTranscriptionProvider,
+    MockTranscriptionProvider,
+    createTranscriptionProvider
+};
@@ -0,0 +1,50 @@
+// Coaching trigger classifier worker
+//
+// Runs a zero-shot (NLI) classification model through @xenova/transformers on
+// its own thread so scoring an utterance never blocks audio capture. Like the
+// offline Whisper worker, models are only read from `modelPath`.
+//
+// Messages in:  { type: 'classify', id, text, labels }
+// Messages out: { type: 'ready' } | { type: 'result', id, labels, scores } | { type: 'error', id, message }
+//               (labels sorted by score, highest first)
+
+const { parentPort, workerData } = require('worker_threads');
+
+let classifierPromise = null;
+
+function loadClassifier() {
+    if (!classifierPromise) {
+        classifierPromise = (async () => {
+            // transformers.js is ESM-only
+            const { pipeline, env } = await import('@xenova/transformers');
+
+            env.localModelPath = workerData.modelPath;
+            env.allowLocalModels = true;
+            env.allowRemoteModels = false;
+            env.useBrowserCache = false;
+
+            return pipeline('zero-shot-classification', workerData.model);
+        })();
+    }
+    return classifierPromise;
+}
+
+async function classify({ id, text, labels }) {
+    try {
+        const classifier = await loadClassifier();
+        const output = await classifier(text, labels, { hypothesis_template: 'This is {}.' });
+        parentPort.postMessage({ type: 'result', id, labels: output.labels, scores: output.scores });
+    } catch (error) {
+        parentPort.postMessage({ type: 'error', id, message: error.message });
+    }
+}
+
+parentPort.on('message', (message) => {
+    if (message.type === 'classify') {
+        classify(message);
+    }
+});
+
+loadClassifier()
+    .then(() => parentPort.postMessage({ type: 'ready' }))
+    .catch(error => parentPort.postMessage({ type: 'error', id: null, message: error.message }));
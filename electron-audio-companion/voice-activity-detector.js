@@ -0,0 +1,230 @@
+// Spectral voice activity detector
+//
+// Scores every analysis frame with a speech probability from two features,
+// both restricted to the voice band (VOICE_FREQUENCY_RANGE):
+//
+//   - SNR of the voice band against an adaptive noise floor, so a constant fan
+//     hum is learned away and quiet speakers still stand out from silence
+//   - voicing: the autocorrelation peak at pitch lags (75-400 Hz) of the
+//     band-limited signal over the last two frames. Voiced speech is periodic;
+//     keyboard clicks, hiss and fan noise are not, however loud they are
+//
+// Per-frame probabilities are averaged over `window` frames (hangover
+// smoothing), so a 5ms key click can never reach the threshold on its own,
+// and speech is tracked with hysteresis to avoid flapping at the boundary.
+
+const MIN_BAND_POWER = 1e-10; // About -100 dBFS: digital silence is never speech
+const INITIAL_NOISE_FLOOR = 1e-7; // About -70 dBFS, a quiet room: speech from the first frame stands out
+const NOISE_FLOOR_RISE = 1.1; // Per frame (about 20 dB/s at 20ms frames) while nobody speaks
+const NOISE_FLOOR_SPEECH_RISE = 1.005; // About 1 dB/s during speech, so a steady voice is not learned away
+
+const twiddleTables = new Map();
+
+function twiddles(n) {
+    if (!twiddleTables.has(n)) {
+        const cos = new Float64Array(n / 2);
+        const sin = new Float64Array(n / 2);
+        for (let k = 0; k < n / 2; k++) {
+            cos[k] = Math.cos(-2 * Math.PI * k / n);
+            sin[k] = Math.sin(-2 * Math.PI * k / n);
+        }
+        twiddleTables.set(n, { cos, sin });
+    }
+    return twiddleTables.get(n);
+}
+
+// In-place iterative radix-2 FFT (length must be a power of two)
+function fft(real, imag) {
+    const n = real.length;
+    const { cos, sin } = twiddles(n);
+
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [real[i], real[j]] = [real[j], real[i]];
+            [imag[i], imag[j]] = [imag[j], imag[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const half = size / 2;
+        const step = n / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < half; k++) {
+                const a = start + k;
+                const b = a + half;
+                const c = cos[k * step];
+                const d = sin[k * step];
+                const tr = real[b] * c - imag[b] * d;
+                const ti = real[b] * d + imag[b] * c;
+                real[b] = real[a] - tr;
+                imag[b] = imag[a] - ti;
+                real[a] += tr;
+                imag[a] += ti;
+            }
+        }
+    }
+}
+
+function sigmoid(x) {
+    return 1 / (1 + Math.exp(-x));
+}
+
+class SpectralVAD {
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || 44100;
+        this.frequencyRange = options.frequencyRange || [300, 3000];
+        this.pitchRange = options.pitchRange || [75, 400];
+        this.window = Math.max(1, options.window || 10);
+        this.threshold = options.threshold !== undefined ? options.threshold : 0.5;
+        // Speech ends once the smoothed probability falls this far below the threshold
+        this.hysteresis = options.hysteresis !== undefined ? options.hysteresis : 0.15;
+        this.frameLength = 0;
+        this.reset();
+    }
+
+    reset() {
+        this.previousFrame = null;
+        this.noiseFloor = INITIAL_NOISE_FLOOR;
+        this.history = [];
+        this.isSpeech = false;
+    }
+
+    prepare(frameLength) {
+        this.frameLength = frameLength;
+        this.previousFrame = null;
+
+        // Two frames give enough periods of low voices; zero padding to twice
+        // that keeps the autocorrelation from wrapping around
+        const analysisLength = frameLength * 2;
+        this.fftSize = 1;
+        while (this.fftSize < analysisLength * 2) this.fftSize <<= 1;
+
+        this.real = new Float64Array(this.fftSize);
+        this.imag = new Float64Array(this.fftSize);
+        this.hann = new Float64Array(analysisLength);
+        for (let i = 0; i < analysisLength; i++) {
+            this.hann[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (analysisLength - 1));
+        }
+
+        // Voice band with raised-cosine edges; a brick-wall band would itself
+        // ring at the edge frequencies and look periodic
+        const binHz = this.sampleRate / this.fftSize;
+        const [low, high] = this.frequencyRange;
+        const edge = 100;
+        this.bandWeights = new Float64Array(this.fftSize / 2 + 1);
+        for (let bin = 1; bin <= this.fftSize / 2; bin++) {
+            const frequency = bin * binHz;
+            if (frequency < low - edge || frequency > high + edge) continue;
+            const lowWeight = frequency < low ? 0.5 + 0.5 * Math.cos(Math.PI * (low - frequency) / edge) : 1;
+            const highWeight = frequency > high ? 0.5 + 0.5 * Math.cos(Math.PI * (frequency - high) / edge) : 1;
+            this.bandWeights[bin] = lowWeight * highWeight;
+        }
+
+        // Lags beyond a third of the window are too noisy to trust
+        this.minLag = Math.floor(this.sampleRate / this.pitchRange[1]);
+        this.maxLag = Math.min(Math.floor(analysisLength / 3), Math.ceil(this.sampleRate / this.pitchRange[0]));
+
+        // The window's own autocorrelation, to undo its taper at long lags
+        this.windowCorrelation = new Float64Array(this.maxLag + 1);
+        for (let lag = 0; lag <= this.maxLag; lag++) {
+            let sum = 0;
+            for (let i = 0; i + lag < analysisLength; i++) sum += this.hann[i] * this.hann[i + lag];
+            this.windowCorrelation[lag] = sum;
+        }
+    }
+
+    // Voice band power and voicing strength of one frame
+    analyze(frame) {
+        if (frame.length !== this.frameLength) {
+            this.prepare(frame.length);
+        }
+
+        // Analyse the previous frame and this one together
+        const previous = this.previousFrame || frame;
+        this.real.fill(0);
+        this.imag.fill(0);
+        for (let i = 0; i < frame.length; i++) {
+            this.real[i] = previous[i] * this.hann[i];
+            this.real[frame.length + i] = frame[i] * this.hann[frame.length + i];
+        }
+        this.previousFrame = new Float32Array(frame);
+        fft(this.real, this.imag);
+
+        // Keep only the voice band of the power spectrum (both halves)
+        const scale = 4 / (this.hann.length * this.hann.length);
+        let bandPower = 0;
+        for (let bin = 0; bin <= this.fftSize / 2; bin++) {
+            const weight = this.bandWeights[bin];
+            const power = weight > 0 ? (this.real[bin] * this.real[bin] + this.imag[bin] * this.imag[bin]) * weight : 0;
+            bandPower += power * scale;
+
+            this.real[bin] = power;
+            this.imag[bin] = 0;
+            if (bin > 0 && bin < this.fftSize / 2) {
+                this.real[this.fftSize - bin] = power;
+                this.imag[this.fftSize - bin] = 0;
+            }
+        }
+
+        // Autocorrelation of the band-limited frame = FFT of its power spectrum
+        fft(this.real, this.imag);
+        const zeroLag = this.real[0];
+        let voicing = 0;
+        if (zeroLag > 0) {
+            for (let lag = this.minLag; lag <= this.maxLag; lag++) {
+                const correlation = (this.real[lag] / zeroLag) * (this.windowCorrelation[0] / this.windowCorrelation[lag]);
+                voicing = Math.max(voicing, correlation);
+            }
+        }
+
+        return { bandPower, voicing: Math.min(1, voicing) };
+    }
+
+    // Minimum tracking: the floor drops to quiet frames quickly and rises
+    // otherwise, so it settles on steady background noise. It starts from a
+    // quiet-room prior rather than the first frame, which may already be
+    // speech, and barely rises during speech, which keeps pausing between words
+    // to pull it back down
+    updateNoiseFloor(bandPower) {
+        const power = Math.max(bandPower, MIN_BAND_POWER);
+
+        if (power < this.noiseFloor) {
+            this.noiseFloor = 0.7 * this.noiseFloor + 0.3 * power;
+        } else {
+            const rise = this.isSpeech ? NOISE_FLOOR_SPEECH_RISE : NOISE_FLOOR_RISE;
+            this.noiseFloor = Math.min(power, this.noiseFloor * rise);
+        }
+    }
+
+    // -> { probability, smoothedProbability, isSpeech }
+    process(frame) {
+        const { bandPower, voicing } = this.analyze(frame);
+        const snrDb = 10 * Math.log10(Math.max(bandPower, MIN_BAND_POWER) / this.noiseFloor);
+        this.updateNoiseFloor(bandPower);
+
+        // Loud enough above the background AND periodic
+        const probability = bandPower <= MIN_BAND_POWER
+            ? 0
+            : sigmoid(0.5 * (snrDb - 6)) * sigmoid(15 * (voicing - 0.5));
+
+        this.history.push(probability);
+        if (this.history.length > this.window) this.history.shift();
+        const smoothedProbability = this.history.reduce((sum, value) => sum + value, 0) / this.history.length;
+
+        if (this.isSpeech) {
+            this.isSpeech = smoothedProbability >= this.threshold - this.hysteresis;
+        } else {
+            this.isSpeech = smoothedProbability >= this.threshold;
+        }
+
+        return { probability, smoothedProbability, isSpeech: this.isSpeech };
+    }
+}
+
+module.exports = {
+    SpectralVAD,
+    fft
+};